@@ -3,6 +3,7 @@ import { auth } from '@clerk/nextjs';
 import { supabase, supabaseAdmin } from '@/lib/supabase/client';
 import { validateBotConfig } from '@/lib/utils/validation';
 import { tradingEngine } from '@/lib/trading/trading-engine';
+import { strategyRegistry } from '@/lib/trading/strategies';
 import { notificationService } from '@/lib/notifications/notification-service';
 
 export async function GET(request) {
@@ -16,6 +17,14 @@ export async function GET(request) {
     const { searchParams } = new URL(request.url);
     const status = searchParams.get('status');
     const strategy = searchParams.get('strategy');
+    const include = searchParams.get('include');
+
+    if (strategy && !strategyRegistry.has(strategy)) {
+      return NextResponse.json({
+        error: `Unknown strategy: ${strategy}`,
+        availableStrategies: strategyRegistry.getTypes()
+      }, { status: 400 });
+    }
 
     // Get bots from database
     let query = supabaseAdmin
@@ -67,7 +76,8 @@ export async function GET(request) {
     return NextResponse.json({
       success: true,
       data: bots,
-      count: bots.length
+      count: bots.length,
+      ...(include === 'strategies' && { strategies: strategyRegistry.list() })
     });
 
   } catch (error) {
@@ -90,19 +100,24 @@ export async function POST(request) {
       description,
       strategy_type,
       symbol,
+      timeframe,
       broker_id,
       broker_credentials,
       config,
       risk_config
     } = body;
 
+    // The engine reads the timeframe from config, so a top-level one is kept there
+    const strategyConfig = timeframe ? { ...config, timeframe } : config;
+
     // Validate bot configuration
     const validationResult = validateBotConfig({
       name,
       strategy_type,
       symbol,
+      timeframe: strategyConfig?.timeframe,
       broker_id,
-      config,
+      config: strategyConfig,
       risk_config
     });
 
@@ -124,7 +139,8 @@ export async function POST(request) {
         symbol,
         broker_id,
         broker_credentials: JSON.stringify(broker_credentials),
-        config: JSON.stringify(config),
+        config: JSON.stringify(strategyConfig),
+        strategy_config: strategyConfig || {},
         risk_config: JSON.stringify(risk_config),
         status: 'stopped'
       })
@@ -146,7 +162,7 @@ export async function POST(request) {
         symbol,
         brokerId: broker_id,
         brokerCredentials: broker_credentials,
-        config,
+        config: strategyConfig,
         riskConfig: risk_config
       };
 
@@ -158,29 +174,28 @@ export async function POST(request) {
         message: `Trading bot "${name}" has been created successfully`,
         severity: 'low'
       });
-    }
 
-    // Initialize bot performance record
-    try {
-      await supabaseAdmin
-        .from('bot_performance')
-        .insert({
-          bot_id: bot.id,
-          total_trades: 0,
-          winning_trades: 0,
-          losing_trades: 0,
-          total_profit: 0,
-          total_loss: 0,
-          win_rate: 0,
-          profit_factor: 0,
-          max_drawdown: 0,
-          sharpe_ratio: 0,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        });
-    } catch (error) {
-      console.warn('Could not create bot performance record:', error.message);
-    }
+      // Initialize bot performance record
+      try {
+        await supabaseAdmin
+          .from('bot_performance')
+          .insert({
+            bot_id: bot.id,
+            total_trades: 0,
+            winning_trades: 0,
+            losing_trades: 0,
+            total_profit: 0,
+            total_loss: 0,
+            win_rate: 0,
+            profit_factor: 0,
+            max_drawdown: 0,
+            sharpe_ratio: 0,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          });
+      } catch (error) {
+        console.warn('Could not create bot performance record:', error.message);
+      }
 
       return NextResponse.json({
         success: true,
@@ -300,7 +315,22 @@ export async function PUT(request) {
       
       if (updates.name) updateData.name = updates.name;
       if (updates.description) updateData.description = updates.description;
-      if (updates.config) updateData.config = JSON.stringify(updates.config);
+      if (updates.config) {
+        const strategyType = existingBot.strategy_type || existingBot.strategy;
+        const configErrors = strategyRegistry.has(strategyType)
+          ? strategyRegistry.validateConfig(strategyType, updates.config)
+          : {};
+
+        if (Object.keys(configErrors).length > 0) {
+          return NextResponse.json({
+            error: 'Invalid bot configuration',
+            details: configErrors
+          }, { status: 400 });
+        }
+
+        updateData.config = JSON.stringify(updates.config);
+        updateData.strategy_config = updates.config;
+      }
       if (updates.risk_config) updateData.risk_config = JSON.stringify(updates.risk_config);
       
       updateData.updated_at = new Date().toISOString();
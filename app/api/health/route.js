@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { marketDataService } from '@/lib/trading/market-data';
 
 export async function GET() {
   try {
@@ -11,6 +12,11 @@ export async function GET() {
         database: 'connected', // This would be checked in a real app
         trading_api: 'connected', // This would be checked in a real app
         authentication: 'connected' // This would be checked in a real app
+      },
+      marketData: {
+        stream: marketDataService.getStreamHealth(),
+        providers: marketDataService.getProviderHealth(),
+        quality: marketDataService.quality.getReport()
       }
     });
   } catch (error) {
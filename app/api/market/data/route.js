@@ -1,11 +1,10 @@
 import { NextResponse } from 'next/server';
 import { supabaseAdmin } from '@/lib/supabase/client';
 import { marketDataService } from '@/lib/trading/market-data';
+import { candleStore } from '@/lib/trading/data-store';
+import { instrumentRegistry } from '@/lib/trading/instruments';
 
-const FOREX_SYMBOLS = [
-  'EURUSD', 'GBPUSD', 'USDJPY', 'USDCHF', 'AUDUSD', 
-  'USDCAD', 'NZDUSD', 'EURGBP', 'EURJPY', 'GBPJPY'
-];
+const FOREX_SYMBOLS = instrumentRegistry.getSymbols();
 
 const TIMEFRAMES = {
   '1m': '1min',
@@ -24,6 +23,8 @@ export async function GET(request) {
     const timeframe = searchParams.get('timeframe') || '1h';
     const limit = parseInt(searchParams.get('limit') || '100');
     const source = searchParams.get('source') || 'twelve_data';
+    const from = searchParams.get('from');
+    const to = searchParams.get('to');
 
     // Validate parameters
     if (!FOREX_SYMBOLS.includes(symbol.toUpperCase())) {
@@ -40,6 +41,26 @@ export async function GET(request) {
       }, { status: 400 });
     }
 
+    // The local store answers offline and is the only source for date ranges
+    if (source === 'local' || from || to) {
+      const storedData = await candleStore.getCandles(symbol, timeframe, { from, to, limit });
+
+      if (storedData.length === 0) {
+        return NextResponse.json({
+          error: 'No stored market data',
+          message: `No local ${symbol} ${timeframe} candles in the requested range`
+        }, { status: 404 });
+      }
+
+      return NextResponse.json({
+        success: true,
+        data: storedData,
+        source: 'local',
+        timestamp: new Date().toISOString(),
+        count: storedData.length
+      });
+    }
+
     // Check cache first
     const cachedData = await getCachedMarketData(symbol, timeframe);
     if (cachedData && isDataFresh(cachedData.timestamp, timeframe)) {
@@ -53,13 +74,20 @@ export async function GET(request) {
 
     // Fetch real market data
     let marketData;
+    let dataSource = 'real';
     try {
       marketData = await marketDataService.getHistoricalData(symbol, timeframe, limit);
     } catch (error) {
       console.error('Failed to fetch real market data:', error);
-      
-      // Fallback to mock data only if all real providers fail
-      marketData = generateMockMarketData(symbol, timeframe, limit);
+
+      // Fall back to stored candles, and to mock data only if there are none
+      marketData = await candleStore.getCandles(symbol, timeframe, { limit }).catch(() => []);
+      dataSource = 'local';
+
+      if (marketData.length === 0) {
+        marketData = generateMockMarketData(symbol, timeframe, limit);
+        dataSource = 'mock';
+      }
     }
 
     if (!marketData || marketData.length === 0) {
@@ -75,10 +103,16 @@ export async function GET(request) {
     // Store in database for historical analysis
     await storeMarketDataInDB(symbol, timeframe, marketData.slice(0, 10)); // Store only recent data
 
+    // Keep the full history locally for backtests and offline warm-up
+    if (dataSource === 'real') {
+      await candleStore.write(symbol, timeframe, marketData)
+        .catch(error => console.error('Error storing market data locally:', error));
+    }
+
     return NextResponse.json({
       success: true,
       data: marketData,
-      source: 'real',
+      source: dataSource,
       timestamp: new Date().toISOString(),
       count: marketData.length
     });
@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import { auth } from '@clerk/nextjs';
+import { candleStore } from '@/lib/trading/data-store';
+import { IMPORT_FORMATS } from '@/lib/trading/data-store/importers';
+import { TIMEFRAME_MS } from '@/lib/trading/timeframes';
+
+// Stored series, or one series' range and gaps with ?symbol=&timeframe=
+export async function GET(request) {
+  try {
+    const { userId } = auth();
+
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const symbol = searchParams.get('symbol');
+    const timeframe = searchParams.get('timeframe');
+
+    if (!symbol || !timeframe) {
+      const series = await candleStore.list();
+      return NextResponse.json({ success: true, data: series, count: series.length });
+    }
+
+    if (!TIMEFRAME_MS[timeframe]) {
+      return NextResponse.json({
+        error: 'Invalid timeframe',
+        validTimeframes: Object.keys(TIMEFRAME_MS)
+      }, { status: 400 });
+    }
+
+    const range = await candleStore.getRange(symbol.toUpperCase(), timeframe);
+    if (!range) {
+      return NextResponse.json({ error: `No stored ${symbol} ${timeframe} candles` }, { status: 404 });
+    }
+
+    const gaps = await candleStore.findGaps(symbol.toUpperCase(), timeframe, {
+      from: searchParams.get('from'),
+      to: searchParams.get('to'),
+      minBars: parseInt(searchParams.get('minBars') || '1')
+    });
+
+    return NextResponse.json({ success: true, data: { ...range, gaps } });
+
+  } catch (error) {
+    console.error('GET /api/market/store error:', error);
+    return NextResponse.json({
+      error: 'Failed to read candle store',
+      message: error.message
+    }, { status: 500 });
+  }
+}
+
+// Import a MetaTrader, HistData.com or generic OHLCV export
+export async function POST(request) {
+  try {
+    const { userId } = auth();
+
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { symbol, timeframe, content, format = 'auto', options = {}, overwrite = true } = await request.json();
+
+    if (!symbol || !timeframe || !content) {
+      return NextResponse.json({
+        error: 'Missing required parameters: symbol, timeframe, content'
+      }, { status: 400 });
+    }
+
+    if (!TIMEFRAME_MS[timeframe]) {
+      return NextResponse.json({
+        error: 'Invalid timeframe',
+        validTimeframes: Object.keys(TIMEFRAME_MS)
+      }, { status: 400 });
+    }
+
+    if (format !== 'auto' && !IMPORT_FORMATS.includes(format)) {
+      return NextResponse.json({
+        error: 'Invalid format',
+        validFormats: ['auto', ...IMPORT_FORMATS]
+      }, { status: 400 });
+    }
+
+    const result = await candleStore.importContent(content, {
+      ...options,
+      symbol: symbol.toUpperCase(),
+      timeframe,
+      format,
+      overwrite
+    });
+
+    return NextResponse.json({ success: true, data: result });
+
+  } catch (error) {
+    console.error('POST /api/market/store error:', error);
+    return NextResponse.json({
+      error: 'Failed to import candles',
+      message: error.message
+    }, { status: 400 });
+  }
+}
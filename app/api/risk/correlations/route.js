@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { auth } from '@clerk/nextjs';
+import { correlationMatrix } from '@/lib/trading/risk-management/correlations';
+import { instrumentRegistry } from '@/lib/trading/instruments';
+
+// Correlation matrix for the dashboard heatmap. Optional ?window= picks one
+// of the configured windows, ?symbols=EURUSD,USDCHF limits the symbols and
+// ?refresh=true recomputes it from stored history first.
+export async function GET(request) {
+  try {
+    const { userId } = auth();
+
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const window = parseInt(searchParams.get('window') || correlationMatrix.config.riskWindow);
+
+    if (!correlationMatrix.config.windows.includes(window)) {
+      return NextResponse.json({
+        error: 'Invalid window',
+        validWindows: correlationMatrix.config.windows
+      }, { status: 400 });
+    }
+
+    const symbols = searchParams.get('symbols')
+      ? searchParams.get('symbols').split(',').map(symbol => symbol.trim().toUpperCase())
+      : instrumentRegistry.getSymbols();
+
+    const unknown = symbols.filter(symbol => !instrumentRegistry.has(symbol));
+    if (unknown.length > 0) {
+      return NextResponse.json({
+        error: `Unsupported symbols: ${unknown.join(', ')}`,
+        validSymbols: instrumentRegistry.getSymbols()
+      }, { status: 400 });
+    }
+
+    if (!correlationMatrix.updatedAt || searchParams.get('refresh') === 'true') {
+      await correlationMatrix.refresh();
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: correlationMatrix.getMatrix(window, symbols)
+    });
+
+  } catch (error) {
+    console.error('GET /api/risk/correlations error:', error);
+    return NextResponse.json({
+      error: 'Failed to compute correlations',
+      message: error.message
+    }, { status: 500 });
+  }
+}
@@ -182,6 +182,12 @@ export class NotificationManager {
         telegram: this.formatTelegramPerformance(data),
         discord: this.formatDiscordPerformance(data),
         email: this.formatEmailPerformance(data)
+      },
+      divergence: {
+        title: '🔀 Divergence',
+        telegram: this.formatTelegramDivergence(data),
+        discord: this.formatDiscordDivergence(data),
+        email: this.formatEmailDivergence(data)
       }
     };
 
@@ -284,6 +290,20 @@ ${emoji} <b>Bot ${status.charAt(0).toUpperCase() + status.slice(1)}</b>
 📉 <b>Max Drawdown:</b> ${(data.maxDrawdown * 100)?.toFixed(1)}%
 ⭐ <b>Sharpe Ratio:</b> ${data.sharpeRatio?.toFixed(2)}
 
+⏰ <i>${new Date().toLocaleString()}</i>
+    `.trim();
+  }
+
+  formatTelegramDivergence(data) {
+    return `
+🔀 <b>${data.type?.toUpperCase()} ${data.direction?.toUpperCase()} DIVERGENCE</b>
+
+💱 <b>Symbol:</b> ${data.symbol}
+📊 <b>Oscillator:</b> ${data.oscillator?.toUpperCase()}
+📈 <b>Price:</b> ${data.price?.from} → ${data.price?.to}
+📉 <b>Oscillator:</b> ${data.oscillatorValues?.from?.toFixed(2)} → ${data.oscillatorValues?.to?.toFixed(2)}
+⭐ <b>Strength:</b> ${(data.strength * 100)?.toFixed(0)}%
+
 ⏰ <i>${new Date().toLocaleString()}</i>
     `.trim();
   }
@@ -403,6 +423,24 @@ ${emoji} <b>Bot ${status.charAt(0).toUpperCase() + status.slice(1)}</b>
     };
   }
 
+  formatDiscordDivergence(data) {
+    return {
+      embeds: [{
+        title: `🔀 ${data.type?.toUpperCase()} ${data.direction?.toUpperCase()} DIVERGENCE`,
+        color: data.direction === 'bullish' ? 0x00ff00 : 0xff0000,
+        fields: [
+          { name: 'Symbol', value: `${data.symbol}`, inline: true },
+          { name: 'Oscillator', value: `${data.oscillator?.toUpperCase()}`, inline: true },
+          { name: 'Strength', value: `${(data.strength * 100)?.toFixed(0)}%`, inline: true },
+          { name: 'Price', value: `${data.price?.from} → ${data.price?.to}`, inline: false },
+          { name: 'Oscillator Values', value: `${data.oscillatorValues?.from?.toFixed(2)} → ${data.oscillatorValues?.to?.toFixed(2)}`, inline: false }
+        ],
+        timestamp: new Date().toISOString(),
+        footer: { text: 'ForexBot Pro' }
+      }]
+    };
+  }
+
   // Email formatting methods
   formatEmailTradeSignal(data) {
     return {
@@ -495,6 +533,23 @@ ${emoji} <b>Bot ${status.charAt(0).toUpperCase() + status.slice(1)}</b>
     };
   }
 
+  formatEmailDivergence(data) {
+    return {
+      subject: `🔀 ${data.type} ${data.direction} divergence - ${data.symbol} ${data.oscillator?.toUpperCase()}`,
+      html: `
+        <h2>🔀 ${data.type} ${data.direction} divergence</h2>
+        <table style="border-collapse: collapse; width: 100%;">
+          <tr><td><strong>Symbol:</strong></td><td>${data.symbol}</td></tr>
+          <tr><td><strong>Oscillator:</strong></td><td>${data.oscillator?.toUpperCase()}</td></tr>
+          <tr><td><strong>Price:</strong></td><td>${data.price?.from} → ${data.price?.to}</td></tr>
+          <tr><td><strong>Oscillator Values:</strong></td><td>${data.oscillatorValues?.from?.toFixed(2)} → ${data.oscillatorValues?.to?.toFixed(2)}</td></tr>
+          <tr><td><strong>Strength:</strong></td><td>${(data.strength * 100)?.toFixed(0)}%</td></tr>
+        </table>
+        <p><em>Detected at: ${new Date().toLocaleString()}</em></p>
+      `
+    };
+  }
+
   formatEmailPerformance(data) {
     return {
       subject: `📈 Performance Update - Total P&L: $${data.totalProfit?.toFixed(2)}`,
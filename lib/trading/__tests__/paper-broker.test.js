@@ -0,0 +1,223 @@
+import { describe, it, expect } from 'vitest';
+import { PaperAccount } from '../paper-broker';
+
+const quote = (price, spread = 0.0001) => ({ price, bid: price - spread / 2, ask: price + spread / 2 });
+
+describe('PaperAccount', () => {
+  describe('fills', () => {
+    it('buys at the ask and sells at the bid, plus slippage', () => {
+      const account = new PaperAccount();
+      account.updatePrice('EURUSD', { price: 1.1 });
+
+      // One pip of spread around the mid, 0.2 pips of slippage
+      const buy = account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 10000 });
+      const sell = account.placeOrder({ symbol: 'EURUSD', side: 'SELL', units: 10000 });
+
+      expect(buy.position.averagePrice).toBeCloseTo(1.10007, 10);
+      expect(sell.position.averagePrice).toBeCloseTo(1.09993, 10);
+      expect(buy.order).toMatchObject({ status: 'filled', positionId: buy.position.id });
+
+      // Marked at the price each would close at
+      expect(buy.position.currentPrice).toBeCloseTo(1.09995, 10);
+      expect(buy.position.unrealizedPnL).toBeCloseTo(-1.2, 6);
+      expect(sell.position.unrealizedPnL).toBeCloseTo(-1.2, 6);
+    });
+
+    it('uses the bid and ask it is given instead of the configured spread', () => {
+      const account = new PaperAccount({ slippagePips: 0 });
+      account.updatePrice('EURUSD', { price: 1.1, bid: 1.0999, ask: 1.1003 });
+
+      const { position } = account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 10000 });
+      expect(position.averagePrice).toBe(1.1003);
+    });
+
+    it('fills a market order at its own price when no quote has streamed', () => {
+      const account = new PaperAccount({ slippagePips: 0 });
+
+      expect(account.placeOrder({ symbol: 'EURUSD', side: 'SELL', units: 10000, price: 1.1 }).position.averagePrice).toBeCloseTo(1.09995, 10);
+      expect(() => account.placeOrder({ symbol: 'GBPUSD', side: 'BUY', units: 10000 })).toThrow('No price available for GBPUSD');
+    });
+
+    it('fills resting orders when the market reaches them', () => {
+      const account = new PaperAccount({ spreadPips: 0, slippagePips: 0 });
+      account.updatePrice('EURUSD', quote(1.1, 0));
+
+      const limit = account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 10000, type: 'LIMIT', price: 1.099 });
+      const stop = account.placeOrder({ symbol: 'EURUSD', side: 'SELL', units: 10000, type: 'STOP', price: 1.0985 });
+      expect(limit.position).toBeNull();
+      expect(account.orders.size).toBe(2);
+
+      const events = account.updatePrice('EURUSD', quote(1.0989, 0));
+
+      expect(events).toEqual([expect.objectContaining({ type: 'ORDER_FILL', orderId: limit.orderID })]);
+      expect(events[0].position.averagePrice).toBe(1.0989);
+      expect(account.orders.has(stop.orderID)).toBe(true);
+
+      expect(account.updatePrice('EURUSD', quote(1.098, 0))).toEqual([
+        expect.objectContaining({ type: 'ORDER_FILL', orderId: stop.orderID })
+      ]);
+    });
+
+    it('refuses orders it cannot place', () => {
+      const account = new PaperAccount();
+      account.updatePrice('EURUSD', { price: 1.1 });
+
+      expect(() => account.placeOrder({ symbol: 'EURUSD', side: 'HOLD', units: 1000 })).toThrow('BUY/SELL side');
+      expect(() => account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 0 })).toThrow('greater than 0');
+      expect(() => account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 10 })).toThrow('below the EURUSD minimum');
+      expect(() => account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 1000, type: 'LIMIT' })).toThrow('without price');
+    });
+  });
+
+  describe('stops and targets', () => {
+    it('closes longs on the bid when it reaches the stop', () => {
+      const account = new PaperAccount({ slippagePips: 0 });
+      account.updatePrice('EURUSD', { price: 1.1 });
+      const { position } = account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 10000, stopLoss: 1.098, takeProfit: 1.104 });
+
+      expect(account.updatePrice('EURUSD', { price: 1.09806 })).toEqual([]);
+
+      const events = account.updatePrice('EURUSD', { price: 1.09804 });
+      expect(events).toEqual([expect.objectContaining({ type: 'POSITION_CLOSED', positionId: position.id, reason: 'stop_loss' })]);
+      expect(events[0].position.exitPrice).toBeCloseTo(1.09799, 10);
+      expect(account.getPositions()).toHaveLength(0);
+      expect(account.closedPositions).toHaveLength(1);
+    });
+
+    it('closes shorts on the ask when it reaches the target, less slippage', () => {
+      const account = new PaperAccount();
+      account.updatePrice('EURUSD', { price: 1.1 });
+      account.placeOrder({ symbol: 'EURUSD', side: 'SELL', units: 10000, stopLoss: 1.102, takeProfit: 1.096 });
+
+      const [event] = account.updatePrice('EURUSD', { price: 1.09595 });
+
+      expect(event.reason).toBe('take_profit');
+      expect(event.position.exitPrice).toBeCloseTo(1.09602, 10);
+      expect(event.position.profit).toBeCloseTo((1.09993 - 1.09602) * 10000, 6);
+    });
+
+    it('triggers the stop moved by modifyPosition', () => {
+      const account = new PaperAccount({ slippagePips: 0 });
+      account.updatePrice('EURUSD', { price: 1.1 });
+      const { position } = account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 10000, stopLoss: 1.098 });
+
+      account.modifyPosition(position.id, { stopLoss: 1.0995 });
+
+      expect(account.updatePrice('EURUSD', { price: 1.0994 })[0].reason).toBe('stop_loss');
+    });
+  });
+
+  describe('margin', () => {
+    it('rejects a market order the free margin cannot cover', () => {
+      const account = new PaperAccount({ balance: 1000 });
+      account.updatePrice('EURUSD', { price: 1.1 });
+
+      // 100000 EURUSD at 30:1 needs about 3667 of margin
+      expect(() => account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 100000 })).toThrow('Insufficient margin: required 3666.90, free 1000.00');
+      expect(account.getOrderHistory()[0]).toMatchObject({ status: 'rejected', reason: 'Insufficient margin' });
+      expect(account.getPositions()).toHaveLength(0);
+    });
+
+    it('cancels a resting order that no longer fits when it triggers', () => {
+      const account = new PaperAccount({ balance: 5000 });
+      account.updatePrice('EURUSD', { price: 1.1 });
+      const resting = account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 100000, type: 'STOP', price: 1.101 });
+
+      // The margin it needed is now taken by another position
+      account.placeOrder({ symbol: 'EURUSD', side: 'SELL', units: 50000 });
+      const events = account.updatePrice('EURUSD', { price: 1.1012 });
+
+      expect(events).toEqual([
+        { type: 'ORDER_CANCEL', orderId: resting.orderID, reason: expect.stringContaining('Insufficient margin') }
+      ]);
+      expect(account.orders.size).toBe(0);
+      expect(resting.order.status).toBe('rejected');
+    });
+
+    it('uses the instrument\'s margin rate when it is stricter than the account leverage', () => {
+      const account = new PaperAccount({ leverage: 100 });
+
+      expect(account.calculateMargin('EURUSD', 100000, 1.1)).toBeCloseTo(3663, 6);
+      expect(account.calculateMargin('USDJPY', 100000, 150)).toBeCloseTo(3330, 6);
+    });
+  });
+
+  describe('balance and equity', () => {
+    it('charges commission, marks open P&L and books it on close', () => {
+      const account = new PaperAccount({ spreadPips: 0, slippagePips: 0, commissionPerLot: 7 });
+      account.updatePrice('EURUSD', quote(1.1, 0));
+
+      const { position } = account.placeOrder({ symbol: 'EURUSD', side: 'BUY', units: 100000 });
+      expect(account.balance).toBeCloseTo(9996.5, 10);
+
+      account.updatePrice('EURUSD', quote(1.101, 0));
+      const info = account.getAccountInfo();
+      expect(info.unrealizedPnL).toBeCloseTo(100, 6);
+      expect(info.equity).toBeCloseTo(10096.5, 6);
+      expect(info.margin).toBeCloseTo(110000 / 30, 6);
+      expect(info.freeMargin).toBeCloseTo(10096.5 - 110000 / 30, 6);
+      expect(info.marginLevel).toBeCloseTo((10096.5 / (110000 / 30)) * 100, 6);
+      expect(info).toMatchObject({ openPositions: 1, pendingOrders: 0 });
+
+      const closed = account.closePosition(position.id);
+      expect(closed).toMatchObject({ status: 'closed', reason: 'manual', unrealizedPnL: 0 });
+      expect(closed.commission).toBeCloseTo(7, 10);
+      expect(closed.profit).toBeCloseTo(93, 6);
+      expect(account.balance).toBeCloseTo(10093, 6);
+      expect(account.getEquity()).toBeCloseTo(10093, 6);
+      expect(account.getAccountInfo()).toMatchObject({ margin: 0, marginLevel: null, openPositions: 0 });
+    });
+
+    it('values yen P&L in the account currency', () => {
+      const account = new PaperAccount({ spreadPips: 0, slippagePips: 0 });
+      account.updatePrice('USDJPY', quote(150, 0));
+
+      const { position } = account.placeOrder({ symbol: 'USDJPY', side: 'SELL', units: 10000 });
+      account.updatePrice('USDJPY', quote(149, 0));
+
+      // 10000 JPY at 149
+      expect(position.unrealizedPnL).toBeCloseTo(10000 / 149, 6);
+      expect(account.closePosition(position.id).profit).toBeCloseTo(10000 / 149, 6);
+      expect(account.balance).toBeCloseTo(10000 + 10000 / 149, 6);
+    });
+  });
+
+  describe('currency conversion', () => {
+    it('rejects an order it has no rate to value in the account currency', () => {
+      const account = new PaperAccount({ spreadPips: 0, slippagePips: 0 });
+      account.updatePrice('EURGBP', quote(0.86));
+
+      expect(() => account.placeOrder({ symbol: 'EURGBP', side: 'BUY', units: 10000 })).toThrow('No EURGBP quote-currency rate to USD');
+      expect(account.getPositions()).toHaveLength(0);
+      expect(account.getOrderHistory()[0].status).toBe('rejected');
+      expect(account.balance).toBe(10000);
+    });
+
+    it('books cross-pair P&L in the account currency', () => {
+      const account = new PaperAccount({ spreadPips: 0, slippagePips: 0 });
+      account.updatePrice('GBPUSD', quote(1.25, 0));
+      account.updatePrice('EURGBP', quote(0.86, 0));
+
+      const { position } = account.placeOrder({ symbol: 'EURGBP', side: 'BUY', units: 10000 });
+      account.updatePrice('EURGBP', quote(0.87, 0));
+      const closed = account.closePosition(position.id);
+
+      // 10000 * 0.01 GBP at 1.25
+      expect(closed.profit).toBeCloseTo(125, 6);
+      expect(account.balance).toBeCloseTo(10125, 6);
+    });
+
+    it('refuses to close a position whose P&L it cannot convert', () => {
+      const account = new PaperAccount({ spreadPips: 0, slippagePips: 0 });
+      account.updatePrice('GBPUSD', quote(1.25, 0));
+      account.updatePrice('EURGBP', quote(0.86, 0));
+      const { position } = account.placeOrder({ symbol: 'EURGBP', side: 'BUY', units: 10000 });
+
+      account.prices.delete('GBPUSD');
+
+      expect(() => account.closePosition(position.id)).toThrow('No EURGBP quote-currency rate to USD');
+      expect(account.positions.has(position.id)).toBe(true);
+      expect(account.balance).toBe(10000);
+    });
+  });
+});
@@ -0,0 +1,300 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('@/lib/supabase/client', () => ({
+  supabaseAdmin: {
+    from: () => ({
+      insert: async () => ({ error: null }),
+      update: () => ({ eq: async () => ({ error: null }) })
+    })
+  }
+}));
+
+import { tradingEngine } from '../trading-engine';
+import { brokerIntegration } from '../broker-integration';
+import { AccountRiskManager } from '../risk-management/portfolio';
+import { BaseStrategy } from '../strategies/base';
+
+// Returns queued signals, one per tick
+class QueuedStrategy extends BaseStrategy {
+  constructor() {
+    super({});
+    this.queue = [];
+  }
+
+  async analyze() {
+    return this.queue.shift() || null;
+  }
+}
+
+let sequence = 0;
+
+async function createBot({ balance = 1000000, connection: shared = null } = {}) {
+  const id = `engine_test_${++sequence}`;
+  const connection = shared || await brokerIntegration.connectToBroker('paper', { accountId: id, balance });
+  const positions = new Map();
+  const accountRisk = new AccountRiskManager(id, { maxVaR: null });
+  accountRisk.addBot(id, positions);
+  accountRisk.syncAccount(connection);
+
+  const bot = {
+    id,
+    userId: id,
+    name: id,
+    strategy: new QueuedStrategy(),
+    symbol: 'EURUSD',
+    symbols: ['EURUSD'],
+    brokerConnection: connection,
+    accountCurrency: 'USD',
+    accountRisk,
+    status: 'running',
+    performance: { totalTrades: 0, winningTrades: 0, losingTrades: 0, totalProfit: 0, totalLoss: 0, maxDrawdown: 0 },
+    positions,
+    orders: new Map()
+  };
+
+  tradingEngine.activeBots.set(id, bot);
+  return bot;
+}
+
+const tick = (bot, price) => tradingEngine.handleMarketDataUpdate(bot.id, {
+  symbol: 'EURUSD',
+  price,
+  close: price,
+  bid: price - 0.00005,
+  ask: price + 0.00005,
+  timestamp: new Date().toISOString()
+});
+
+const entry = (overrides = {}) => ({
+  strategy: 'trend_following',
+  symbol: 'EURUSD',
+  direction: 'BUY',
+  entryPrice: 1.1,
+  stopLoss: 1.098,
+  takeProfit: 1.104,
+  lotSize: 100000,
+  metadata: { positionId: 'tf_1' },
+  ...overrides
+});
+
+const triangle = (lotSize = 100000) => ({
+  strategy: 'arbitrage',
+  type: 'multi_leg',
+  symbol: 'EURUSD/GBPUSD/EURGBP',
+  legs: [
+    { symbol: 'EURUSD', direction: 'BUY', entryPrice: 1.1, lotSize: lotSize + 1234.567 },
+    { symbol: 'EURGBP', direction: 'SELL', entryPrice: 0.86, lotSize: lotSize + 1234.567 },
+    { symbol: 'GBPUSD', direction: 'SELL', entryPrice: 1.27, lotSize: lotSize * 0.86 + 99.9 }
+  ],
+  metadata: { groupId: 'arb_1' }
+});
+
+describe('TradingEngine', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    tradingEngine.activeBots.clear();
+  });
+
+  it('closes the referenced broker position on an exit signal', async () => {
+    const bot = await createBot();
+    bot.strategy.queue.push(entry());
+    await tick(bot, 1.1);
+
+    expect(bot.positions.size).toBe(1);
+    expect(bot.brokerConnection.paperAccount.positions.size).toBe(1);
+
+    // Exit signals carry no entry or stop, so they must not be risk-checked
+    bot.strategy.queue.push({
+      strategy: 'trend_following',
+      symbol: 'EURUSD',
+      direction: 'SELL',
+      exitPrice: 1.101,
+      reason: 'trend_reversal',
+      metadata: { positionIds: ['tf_1'] }
+    });
+    await tick(bot, 1.101);
+
+    expect(bot.status).toBe('running');
+    expect(bot.positions.size).toBe(0);
+    expect(bot.brokerConnection.paperAccount.positions.size).toBe(0);
+    expect(bot.performance.winningTrades).toBe(1);
+  });
+
+  it('closes every opposite position when the exit references none', async () => {
+    const bot = await createBot();
+    bot.strategy.queue.push(entry({ metadata: {} }));
+    await tick(bot, 1.1);
+
+    bot.strategy.queue.push({ symbol: 'EURUSD', direction: 'SELL', orderType: 'close', exitPrice: 1.0995, reason: 'stop_loss' });
+    await tick(bot, 1.0995);
+
+    expect(bot.positions.size).toBe(0);
+    expect(bot.brokerConnection.paperAccount.positions.size).toBe(0);
+  });
+
+  it('moves the broker stop when the strategy trails it', async () => {
+    const bot = await createBot();
+    bot.strategy.queue.push(entry());
+    bot.strategy.addPosition('tf_1', { id: 'tf_1', direction: 'BUY', stopLoss: 1.098 });
+    await tick(bot, 1.1);
+
+    bot.strategy.updatePosition('tf_1', { stopLoss: 1.0995123 });
+    await tick(bot, 1.1015);
+
+    const [brokerPosition] = bot.brokerConnection.paperAccount.getPositions();
+    expect(brokerPosition.stopLoss).toBe(1.09951);
+    expect(Array.from(bot.positions.values())[0].stopLoss).toBe(1.09951);
+
+    // The moved stop is the one the broker triggers
+    await tick(bot, 1.0994);
+    expect(bot.positions.size).toBe(0);
+  });
+
+  it('keeps the scaled-down size of pyramid adds', async () => {
+    const bot = await createBot();
+    bot.strategy.queue.push(entry());
+    await tick(bot, 1.1);
+
+    bot.strategy.queue.push(entry({ pyramid: true, lotSize: 30000, metadata: { positionId: 'tf_2' } }));
+    await tick(bot, 1.1);
+
+    const sizes = Array.from(bot.positions.values()).map(position => position.lotSize);
+    expect(sizes).toEqual([100000, 30000]);
+  });
+
+  it('reports resting entry fills and rejections back to the strategy', async () => {
+    const bot = await createBot();
+    const filled = vi.spyOn(bot.strategy, 'onOrderFilled');
+    const rejected = vi.spyOn(bot.strategy, 'onOrderRejected');
+
+    const stopEntry = entry({ entryType: 'STOP', entryPrice: 1.1010, takeProfit: 1.106 });
+    bot.strategy.queue.push(stopEntry);
+    await tick(bot, 1.1);
+    expect(bot.orders.size).toBe(1);
+    expect(filled).not.toHaveBeenCalled();
+
+    await tick(bot, 1.1012);
+    expect(bot.orders.size).toBe(0);
+    expect(filled).toHaveBeenCalledWith(expect.objectContaining({ metadata: stopEntry.metadata }), expect.objectContaining({ price: expect.any(Number) }));
+
+    // Reward below the minimum risk/reward ratio
+    const refused = entry({ takeProfit: 1.1001, metadata: { positionId: 'tf_2' } });
+    bot.strategy.queue.push(refused);
+    await tick(bot, 1.1);
+    expect(rejected).toHaveBeenCalledWith(refused, 'risk_limits');
+  });
+
+  it('rounds multi-leg sizes to the lot step and reports the fill once every leg is on', async () => {
+    const bot = await createBot();
+    const filled = vi.spyOn(bot.strategy, 'onOrderFilled');
+
+    // The EURGBP leg is valued in dollars through GBPUSD
+    bot.brokerConnection.paperAccount.updatePrice('GBPUSD', { price: 1.27 });
+    bot.strategy.queue.push(triangle());
+    await tick(bot, 1.1);
+
+    const sizes = bot.brokerConnection.paperAccount.getPositions().map(position => [position.symbol, position.units]);
+    expect(sizes).toEqual([['EURUSD', 101000], ['EURGBP', 101000], ['GBPUSD', 86000]]);
+    expect(bot.positions.size).toBe(3);
+    expect(filled).toHaveBeenCalledTimes(1);
+    expect(filled.mock.calls[0][1].legs.map(leg => leg.lotSize)).toEqual([101000, 101000, 86000]);
+  });
+
+  it('checks the combined legs against account risk before sending any of them', async () => {
+    const bot = await createBot({ balance: 10000 });
+    const rejected = vi.spyOn(bot.strategy, 'onOrderRejected');
+
+    // Each leg alone would fit in the margin; all three together do not
+    bot.strategy.queue.push(triangle(60000));
+    await tick(bot, 1.1);
+
+    expect(bot.brokerConnection.paperAccount.getPositions()).toHaveLength(0);
+    expect(bot.positions.size).toBe(0);
+    expect(rejected).toHaveBeenCalledWith(expect.objectContaining({ metadata: { groupId: 'arb_1' } }), 'risk_limits');
+  });
+
+  it('hands a shared account\'s fills and stop-outs to the bot that owns them', async () => {
+    const owner = await createBot();
+    const other = await createBot({ connection: owner.brokerConnection });
+    const filled = vi.spyOn(owner.strategy, 'onOrderFilled');
+
+    owner.strategy.queue.push(entry({ entryType: 'STOP', entryPrice: 1.1010, takeProfit: 1.106 }));
+    await tick(owner, 1.1);
+
+    // The other bot's tick fills the owner's stop entry
+    await tick(other, 1.1012);
+    expect(owner.orders.size).toBe(0);
+    expect(owner.positions.size).toBe(1);
+    expect(other.positions.size).toBe(0);
+    expect(filled).toHaveBeenCalledTimes(1);
+
+    // ... and later stops it out
+    await tick(other, 1.0975);
+    expect(owner.positions.size).toBe(0);
+    expect(owner.performance.losingTrades).toBe(1);
+  });
+
+  it('takes fills and stop-outs from a real broker\'s transaction stream', async () => {
+    const bot = await createBot();
+    const filled = vi.spyOn(bot.strategy, 'onOrderFilled');
+    const rejected = vi.spyOn(bot.strategy, 'onOrderRejected');
+    const connection = { brokerId: 'oanda', positions: new Map(), orders: new Map() };
+    const signal = entry({ entryType: 'STOP', entryPrice: 1.101 });
+    const pending = { id: '101', symbol: 'EURUSD', direction: 'BUY', type: 'STOP', lotSize: 10000, price: 1.101, stopLoss: 1.098, signal };
+    bot.orders.set('101', pending);
+    bot.orders.set('102', { ...pending, id: '102' });
+
+    const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    brokerIntegration.handleTransactionUpdate(connection, {
+      type: 'ORDER_FILL',
+      orderID: '101',
+      reason: 'STOP_ORDER',
+      price: '1.10105',
+      tradeOpened: { tradeID: '103', units: '10000', price: '1.10105' }
+    });
+    await settle();
+
+    expect(bot.orders.has('101')).toBe(false);
+    expect(bot.positions.get('101')).toMatchObject({ brokerPositionId: '103', entryPrice: 1.10105 });
+    expect(filled).toHaveBeenCalledWith(signal, expect.objectContaining({ price: 1.10105 }));
+
+    brokerIntegration.handleTransactionUpdate(connection, { type: 'ORDER_CANCEL', orderID: '102', reason: 'INSUFFICIENT_MARGIN' });
+    brokerIntegration.handleTransactionUpdate(connection, {
+      type: 'ORDER_FILL',
+      orderID: '104',
+      reason: 'STOP_LOSS_ORDER',
+      price: '1.098',
+      tradesClosed: [{ tradeID: '103', units: '-10000', price: '1.098' }]
+    });
+    await settle();
+
+    expect(rejected).toHaveBeenCalledWith(signal, 'INSUFFICIENT_MARGIN');
+    expect(bot.orders.size).toBe(0);
+    expect(bot.positions.size).toBe(0);
+    expect(bot.performance.losingTrades).toBe(1);
+  });
+
+  it('keeps P&L it cannot convert out of the account-currency totals', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const bot = await createBot();
+    const recordTrade = vi.spyOn(bot.accountRisk, 'recordTrade');
+
+    // No USDCHF rate has been seen, so the EURUSD profit stays in dollars
+    bot.accountCurrency = 'CHF';
+    bot.positions.set('t1', { id: 't1', symbol: 'EURUSD', direction: 'BUY', lotSize: 100000, entryPrice: 1.1, openTime: new Date().toISOString() });
+    bot.performance.totalTrades = 1;
+
+    const closed = await tradingEngine.closePosition(bot, 't1', 1.101);
+
+    expect(closed.currency).toBe('USD');
+    expect(closed.profit).toBeCloseTo(100, 6);
+    expect(bot.performance.winningTrades).toBe(1);
+    expect(bot.performance.totalProfit).toBe(0);
+    expect(recordTrade).not.toHaveBeenCalled();
+  });
+});
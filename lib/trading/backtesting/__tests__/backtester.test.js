@@ -0,0 +1,179 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Backtester } from '../index';
+import { BaseStrategy } from '../../strategies/base';
+import { MartingaleStrategy } from '../../strategies/martingale';
+import { ArbitrageStrategy } from '../../strategies/arbitrage';
+
+const START = Date.UTC(2024, 0, 2); // A Tuesday, far from the New York rollover
+
+function makeCandles(closes, symbol = 'EURUSD') {
+  return closes.map((close, i) => {
+    const open = i === 0 ? close : closes[i - 1];
+    return {
+      symbol,
+      timeframe: '1m',
+      timestamp: new Date(START + i * 60000).toISOString(),
+      open,
+      high: Math.max(open, close) + 0.0002,
+      low: Math.min(open, close) - 0.0002,
+      close,
+      volume: 100,
+      spread: 0
+    };
+  });
+}
+
+// Emits the signal scripted for each bar index it is shown
+class ScriptedStrategy extends BaseStrategy {
+  constructor(script) {
+    super({});
+    this.script = script;
+    this.bar = 0;
+  }
+
+  async analyze(marketData) {
+    const build = this.script[this.bar++];
+    return build ? build.call(this, marketData) : null;
+  }
+}
+
+const costless = {
+  warmupBars: 5,
+  spreadPips: 0,
+  slippagePips: 0,
+  commissionPerLot: 0,
+  applyRiskManagement: false
+};
+
+describe('Backtester', () => {
+  it('drops candles with invalid timestamps instead of throwing', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const backtester = new Backtester();
+
+    const candles = backtester.normalizeCandles([
+      { timestamp: '2024-01-02T00:01:00Z', open: '1.1', high: '1.2', low: '1.0', close: '1.15' },
+      { timestamp: 'not a date', open: 1, high: 1, low: 1, close: 1 },
+      { open: 1, high: 1, low: 1, close: 1 },
+      { datetime: '2024-01-02T00:00:00Z', open: 1.1, high: 1.1, low: 1.1, close: 'x' },
+      { time: '2024-01-02T00:00:00Z', open: 1.1, high: 1.1, low: 1.1, close: 1.1 }
+    ], 'EURUSD', '1m');
+
+    expect(candles.map(c => c.timestamp)).toEqual(['2024-01-02T00:00:00.000Z', '2024-01-02T00:01:00.000Z']);
+    expect(candles[1].close).toBe(1.15);
+    expect(warn).toHaveBeenCalledWith('Skipped 3 candles with an invalid timestamp or prices');
+    warn.mockRestore();
+  });
+
+  it('parses CSV with a header row', () => {
+    const backtester = new Backtester();
+    const rows = backtester.parseCSV('Timestamp,Open,High,Low,Close\n2024-01-02T00:00:00Z,1.1,1.2,1.0,1.15\n\n');
+
+    expect(rows).toEqual([{ timestamp: '2024-01-02T00:00:00Z', open: '1.1', high: '1.2', low: '1.0', close: '1.15' }]);
+  });
+
+  it('closes a market entry at its take profit with the exact P&L', async () => {
+    const closes = [1.1, 1.1, 1.1, 1.1, 1.1, 1.1, 1.1010, 1.1030, 1.1060, 1.1060];
+    const strategy = new ScriptedStrategy({
+      0: ({ close }) => ({ symbol: 'EURUSD', direction: 'BUY', lotSize: 10000, entryPrice: close, stopLoss: 1.09, takeProfit: 1.105 })
+    });
+
+    const results = await new Backtester(costless).run(strategy, makeCandles(closes));
+
+    expect(results.trades).toHaveLength(1);
+    const [trade] = results.trades;
+    expect(trade.reason).toBe('take_profit');
+    expect(trade.entryPrice).toBe(1.1);
+    expect(trade.exitPrice).toBe(1.105);
+    expect(trade.profit).toBeCloseTo(50, 6);
+    expect(results.summary.finalBalance).toBeCloseTo(10050, 6);
+    expect(results.metrics.totalTrades).toBe(1);
+  });
+
+  it('charges spread, slippage and commission on both sides', async () => {
+    const closes = [1.1, 1.1, 1.1, 1.1, 1.1, 1.1, 1.1, 1.1];
+    const strategy = new ScriptedStrategy({
+      0: () => ({ symbol: 'EURUSD', direction: 'BUY', lotSize: 100000, entryPrice: 1.1, stopLoss: null, takeProfit: null })
+    });
+
+    const results = await new Backtester({ ...costless, spreadPips: 1, slippagePips: 0.5, commissionPerLot: 7 })
+      .run(strategy, makeCandles(closes));
+
+    // Half a pip of spread plus half a pip of slippage each way, on 10 USD pips
+    const [trade] = results.trades;
+    expect(trade.reason).toBe('end_of_data');
+    expect(trade.grossProfit).toBeCloseTo(-20, 6);
+    expect(trade.commission).toBeCloseTo(7, 6);
+    expect(trade.profit).toBeCloseTo(-27, 6);
+    expect(results.summary.totalCommission).toBeCloseTo(7, 6);
+  });
+
+  it('fills stop entries on the bar range and closes on exit signals', async () => {
+    const closes = [1.1, 1.1, 1.1, 1.1, 1.1, 1.1, 1.1005, 1.1025, 1.1040, 1.1040, 1.1040];
+    const strategy = new ScriptedStrategy({
+      0: () => ({ symbol: 'EURUSD', direction: 'BUY', lotSize: 10000, entryType: 'STOP', entryPrice: 1.102, stopLoss: 1.09, takeProfit: null }),
+      4: ({ close }) => ({ symbol: 'EURUSD', direction: 'SELL', orderType: 'close', exitPrice: close, reason: 'exit' })
+    });
+
+    const results = await new Backtester(costless).run(strategy, makeCandles(closes));
+
+    expect(results.trades).toHaveLength(1);
+    expect(results.trades[0].entryPrice).toBe(1.102);
+    expect(results.trades[0].reason).toBe('exit');
+    expect(results.trades[0].profit).toBeCloseTo(20, 6);
+  });
+
+  it('applies stops the strategy trails to the open position', async () => {
+    const closes = [1.1, 1.1, 1.1, 1.1, 1.1, 1.1, 1.1020, 1.1040, 1.1040, 1.1010, 1.1010];
+    const strategy = new ScriptedStrategy({
+      0: function () {
+        this.addPosition('p1', { id: 'p1', direction: 'BUY', stopLoss: 1.09 });
+        return { symbol: 'EURUSD', direction: 'BUY', lotSize: 10000, entryPrice: 1.1, stopLoss: 1.09, takeProfit: null, metadata: { positionId: 'p1' } };
+      },
+      2: function () {
+        this.updatePosition('p1', { stopLoss: 1.103 });
+        return null;
+      }
+    });
+
+    const results = await new Backtester(costless).run(strategy, makeCandles(closes));
+
+    expect(results.trades).toHaveLength(1);
+    expect(results.trades[0].reason).toBe('stop_loss');
+    expect(results.trades[0].exitPrice).toBe(1.103);
+  });
+
+  it('trades martingale steps at their own size with risk management on', async () => {
+    // Each entry bar is followed by a bar that closes 25 pips lower, through the 20 pip stop
+    const closes = [1.1, 1.1, 1.1, 1.1, 1.1, 1.1, 1.0975, 1.0975, 1.095, 1.095, 1.0925, 1.0925, 1.09];
+    const strategy = new MartingaleStrategy({ direction: 'BUY', fastEmaPeriod: 2, slowEmaPeriod: 3 });
+
+    const results = await new Backtester({ ...costless, applyRiskManagement: true }).run(strategy, makeCandles(closes));
+
+    expect(results.trades.map(trade => trade.lotSize)).toEqual([1000, 2000, 4000, 8000]);
+    expect(results.summary.rejectedSignals).toBe(0);
+  });
+
+  it('refuses multi-symbol strategies it cannot replay', async () => {
+    const backtester = new Backtester(costless);
+
+    await expect(backtester.run(new ArbitrageStrategy(), makeCandles(Array(10).fill(1.1))))
+      .rejects.toThrow('ArbitrageStrategy also trades GBPUSD, EURGBP, USDJPY, EURJPY, GBPJPY; multi-symbol strategies cannot be backtested');
+
+    const legged = new ScriptedStrategy({ 0: () => ({ legs: [{ symbol: 'EURUSD', direction: 'BUY', lotSize: 1000 }] }) });
+    await expect(backtester.run(legged, makeCandles(Array(10).fill(1.1))))
+      .rejects.toThrow('Multi-leg signals cannot be backtested on a single candle series');
+  });
+
+  it('records signals the risk manager rejects', async () => {
+    const closes = Array(10).fill(1.1);
+    const strategy = new ScriptedStrategy({
+      // Reward below the minimum risk/reward ratio
+      0: () => ({ symbol: 'EURUSD', direction: 'BUY', lotSize: 10000, entryPrice: 1.1, stopLoss: 1.09, takeProfit: 1.101 })
+    });
+
+    const results = await new Backtester({ ...costless, applyRiskManagement: true }).run(strategy, makeCandles(closes));
+
+    expect(results.trades).toHaveLength(0);
+    expect(results.summary.rejectedSignals).toBe(1);
+  });
+});
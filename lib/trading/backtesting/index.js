@@ -0,0 +1,570 @@
+import { readFile } from 'fs/promises';
+import { marketDataService } from '../market-data';
+import { candleStore } from '../data-store';
+import { RiskManager } from '../risk-management';
+import { ExposureCalculator } from '../risk-management/exposure';
+import { BaseStrategy } from '../strategies/base';
+import { Resampler } from '../timeframes';
+import { instrumentRegistry } from '../instruments';
+import { PnLCalculator } from '../pnl';
+
+export class Backtester {
+  constructor(config = {}) {
+    this.config = {
+      initialBalance: 10000,
+      warmupBars: 50, // Bars fed to the strategy before it may trade
+      lookback: 500, // Max candles passed in marketData.prices
+      spreadPips: 1.0, // Used when a candle carries no spread
+      slippagePips: 0.2,
+      commissionPerLot: 7, // Round-turn commission per standard lot
+      contractSize: 100000, // Units per standard lot for symbols missing from the instrument registry
+      accountCurrency: 'USD',
+      conversionRates: {}, // e.g. { USDJPY: 150 } to convert EURJPY P&L into USD
+      swapRates: {}, // Per-symbol overrides of the interest-differential swap
+      applyRiskManagement: true,
+      closeOnEnd: true,
+      riskConfig: {},
+      sessionZone: 'new_york', // Alignment of 4h and daily candles built for MTF strategies
+      ...config
+    };
+
+    this.resampler = new Resampler({ sessionZone: this.config.sessionZone });
+
+    this.reset();
+  }
+
+  reset() {
+    this.balance = this.config.initialBalance;
+    this.positions = new Map();
+    this.pendingOrders = new Map();
+    this.trades = [];
+    this.equityCurve = [];
+    this.rejectedSignals = [];
+    this.totalCommission = 0;
+    this.totalSwap = 0;
+    this.peakEquity = this.config.initialBalance;
+    this.maxEquityDrawdown = 0;
+
+    // Fixed conversion rates only, so results never depend on live prices
+    this.pnl = new PnLCalculator({
+      accountCurrency: this.config.accountCurrency,
+      rates: this.config.conversionRates,
+      swapRates: this.config.swapRates,
+      liveRates: false
+    });
+
+    this.riskManager = new RiskManager({
+      accountBalance: this.config.initialBalance,
+      accountCurrency: this.config.accountCurrency,
+      maxVaR: null, // Stored history would look ahead of the replayed bars
+      ...this.config.riskConfig
+    });
+    this.riskManager.exposure = new ExposureCalculator(this.pnl);
+
+    // Closed trades are recorded on a plain BaseStrategy so the metrics are
+    // computed exactly like BaseStrategy.getDetailedMetrics does for live bots
+    this.ledger = new BaseStrategy({ accountCurrency: this.config.accountCurrency });
+    this.ledger.pnl = this.pnl;
+  }
+
+  // Load candles from the market data providers
+  async loadFromProvider(symbol, timeframe, limit = 500) {
+    const candles = await marketDataService.getHistoricalData(symbol, timeframe, limit);
+    return this.normalizeCandles(candles, symbol, timeframe);
+  }
+
+  // Load candles from the local candle store, offline
+  async loadFromStore(symbol, timeframe, { from, to, limit } = {}) {
+    const candles = await candleStore.getCandles(symbol, timeframe, { from, to, limit });
+    if (candles.length === 0) {
+      throw new Error(`No stored ${symbol} ${timeframe} candles`);
+    }
+    return this.normalizeCandles(candles, symbol, timeframe);
+  }
+
+  // Load candles from a local JSON array or CSV file
+  async loadFromFile(filePath, symbol, timeframe) {
+    const content = await readFile(filePath, 'utf8');
+
+    let candles;
+    if (filePath.toLowerCase().endsWith('.json')) {
+      candles = JSON.parse(content);
+    } else {
+      candles = this.parseCSV(content);
+    }
+
+    return this.normalizeCandles(candles, symbol, timeframe);
+  }
+
+  // Parse CSV with a header row (timestamp/datetime, open, high, low, close, volume, spread)
+  parseCSV(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length < 2) return [];
+
+    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+
+    return lines.slice(1).map(line => {
+      const values = line.split(',');
+      const row = {};
+      headers.forEach((header, i) => {
+        row[header] = values[i] !== undefined ? values[i].trim() : undefined;
+      });
+      return row;
+    });
+  }
+
+  // Rows without a parseable timestamp or prices are dropped, not fatal
+  normalizeCandles(candles, symbol, timeframe) {
+    const normalized = candles
+      .map(candle => {
+        const time = new Date(candle.timestamp || candle.datetime || candle.time);
+        if (Number.isNaN(time.getTime())) return null;
+
+        return {
+          symbol: candle.symbol || symbol,
+          timeframe: candle.timeframe || timeframe,
+          timestamp: time.toISOString(),
+          open: parseFloat(candle.open),
+          high: parseFloat(candle.high),
+          low: parseFloat(candle.low),
+          close: parseFloat(candle.close),
+          volume: parseFloat(candle.volume || 0),
+          spread: parseFloat(candle.spread || 0)
+        };
+      })
+      .filter(candle => candle && [candle.open, candle.high, candle.low, candle.close].every(Number.isFinite))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const skipped = candles.length - normalized.length;
+    if (skipped > 0) {
+      console.warn(`Skipped ${skipped} candles with an invalid timestamp or prices`);
+    }
+
+    return normalized;
+  }
+
+  // Replay candles bar by bar through the strategy
+  async run(strategy, candles, options = {}) {
+    const symbol = options.symbol || candles[0]?.symbol;
+    const timeframe = options.timeframe || candles[0]?.timeframe || strategy.config?.timeframe;
+
+    if (!candles || candles.length === 0) {
+      throw new Error('No candles to backtest');
+    }
+
+    if (candles.length <= this.config.warmupBars) {
+      throw new Error(`Need more than ${this.config.warmupBars} candles, got ${candles.length}`);
+    }
+
+    // Multi-leg strategies need quotes for every leg, not one candle series
+    const otherSymbols = (strategy.getRequiredSymbols ? strategy.getRequiredSymbols() : [])
+      .filter(required => required !== symbol);
+    if (otherSymbols.length > 0) {
+      throw new Error(`${strategy.constructor.name} also trades ${otherSymbols.join(', ')}; multi-symbol strategies cannot be backtested`);
+    }
+
+    this.reset();
+    this.strategy = strategy;
+    const pipSize = options.pipSize || this.getPipSize(symbol);
+
+    // Higher timeframes are built bar by bar, so they never see the future
+    const requiredTimeframes = (strategy.getRequiredTimeframes ? strategy.getRequiredTimeframes() : [])
+      .filter(tf => tf !== timeframe);
+    requiredTimeframes.forEach(tf => {
+      if (!this.resampler.canResample(timeframe, tf)) {
+        throw new Error(`Cannot build ${tf} candles from ${timeframe} data`);
+      }
+    });
+    const higherTimeframes = Object.fromEntries(requiredTimeframes.map(tf => [tf, []]));
+
+    strategy.start();
+
+    for (let i = 0; i < candles.length; i++) {
+      const candle = candles[i];
+
+      // Resting orders, stops and targets are checked against the bar range
+      // before the strategy sees the close, as a broker would have triggered
+      // them intra-bar
+      this.checkPendingOrders(candle, pipSize);
+      this.checkStopsAndTargets(candle, pipSize);
+
+      requiredTimeframes.forEach(tf => this.resampler.update(higherTimeframes[tf], candle, tf, {
+        symbol,
+        maxBars: this.config.lookback
+      }));
+
+      if (i >= this.config.warmupBars) {
+        const marketData = this.buildMarketData(candles, i, symbol, timeframe, pipSize);
+        marketData.timeframes = { ...higherTimeframes, [timeframe]: marketData.prices };
+        const signal = await strategy.analyze(marketData);
+
+        if (signal) {
+          this.handleSignal(signal, candle, pipSize);
+        }
+        this.syncStopLevels(strategy);
+      }
+
+      this.recordEquity(candle);
+    }
+
+    if (this.config.closeOnEnd) {
+      const lastCandle = candles[candles.length - 1];
+      for (const positionId of Array.from(this.positions.keys())) {
+        this.closePosition(positionId, lastCandle.close, lastCandle, 'end_of_data', pipSize);
+      }
+      this.recordEquity(lastCandle);
+    }
+
+    strategy.stop();
+
+    return this.getResults(strategy, symbol, timeframe, candles);
+  }
+
+  buildMarketData(candles, index, symbol, timeframe, pipSize) {
+    const candle = candles[index];
+    const start = Math.max(0, index - this.config.lookback + 1);
+    const spread = candle.spread || this.config.spreadPips * pipSize;
+
+    return {
+      symbol,
+      timeframe,
+      prices: candles.slice(start, index + 1),
+      timestamp: candle.timestamp,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      price: candle.close,
+      bid: candle.close - spread / 2,
+      ask: candle.close + spread / 2,
+      spread,
+      volume: candle.volume,
+      pipValue: pipSize,
+      barClosed: true,
+      closedBar: candle
+    };
+  }
+
+  handleSignal(signal, candle, pipSize) {
+    if (signal.action === 'cancel_order') {
+      return this.cancelPendingOrder(signal.orderRef);
+    }
+
+    if (signal.legs) {
+      throw new Error('Multi-leg signals cannot be backtested on a single candle series');
+    }
+
+    // Grid rebalances and similar bookkeeping signals carry no order
+    if (signal.action && !signal.direction) {
+      return null;
+    }
+
+    if (signal.orderType === 'close' || signal.exitPrice !== undefined) {
+      return this.handleExitSignal(signal, candle, pipSize);
+    }
+
+    const entrySignal = {
+      ...signal,
+      entryPrice: signal.entryPrice ?? signal.price ?? candle.close,
+      stopLoss: signal.stopLoss ?? signal.stopLossPrice ?? null,
+      takeProfit: signal.takeProfit ?? signal.takeProfitPrice ?? null
+    };
+
+    let validatedSignal = entrySignal;
+    if (this.config.applyRiskManagement) {
+      validatedSignal = this.riskManager.validateSignal(entrySignal, this.positions);
+      if (!validatedSignal) {
+        this.rejectedSignals.push({ timestamp: candle.timestamp, signal: entrySignal });
+        this.strategy?.onOrderRejected(signal, 'risk_limits');
+        return null;
+      }
+    }
+
+    if (validatedSignal.entryType && validatedSignal.entryType !== 'MARKET') {
+      return this.placePendingOrder(validatedSignal, candle);
+    }
+
+    const position = this.openPosition(validatedSignal, candle, pipSize);
+    if (!position) {
+      this.strategy?.onOrderRejected(signal, 'invalid_size');
+    }
+    return position;
+  }
+
+  placePendingOrder(signal, candle) {
+    const order = {
+      id: `bt_order_${this.pendingOrders.size + this.trades.length + 1}_${Date.parse(candle.timestamp)}`,
+      orderRef: signal.metadata?.orderRef,
+      type: signal.entryType,
+      direction: signal.direction,
+      price: signal.entryPrice,
+      createdAt: candle.timestamp,
+      signal
+    };
+
+    this.pendingOrders.set(order.id, order);
+    return order;
+  }
+
+  cancelPendingOrder(orderRef) {
+    for (const [orderId, order] of this.pendingOrders) {
+      if (order.orderRef === orderRef) {
+        this.pendingOrders.delete(orderId);
+        return order;
+      }
+    }
+    return null;
+  }
+
+  checkPendingOrders(candle, pipSize) {
+    for (const [orderId, order] of Array.from(this.pendingOrders)) {
+      const { type, direction, price } = order;
+      let fillPrice = null;
+
+      // Gaps through the level fill at the open
+      if (type === 'STOP') {
+        if (direction === 'BUY' && candle.high >= price) fillPrice = Math.max(price, candle.open);
+        if (direction === 'SELL' && candle.low <= price) fillPrice = Math.min(price, candle.open);
+      } else if (type === 'LIMIT') {
+        if (direction === 'BUY' && candle.low <= price) fillPrice = Math.min(price, candle.open);
+        if (direction === 'SELL' && candle.high >= price) fillPrice = Math.max(price, candle.open);
+      }
+
+      if (fillPrice !== null) {
+        this.pendingOrders.delete(orderId);
+        const position = this.openPosition({ ...order.signal, entryPrice: fillPrice }, candle, pipSize);
+        if (position) {
+          this.strategy?.onOrderFilled(order.signal, { price: position.entryPrice, timestamp: candle.timestamp });
+        } else {
+          this.strategy?.onOrderRejected(order.signal, 'invalid_size');
+        }
+      }
+    }
+  }
+
+  handleExitSignal(signal, candle, pipSize) {
+    const exitPrice = signal.exitPrice ?? candle.close;
+    const positions = Array.from(this.positions.values());
+
+    const positionIds = signal.metadata?.positionIds ||
+      (signal.metadata?.positionId ? [signal.metadata.positionId] : []);
+
+    // Prefer an explicit deal/position reference, otherwise close everything
+    // on the opposite side of the exit order
+    let matched = positions.filter(position =>
+      (signal.dealId && position.signal.dealId === signal.dealId) ||
+      positionIds.includes(position.signal.metadata?.positionId)
+    );
+
+    // Referenced positions may already have been stopped out intra-bar
+    const referenced = signal.dealId ||
+      (positionIds.length > 0 && positions.some(p => p.signal.metadata?.positionId));
+    if (matched.length === 0 && !referenced) {
+      matched = positions.filter(position => position.direction !== signal.direction);
+    }
+
+    matched.forEach(position => {
+      this.closePosition(position.id, exitPrice, candle, signal.reason || 'signal', pipSize);
+    });
+
+    return null;
+  }
+
+  openPosition(signal, candle, pipSize) {
+    const { direction } = signal;
+    const symbol = signal.symbol || candle.symbol;
+
+    // Sizes are rounded to the instrument's lot step like a broker would
+    const lotSize = instrumentRegistry.has(symbol)
+      ? instrumentRegistry.normalizeUnits(symbol, signal.lotSize)
+      : signal.lotSize;
+    if (!lotSize || lotSize <= 0) return null;
+
+    const fillPrice = this.applyCosts(direction, signal.entryPrice, candle, pipSize, true);
+    const commission = this.calculateCommission(lotSize, symbol) / 2;
+
+    const position = {
+      id: `bt_${this.trades.length + this.positions.size + 1}_${Date.parse(candle.timestamp)}`,
+      symbol,
+      direction,
+      lotSize,
+      entryPrice: fillPrice,
+      requestedPrice: signal.entryPrice,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfit,
+      status: 'open',
+      openTime: candle.timestamp,
+      commission,
+      confidence: signal.confidence,
+      signal
+    };
+
+    this.balance -= commission;
+    this.totalCommission += commission;
+    this.positions.set(position.id, position);
+
+    return position;
+  }
+
+  // Trailing stops moved in the strategy's own book apply from the next bar,
+  // as the engine's broker modifications do live
+  syncStopLevels(strategy) {
+    for (const position of this.positions.values()) {
+      const positionId = position.signal.metadata?.positionId;
+      const stopLoss = positionId ? strategy.getPosition?.(positionId)?.stopLoss : null;
+      if (stopLoss) position.stopLoss = stopLoss;
+    }
+  }
+
+  checkStopsAndTargets(candle, pipSize) {
+    for (const [positionId, position] of Array.from(this.positions)) {
+      const { direction, stopLoss, takeProfit } = position;
+      let exitPrice = null;
+      let reason = null;
+
+      // When a bar spans both levels the stop is assumed to fill first
+      if (direction === 'BUY') {
+        if (stopLoss && candle.low <= stopLoss) {
+          exitPrice = Math.min(stopLoss, candle.open);
+          reason = 'stop_loss';
+        } else if (takeProfit && candle.high >= takeProfit) {
+          exitPrice = Math.max(takeProfit, candle.open);
+          reason = 'take_profit';
+        }
+      } else {
+        if (stopLoss && candle.high >= stopLoss) {
+          exitPrice = Math.max(stopLoss, candle.open);
+          reason = 'stop_loss';
+        } else if (takeProfit && candle.low <= takeProfit) {
+          exitPrice = Math.min(takeProfit, candle.open);
+          reason = 'take_profit';
+        }
+      }
+
+      if (exitPrice !== null) {
+        // The level itself is the bid/ask, so triggered exits only pay slippage
+        this.closePosition(positionId, exitPrice, candle, reason, pipSize, false);
+      }
+    }
+  }
+
+  closePosition(positionId, price, candle, reason, pipSize, crossSpread = true) {
+    const position = this.positions.get(positionId);
+    if (!position) return null;
+
+    const exitSide = position.direction === 'BUY' ? 'SELL' : 'BUY';
+    const exitPrice = this.applyCosts(exitSide, price, candle, pipSize, crossSpread);
+    const commission = this.calculateCommission(position.lotSize, position.symbol) / 2;
+    const grossProfit = this.ledger.calculatePositionPnL(position, exitPrice);
+    const swap = instrumentRegistry.has(position.symbol)
+      ? this.pnl.calculateSwap(position, candle.timestamp)
+      : 0;
+    const profit = grossProfit - position.commission - commission + swap;
+
+    const trade = {
+      ...position,
+      exitPrice,
+      closeTime: candle.timestamp,
+      status: 'closed',
+      grossProfit,
+      commission: position.commission + commission,
+      swap,
+      profit,
+      reason
+    };
+    delete trade.signal;
+
+    this.positions.delete(positionId);
+    this.balance += grossProfit - commission + swap;
+    this.totalCommission += commission;
+    this.totalSwap += swap;
+    this.trades.push(trade);
+    this.ledger.updatePerformanceMetrics(trade);
+    this.riskManager.updateDrawdown(this.balance);
+
+    return trade;
+  }
+
+  // Market fills cross half the spread plus slippage against the trader
+  applyCosts(side, price, candle, pipSize, crossSpread) {
+    const spread = candle.spread || this.config.spreadPips * pipSize;
+    const slippage = this.config.slippagePips * pipSize;
+    const adjustment = crossSpread ? spread / 2 + slippage : slippage;
+
+    return side === 'BUY' ? price + adjustment : price - adjustment;
+  }
+
+  calculateCommission(lotSize, symbol) {
+    const contractSize = instrumentRegistry.find(symbol)?.contractSize ?? this.config.contractSize;
+    return this.config.commissionPerLot * (lotSize / contractSize);
+  }
+
+  recordEquity(candle) {
+    let unrealized = 0;
+    for (const position of this.positions.values()) {
+      unrealized += this.ledger.calculatePositionPnL(position, candle.close);
+    }
+
+    const equity = this.balance + unrealized;
+    this.peakEquity = Math.max(this.peakEquity, equity);
+    const drawdown = this.peakEquity > 0 ? (this.peakEquity - equity) / this.peakEquity : 0;
+    this.maxEquityDrawdown = Math.max(this.maxEquityDrawdown, drawdown);
+
+    this.equityCurve.push({
+      timestamp: candle.timestamp,
+      balance: this.balance,
+      equity,
+      openPositions: this.positions.size
+    });
+  }
+
+  getResults(strategy, symbol, timeframe, candles) {
+    const metrics = {
+      ...this.ledger.getDetailedMetrics(),
+      strategy: strategy.constructor.name.toLowerCase().replace('strategy', '')
+    };
+
+    return {
+      symbol,
+      timeframe,
+      strategy: strategy.constructor.name,
+      period: {
+        start: candles[0].timestamp,
+        end: candles[candles.length - 1].timestamp,
+        bars: candles.length
+      },
+      summary: {
+        initialBalance: this.config.initialBalance,
+        finalBalance: this.balance,
+        netProfit: this.balance - this.config.initialBalance,
+        returnPercent: ((this.balance - this.config.initialBalance) / this.config.initialBalance) * 100,
+        totalCommission: this.totalCommission,
+        totalSwap: this.totalSwap,
+        accountCurrency: this.config.accountCurrency,
+        maxEquityDrawdownPercent: this.maxEquityDrawdown * 100,
+        rejectedSignals: this.rejectedSignals.length
+      },
+      metrics,
+      trades: this.trades,
+      equityCurve: this.equityCurve,
+      rejectedSignals: this.rejectedSignals
+    };
+  }
+
+  // Unregistered symbols need options.pipSize
+  getPipSize(symbol) {
+    return instrumentRegistry.getPipSize(symbol);
+  }
+}
+
+// Convenience wrapper: fetch history and run a single backtest
+export async function runBacktest(strategy, { symbol, timeframe, limit, file, ...config } = {}) {
+  const backtester = new Backtester(config);
+  const candles = file
+    ? await backtester.loadFromFile(file, symbol, timeframe)
+    : await backtester.loadFromProvider(symbol, timeframe, limit);
+
+  return backtester.run(strategy, candles, { symbol, timeframe });
+}
+
+export default Backtester;
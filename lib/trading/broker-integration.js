@@ -1,10 +1,26 @@
 import axios from 'axios';
+import { EventEmitter } from 'events';
 import { io } from 'socket.io-client';
-
-class BrokerIntegration {
+import { marketDataService } from './market-data';
+import { PaperAccount } from './paper-broker';
+
+// Transaction reasons of orders attached to a trade
+const CLOSE_REASONS = {
+  STOP_LOSS_ORDER: 'stop_loss',
+  TRAILING_STOP_LOSS_ORDER: 'stop_loss',
+  GUARANTEED_STOP_LOSS_ORDER: 'stop_loss',
+  TAKE_PROFIT_ORDER: 'take_profit'
+};
+
+// Emits 'events' with { connection, events } for fills, cancellations and
+// stop-outs that arrive outside a price update the engine made, e.g. from
+// a broker's transaction stream. Events share the paper account's shape.
+class BrokerIntegration extends EventEmitter {
   constructor() {
+    super();
     this.connections = new Map();
     this.accounts = new Map();
+    this.paperAccounts = new Map();
     this.brokers = {
       oanda: {
         name: 'OANDA',
@@ -24,6 +40,10 @@ class BrokerIntegration {
         name: 'IG Markets',
         baseUrl: 'https://demo-api.ig.com/gateway/deal',
         liveUrl: 'https://api.ig.com/gateway/deal'
+      },
+      paper: {
+        name: 'Paper Trading',
+        simulated: true
       }
     };
   }
@@ -78,6 +98,9 @@ class BrokerIntegration {
       case 'ig':
         await this.authenticateIG(connection);
         break;
+      case 'paper':
+        await this.authenticatePaper(connection);
+        break;
       default:
         throw new Error(`Authentication not implemented for ${brokerId}`);
     }
@@ -147,6 +170,24 @@ class BrokerIntegration {
     connection.connected = true;
   }
 
+  async authenticatePaper(connection) {
+    const { credentials = {} } = connection;
+    const accountId = credentials.accountId || 'paper_default';
+
+    // Paper accounts outlive a single connection so several bots can share one
+    let account = this.paperAccounts.get(accountId);
+    if (!account) {
+      account = new PaperAccount({ ...credentials, accountId });
+      this.paperAccounts.set(accountId, account);
+    }
+
+    connection.paperAccount = account;
+    connection.account = { id: account.id };
+    connection.positions = account.positions;
+    connection.orders = account.orders;
+    connection.connected = true;
+  }
+
   async getAccountInfo(connection) {
     const { brokerId, baseUrl } = connection;
     
@@ -160,6 +201,9 @@ class BrokerIntegration {
       case 'ig':
         await this.getIGAccountInfo(connection);
         break;
+      case 'paper':
+        this.getPaperAccountInfo(connection);
+        break;
     }
   }
 
@@ -204,6 +248,11 @@ class BrokerIntegration {
     connection.accountInfo = response.data;
   }
 
+  getPaperAccountInfo(connection) {
+    connection.accountInfo = connection.paperAccount.getAccountInfo();
+    return connection.accountInfo;
+  }
+
   async connectToStream(connection) {
     const { brokerId, streamUrl } = connection;
     
@@ -217,6 +266,9 @@ class BrokerIntegration {
       case 'ig':
         await this.connectIGStream(connection);
         break;
+      case 'paper':
+        // Paper accounts are driven by handlePriceUpdate from the market data feed
+        break;
     }
   }
 
@@ -284,6 +336,13 @@ class BrokerIntegration {
   handlePriceUpdate(connection, data) {
     // Update real-time prices
     const symbol = data.instrument || data.symbol;
+
+    if (connection.paperAccount) {
+      const events = connection.paperAccount.updatePrice(symbol, data);
+      this.getPaperAccountInfo(connection);
+      return events;
+    }
+
     connection.positions.forEach((position, positionId) => {
       if (position.symbol === symbol) {
         position.currentPrice = data.price;
@@ -299,6 +358,59 @@ class BrokerIntegration {
     } else if (data.type === 'ORDER_CANCEL') {
       this.cancelOrder(connection, data);
     }
+
+    this.emitEvents(connection, this.normalizeTransaction(data));
+  }
+
+  emitEvents(connection, events) {
+    if (events && events.length > 0) {
+      this.emit('events', { connection, events });
+    }
+  }
+
+  // A broker transaction as ORDER_FILL, ORDER_CANCEL and POSITION_CLOSED
+  // events. A fill can open one trade and close others, such as a stop loss
+  // order closing the trade it is attached to.
+  normalizeTransaction(data = {}) {
+    const orderId = data.orderID ?? data.orderId;
+
+    if (data.type === 'ORDER_CANCEL') {
+      return [{ type: 'ORDER_CANCEL', orderId, reason: data.reason }];
+    }
+
+    if (data.type !== 'ORDER_FILL') {
+      return [];
+    }
+
+    const events = [];
+    const closed = [...(data.tradesClosed || []), ...(data.tradeClosed ? [data.tradeClosed] : [])];
+    closed.forEach(trade => {
+      events.push({
+        type: 'POSITION_CLOSED',
+        positionId: trade.tradeID ?? trade.tradeId,
+        reason: CLOSE_REASONS[data.reason] || 'broker',
+        position: {
+          id: trade.tradeID ?? trade.tradeId,
+          exitPrice: parseFloat(trade.price ?? data.price)
+        }
+      });
+    });
+
+    if (data.tradeOpened) {
+      const positionId = data.tradeOpened.tradeID ?? data.tradeOpened.tradeId;
+      events.push({
+        type: 'ORDER_FILL',
+        orderId,
+        positionId,
+        position: {
+          id: positionId,
+          orderId,
+          averagePrice: parseFloat(data.tradeOpened.price ?? data.price)
+        }
+      });
+    }
+
+    return events;
   }
 
   async placeOrder(connection, orderParams) {
@@ -312,6 +424,8 @@ class BrokerIntegration {
           return await this.placeFXCMOrder(connection, orderParams);
         case 'ig':
           return await this.placeIGOrder(connection, orderParams);
+        case 'paper':
+          return await this.placePaperOrder(connection, orderParams);
         default:
           throw new Error(`Order placement not implemented for ${brokerId}`);
       }
@@ -330,12 +444,12 @@ class BrokerIntegration {
         type: type,
         instrument: symbol,
         units: side === 'BUY' ? units : -units,
-        timeInForce: 'FOK',
+        timeInForce: type === 'MARKET' ? 'FOK' : 'GTC',
         positionFill: 'DEFAULT'
       }
     };
 
-    if (type === 'LIMIT' && price) {
+    if ((type === 'LIMIT' || type === 'STOP') && price) {
       orderData.order.price = price;
     }
 
@@ -362,7 +476,12 @@ class BrokerIntegration {
       }
     );
 
-    return response.data;
+    // The order id matches later transactions; a market fill also opens a trade
+    return {
+      ...response.data,
+      orderID: response.data.orderCreateTransaction?.id,
+      positionID: response.data.orderFillTransaction?.tradeOpened?.tradeID
+    };
   }
 
   async placeFXCMOrder(connection, orderParams) {
@@ -374,10 +493,10 @@ class BrokerIntegration {
       side: side,
       qty: units,
       type: type,
-      timeInForce: 'IOC'
+      timeInForce: type === 'MARKET' ? 'IOC' : 'GTC'
     };
 
-    if (type === 'LIMIT' && price) {
+    if ((type === 'LIMIT' || type === 'STOP') && price) {
       orderData.price = price;
     }
 
@@ -443,6 +562,133 @@ class BrokerIntegration {
     return response.data;
   }
 
+  async placePaperOrder(connection, orderParams) {
+    const { paperAccount } = connection;
+    const { symbol } = orderParams;
+
+    // Fill against the freshest streamed quote when one is available
+    const cached = marketDataService.getCachedData(symbol, 'realtime');
+    if (cached) {
+      this.emitEvents(connection, paperAccount.updatePrice(symbol, cached));
+    }
+
+    const result = paperAccount.placeOrder(orderParams);
+    this.getPaperAccountInfo(connection);
+
+    return result;
+  }
+
+  // Close an open trade; brokers without a close endpoint get an offsetting order
+  async closePosition(connection, { positionId, symbol, side, units, price }) {
+    if (connection.paperAccount) {
+      const account = connection.paperAccount;
+      const position = account.positions.get(positionId) ||
+        account.getPositions().find(p => p.orderId === positionId);
+
+      if (position) {
+        const closed = account.closePosition(position.id, 'manual');
+        this.getPaperAccountInfo(connection);
+        return closed;
+      }
+    }
+
+    return this.placeOrder(connection, {
+      symbol,
+      side: side === 'BUY' ? 'SELL' : 'BUY',
+      units,
+      type: 'MARKET',
+      price
+    });
+  }
+
+  // Move the stop loss or take profit attached to an open trade
+  async modifyPosition(connection, { positionId, stopLoss, takeProfit }) {
+    const { brokerId } = connection;
+
+    try {
+      switch (brokerId) {
+        case 'oanda':
+          return await this.modifyOandaPosition(connection, { positionId, stopLoss, takeProfit });
+        case 'fxcm':
+          return await this.modifyFXCMPosition(connection, { positionId, stopLoss, takeProfit });
+        case 'ig':
+          return await this.modifyIGPosition(connection, { positionId, stopLoss, takeProfit });
+        case 'paper': {
+          const account = connection.paperAccount;
+          const position = account.positions.get(positionId) ||
+            account.getPositions().find(p => p.orderId === positionId);
+          return account.modifyPosition(position?.id ?? positionId, { stopLoss, takeProfit });
+        }
+        default:
+          throw new Error(`Position modification not implemented for ${brokerId}`);
+      }
+    } catch (error) {
+      console.error('Failed to modify position:', error);
+      throw error;
+    }
+  }
+
+  async modifyOandaPosition(connection, { positionId, stopLoss, takeProfit }) {
+    const { baseUrl, account, credentials } = connection;
+
+    const orderData = {};
+    if (stopLoss) {
+      orderData.stopLoss = { price: stopLoss };
+    }
+    if (takeProfit) {
+      orderData.takeProfit = { price: takeProfit };
+    }
+
+    const response = await axios.put(
+      `${baseUrl}/v3/accounts/${account.id}/trades/${positionId}/orders`,
+      orderData,
+      {
+        headers: {
+          'Authorization': `Bearer ${credentials.apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return response.data;
+  }
+
+  async modifyFXCMPosition(connection, { positionId, stopLoss, takeProfit }) {
+    const { baseUrl, token } = connection;
+
+    const response = await axios.put(
+      `${baseUrl}/v1/positions/${positionId}`,
+      { stopLoss, takeProfit },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return response.data;
+  }
+
+  async modifyIGPosition(connection, { positionId, stopLoss, takeProfit }) {
+    const { baseUrl, session, credentials } = connection;
+
+    const response = await axios.put(
+      `${baseUrl}/positions/otc/${positionId}`,
+      { stopLevel: stopLoss, limitLevel: takeProfit },
+      {
+        headers: {
+          'Authorization': `Bearer ${session.accessToken}`,
+          'Content-Type': 'application/json',
+          'X-IG-API-KEY': credentials.apiKey,
+          'Version': '2'
+        }
+      }
+    );
+
+    return response.data;
+  }
+
   async getPositions(connection) {
     const { brokerId, baseUrl } = connection;
     
@@ -454,6 +700,8 @@ class BrokerIntegration {
           return await this.getFXCMPositions(connection);
         case 'ig':
           return await this.getIGPositions(connection);
+        case 'paper':
+          return connection.paperAccount.getPositions();
         default:
           throw new Error(`Position retrieval not implemented for ${brokerId}`);
       }
@@ -537,6 +785,11 @@ class BrokerIntegration {
   cancelOrder(connection, transactionData) {
     // Remove cancelled order
     const orderId = transactionData.orderId;
+
+    if (connection.paperAccount) {
+      return connection.paperAccount.cancelOrder(orderId);
+    }
+
     connection.orders.delete(orderId);
   }
 
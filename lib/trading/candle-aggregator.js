@@ -0,0 +1,231 @@
+import { EventEmitter } from 'events';
+import { marketDataService } from './market-data';
+import { candleStore } from './data-store';
+import { resampler, TIMEFRAME_MS } from './timeframes';
+import { instrumentRegistry } from './instruments';
+
+// Builds rolling OHLCV candles per symbol and timeframe from the real-time
+// price stream, and hands subscribers a complete marketData object per tick:
+//
+// {
+//   symbol, timeframe,
+//   timestamp,                  // time of the tick
+//   price, bid, ask, spread,    // latest quote, spread in price units
+//   change, changePercent,      // as reported by the feed
+//   open, high, low, close,     // candle of `timeframe` still forming
+//   volume,                     // its volume, tick count unless volume is 'reported'
+//   pipValue,                   // price size of one pip, null for unregistered symbols
+//   prices,                     // candles of `timeframe`, oldest first, last one forming
+//   timeframes,                 // { [timeframe]: candles } for every tracked timeframe
+//   barClosed,                  // true on the first tick of a new candle
+//   closedBar,                  // the candle that tick closed, or null
+//   quality                     // { ok, flags, quarantined, marketOpen } from the data-quality checks
+// }
+//
+// A candle closes when the first tick of the next one arrives, so a quiet
+// market delays the bar-close event until it trades again.
+//
+// Events: 'tick' ({ symbol, tick, timeframes }) for every accepted tick and
+// 'bar' ({ symbol, timeframe, candle }) for every closed candle.
+class CandleAggregator extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.setMaxListeners(0);
+
+    this.config = {
+      historyLimit: 500, // Candles seeded per timeframe
+      maxBars: 1000, // Candles kept per timeframe
+      volume: 'ticks', // 'ticks' counts ticks, 'reported' sums the feed's volume
+      historySource: 'provider', // 'provider' falls back to the local store, 'local' only reads it
+      ...config
+    };
+
+    this.series = new Map(); // symbol -> { [timeframe]: candles }
+    this.subscriptions = new Map(); // symbol -> Set of subscriptions
+    this.feeds = new Map(); // symbol -> unsubscribe from the market data stream
+    this.lastTicks = new Map();
+    this.seeding = new Map();
+  }
+
+  // Track `timeframes` for a symbol and call onTick(marketData) on every tick
+  // and onBarClose(marketData) when a `timeframe` candle closes. The first
+  // subscription for a symbol subscribes it to the market data stream.
+  async subscribe(symbol, { timeframe = '1m', timeframes = [], onTick, onBarClose } = {}) {
+    const tracked = [timeframe, ...timeframes]
+      .filter((tf, index, list) => list.indexOf(tf) === index);
+
+    tracked.forEach(tf => {
+      if (!TIMEFRAME_MS[tf]) {
+        throw new Error(`Unsupported timeframe: ${tf}`);
+      }
+    });
+
+    await this.seed(symbol, tracked);
+
+    const subscription = { symbol, timeframe, timeframes: tracked, onTick, onBarClose };
+
+    if (!this.subscriptions.has(symbol)) {
+      this.subscriptions.set(symbol, new Set());
+      this.feeds.set(symbol, marketDataService.subscribe(symbol, (tick) => this.handleTick(tick)));
+    }
+
+    this.subscriptions.get(symbol).add(subscription);
+    return subscription;
+  }
+
+  // The last subscription for a symbol leaves the stream and drops its candles
+  unsubscribe(subscription) {
+    const subscriptions = this.subscriptions.get(subscription.symbol);
+    if (!subscriptions || !subscriptions.delete(subscription)) {
+      return;
+    }
+
+    if (subscriptions.size === 0) {
+      this.subscriptions.delete(subscription.symbol);
+      this.series.delete(subscription.symbol);
+      this.lastTicks.delete(subscription.symbol);
+      this.feeds.get(subscription.symbol)();
+      this.feeds.delete(subscription.symbol);
+    }
+  }
+
+  // Load history for any timeframe the symbol isn't tracking yet
+  async seed(symbol, timeframes) {
+    if (!this.series.has(symbol)) {
+      this.series.set(symbol, {});
+    }
+
+    const series = this.series.get(symbol);
+
+    await Promise.all(timeframes.map(async (timeframe) => {
+      if (series[timeframe]) return;
+
+      const key = `${symbol}_${timeframe}`;
+      if (!this.seeding.has(key)) {
+        this.seeding.set(key, this.loadHistory(symbol, timeframe)
+          .then(candles => {
+            series[timeframe] = candles;
+          })
+          .finally(() => this.seeding.delete(key)));
+      }
+
+      await this.seeding.get(key);
+    }));
+  }
+
+  // Session-aligned timeframes are built from hourly data so their boundaries
+  // match the live candles'. Without a provider the local store is used.
+  async loadHistory(symbol, timeframe, limit = this.config.historyLimit) {
+    if (this.config.historySource !== 'local') {
+      try {
+        const sessionAligned = TIMEFRAME_MS[timeframe] > TIMEFRAME_MS['1h'];
+        const hoursPerBar = TIMEFRAME_MS[timeframe] / TIMEFRAME_MS['1h'];
+        const history = sessionAligned
+          ? await marketDataService.getHistoricalData(symbol, '1h', Math.min(limit * hoursPerBar, 5000))
+          : await marketDataService.getHistoricalData(symbol, timeframe, limit);
+
+        return resampler.resample(history, timeframe, symbol).slice(-limit);
+      } catch (error) {
+        console.warn(`Failed to load ${symbol} ${timeframe} history, trying the local store:`, error.message);
+      }
+    }
+
+    try {
+      return await candleStore.getCandles(symbol, timeframe, { limit });
+    } catch (error) {
+      console.warn(`Failed to read stored ${symbol} ${timeframe} candles:`, error.message);
+      return [];
+    }
+  }
+
+  handleTick(tick) {
+    const series = tick && this.series.get(tick.symbol);
+    if (!series) {
+      return;
+    }
+
+    const { symbol } = tick;
+    const time = new Date(tick.timestamp).getTime();
+    const lastTime = this.lastTicks.get(symbol)?.time;
+
+    // Ticks older than the last one can't be folded into closed candles
+    if (!Number.isFinite(time) || (lastTime !== undefined && time < lastTime)) {
+      return;
+    }
+
+    this.lastTicks.set(symbol, { time, tick });
+
+    const input = this.config.volume === 'ticks' ? { ...tick, volume: 1 } : tick;
+    const closed = {};
+
+    for (const [timeframe, candles] of Object.entries(series)) {
+      const result = resampler.update(candles, input, timeframe, { symbol, maxBars: this.config.maxBars });
+      if (result?.closed) {
+        closed[timeframe] = result.closed;
+      }
+    }
+
+    Object.entries(closed).forEach(([timeframe, candle]) => this.emit('bar', { symbol, timeframe, candle }));
+    this.emit('tick', { symbol, tick, timeframes: series });
+
+    for (const subscription of this.subscriptions.get(symbol) || []) {
+      const closedBar = closed[subscription.timeframe] || null;
+      const marketData = this.buildMarketData(symbol, subscription.timeframe, tick, closedBar);
+
+      this.notify(subscription.onTick, marketData);
+      if (closedBar) {
+        this.notify(subscription.onBarClose, marketData);
+      }
+    }
+  }
+
+  notify(handler, marketData) {
+    if (!handler) return;
+
+    Promise.resolve()
+      .then(() => handler(marketData))
+      .catch(error => console.error(`Candle subscriber failed for ${marketData.symbol}:`, error));
+  }
+
+  buildMarketData(symbol, timeframe, tick, closedBar = null) {
+    const timeframes = this.series.get(symbol) || {};
+    const prices = timeframes[timeframe] || [];
+    const candle = prices[prices.length - 1];
+    const price = Number.isFinite(tick.price) ? tick.price : tick.bid;
+
+    return {
+      symbol,
+      timeframe,
+      timestamp: tick.timestamp,
+      price,
+      bid: tick.bid,
+      ask: tick.ask,
+      spread: tick.spread,
+      change: tick.change,
+      changePercent: tick.changePercent,
+      open: candle ? candle.open : price,
+      high: candle ? candle.high : price,
+      low: candle ? candle.low : price,
+      close: candle ? candle.close : price,
+      volume: candle ? candle.volume : 0,
+      pipValue: this.getPipValue(symbol),
+      prices,
+      timeframes,
+      barClosed: closedBar !== null,
+      closedBar,
+      quality: tick.quality || null
+    };
+  }
+
+  getCandles(symbol, timeframe) {
+    return this.series.get(symbol)?.[timeframe] || [];
+  }
+
+  getPipValue(symbol) {
+    return instrumentRegistry.find(symbol)?.pipSize ?? null;
+  }
+}
+
+export const candleAggregator = new CandleAggregator();
+
+export default candleAggregator;
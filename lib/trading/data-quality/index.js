@@ -0,0 +1,418 @@
+import { EventEmitter } from 'events';
+import { resampler, isFxMarketOpen, TIMEFRAME_MS } from '../timeframes';
+
+// Validates ticks and candles before they reach strategies.
+//
+// Tick issues: invalid_price, negative_spread, zero_spread, out_of_order,
+// market_closed and spike (a jump of more than spikeAtrMultiple 1m ATRs from
+// the last good price that hasn't held for spikeConfirmTicks ticks).
+// Candle issues: invalid_price, invalid_ohlc, duplicate, negative_spread,
+// spike (a wick or one-bar jump that reverts) and missing_bars.
+//
+// Issue types listed in `quarantine` keep the data away from strategies; the
+// rest are only flagged. Every issue is emitted as 'issue', and at most once
+// per symbol, type and alertCooldownMs as 'alert'. Watched streams emit
+// 'stale' when no tick arrives for staleAfterMs while the market is open,
+// and 'recovered' on the next tick.
+
+const SEVERITY = {
+  invalid_price: 'high',
+  invalid_ohlc: 'high',
+  negative_spread: 'high',
+  spike: 'high',
+  stale: 'high',
+  out_of_order: 'medium',
+  duplicate: 'medium',
+  missing_bars: 'medium',
+  market_closed: 'low',
+  zero_spread: 'low'
+};
+
+export class DataQualityMonitor extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.setMaxListeners(0);
+
+    this.config = {
+      atrPeriod: 14,
+      spikeAtrMultiple: 8, // Moves beyond this many ATRs are suspect
+      spikeConfirmTicks: 3, // Ticks at the new level that make a jump genuine
+      staleAfterMs: 60 * 1000,
+      staleCheckMs: 15 * 1000,
+      alertCooldownMs: 15 * 60 * 1000,
+      quarantine: ['invalid_price', 'invalid_ohlc', 'negative_spread', 'out_of_order', 'duplicate', 'market_closed', 'spike'],
+      quarantineSize: 200, // Quarantined items kept per symbol
+      ...config
+    };
+
+    this.symbols = new Map();
+    this.quarantined = new Map();
+    this.lastAlerts = new Map();
+    this.watched = new Set();
+    this.staleTimer = null;
+  }
+
+  getState(symbol) {
+    if (!this.symbols.has(symbol)) {
+      this.symbols.set(symbol, {
+        lastTime: null,
+        lastPrice: null,
+        lastTickAt: null,
+        bars: [],
+        referenceAtr: null,
+        pendingSpike: null,
+        stale: false,
+        counts: {}
+      });
+    }
+    return this.symbols.get(symbol);
+  }
+
+  createIssue(type, symbol, details = {}) {
+    return {
+      type,
+      severity: SEVERITY[type] || 'medium',
+      symbol,
+      detectedAt: new Date().toISOString(),
+      ...details
+    };
+  }
+
+  report(issues) {
+    for (const issue of issues) {
+      const state = this.getState(issue.symbol);
+      state.counts[issue.type] = (state.counts[issue.type] || 0) + 1;
+
+      this.emit('issue', issue);
+
+      const key = `${issue.symbol}_${issue.type}`;
+      const lastAlert = this.lastAlerts.get(key) || 0;
+      if (Date.now() - lastAlert >= this.config.alertCooldownMs) {
+        this.lastAlerts.set(key, Date.now());
+        this.emit('alert', issue);
+      }
+    }
+  }
+
+  addToQuarantine(symbol, data, issues) {
+    if (!this.quarantined.has(symbol)) {
+      this.quarantined.set(symbol, []);
+    }
+
+    const items = this.quarantined.get(symbol);
+    items.push({ data, issues: issues.map(issue => issue.type), quarantinedAt: new Date().toISOString() });
+    if (items.length > this.config.quarantineSize) {
+      items.splice(0, items.length - this.config.quarantineSize);
+    }
+  }
+
+  isQuarantined(issues) {
+    return issues.some(issue => this.config.quarantine.includes(issue.type));
+  }
+
+  // Average true range of the closed 1m bars built from good ticks, or the
+  // one taken from history until there are enough of them
+  getAtr(state) {
+    const closed = state.bars.slice(0, -1);
+    if (closed.length <= this.config.atrPeriod) {
+      return state.referenceAtr;
+    }
+
+    const window = closed.slice(-this.config.atrPeriod - 1);
+    let total = 0;
+    for (let i = 1; i < window.length; i++) {
+      total += Math.max(
+        window[i].high - window[i].low,
+        Math.abs(window[i].high - window[i - 1].close),
+        Math.abs(window[i].low - window[i - 1].close)
+      );
+    }
+    return total / this.config.atrPeriod;
+  }
+
+  // Returns { accepted, quality } where quality is attached to marketData as
+  // { ok, flags, quarantined, marketOpen }
+  checkTick(tick) {
+    const symbol = tick.symbol;
+    const state = this.getState(symbol);
+    const issues = [];
+    const time = new Date(tick.timestamp).getTime();
+    const price = Number.isFinite(tick.price) ? tick.price : tick.bid;
+    const marketOpen = isFxMarketOpen(Number.isFinite(time) ? time : Date.now());
+
+    state.lastTickAt = Date.now();
+    if (state.stale) {
+      state.stale = false;
+      this.emit('recovered', { symbol, recoveredAt: new Date().toISOString() });
+    }
+
+    if (!(price > 0) || !Number.isFinite(time)) {
+      issues.push(this.createIssue('invalid_price', symbol, { value: tick.price, timestamp: tick.timestamp }));
+    }
+
+    if (Number.isFinite(tick.bid) && Number.isFinite(tick.ask)) {
+      if (tick.ask < tick.bid) {
+        issues.push(this.createIssue('negative_spread', symbol, { value: tick.ask - tick.bid, timestamp: tick.timestamp }));
+      } else if (tick.ask === tick.bid) {
+        issues.push(this.createIssue('zero_spread', symbol, { timestamp: tick.timestamp }));
+      }
+    }
+
+    if (state.lastTime !== null && time < state.lastTime) {
+      issues.push(this.createIssue('out_of_order', symbol, {
+        timestamp: tick.timestamp,
+        previous: new Date(state.lastTime).toISOString()
+      }));
+    }
+
+    if (!marketOpen) {
+      issues.push(this.createIssue('market_closed', symbol, { timestamp: tick.timestamp }));
+    }
+
+    if (!this.isQuarantined(issues)) {
+      const spike = this.checkSpike(state, price);
+      if (spike) {
+        issues.push(this.createIssue('spike', symbol, { ...spike, timestamp: tick.timestamp }));
+      }
+    }
+
+    const quarantined = this.isQuarantined(issues);
+
+    if (quarantined) {
+      this.addToQuarantine(symbol, tick, issues);
+    } else {
+      state.lastTime = time;
+      state.lastPrice = price;
+      resampler.update(state.bars, { ...tick, price }, '1m', { symbol, maxBars: this.config.atrPeriod + 2 });
+    }
+
+    this.report(issues);
+
+    return {
+      accepted: !quarantined,
+      quality: {
+        ok: issues.length === 0,
+        flags: issues.map(issue => issue.type),
+        quarantined,
+        marketOpen
+      }
+    };
+  }
+
+  // A jump is a spike until enough ticks confirm the new level
+  checkSpike(state, price) {
+    const atr = this.getAtr(state);
+    if (!atr || state.lastPrice === null) {
+      return null;
+    }
+
+    const limit = atr * this.config.spikeAtrMultiple;
+    const move = Math.abs(price - state.lastPrice);
+    if (move <= limit) {
+      state.pendingSpike = null;
+      return null;
+    }
+
+    if (state.pendingSpike && Math.abs(price - state.pendingSpike.price) <= limit) {
+      state.pendingSpike.count++;
+    } else {
+      state.pendingSpike = { price, count: 1 };
+    }
+
+    if (state.pendingSpike.count >= this.config.spikeConfirmTicks) {
+      state.pendingSpike = null;
+      return null;
+    }
+
+    return { value: price, previous: state.lastPrice, atrMultiple: move / atr };
+  }
+
+  // Validate a candle series in any order. Returns the candles that pass, in
+  // the order given, with every issue found.
+  checkCandles(candles, { symbol = candles[0]?.symbol, timeframe = candles[0]?.timeframe } = {}) {
+    const issues = [];
+    const rejected = new Set();
+    const size = TIMEFRAME_MS[timeframe];
+    const sorted = candles
+      .map((candle, index) => ({ candle, index, time: new Date(candle.timestamp).getTime() }))
+      .sort((a, b) => a.time - b.time);
+
+    const flag = (entry, type, details = {}) => {
+      const issue = this.createIssue(type, symbol, { timeframe, timestamp: entry.candle.timestamp, ...details });
+      issues.push(issue);
+      if (this.config.quarantine.includes(type)) {
+        rejected.add(entry.index);
+      }
+    };
+
+    let previous = null;
+    const trueRanges = [];
+
+    sorted.forEach((entry, i) => {
+      const { candle, time } = entry;
+      const prices = [candle.open, candle.high, candle.low, candle.close];
+
+      if (!Number.isFinite(time) || !prices.every(value => Number.isFinite(value) && value > 0)) {
+        flag(entry, 'invalid_price');
+        return;
+      }
+
+      if (candle.high < Math.max(candle.open, candle.close) || candle.low > Math.min(candle.open, candle.close)) {
+        flag(entry, 'invalid_ohlc');
+        return;
+      }
+
+      if (previous && time === previous.time) {
+        flag(entry, 'duplicate');
+        return;
+      }
+
+      if (candle.spread < 0) {
+        flag(entry, 'negative_spread', { value: candle.spread });
+      }
+
+      if (previous && size && time - previous.time > size) {
+        let missingBars = 0;
+        for (let t = previous.time + size; t < time; t += size) {
+          if (isFxMarketOpen(t)) missingBars++;
+        }
+        if (missingBars > 0) {
+          flag(entry, 'missing_bars', { missingBars, from: previous.candle.timestamp });
+        }
+      }
+
+      const atr = trueRanges.length >= this.config.atrPeriod
+        ? trueRanges.slice(-this.config.atrPeriod).reduce((sum, value) => sum + value, 0) / this.config.atrPeriod
+        : null;
+
+      if (previous && atr && this.isSpikeCandle(candle, previous.candle, sorted[i + 1]?.candle, atr)) {
+        flag(entry, 'spike', { atr });
+        if (rejected.has(entry.index)) return;
+      }
+
+      if (previous) {
+        trueRanges.push(Math.max(
+          candle.high - candle.low,
+          Math.abs(candle.high - previous.candle.close),
+          Math.abs(candle.low - previous.candle.close)
+        ));
+      }
+
+      previous = entry;
+    });
+
+    // Seed the tick spike filter with the history's volatility
+    if (symbol && trueRanges.length >= this.config.atrPeriod) {
+      this.getState(symbol).referenceAtr =
+        trueRanges.slice(-this.config.atrPeriod).reduce((sum, value) => sum + value, 0) / this.config.atrPeriod;
+    }
+
+    const clean = candles.filter((candle, index) => !rejected.has(index));
+    if (symbol) {
+      this.report(issues);
+      sorted.filter(entry => rejected.has(entry.index)).forEach(entry => {
+        this.addToQuarantine(symbol, entry.candle, issues.filter(issue => issue.timestamp === entry.candle.timestamp));
+      });
+    }
+
+    return { candles: clean, issues };
+  }
+
+  // A wick far beyond both closes, or a one-bar jump the next bar undoes
+  isSpikeCandle(candle, previous, next, atr) {
+    const limit = atr * this.config.spikeAtrMultiple;
+    const bodyHigh = Math.max(previous.close, candle.close);
+    const bodyLow = Math.min(previous.close, candle.close);
+
+    if (candle.high - bodyHigh > limit || bodyLow - candle.low > limit) {
+      return true;
+    }
+
+    return Boolean(next) &&
+      Math.abs(candle.close - previous.close) > limit &&
+      Math.abs(next.open - previous.close) <= limit;
+  }
+
+  // Stale checks only run for watched symbols
+  watch(symbol) {
+    this.watched.add(symbol);
+    const state = this.getState(symbol);
+    state.lastTickAt = state.lastTickAt || Date.now();
+
+    if (!this.staleTimer) {
+      this.staleTimer = setInterval(() => this.checkStale(), this.config.staleCheckMs);
+      this.staleTimer.unref?.();
+    }
+  }
+
+  unwatch(symbol) {
+    this.watched.delete(symbol);
+    const state = this.symbols.get(symbol);
+    if (state) state.stale = false;
+
+    if (this.watched.size === 0 && this.staleTimer) {
+      clearInterval(this.staleTimer);
+      this.staleTimer = null;
+    }
+  }
+
+  checkStale(now = Date.now()) {
+    // Quiet weekends aren't stale feeds
+    if (!isFxMarketOpen(now)) {
+      return;
+    }
+
+    for (const symbol of this.watched) {
+      const state = this.getState(symbol);
+      const ageMs = now - state.lastTickAt;
+
+      if (!state.stale && ageMs > this.config.staleAfterMs) {
+        state.stale = true;
+        const issue = this.createIssue('stale', symbol, {
+          lastTickAt: new Date(state.lastTickAt).toISOString(),
+          ageMs
+        });
+
+        this.emit('stale', issue);
+        this.report([issue]);
+      }
+    }
+  }
+
+  isStale(symbol) {
+    return this.symbols.get(symbol)?.stale || false;
+  }
+
+  getQuarantine(symbol) {
+    return this.quarantined.get(symbol) || [];
+  }
+
+  getStatus(symbol) {
+    const state = this.symbols.get(symbol);
+    if (!state) {
+      return null;
+    }
+
+    return {
+      symbol,
+      stale: state.stale,
+      watched: this.watched.has(symbol),
+      lastTickAt: state.lastTickAt ? new Date(state.lastTickAt).toISOString() : null,
+      lastPrice: state.lastPrice,
+      atr: this.getAtr(state),
+      issues: { ...state.counts },
+      quarantined: this.getQuarantine(symbol).length
+    };
+  }
+
+  getReport() {
+    return {
+      marketOpen: isFxMarketOpen(Date.now()),
+      symbols: Array.from(this.symbols.keys()).map(symbol => this.getStatus(symbol))
+    };
+  }
+}
+
+export const dataQualityMonitor = new DataQualityMonitor();
+
+export default dataQualityMonitor;
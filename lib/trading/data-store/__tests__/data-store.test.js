@@ -0,0 +1,275 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, stat, writeFile, mkdir } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CandleStore } from '../index';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const RECORD_SIZE = 56;
+
+// `count` bars of `size` ms from `start`, closing one pip higher each bar
+function bars(start, count, size = MINUTE, { base = 1.1, volume = 10 } = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = base + (i + 1) * 0.0001;
+    return {
+      timestamp: new Date(Date.parse(start) + i * size).toISOString(),
+      open: close - 0.0001,
+      high: close + 0.0002,
+      low: close - 0.0003,
+      close,
+      volume,
+      spread: 0.00012
+    };
+  });
+}
+
+describe('CandleStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'candle-store-'));
+    store = new CandleStore({ directory });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const fileSize = async (timeframe = '1m') => (await stat(store.getFilePath('EURUSD', timeframe))).size;
+
+  describe('writing', () => {
+    it('stores fixed-size records after the header', async () => {
+      const candles = bars('2024-01-02T00:00:00Z', 3);
+      const result = await store.write('EURUSD', '1m', candles);
+
+      expect(result).toEqual({ symbol: 'EURUSD', timeframe: '1m', added: 3, replaced: 0, total: 3 });
+      expect(await fileSize()).toBe(8 + 3 * RECORD_SIZE);
+
+      const stored = await store.query('EURUSD', '1m');
+      expect(stored).toEqual(candles.map(candle => ({ symbol: 'EURUSD', timeframe: '1m', ...candle })));
+    });
+
+    it('appends newer candles without rewriting the file', async () => {
+      await store.write('EURUSD', '1m', bars('2024-01-02T00:00:00Z', 3));
+      const rewrite = vi.spyOn(store, 'writeFile');
+
+      const result = await store.write('EURUSD', '1m', bars('2024-01-02T00:03:00Z', 2));
+
+      expect(rewrite).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ added: 2, replaced: 0, total: 5 });
+      expect(await fileSize()).toBe(8 + 5 * RECORD_SIZE);
+    });
+
+    it('merges older and overlapping candles into a rewritten, sorted file', async () => {
+      await store.write('EURUSD', '1m', bars('2024-01-02T00:02:00Z', 3));
+      const rewrite = vi.spyOn(store, 'writeFile');
+
+      const result = await store.write('EURUSD', '1m', bars('2024-01-02T00:00:00Z', 3, MINUTE, { base: 1.2 }));
+
+      expect(rewrite).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ added: 2, replaced: 1, total: 5 });
+
+      const stored = await store.query('EURUSD', '1m');
+      expect(stored.map(candle => candle.timestamp.slice(11, 16))).toEqual(['00:00', '00:01', '00:02', '00:03', '00:04']);
+      expect(stored[2].close).toBeCloseTo(1.2003, 10);
+    });
+
+    it('keeps stored candles when overwrite is false', async () => {
+      await store.write('EURUSD', '1m', bars('2024-01-02T00:00:00Z', 2));
+      const result = await store.write('EURUSD', '1m', bars('2024-01-02T00:01:00Z', 2, MINUTE, { base: 1.2 }), { overwrite: false });
+
+      expect(result).toMatchObject({ added: 1, replaced: 0, total: 3 });
+      expect((await store.query('EURUSD', '1m'))[1].close).toBeCloseTo(1.1002, 10);
+    });
+
+    it('drops candles with missing prices or times and keeps the last of duplicates', async () => {
+      const result = await store.write('EURUSD', '1m', [
+        { timestamp: '2024-01-02T00:00:00Z', open: 1, high: 1, low: 1, close: 1 },
+        { timestamp: '2024-01-02T00:00:00Z', open: 2, high: 2, low: 2, close: 2 },
+        { timestamp: '', open: 1, high: 1, low: 1, close: 1 },
+        { timestamp: '2024-01-02T00:01:00Z', open: 1, high: 1, low: 1 }
+      ]);
+
+      expect(result.total).toBe(1);
+      expect((await store.query('EURUSD', '1m'))[0]).toMatchObject({ close: 2, volume: 0, spread: 0 });
+    });
+
+    it('refuses files that are not candle store files', async () => {
+      const filePath = store.getFilePath('EURUSD', '1m');
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, 'time,open,high,low,close\n');
+
+      await expect(store.query('EURUSD', '1m')).rejects.toThrow('Not a candle store file');
+    });
+
+    it('rejects unknown timeframes and symbols with nothing usable in them', () => {
+      expect(() => store.getFilePath('EURUSD', '7m')).toThrow();
+      expect(() => store.getFilePath('/', '1m')).toThrow('Invalid symbol');
+      expect(store.getFilePath('eur/usd', '1h')).toBe(path.join(directory, 'EURUSD', '1h.bin'));
+    });
+  });
+
+  describe('range queries', () => {
+    beforeEach(async () => {
+      await store.write('EURUSD', '1m', bars('2024-01-02T00:00:00Z', 100));
+    });
+
+    it('finds the first record at or after a time', async () => {
+      const { handle, count } = await store.openFile(store.getFilePath('EURUSD', '1m'));
+      try {
+        const start = Date.parse('2024-01-02T00:00:00Z');
+        expect(await store.lowerBound(handle, count, start - MINUTE)).toBe(0);
+        expect(await store.lowerBound(handle, count, start)).toBe(0);
+        expect(await store.lowerBound(handle, count, start + 42 * MINUTE)).toBe(42);
+        expect(await store.lowerBound(handle, count, start + 42 * MINUTE + 1)).toBe(43);
+        expect(await store.lowerBound(handle, count, start + 100 * MINUTE)).toBe(100);
+      } finally {
+        await handle.close();
+      }
+    });
+
+    it('returns candles within an inclusive range', async () => {
+      const candles = await store.query('EURUSD', '1m', { from: '2024-01-02T00:10:00Z', to: '2024-01-02T00:14:00Z' });
+      expect(candles.map(candle => candle.timestamp.slice(11, 16))).toEqual(['00:10', '00:11', '00:12', '00:13', '00:14']);
+    });
+
+    it('starts at the next candle when `from` falls between two', async () => {
+      const candles = await store.query('EURUSD', '1m', { from: '2024-01-02T00:10:30Z', to: '2024-01-02T00:12:00Z' });
+      expect(candles.map(candle => candle.timestamp.slice(11, 16))).toEqual(['00:11', '00:12']);
+    });
+
+    it('returns the most recent candles of the range with a limit', async () => {
+      const latest = await store.query('EURUSD', '1m', { limit: 3 });
+      expect(latest.map(candle => candle.timestamp.slice(11, 16))).toEqual(['01:37', '01:38', '01:39']);
+
+      const bounded = await store.query('EURUSD', '1m', { to: '2024-01-02T00:20:00Z', limit: 2 });
+      expect(bounded.map(candle => candle.timestamp.slice(11, 16))).toEqual(['00:19', '00:20']);
+    });
+
+    it('returns nothing outside the stored range or for unknown series', async () => {
+      expect(await store.query('EURUSD', '1m', { from: '2024-01-03T00:00:00Z' })).toEqual([]);
+      expect(await store.query('GBPUSD', '1m')).toEqual([]);
+      expect(await store.getRange('EURUSD', '1m')).toEqual({
+        symbol: 'EURUSD',
+        timeframe: '1m',
+        from: '2024-01-02T00:00:00.000Z',
+        to: '2024-01-02T01:39:00.000Z',
+        count: 100
+      });
+    });
+  });
+
+  describe('getCandles', () => {
+    it('builds missing timeframes from a stored lower one', async () => {
+      await store.write('EURUSD', '1m', bars('2024-01-02T00:00:00Z', 30));
+
+      const candles = await store.getCandles('EURUSD', '5m');
+
+      expect(candles).toHaveLength(6);
+      expect(candles[0]).toMatchObject({ timestamp: '2024-01-02T00:00:00.000Z', timeframe: '5m', volume: 50 });
+      expect(candles[0].open).toBeCloseTo(1.1, 10);
+      expect(candles[0].close).toBeCloseTo(1.1005, 10);
+      expect(candles[0].high).toBeCloseTo(1.1007, 10);
+      expect(candles[0].low).toBeCloseTo(1.0998, 10);
+    });
+
+    it('resamples from the largest stored timeframe that fits', async () => {
+      await store.write('EURUSD', '1m', bars('2024-01-02T00:00:00Z', 120, MINUTE, { volume: 1 }));
+      await store.write('EURUSD', '15m', bars('2024-01-02T00:00:00Z', 8, 15 * MINUTE, { volume: 1000 }));
+
+      const candles = await store.getCandles('EURUSD', '1h');
+
+      expect(candles.map(candle => candle.volume)).toEqual([4000, 4000]);
+    });
+
+    it('starts at `from` and keeps the last `limit` candles', async () => {
+      await store.write('EURUSD', '1m', bars('2024-01-02T00:00:00Z', 60));
+
+      const from = await store.getCandles('EURUSD', '15m', { from: '2024-01-02T00:10:00Z' });
+      expect(from.map(candle => candle.timestamp.slice(11, 16))).toEqual(['00:15', '00:30', '00:45']);
+
+      const limited = await store.getCandles('EURUSD', '15m', { limit: 2 });
+      expect(limited.map(candle => candle.timestamp.slice(11, 16))).toEqual(['00:30', '00:45']);
+      expect(limited[1].volume).toBe(150);
+    });
+
+    it('prefers stored candles and returns nothing without a usable source', async () => {
+      await store.write('EURUSD', '1h', bars('2024-01-02T00:00:00Z', 2, HOUR));
+
+      expect(await store.getCandles('EURUSD', '1h')).toHaveLength(2);
+      expect(await store.getCandles('EURUSD', '15m')).toEqual([]);
+      expect(await store.getCandles('GBPUSD', '1h')).toEqual([]);
+    });
+  });
+
+  describe('findGaps', () => {
+    it('skips the weekend close', async () => {
+      // Friday 20:00-21:00 UTC, then the Sunday 22:00 UTC open (New York winter time)
+      await store.write('EURUSD', '1h', [
+        ...bars('2024-01-05T20:00:00Z', 2, HOUR),
+        ...bars('2024-01-07T22:00:00Z', 2, HOUR)
+      ]);
+
+      expect(await store.findGaps('EURUSD', '1h')).toEqual([]);
+      expect(await store.findGaps('EURUSD', '1h', { skipWeekends: false })).toEqual([
+        { from: '2024-01-05T21:00:00.000Z', to: '2024-01-07T22:00:00.000Z', missingBars: 48 }
+      ]);
+    });
+
+    it('follows the weekend close through US daylight saving time', async () => {
+      // Friday 21:00 UTC is the 17:00 close in July; 20:00 is still open
+      await store.write('EURUSD', '1h', [
+        ...bars('2024-07-05T19:00:00Z', 1, HOUR),
+        ...bars('2024-07-07T21:00:00Z', 1, HOUR)
+      ]);
+
+      expect(await store.findGaps('EURUSD', '1h')).toEqual([
+        { from: '2024-07-05T19:00:00.000Z', to: '2024-07-07T21:00:00.000Z', missingBars: 1 }
+      ]);
+    });
+
+    it('reports weekday gaps at least `minBars` long', async () => {
+      await store.write('EURUSD', '1m', [
+        ...bars('2024-01-02T00:00:00Z', 2),
+        ...bars('2024-01-02T00:04:00Z', 2),
+        ...bars('2024-01-02T00:07:00Z', 1)
+      ]);
+
+      expect(await store.findGaps('EURUSD', '1m')).toEqual([
+        { from: '2024-01-02T00:01:00.000Z', to: '2024-01-02T00:04:00.000Z', missingBars: 2 },
+        { from: '2024-01-02T00:05:00.000Z', to: '2024-01-02T00:07:00.000Z', missingBars: 1 }
+      ]);
+      expect(await store.findGaps('EURUSD', '1m', { minBars: 2 })).toHaveLength(1);
+    });
+  });
+
+  describe('importing', () => {
+    it('parses, stores and reports the gaps of an export', async () => {
+      const content = [
+        '2024.01.02,00:00,1.10000,1.10100,1.09900,1.10050,100',
+        '2024.01.02,00:01,1.10050,1.10150,1.10000,1.10100,120',
+        '2024.01.02,00:03,1.10100,1.10200,1.10050,1.10150,90'
+      ].join('\n');
+
+      const result = await store.importContent(content, { symbol: 'EURUSD', timeframe: '1m' });
+
+      expect(result).toMatchObject({
+        added: 3,
+        total: 3,
+        imported: 3,
+        from: '2024-01-02T00:00:00.000Z',
+        to: '2024-01-02T00:03:00.000Z',
+        gaps: [{ from: '2024-01-02T00:01:00.000Z', to: '2024-01-02T00:03:00.000Z', missingBars: 1 }]
+      });
+      expect(await store.list()).toEqual([expect.objectContaining({ symbol: 'EURUSD', timeframe: '1m', count: 3 })]);
+    });
+
+    it('needs a symbol, a timeframe and at least one candle', async () => {
+      await expect(store.importContent('2024.01.02,00:00,1,1,1,1,1', { timeframe: '1m' })).rejects.toThrow('symbol and timeframe are required');
+      await expect(store.importContent('', { symbol: 'EURUSD', timeframe: '1m' })).rejects.toThrow('No candles found');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getZoneOffsetMs,
+  parseDateTime,
+  parseMetaTrader,
+  parseHistData,
+  parseGeneric,
+  detectFormat,
+  parseCandles
+} from '../importers';
+
+const HOUR = 60 * 60 * 1000;
+
+const iso = (text) => new Date(text).toISOString();
+
+describe('timezones', () => {
+  it('reads UTC, fixed offsets and EST', () => {
+    expect(getZoneOffsetMs('UTC')).toBe(0);
+    expect(getZoneOffsetMs('+02:00')).toBe(2 * HOUR);
+    expect(getZoneOffsetMs('GMT-0330')).toBe(-3.5 * HOUR);
+    expect(getZoneOffsetMs('EST', Date.UTC(2024, 6, 1))).toBe(-5 * HOUR);
+    expect(() => getZoneOffsetMs('Mars/Olympus')).toThrow('Unsupported timezone');
+  });
+
+  it('follows US daylight saving time in New York', () => {
+    expect(parseDateTime('2024-01-02 12:00', 'new_york')).toBe(Date.parse('2024-01-02T17:00:00Z'));
+    expect(parseDateTime('2024-07-02 12:00', 'new_york')).toBe(Date.parse('2024-07-02T16:00:00Z'));
+
+    // Clocks go forward at 02:00 local on 10 March 2024
+    expect(getZoneOffsetMs('new_york', Date.UTC(2024, 2, 10, 1, 30))).toBe(-5 * HOUR);
+    expect(getZoneOffsetMs('new_york', Date.UTC(2024, 2, 10, 3, 0))).toBe(-4 * HOUR);
+  });
+
+  it('keeps the MetaTrader server clock seven hours ahead of New York', () => {
+    expect(parseDateTime('2024.01.02 00:00', 'fx_server')).toBe(Date.parse('2024-01-01T22:00:00Z'));
+    expect(parseDateTime('2024.07.02 00:00', 'fx_server')).toBe(Date.parse('2024-07-01T21:00:00Z'));
+  });
+
+  it('prefers a zone written in the timestamp', () => {
+    expect(parseDateTime('2024-01-02T13:45:00+02:00', 'new_york')).toBe(Date.parse('2024-01-02T11:45:00Z'));
+    expect(parseDateTime('2024-01-02T13:45:00Z', 'fx_server')).toBe(Date.parse('2024-01-02T13:45:00Z'));
+  });
+
+  it('reads numeric timestamps as unix seconds or milliseconds', () => {
+    expect(parseDateTime('1704203100')).toBe(Date.parse('2024-01-02T13:45:00Z'));
+    expect(parseDateTime('1704203100000')).toBe(Date.parse('2024-01-02T13:45:00Z'));
+    expect(parseDateTime('1704203100', 'UTC', 'ms')).toBe(1704203100);
+    expect(parseDateTime('')).toBeNull();
+    expect(parseDateTime('yesterday')).toBeNull();
+  });
+});
+
+describe('parseMetaTrader', () => {
+  it('reads MetaTrader 4 exports without a header', () => {
+    const candles = parseMetaTrader([
+      '2024.01.02,13:46,1.10050,1.10150,1.10000,1.10100,120',
+      '2024.01.02,13:45,1.10000,1.10100,1.09900,1.10050,100'
+    ].join('\r\n'), { timezone: 'fx_server', symbol: 'EURUSD' });
+
+    expect(candles).toEqual([
+      { timestamp: iso('2024-01-02T11:45:00Z'), open: 1.1, high: 1.101, low: 1.099, close: 1.1005, volume: 100, spread: 0 },
+      { timestamp: iso('2024-01-02T11:46:00Z'), open: 1.1005, high: 1.1015, low: 1.1, close: 1.101, volume: 120, spread: 0 }
+    ]);
+  });
+
+  it('reads MetaTrader 5 exports, with tick volume and spreads in points', () => {
+    const candles = parseMetaTrader([
+      '<DATE>\t<TIME>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>\t<TICKVOL>\t<VOL>\t<SPREAD>',
+      '2024.07.02\t00:00:00\t1.10000\t1.10100\t1.09900\t1.10050\t1234\t0\t12',
+      '2024.07.02\t00:01:00\t1.10050\t1.10150\t1.10000\t1.10100\t987\t0\t8'
+    ].join('\n'), { timezone: 'fx_server', symbol: 'EURUSD' });
+
+    expect(candles).toHaveLength(2);
+    expect(candles[0]).toMatchObject({ timestamp: iso('2024-07-01T21:00:00Z'), open: 1.1, close: 1.1005, volume: 1234 });
+    expect(candles[0].spread).toBeCloseTo(0.00012, 10);
+    expect(candles[1].spread).toBeCloseTo(0.00008, 10);
+  });
+
+  it('scales spreads to the instrument\'s digits', () => {
+    const [candle] = parseMetaTrader([
+      '<DATE>,<TIME>,<OPEN>,<HIGH>,<LOW>,<CLOSE>,<TICKVOL>,<VOL>,<SPREAD>',
+      '2024.01.02,00:00:00,150.000,150.100,149.900,150.050,500,0,15'
+    ].join('\n'), { symbol: 'USDJPY' });
+
+    expect(candle.spread).toBeCloseTo(0.015, 10);
+  });
+
+  it('skips rows it cannot read', () => {
+    const candles = parseMetaTrader([
+      '2024.01.02,00:00,1.1,1.2,1.0,1.15,10',
+      'not,a,candle',
+      '2024.01.02,00:01,1.1,1.2,1.0,,10'
+    ].join('\n'));
+
+    expect(candles).toHaveLength(1);
+  });
+});
+
+describe('parseHistData', () => {
+  it('reads M1 bars in EST all year', () => {
+    const candles = parseHistData([
+      '20240102 170000;1.10000;1.10100;1.09900;1.10050;0',
+      '20240702 170000;1.08000;1.08100;1.07900;1.08050;0'
+    ].join('\n'));
+
+    expect(candles.map(candle => candle.timestamp)).toEqual([iso('2024-01-02T22:00:00Z'), iso('2024-07-02T22:00:00Z')]);
+    expect(candles[0]).toMatchObject({ open: 1.1, high: 1.101, low: 1.099, close: 1.1005, volume: 0 });
+  });
+
+  it('builds candles from ticks', () => {
+    const candles = parseHistData([
+      '20240102 170000123,1.10000,1.10020,0',
+      '20240102 170030000,1.10050,1.10060,0',
+      '20240102 170015500,1.09980,1.10000,0',
+      '20240102 170105000,1.10100,1.10110,0'
+    ].join('\n'), { timeframe: '1m', symbol: 'EURUSD' });
+
+    expect(candles).toHaveLength(2);
+    expect(candles[0]).toMatchObject({ timestamp: iso('2024-01-02T22:00:00Z'), open: 1.1, high: 1.1005, low: 1.0998, close: 1.1005, volume: 3 });
+    expect(candles[0].spread).toBeCloseTo(0.0001, 10);
+    expect(candles[1]).toMatchObject({ timestamp: iso('2024-01-02T22:01:00Z'), open: 1.101, close: 1.101, volume: 1 });
+  });
+});
+
+describe('parseGeneric', () => {
+  it('finds columns by their header names and joins date and time', () => {
+    const candles = parseGeneric([
+      'Date,Time,Open,High,Low,Close,Volume',
+      '2024-01-02,13:45,1.1,1.2,1.0,1.15,10'
+    ].join('\n'), { timezone: 'new_york' });
+
+    expect(candles).toEqual([
+      { timestamp: iso('2024-01-02T18:45:00Z'), open: 1.1, high: 1.2, low: 1, close: 1.15, volume: 10, spread: 0 }
+    ]);
+  });
+
+  it('reads unix timestamps and quoted values', () => {
+    const candles = parseGeneric([
+      'timestamp;o;h;l;c;spread',
+      '"1704203100";"1.1";"1.2";"1.0";"1.15";"0.0001"'
+    ].join('\n'));
+
+    expect(candles[0]).toMatchObject({ timestamp: iso('2024-01-02T13:45:00Z'), close: 1.15, spread: 0.0001 });
+  });
+
+  it('takes column indexes for files without a header', () => {
+    const candles = parseGeneric('1.15|1.1|2024-01-02 13:45|1.2|1.0', {
+      delimiter: '|',
+      header: false,
+      columns: { timestamp: 2, open: 1, high: 3, low: 4, close: 0 }
+    });
+
+    expect(candles[0]).toMatchObject({ timestamp: iso('2024-01-02T13:45:00Z'), open: 1.1, close: 1.15, volume: 0 });
+  });
+
+  it('names the columns it cannot find', () => {
+    expect(() => parseGeneric('time,open,close\n2024-01-02,1,1')).toThrow('Cannot find columns: high, low');
+    expect(() => parseGeneric('when,open,high,low,close\n2024-01-02,1,1,1,1')).toThrow('Cannot find columns: timestamp');
+  });
+});
+
+describe('parseCandles', () => {
+  it('detects the export format', () => {
+    expect(detectFormat('<DATE>\t<TIME>\t<OPEN>')).toBe('metatrader');
+    expect(detectFormat('2024.01.02,00:00,1,1,1,1,1')).toBe('metatrader');
+    expect(detectFormat('20240102 000000;1;1;1;1;0')).toBe('histdata');
+    expect(detectFormat('20240102 000000123,1.1,1.1,0')).toBe('histdata');
+    expect(detectFormat('timestamp,open,high,low,close')).toBe('generic');
+  });
+
+  it('parses with the detected format or the one given', () => {
+    expect(parseCandles('20240102 170000;1;1;1;1;0')[0].timestamp).toBe(iso('2024-01-02T22:00:00Z'));
+    expect(parseCandles('20240102 170000;1;1;1;1;0', { format: 'histdata', timezone: 'UTC' })[0].timestamp)
+      .toBe(iso('2024-01-02T17:00:00Z'));
+    expect(() => parseCandles('', { format: 'excel' })).toThrow('Unknown import format: excel');
+  });
+});
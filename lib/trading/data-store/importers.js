@@ -0,0 +1,290 @@
+import { resampler, getNewYorkOffsetMs } from '../timeframes';
+import { instrumentRegistry } from '../instruments';
+
+// Parsers for FX history exports. Each returns candles oldest first with UTC
+// ISO timestamps: { timestamp, open, high, low, close, volume, spread }.
+//
+// Timezones: 'UTC', a fixed offset such as '+02:00', 'EST' (UTC-5 all year,
+// used by HistData.com), 'new_york' (with US DST) or 'fx_server' (New York
+// + 7h, the usual MetaTrader broker clock where the day starts at the NY close).
+
+const HOUR = 60 * 60 * 1000;
+
+export const IMPORT_FORMATS = ['metatrader', 'histdata', 'generic'];
+
+const COLUMN_ALIASES = {
+  timestamp: ['timestamp', 'datetime', 'date_time', 'time', 'date'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'vol', 'tickvol', 'tick_volume', 'v'],
+  spread: ['spread']
+};
+
+// Offset of local time from UTC at a local wall-clock time
+export function getZoneOffsetMs(timezone = 'UTC', localTime) {
+  const zone = String(timezone).trim();
+  const fixed = zone.match(/^(?:UTC|GMT)?([+-])(\d{1,2}):?(\d{2})?$/i);
+
+  if (/^(utc|gmt|z)$/i.test(zone)) return 0;
+  if (fixed) {
+    const sign = fixed[1] === '-' ? -1 : 1;
+    return sign * (Number(fixed[2]) * HOUR + Number(fixed[3] || 0) * 60 * 1000);
+  }
+  if (/^est$/i.test(zone)) return -5 * HOUR;
+
+  // Local time is ahead of UTC by at most a few hours, so the DST check at
+  // the local time shifted by standard time is exact outside the switch hour
+  if (/^(new_york|america\/new_york)$/i.test(zone)) {
+    return getNewYorkOffsetMs(localTime + 5 * HOUR);
+  }
+  if (/^fx_server$/i.test(zone)) {
+    return getNewYorkOffsetMs(localTime - 2 * HOUR) + 7 * HOUR;
+  }
+
+  throw new Error(`Unsupported timezone: ${timezone}`);
+}
+
+// Parse a date/time string into epoch ms. Strings without a zone are read as
+// local time in `timezone`.
+export function parseDateTime(value, timezone = 'UTC', numericFormat = 'auto') {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text) && (numericFormat !== 'auto' || text.length >= 10)) {
+    const number = Number(text);
+    const ms = numericFormat === 'unix' || (numericFormat === 'auto' && number < 1e11) ? number * 1000 : number;
+    return Number.isFinite(ms) ? ms : null;
+  }
+
+  // 2024.01.02 13:45[:00], 2024-01-02T13:45:00, 20240102 134500
+  const match = text.match(/^(\d{4})[.\-/]?(\d{2})[.\-/]?(\d{2})(?:[ T]+(\d{2}):?(\d{2})(?::?(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!match) {
+    const parsed = Date.parse(text);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0', zone] = match;
+  const local = Date.UTC(
+    Number(year), Number(month) - 1, Number(day),
+    Number(hour), Number(minute), Number(second),
+    Number(fraction.padEnd(3, '0').slice(0, 3))
+  );
+
+  return local - getZoneOffsetMs(zone || timezone, local);
+}
+
+function splitLines(content) {
+  return content.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+}
+
+function detectDelimiter(line) {
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, line.split(delimiter).length]);
+  return counts.reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+}
+
+function toCandle(time, open, high, low, close, volume = 0, spread = 0) {
+  const candle = {
+    timestamp: new Date(time).toISOString(),
+    open: parseFloat(open),
+    high: parseFloat(high),
+    low: parseFloat(low),
+    close: parseFloat(close),
+    volume: parseFloat(volume) || 0,
+    spread: parseFloat(spread) || 0
+  };
+
+  const prices = [candle.open, candle.high, candle.low, candle.close];
+  return prices.every(Number.isFinite) ? candle : null;
+}
+
+function sortCandles(candles) {
+  return candles
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+// MetaTrader 4 History Center exports (date,time,o,h,l,c,volume without a
+// header) and MetaTrader 5 exports (<DATE> <TIME> ... <SPREAD> header).
+// MT5 spreads are in points and are converted with `point`.
+export function parseMetaTrader(content, { timezone = 'UTC', symbol = '', point } = {}) {
+  const lines = splitLines(content);
+  if (lines.length === 0) return [];
+
+  const delimiter = detectDelimiter(lines[0]);
+  const instrument = instrumentRegistry.find(symbol);
+  const pointSize = point || (instrument ? 10 ** -instrument.digits : (symbol.includes('JPY') ? 0.001 : 0.00001));
+  let columns = { date: 0, time: 1, open: 2, high: 3, low: 4, close: 5, volume: 6, spread: -1 };
+  let rows = lines;
+
+  if (lines[0].startsWith('<')) {
+    const headers = lines[0].split(delimiter).map(h => h.replace(/[<>]/g, '').trim().toLowerCase());
+    const find = (name) => headers.indexOf(name);
+    const volume = find('vol') >= 0 ? find('vol') : find('tickvol');
+
+    columns = {
+      date: find('date'),
+      time: find('time'),
+      open: find('open'),
+      high: find('high'),
+      low: find('low'),
+      close: find('close'),
+      volume,
+      tickVolume: find('tickvol'),
+      spread: find('spread')
+    };
+    rows = lines.slice(1);
+  }
+
+  return sortCandles(rows.map(line => {
+    const values = line.split(delimiter).map(v => v.trim());
+    const dateTime = columns.time >= 0 ? `${values[columns.date]} ${values[columns.time]}` : values[columns.date];
+    const time = parseDateTime(dateTime, timezone);
+    if (time === null) return null;
+
+    // MT5 leaves real volume at 0 for FX, tick volume is the useful one
+    let volume = values[columns.volume];
+    if (!(parseFloat(volume) > 0) && columns.tickVolume >= 0) {
+      volume = values[columns.tickVolume];
+    }
+
+    const spread = columns.spread >= 0 ? parseFloat(values[columns.spread]) * pointSize : 0;
+    return toCandle(time, values[columns.open], values[columns.high], values[columns.low],
+      values[columns.close], volume, spread);
+  }));
+}
+
+// HistData.com ASCII files: M1 bars ("20240102 000000;o;h;l;c;v") or ticks
+// ("20240102 000000123,bid,ask,v"), which are built into `timeframe` candles.
+// HistData timestamps are EST without DST.
+export function parseHistData(content, { timezone = 'EST', timeframe = '1m', symbol } = {}) {
+  const lines = splitLines(content);
+  if (lines.length === 0) return [];
+
+  const isTicks = /^\d{8} \d{9},/.test(lines[0]);
+
+  if (isTicks) {
+    const ticks = lines.map(line => {
+      const [stamp, bid, ask, volume] = line.split(',');
+      const time = parseDateTime(`${stamp.slice(0, 15)}.${stamp.slice(15)}`, timezone);
+      const bidPrice = parseFloat(bid);
+      const askPrice = parseFloat(ask);
+      if (time === null || !Number.isFinite(bidPrice)) return null;
+
+      return {
+        timestamp: new Date(time).toISOString(),
+        price: bidPrice,
+        bid: bidPrice,
+        ask: askPrice,
+        spread: Number.isFinite(askPrice) ? askPrice - bidPrice : 0,
+        volume: parseFloat(volume) || 1
+      };
+    }).filter(Boolean);
+
+    return resampler.resample(ticks, timeframe, symbol)
+      .map(({ timestamp, open, high, low, close, volume, spread }) => ({ timestamp, open, high, low, close, volume, spread }));
+  }
+
+  return sortCandles(lines.map(line => {
+    const [stamp, open, high, low, close, volume] = line.split(';');
+    const time = parseDateTime(stamp, timezone);
+    return time === null ? null : toCandle(time, open, high, low, close, volume);
+  }));
+}
+
+// Any delimited OHLCV file. `columns` maps fields to header names or 0-based
+// indexes; a separate `date` and `time` column pair is joined. Numeric
+// timestamps are read as unix seconds or ms unless `timestampFormat` says so.
+export function parseGeneric(content, {
+  delimiter,
+  header = true,
+  columns = {},
+  timezone = 'UTC',
+  timestampFormat = 'auto',
+  skipRows = 0
+} = {}) {
+  const lines = splitLines(content).slice(skipRows);
+  if (lines.length === 0) return [];
+
+  const separator = delimiter || detectDelimiter(lines[0]);
+  const headers = header ? lines[0].split(separator).map(h => h.trim().toLowerCase()) : [];
+  const rows = header ? lines.slice(1) : lines;
+
+  const resolveColumn = (column) => (typeof column === 'number' ? column : headers.indexOf(column.toLowerCase()));
+  const resolve = (field) => {
+    if (columns[field] !== undefined) return resolveColumn(columns[field]);
+    if (!header) return -1;
+    return headers.findIndex(h => COLUMN_ALIASES[field]?.includes(h));
+  };
+
+  // Separate date and time columns, given or found in the header
+  const splitDateTime = columns.date !== undefined || (columns.timestamp === undefined &&
+    headers.includes('date') && headers.includes('time') &&
+    !headers.some(h => ['timestamp', 'datetime', 'date_time'].includes(h)));
+  const dateColumn = columns.date ?? 'date';
+  const timeColumn = columns.time ?? (columns.date !== undefined ? undefined : 'time');
+
+  const index = {
+    timestamp: splitDateTime ? -1 : resolve('timestamp'),
+    date: splitDateTime ? resolveColumn(dateColumn) : -1,
+    time: splitDateTime && timeColumn !== undefined ? resolveColumn(timeColumn) : -1,
+    open: resolve('open'),
+    high: resolve('high'),
+    low: resolve('low'),
+    close: resolve('close'),
+    volume: resolve('volume'),
+    spread: resolve('spread')
+  };
+
+  const missing = ['open', 'high', 'low', 'close'].filter(field => index[field] < 0);
+  if ((index.timestamp < 0 && index.date < 0) || missing.length > 0) {
+    throw new Error(`Cannot find columns: ${[index.timestamp < 0 && index.date < 0 ? 'timestamp' : null, ...missing].filter(Boolean).join(', ')}`);
+  }
+
+  return sortCandles(rows.map(line => {
+    const values = line.split(separator).map(v => v.trim().replace(/^"|"$/g, ''));
+    const stamp = index.date >= 0
+      ? `${values[index.date]}${index.time >= 0 ? ` ${values[index.time]}` : ''}`
+      : values[index.timestamp];
+    const time = parseDateTime(stamp, timezone, timestampFormat);
+    if (time === null) return null;
+
+    return toCandle(
+      time,
+      values[index.open],
+      values[index.high],
+      values[index.low],
+      values[index.close],
+      index.volume >= 0 ? values[index.volume] : 0,
+      index.spread >= 0 ? values[index.spread] : 0
+    );
+  }));
+}
+
+export function detectFormat(content) {
+  const firstLine = splitLines(content.slice(0, 1000))[0] || '';
+
+  if (firstLine.startsWith('<DATE>') || /^\d{4}\.\d{2}\.\d{2}[,\t]\d{2}:\d{2}/.test(firstLine)) {
+    return 'metatrader';
+  }
+  if (/^\d{8} \d{6};/.test(firstLine) || /^\d{8} \d{9},/.test(firstLine)) {
+    return 'histdata';
+  }
+  return 'generic';
+}
+
+export function parseCandles(content, { format = 'auto', ...options } = {}) {
+  const resolved = format === 'auto' ? detectFormat(content) : format;
+
+  switch (resolved) {
+    case 'metatrader':
+      return parseMetaTrader(content, options);
+    case 'histdata':
+      return parseHistData(content, options);
+    case 'generic':
+      return parseGeneric(content, options);
+    default:
+      throw new Error(`Unknown import format: ${format}. Use one of ${IMPORT_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,424 @@
+import { open, mkdir, readdir, readFile, rename, stat } from 'fs/promises';
+import path from 'path';
+import { resampler, getTimeframeMs, isFxMarketOpen, TIMEFRAME_MS } from '../timeframes';
+import { parseCandles } from './importers';
+
+// Local candle store: one append-only binary file per symbol and timeframe
+// (<directory>/<SYMBOL>/<timeframe>.bin). After an 8 byte header each candle
+// is a fixed-size record of float64 time, open, high, low, close, volume and
+// spread, sorted by time, so range queries binary search the file instead of
+// reading it. Writes newer than the last candle are appended; anything else
+// is merged and the file is rewritten.
+
+const MAGIC = 'FXC1';
+const HEADER_SIZE = 8;
+const FIELDS = ['time', 'open', 'high', 'low', 'close', 'volume', 'spread'];
+const RECORD_SIZE = FIELDS.length * 8;
+
+function encode(records) {
+  const buffer = Buffer.alloc(records.length * RECORD_SIZE);
+
+  records.forEach((record, i) => {
+    FIELDS.forEach((field, n) => buffer.writeDoubleLE(record[field], i * RECORD_SIZE + n * 8));
+  });
+
+  return buffer;
+}
+
+function decode(buffer, symbol, timeframe) {
+  const candles = [];
+
+  for (let offset = 0; offset + RECORD_SIZE <= buffer.length; offset += RECORD_SIZE) {
+    candles.push({
+      symbol,
+      timeframe,
+      timestamp: new Date(buffer.readDoubleLE(offset)).toISOString(),
+      open: buffer.readDoubleLE(offset + 8),
+      high: buffer.readDoubleLE(offset + 16),
+      low: buffer.readDoubleLE(offset + 24),
+      close: buffer.readDoubleLE(offset + 32),
+      volume: buffer.readDoubleLE(offset + 40),
+      spread: buffer.readDoubleLE(offset + 48)
+    });
+  }
+
+  return candles;
+}
+
+function header() {
+  const buffer = Buffer.alloc(HEADER_SIZE);
+  buffer.write(MAGIC, 0, 'ascii');
+  buffer.writeUInt32LE(FIELDS.length, 4);
+  return buffer;
+}
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+export class CandleStore {
+  constructor(config = {}) {
+    this.config = {
+      directory: process.env.CANDLE_STORE_DIR || path.join(process.cwd(), 'data', 'candles'),
+      ...config
+    };
+
+    this.locks = new Map();
+  }
+
+  getFilePath(symbol, timeframe) {
+    getTimeframeMs(timeframe);
+    const safeSymbol = String(symbol).toUpperCase().replace(/[^A-Z0-9._-]/g, '');
+    if (!safeSymbol) {
+      throw new Error(`Invalid symbol: ${symbol}`);
+    }
+
+    return path.join(this.config.directory, safeSymbol, `${timeframe}.bin`);
+  }
+
+  // Writes to one file run one at a time
+  withLock(filePath, task) {
+    const previous = this.locks.get(filePath) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    this.locks.set(filePath, next);
+    next.finally(() => {
+      if (this.locks.get(filePath) === next) this.locks.delete(filePath);
+    }).catch(() => {});
+
+    return next;
+  }
+
+  async openFile(filePath) {
+    let handle;
+    try {
+      handle = await open(filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const { size } = await handle.stat();
+    const magic = Buffer.alloc(HEADER_SIZE);
+    await handle.read(magic, 0, HEADER_SIZE, 0);
+
+    if (magic.toString('ascii', 0, 4) !== MAGIC || magic.readUInt32LE(4) !== FIELDS.length) {
+      await handle.close();
+      throw new Error(`Not a candle store file: ${filePath}`);
+    }
+
+    return { handle, count: Math.floor((size - HEADER_SIZE) / RECORD_SIZE) };
+  }
+
+  async readTime(handle, index) {
+    const buffer = Buffer.alloc(8);
+    await handle.read(buffer, 0, 8, HEADER_SIZE + index * RECORD_SIZE);
+    return buffer.readDoubleLE(0);
+  }
+
+  // First record index with time >= `time`
+  async lowerBound(handle, count, time) {
+    let low = 0;
+    let high = count;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (await this.readTime(handle, mid) < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  async readRecords(handle, start, end) {
+    const length = Math.max(0, end - start) * RECORD_SIZE;
+    const buffer = Buffer.alloc(length);
+    if (length > 0) {
+      await handle.read(buffer, 0, length, HEADER_SIZE + start * RECORD_SIZE);
+    }
+    return buffer;
+  }
+
+  normalize(candles) {
+    const byTime = new Map();
+
+    for (const candle of candles) {
+      const time = toTime(candle.time ?? candle.timestamp ?? candle.datetime);
+      const record = {
+        time,
+        open: parseFloat(candle.open),
+        high: parseFloat(candle.high),
+        low: parseFloat(candle.low),
+        close: parseFloat(candle.close),
+        volume: parseFloat(candle.volume) || 0,
+        spread: parseFloat(candle.spread) || 0
+      };
+
+      if (time !== null && [record.open, record.high, record.low, record.close].every(Number.isFinite)) {
+        byTime.set(time, record);
+      }
+    }
+
+    return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+  }
+
+  // Store candles. Existing candles at the same time are replaced unless
+  // `overwrite` is false.
+  async write(symbol, timeframe, candles, { overwrite = true } = {}) {
+    const filePath = this.getFilePath(symbol, timeframe);
+    const records = this.normalize(candles);
+
+    return this.withLock(filePath, async () => {
+      if (records.length === 0) {
+        return { symbol, timeframe, added: 0, replaced: 0, total: (await this.getRange(symbol, timeframe))?.count || 0 };
+      }
+
+      await mkdir(path.dirname(filePath), { recursive: true });
+      const file = await this.openFile(filePath);
+
+      if (!file) {
+        await this.writeFile(filePath, records);
+        return { symbol, timeframe, added: records.length, replaced: 0, total: records.length };
+      }
+
+      const { handle, count } = file;
+      let existing;
+      try {
+        const lastTime = count > 0 ? await this.readTime(handle, count - 1) : -Infinity;
+
+        if (records[0].time > lastTime) {
+          await handle.close();
+          const appendHandle = await open(filePath, 'a');
+          try {
+            await appendHandle.write(encode(records));
+          } finally {
+            await appendHandle.close();
+          }
+          return { symbol, timeframe, added: records.length, replaced: 0, total: count + records.length };
+        }
+
+        existing = await this.readRecords(handle, 0, count);
+      } finally {
+        await handle.close().catch(() => {});
+      }
+
+      const merged = new Map(decode(existing).map(candle => {
+        const record = { ...candle, time: new Date(candle.timestamp).getTime() };
+        return [record.time, record];
+      }));
+
+      let added = 0;
+      let replaced = 0;
+      for (const record of records) {
+        if (!merged.has(record.time)) {
+          added++;
+        } else if (overwrite) {
+          replaced++;
+        } else {
+          continue;
+        }
+        merged.set(record.time, record);
+      }
+
+      const sorted = Array.from(merged.values()).sort((a, b) => a.time - b.time);
+      await this.writeFile(filePath, sorted);
+
+      return { symbol, timeframe, added, replaced, total: sorted.length };
+    });
+  }
+
+  // Replace a file atomically
+  async writeFile(filePath, records) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await open(tempPath, 'w');
+
+    try {
+      await handle.write(header());
+      await handle.write(encode(records));
+    } finally {
+      await handle.close();
+    }
+
+    await rename(tempPath, filePath);
+  }
+
+  // Stored candles oldest first, optionally within [from, to]. With `limit`
+  // the most recent candles in the range are returned.
+  async query(symbol, timeframe, { from, to, limit } = {}) {
+    const file = await this.openFile(this.getFilePath(symbol, timeframe));
+    if (!file) return [];
+
+    const { handle, count } = file;
+    try {
+      const fromTime = toTime(from);
+      const toTimeValue = toTime(to);
+
+      let start = fromTime === null ? 0 : await this.lowerBound(handle, count, fromTime);
+      const end = toTimeValue === null ? count : await this.lowerBound(handle, count, toTimeValue + 1);
+
+      if (limit && end - start > limit) {
+        start = end - limit;
+      }
+
+      return decode(await this.readRecords(handle, start, end), symbol, timeframe);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Candles for any timeframe: stored ones if there are any, otherwise built
+  // from the largest stored timeframe that resamples into it
+  async getCandles(symbol, timeframe, { from, to, limit } = {}) {
+    const stored = await this.query(symbol, timeframe, { from, to, limit });
+    if (stored.length > 0) return stored;
+
+    const sources = (await this.getTimeframes(symbol))
+      .filter(source => source !== timeframe && resampler.canResample(source, timeframe))
+      .sort((a, b) => TIMEFRAME_MS[b] - TIMEFRAME_MS[a]);
+
+    if (sources.length === 0) return [];
+
+    const source = sources[0];
+    const ratio = TIMEFRAME_MS[timeframe] / TIMEFRAME_MS[source];
+    const fromTime = toTime(from);
+
+    // Start a bar early so the first candle isn't partial
+    const lower = await this.query(symbol, source, {
+      from: fromTime === null ? undefined : fromTime - TIMEFRAME_MS[timeframe],
+      to,
+      limit: limit && fromTime === null ? (limit + 1) * ratio * 2 : undefined
+    });
+
+    let candles = resampler.resample(lower, timeframe, symbol)
+      .filter(candle => fromTime === null || new Date(candle.timestamp).getTime() >= fromTime);
+
+    if (limit) candles = candles.slice(-limit);
+    return candles;
+  }
+
+  async getRange(symbol, timeframe) {
+    const file = await this.openFile(this.getFilePath(symbol, timeframe));
+    if (!file) return null;
+
+    const { handle, count } = file;
+    try {
+      if (count === 0) return null;
+
+      return {
+        symbol,
+        timeframe,
+        from: new Date(await this.readTime(handle, 0)).toISOString(),
+        to: new Date(await this.readTime(handle, count - 1)).toISOString(),
+        count
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async getTimeframes(symbol) {
+    try {
+      const files = await readdir(path.dirname(this.getFilePath(symbol, '1m')));
+      return files
+        .filter(file => file.endsWith('.bin'))
+        .map(file => file.slice(0, -4))
+        .filter(timeframe => TIMEFRAME_MS[timeframe]);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Every stored series with its range
+  async list() {
+    let symbols;
+    try {
+      symbols = await readdir(this.config.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const series = [];
+    for (const symbol of symbols) {
+      if (!(await stat(path.join(this.config.directory, symbol))).isDirectory()) continue;
+
+      for (const timeframe of await this.getTimeframes(symbol)) {
+        const range = await this.getRange(symbol, timeframe);
+        if (range) series.push(range);
+      }
+    }
+
+    return series;
+  }
+
+  // Runs of missing candles between stored ones. Bars that would fall in the
+  // FX weekend close don't count as missing unless `skipWeekends` is false.
+  async findGaps(symbol, timeframe, { from, to, skipWeekends = true, minBars = 1 } = {}) {
+    const size = getTimeframeMs(timeframe);
+    const candles = await this.query(symbol, timeframe, { from, to });
+    const gaps = [];
+
+    for (let i = 1; i < candles.length; i++) {
+      const previous = new Date(candles[i - 1].timestamp).getTime();
+      const current = new Date(candles[i].timestamp).getTime();
+      if (current - previous <= size) continue;
+
+      let missingBars = 0;
+      for (let time = previous + size; time < current; time += size) {
+        if (!skipWeekends || isFxMarketOpen(time)) missingBars++;
+      }
+
+      if (missingBars >= minBars) {
+        gaps.push({
+          from: candles[i - 1].timestamp,
+          to: candles[i].timestamp,
+          missingBars
+        });
+      }
+    }
+
+    return gaps;
+  }
+
+  // Parse an export and store it. Options go to the parser (format,
+  // timezone, columns, ...) - see ./importers.
+  async importContent(content, { symbol, timeframe, overwrite = true, ...options } = {}) {
+    if (!symbol || !timeframe) {
+      throw new Error('symbol and timeframe are required to import candles');
+    }
+
+    const candles = parseCandles(content, { symbol, timeframe, ...options });
+    if (candles.length === 0) {
+      throw new Error('No candles found in import');
+    }
+
+    const result = await this.write(symbol, timeframe, candles, { overwrite });
+    const gaps = await this.findGaps(symbol, timeframe, {
+      from: candles[0].timestamp,
+      to: candles[candles.length - 1].timestamp
+    });
+
+    return {
+      ...result,
+      imported: candles.length,
+      from: candles[0].timestamp,
+      to: candles[candles.length - 1].timestamp,
+      gaps
+    };
+  }
+
+  async importFile(filePath, options = {}) {
+    const content = await readFile(filePath, 'utf8');
+    return this.importContent(content, options);
+  }
+}
+
+export const candleStore = new CandleStore();
+
+export default candleStore;
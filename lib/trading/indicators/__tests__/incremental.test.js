@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { TechnicalIndicators } from '../index';
+import { createIncrementalIndicator, IndicatorStream } from '../incremental';
+
+// Deterministic random walk, long enough for every running total to be
+// rebuilt many times over
+function makeBars(count = 400) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const bars = [];
+  let close = 1.1;
+  for (let i = 0; i < count; i++) {
+    const open = close;
+    close = open + (random() - 0.5) * 0.002;
+    bars.push({
+      timestamp: new Date(Date.UTC(2024, 0, 2) + i * 60000).toISOString(),
+      open,
+      high: Math.max(open, close) + random() * 0.0005,
+      low: Math.min(open, close) - random() * 0.0005,
+      close,
+      volume: 100 + Math.floor(random() * 900)
+    });
+  }
+  return bars;
+}
+
+const bars = makeBars();
+const highs = bars.map(b => b.high);
+const lows = bars.map(b => b.low);
+const closes = bars.map(b => b.close);
+const volumes = bars.map(b => b.volume);
+const batch = new TechnicalIndicators();
+
+// Streamed values for every bar, without the warm-up nulls
+function stream(name, ...params) {
+  const indicator = createIncrementalIndicator(name, ...params);
+  return bars.map(bar => indicator.update(bar)).filter(value => value !== null);
+}
+
+// Both series end on the last bar, so they are compared from the end
+function expectSeriesClose(streamed, batch, pick = value => value) {
+  const length = Math.min(streamed.length, batch.length);
+  expect(length).toBeGreaterThan(bars.length / 2);
+
+  const tail = (series) => series.slice(series.length - length).map(pick);
+  const actual = tail(streamed);
+  const expected = tail(batch);
+
+  actual.forEach((value, i) => {
+    expect(Math.abs(value - expected[i])).toBeLessThanOrEqual(1e-9 * Math.max(1, Math.abs(expected[i])));
+  });
+}
+
+describe('incremental indicators', () => {
+  it('match the batch SMA and EMA', () => {
+    expectSeriesClose(stream('sma', 20), batch.sma(closes, 20));
+    expectSeriesClose(stream('ema', 21), batch.ema(closes, 21));
+  });
+
+  it('match the batch RSI', () => {
+    expectSeriesClose(stream('rsi', 14), batch.rsi(closes, 14));
+  });
+
+  it('match the batch MACD', () => {
+    const streamed = stream('macd', 12, 26, 9);
+    const { macd, signal, histogram } = batch.macd(closes, 12, 26, 9);
+
+    expectSeriesClose(streamed.map(v => v.macd), macd);
+    expectSeriesClose(streamed.map(v => v.signal), signal);
+    expectSeriesClose(streamed.map(v => v.histogram), histogram);
+  });
+
+  it('match the batch Bollinger Bands', () => {
+    const streamed = stream('bollingerBands', 20, 2);
+    const expected = batch.bollingerBands(closes, 20, 2);
+
+    ['upper', 'middle', 'lower'].forEach(band => expectSeriesClose(streamed, expected, value => value[band]));
+  });
+
+  it('match the batch ATR, CCI and MFI', () => {
+    expectSeriesClose(stream('atr', 14), batch.atr(highs, lows, closes, 14));
+    expectSeriesClose(stream('cci', 20), batch.cci(highs, lows, closes, 20));
+    expectSeriesClose(stream('mfi', 14), batch.mfi(highs, lows, closes, volumes, 14));
+  });
+
+  it('match the batch Stochastic and Williams %R', () => {
+    const streamed = stream('stochastic', 14, 3, 3);
+    const { k, d } = batch.stochastic(highs, lows, closes, 14, 3, 3);
+
+    expectSeriesClose(streamed.map(v => v.k), k);
+    expectSeriesClose(streamed.filter(v => v.d !== null).map(v => v.d), d);
+    expectSeriesClose(stream('williamsR', 14), batch.williamsR(highs, lows, closes, 14));
+  });
+
+  it('match the batch Momentum, ROC and Parabolic SAR', () => {
+    expectSeriesClose(stream('momentum', 10), batch.momentum(closes, 10));
+    expectSeriesClose(stream('roc', 12), batch.roc(closes, 12));
+    expectSeriesClose(stream('parabolicSAR', 0.02, 0.2), batch.parabolicSAR(highs, lows, 0.02, 0.2));
+  });
+});
+
+describe('IndicatorStream', () => {
+  it('catches up with a sliding price window one new bar at a time', () => {
+    const indicators = new IndicatorStream({ maxHistory: 100 });
+    indicators.add('sma', 20);
+
+    for (let i = 100; i <= bars.length; i++) {
+      indicators.sync(bars.slice(i - 100, i));
+    }
+
+    expect(indicators.history[indicators.history.length - 1]).toBe(bars[bars.length - 1]);
+    expect(indicators.get('sma', 20)).toBeCloseTo(batch.sma(closes, 20).at(-1), 12);
+  });
+
+  it('reseeds when the window no longer overlaps what it has seen', () => {
+    const indicators = new IndicatorStream();
+    indicators.sync(bars.slice(200, 300));
+    indicators.add('sma', 20);
+
+    // A replay from the start, as when a backtest is run again
+    indicators.sync(bars.slice(0, 100));
+
+    expect(indicators.get('sma', 20)).toBeCloseTo(batch.sma(closes.slice(0, 100), 20).at(-1), 12);
+  });
+});
+
+describe('TechnicalIndicators cache', () => {
+  it('counts cached results once per input array and key', () => {
+    const indicators = new TechnicalIndicators();
+    const data = closes.slice(0, 50);
+
+    indicators.sma(data, 10);
+    indicators.sma(data, 10);
+    indicators.ema(data, 10);
+    expect(indicators.getCacheSize()).toBe(2);
+
+    indicators.clearCache();
+    expect(indicators.getCacheSize()).toBe(0);
+  });
+
+  it.runIf(typeof globalThis.gc === 'function')('stops counting results whose input was garbage collected', async () => {
+    const indicators = new TechnicalIndicators();
+    indicators.sma(closes.slice(0, 50), 10);
+    expect(indicators.getCacheSize()).toBe(1);
+
+    // Finalization callbacks run on a later turn after collection
+    for (let attempt = 0; attempt < 20 && indicators.getCacheSize() > 0; attempt++) {
+      globalThis.gc();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(indicators.getCacheSize()).toBe(0);
+  });
+});
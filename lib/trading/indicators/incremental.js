@@ -0,0 +1,652 @@
+// Stateful indicators that take one closed bar at a time.
+//
+// Updates are O(1), amortized. Window sums are kept as running totals and
+// rebuilt from the window once per period, summed in the same order as the
+// batch methods in TechnicalIndicators, so rounding error can't build up on
+// long-running streams. Rolling highs and lows come from monotonic queues.
+// CCI is the exception: its mean deviation is taken around the current mean,
+// so every term changes on every bar and the window is walked each update.
+
+const closeOf = (bar) => (typeof bar === 'number' ? bar : bar.close);
+
+// Fixed-size buffer of the most recent values, oldest first
+class RollingWindow {
+  constructor(size) {
+    this.size = size;
+    this.buffer = new Array(size);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  // Returns the value pushed out of a full window, or undefined
+  push(value) {
+    if (this.length < this.size) {
+      this.buffer[(this.start + this.length) % this.size] = value;
+      this.length++;
+      return undefined;
+    }
+
+    const evicted = this.buffer[this.start];
+    this.buffer[this.start] = value;
+    this.start = (this.start + 1) % this.size;
+    return evicted;
+  }
+
+  isFull() {
+    return this.length === this.size;
+  }
+
+  // Oldest value still in the window
+  first() {
+    return this.buffer[this.start];
+  }
+
+  toArray() {
+    const values = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      values[i] = this.buffer[(this.start + i) % this.size];
+    }
+    return values;
+  }
+
+  clear() {
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+// Running sum of a RollingWindow, rebuilt from the window every `size` pushes
+class RollingSum {
+  constructor(size) {
+    this.window = new RollingWindow(size);
+    this.sum = 0;
+    this.pushes = 0;
+  }
+
+  push(value) {
+    const evicted = this.window.push(value);
+    this.sum += value - (evicted ?? 0);
+
+    if (++this.pushes >= this.window.size) {
+      this.pushes = 0;
+      this.sum = this.window.toArray().reduce((a, b) => a + b, 0);
+    }
+  }
+
+  isFull() {
+    return this.window.isFull();
+  }
+
+  clear() {
+    this.window.clear();
+    this.sum = 0;
+    this.pushes = 0;
+  }
+}
+
+// Highest (or lowest) of the last `size` values. Values that can no longer
+// be the extreme are dropped on push, so each value is handled at most twice.
+class RollingExtreme {
+  constructor(size, keep) {
+    this.size = size;
+    this.keep = keep; // (older, newer) => true while older may still be the extreme
+    this.clear();
+  }
+
+  push(value) {
+    const index = this.count++;
+
+    while (this.entries.length > this.head && !this.keep(this.entries[this.entries.length - 1].value, value)) {
+      this.entries.pop();
+    }
+    this.entries.push({ index, value });
+
+    if (this.entries[this.head].index <= index - this.size) {
+      this.head++;
+    }
+
+    // Compact the consumed front now and then so the array stays bounded
+    if (this.head > this.size) {
+      this.entries = this.entries.slice(this.head);
+      this.head = 0;
+    }
+  }
+
+  isFull() {
+    return this.count >= this.size;
+  }
+
+  value() {
+    return this.entries[this.head].value;
+  }
+
+  clear() {
+    this.entries = [];
+    this.head = 0;
+    this.count = 0;
+  }
+}
+
+const rollingMax = (size) => new RollingExtreme(size, (older, newer) => older > newer);
+const rollingMin = (size) => new RollingExtreme(size, (older, newer) => older < newer);
+
+class IncrementalIndicator {
+  constructor() {
+    this.value = null;
+    this.count = 0;
+  }
+
+  update(bar) {
+    this.count++;
+    this.value = this.next(bar);
+    return this.value;
+  }
+
+  isReady() {
+    return this.value !== null;
+  }
+
+  // Replay history from scratch; returns the latest value
+  seed(history) {
+    this.reset();
+    history.forEach(bar => this.update(bar));
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.count = 0;
+  }
+}
+
+export class IncrementalSMA extends IncrementalIndicator {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.total = new RollingSum(period);
+  }
+
+  next(bar) {
+    this.total.push(closeOf(bar));
+    if (!this.total.isFull()) return null;
+
+    return this.total.sum / this.period;
+  }
+
+  reset() {
+    super.reset();
+    this.total.clear();
+  }
+}
+
+export class IncrementalEMA extends IncrementalIndicator {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.multiplier = 2 / (period + 1);
+  }
+
+  // Seeded with the first value, like the batch version
+  next(bar) {
+    const value = closeOf(bar);
+    if (this.value === null) return value;
+
+    return (value * this.multiplier) + (this.value * (1 - this.multiplier));
+  }
+}
+
+export class IncrementalRSI extends IncrementalIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+    this.previous = null;
+    this.gains = new IncrementalSMA(period);
+    this.losses = new IncrementalSMA(period);
+  }
+
+  next(bar) {
+    const close = closeOf(bar);
+    const previous = this.previous;
+    this.previous = close;
+    if (previous === null) return null;
+
+    const change = close - previous;
+    const gain = this.gains.update(change > 0 ? change : 0);
+    const loss = this.losses.update(change < 0 ? Math.abs(change) : 0);
+    if (gain === null) return null;
+
+    const rs = gain / loss;
+    return 100 - (100 / (1 + rs));
+  }
+
+  reset() {
+    super.reset();
+    this.previous = null;
+    this.gains.reset();
+    this.losses.reset();
+  }
+}
+
+export class IncrementalMACD extends IncrementalIndicator {
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    super();
+    this.fast = new IncrementalEMA(fastPeriod);
+    this.slow = new IncrementalEMA(slowPeriod);
+    this.signal = new IncrementalEMA(signalPeriod);
+  }
+
+  next(bar) {
+    const macd = this.fast.update(bar) - this.slow.update(bar);
+    const signal = this.signal.update(macd);
+
+    return { macd, signal, histogram: macd - signal };
+  }
+
+  reset() {
+    super.reset();
+    this.fast.reset();
+    this.slow.reset();
+    this.signal.reset();
+  }
+}
+
+export class IncrementalBollingerBands extends IncrementalIndicator {
+  constructor(period = 20, deviation = 2) {
+    super();
+    this.period = period;
+    this.deviation = deviation;
+    this.window = new RollingWindow(period);
+    this.mean = 0;
+    this.squaredDeviations = 0;
+    this.pushes = 0;
+  }
+
+  // The mean and sum of squared deviations slide with each bar (Welford's
+  // update for a value replaced in a fixed-size window), and are recomputed
+  // exactly once per period
+  next(bar) {
+    const close = closeOf(bar);
+    const evicted = this.window.push(close);
+    if (!this.window.isFull()) return null;
+
+    if (evicted === undefined || ++this.pushes >= this.period) {
+      const slice = this.window.toArray();
+      this.mean = slice.reduce((a, b) => a + b, 0) / this.period;
+      this.squaredDeviations = slice.reduce((sum, val) => sum + Math.pow(val - this.mean, 2), 0);
+      this.pushes = 0;
+    } else {
+      const previousMean = this.mean;
+      this.mean += (close - evicted) / this.period;
+      this.squaredDeviations += (close - evicted) * (close - this.mean + evicted - previousMean);
+    }
+
+    const mean = this.mean;
+    const variance = Math.max(this.squaredDeviations, 0) / this.period;
+    const stdDev = Math.sqrt(variance);
+
+    return {
+      upper: mean + (stdDev * this.deviation),
+      middle: mean,
+      lower: mean - (stdDev * this.deviation)
+    };
+  }
+
+  reset() {
+    super.reset();
+    this.window.clear();
+    this.mean = 0;
+    this.squaredDeviations = 0;
+    this.pushes = 0;
+  }
+}
+
+export class IncrementalATR extends IncrementalIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+    this.previousClose = null;
+    this.average = new IncrementalSMA(period);
+  }
+
+  next(bar) {
+    const previousClose = this.previousClose;
+    this.previousClose = bar.close;
+    if (previousClose === null) return null;
+
+    const trueRange = Math.max(
+      bar.high - bar.low,
+      Math.abs(bar.high - previousClose),
+      Math.abs(bar.low - previousClose)
+    );
+
+    return this.average.update(trueRange);
+  }
+
+  reset() {
+    super.reset();
+    this.previousClose = null;
+    this.average.reset();
+  }
+}
+
+export class IncrementalStochastic extends IncrementalIndicator {
+  constructor(kPeriod = 14, dPeriod = 3, smoothing = 3) {
+    super();
+    this.highs = rollingMax(kPeriod);
+    this.lows = rollingMin(kPeriod);
+    this.smoothedK = new IncrementalSMA(smoothing);
+    this.d = new IncrementalSMA(dPeriod);
+  }
+
+  // d stays null until enough smoothed %K values exist
+  next(bar) {
+    this.highs.push(bar.high);
+    this.lows.push(bar.low);
+    if (!this.highs.isFull()) return null;
+
+    const highestHigh = this.highs.value();
+    const lowestLow = this.lows.value();
+    const k = this.smoothedK.update(((bar.close - lowestLow) / (highestHigh - lowestLow)) * 100);
+    if (k === null) return null;
+
+    return { k, d: this.d.update(k) };
+  }
+
+  reset() {
+    super.reset();
+    this.highs.clear();
+    this.lows.clear();
+    this.smoothedK.reset();
+    this.d.reset();
+  }
+}
+
+export class IncrementalWilliamsR extends IncrementalIndicator {
+  constructor(period = 14) {
+    super();
+    this.highs = rollingMax(period);
+    this.lows = rollingMin(period);
+  }
+
+  next(bar) {
+    this.highs.push(bar.high);
+    this.lows.push(bar.low);
+    if (!this.highs.isFull()) return null;
+
+    const highestHigh = this.highs.value();
+    const lowestLow = this.lows.value();
+    return ((highestHigh - bar.close) / (highestHigh - lowestLow)) * -100;
+  }
+
+  reset() {
+    super.reset();
+    this.highs.clear();
+    this.lows.clear();
+  }
+}
+
+export class IncrementalCCI extends IncrementalIndicator {
+  constructor(period = 20) {
+    super();
+    this.period = period;
+    this.total = new RollingSum(period);
+  }
+
+  // O(period): the deviations are from this bar's mean, so all of them change
+  next(bar) {
+    const typicalPrice = (bar.high + bar.low + bar.close) / 3;
+    this.total.push(typicalPrice);
+    if (!this.total.isFull()) return null;
+
+    const slice = this.total.window.toArray();
+    const mean = this.total.sum / this.period;
+    const meanDeviation = slice.reduce((sum, val) => sum + Math.abs(val - mean), 0) / this.period;
+    return (typicalPrice - mean) / (0.015 * meanDeviation);
+  }
+
+  reset() {
+    super.reset();
+    this.total.clear();
+  }
+}
+
+export class IncrementalMFI extends IncrementalIndicator {
+  constructor(period = 14) {
+    super();
+    this.previousTypicalPrice = null;
+    this.positiveFlow = new RollingSum(period);
+    this.negativeFlow = new RollingSum(period);
+  }
+
+  next(bar) {
+    const typicalPrice = (bar.high + bar.low + bar.close) / 3;
+    const previous = this.previousTypicalPrice;
+    this.previousTypicalPrice = typicalPrice;
+    if (previous === null) return null;
+
+    // Each bar's flow counts on one side and as zero on the other
+    const flow = typicalPrice * bar.volume;
+    const positive = typicalPrice > previous;
+    this.positiveFlow.push(positive ? flow : 0);
+    this.negativeFlow.push(positive ? 0 : flow);
+    if (!this.positiveFlow.isFull()) return null;
+
+    const moneyRatio = this.positiveFlow.sum / this.negativeFlow.sum;
+    return 100 - (100 / (1 + moneyRatio));
+  }
+
+  reset() {
+    super.reset();
+    this.previousTypicalPrice = null;
+    this.positiveFlow.clear();
+    this.negativeFlow.clear();
+  }
+}
+
+export class IncrementalMomentum extends IncrementalIndicator {
+  constructor(period = 10) {
+    super();
+    this.window = new RollingWindow(period + 1);
+  }
+
+  next(bar) {
+    const close = closeOf(bar);
+    this.window.push(close);
+    if (!this.window.isFull()) return null;
+
+    return close - this.window.first();
+  }
+
+  reset() {
+    super.reset();
+    this.window.clear();
+  }
+}
+
+export class IncrementalROC extends IncrementalMomentum {
+  constructor(period = 12) {
+    super(period);
+  }
+
+  next(bar) {
+    const change = super.next(bar);
+    if (change === null) return null;
+
+    return (change / this.window.first()) * 100;
+  }
+}
+
+export class IncrementalParabolicSAR extends IncrementalIndicator {
+  constructor(acceleration = 0.02, maximum = 0.2) {
+    super();
+    this.acceleration = acceleration;
+    this.maximum = maximum;
+    this.trend = 1;
+    this.ep = null;
+    this.af = acceleration;
+  }
+
+  next(bar) {
+    if (this.value === null) {
+      this.trend = 1;
+      this.ep = bar.high;
+      this.af = this.acceleration;
+      return bar.low;
+    }
+
+    let sar = this.value + this.af * (this.ep - this.value);
+
+    if (this.trend === 1) {
+      if (bar.low <= sar) {
+        this.trend = -1;
+        sar = this.ep;
+        this.ep = bar.low;
+        this.af = this.acceleration;
+      } else if (bar.high > this.ep) {
+        this.ep = bar.high;
+        this.af = Math.min(this.af + this.acceleration, this.maximum);
+      }
+    } else if (bar.high >= sar) {
+      this.trend = 1;
+      sar = this.ep;
+      this.ep = bar.high;
+      this.af = this.acceleration;
+    } else if (bar.low < this.ep) {
+      this.ep = bar.low;
+      this.af = Math.min(this.af + this.acceleration, this.maximum);
+    }
+
+    return sar;
+  }
+
+  reset() {
+    super.reset();
+    this.trend = 1;
+    this.ep = null;
+    this.af = this.acceleration;
+  }
+}
+
+export const INCREMENTAL_INDICATORS = {
+  sma: IncrementalSMA,
+  ema: IncrementalEMA,
+  rsi: IncrementalRSI,
+  macd: IncrementalMACD,
+  bollingerBands: IncrementalBollingerBands,
+  atr: IncrementalATR,
+  stochastic: IncrementalStochastic,
+  williamsR: IncrementalWilliamsR,
+  cci: IncrementalCCI,
+  mfi: IncrementalMFI,
+  momentum: IncrementalMomentum,
+  roc: IncrementalROC,
+  parabolicSAR: IncrementalParabolicSAR
+};
+
+export function createIncrementalIndicator(name, ...params) {
+  const IndicatorClass = INCREMENTAL_INDICATORS[name];
+  if (!IndicatorClass) {
+    throw new Error(`Unknown incremental indicator: ${name}`);
+  }
+  return new IndicatorClass(...params);
+}
+
+// All incremental indicators for one symbol and timeframe. Keeps a bounded
+// copy of recent bars so indicators added later are seeded from the same history.
+export class IndicatorStream {
+  constructor({ symbol = null, timeframe = null, maxHistory = 1000 } = {}) {
+    this.symbol = symbol;
+    this.timeframe = timeframe;
+    this.maxHistory = maxHistory;
+    this.history = [];
+    this.indicators = new Map();
+    this.lastTimestamp = null;
+  }
+
+  // Returns the indicator for name/params, creating and seeding it on first use
+  add(name, ...params) {
+    const key = [name, ...params].join('_');
+
+    if (!this.indicators.has(key)) {
+      const indicator = createIncrementalIndicator(name, ...params);
+      indicator.seed(this.history);
+      this.indicators.set(key, indicator);
+    }
+
+    return this.indicators.get(key);
+  }
+
+  // Latest value for name/params
+  get(name, ...params) {
+    return this.add(name, ...params).value;
+  }
+
+  // Replace the history and rebuild every indicator from it
+  seed(candles) {
+    this.history = candles.slice(-this.maxHistory);
+    this.lastTimestamp = this.history.length > 0
+      ? this.getTime(this.history[this.history.length - 1])
+      : null;
+    this.indicators.forEach(indicator => indicator.seed(this.history));
+    return this.values();
+  }
+
+  // Feed one closed bar. Bars at or before the last seen timestamp are ignored,
+  // since a bar can't be taken back out of the indicators once added.
+  update(candle) {
+    const time = this.getTime(candle);
+    if (time !== null && this.lastTimestamp !== null && time <= this.lastTimestamp) {
+      return this.values();
+    }
+
+    this.lastTimestamp = time;
+    this.history.push(candle);
+    if (this.history.length > this.maxHistory * 2) {
+      this.history = this.history.slice(-this.maxHistory);
+    }
+
+    this.indicators.forEach(indicator => indicator.update(candle));
+    return this.values();
+  }
+
+  // Catch up with a candle window such as marketData.prices: bars newer than
+  // the last one seen are fed in order, and a window that doesn't overlap
+  // the stream (a gap, or a replay from earlier) reseeds it
+  sync(candles) {
+    if (candles.length === 0) return this.values();
+
+    const first = this.getTime(candles[0]);
+    const last = this.getTime(candles[candles.length - 1]);
+    if (this.lastTimestamp === null || first === null || first > this.lastTimestamp || last < this.lastTimestamp) {
+      return this.seed(candles);
+    }
+
+    let start = candles.length;
+    while (start > 0 && this.getTime(candles[start - 1]) > this.lastTimestamp) {
+      start--;
+    }
+
+    for (let i = start; i < candles.length; i++) {
+      this.update(candles[i]);
+    }
+    return this.values();
+  }
+
+  getTime(candle) {
+    if (typeof candle !== 'object' || !candle.timestamp) return null;
+    const time = new Date(candle.timestamp).getTime();
+    return Number.isFinite(time) ? time : null;
+  }
+
+  values() {
+    return Object.fromEntries(
+      Array.from(this.indicators.entries()).map(([key, indicator]) => [key, indicator.value])
+    );
+  }
+
+  reset() {
+    this.history = [];
+    this.lastTimestamp = null;
+    this.indicators.forEach(indicator => indicator.reset());
+  }
+}
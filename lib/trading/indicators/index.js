@@ -1,12 +1,76 @@
+import { IndicatorStream } from './incremental';
+
+export {
+  IndicatorStream,
+  INCREMENTAL_INDICATORS,
+  createIncrementalIndicator
+} from './incremental';
+
 export class TechnicalIndicators {
   constructor() {
-    this.cache = new Map();
+    this.cache = new WeakMap();
+    this.arrayIds = new WeakMap();
+    this.nextArrayId = 1;
+    // Entry maps of input arrays that are still alive, for getCacheSize. A
+    // map is dropped once the garbage collector reclaims its array.
+    this.liveEntries = new Set();
+    this.collected = new FinalizationRegistry(entries => this.liveEntries.delete(entries));
+    this.streams = new Map();
+  }
+
+  // Results are cached against the input arrays themselves, so two symbols or
+  // two windows of the same length never share an entry. The first array holds
+  // the entry; any others are folded into the key by identity.
+  getCached(key, primary, ...others) {
+    const entries = this.cache.get(primary);
+    return entries ? entries.get(this.getCacheKey(key, others)) : undefined;
+  }
+
+  setCached(key, result, primary, ...others) {
+    let entries = this.cache.get(primary);
+    if (!entries) {
+      entries = new Map();
+      this.cache.set(primary, entries);
+      this.liveEntries.add(entries);
+      this.collected.register(primary, entries);
+    }
+
+    entries.set(this.getCacheKey(key, others), result);
+  }
+
+  getCacheKey(key, others) {
+    return others.length === 0
+      ? key
+      : `${key}_${others.map(array => this.getArrayId(array)).join('_')}`;
+  }
+
+  getArrayId(array) {
+    if (!this.arrayIds.has(array)) {
+      this.arrayIds.set(array, this.nextArrayId++);
+    }
+    return this.arrayIds.get(array);
+  }
+
+  // Incremental indicators for one symbol and timeframe, kept across calls
+  stream(symbol, timeframe, options = {}) {
+    const key = `${symbol}_${timeframe}`;
+
+    if (!this.streams.has(key)) {
+      this.streams.set(key, new IndicatorStream({ symbol, timeframe, ...options }));
+    }
+
+    return this.streams.get(key);
+  }
+
+  removeStream(symbol, timeframe) {
+    return this.streams.delete(`${symbol}_${timeframe}`);
   }
 
   // Simple Moving Average
   sma(data, period) {
-    const key = `sma_${period}_${data.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `sma_${period}`;
+    const cached = this.getCached(key, data);
+    if (cached) return cached;
 
     const result = [];
     for (let i = period - 1; i < data.length; i++) {
@@ -14,14 +78,15 @@ export class TechnicalIndicators {
       result.push(sum / period);
     }
     
-    this.cache.set(key, result);
+    this.setCached(key, result, data);
     return result;
   }
 
   // Exponential Moving Average
   ema(data, period) {
-    const key = `ema_${period}_${data.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `ema_${period}`;
+    const cached = this.getCached(key, data);
+    if (cached) return cached;
 
     const multiplier = 2 / (period + 1);
     const result = [data[0]];
@@ -30,14 +95,15 @@ export class TechnicalIndicators {
       result.push((data[i] * multiplier) + (result[i - 1] * (1 - multiplier)));
     }
     
-    this.cache.set(key, result);
+    this.setCached(key, result, data);
     return result;
   }
 
   // Relative Strength Index
   rsi(data, period = 14) {
-    const key = `rsi_${period}_${data.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `rsi_${period}`;
+    const cached = this.getCached(key, data);
+    if (cached) return cached;
 
     const gains = [];
     const losses = [];
@@ -56,14 +122,15 @@ export class TechnicalIndicators {
       return 100 - (100 / (1 + rs));
     });
     
-    this.cache.set(key, result);
+    this.setCached(key, result, data);
     return result;
   }
 
   // MACD (Moving Average Convergence Divergence)
   macd(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-    const key = `macd_${fastPeriod}_${slowPeriod}_${signalPeriod}_${data.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `macd_${fastPeriod}_${slowPeriod}_${signalPeriod}`;
+    const cached = this.getCached(key, data);
+    if (cached) return cached;
 
     const fastEMA = this.ema(data, fastPeriod);
     const slowEMA = this.ema(data, slowPeriod);
@@ -88,14 +155,15 @@ export class TechnicalIndicators {
       histogram: histogram
     };
     
-    this.cache.set(key, result);
+    this.setCached(key, result, data);
     return result;
   }
 
   // Bollinger Bands
   bollingerBands(data, period = 20, deviation = 2) {
-    const key = `bb_${period}_${deviation}_${data.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `bb_${period}_${deviation}`;
+    const cached = this.getCached(key, data);
+    if (cached) return cached;
 
     const sma = this.sma(data, period);
     const result = [];
@@ -113,14 +181,15 @@ export class TechnicalIndicators {
       });
     }
     
-    this.cache.set(key, result);
+    this.setCached(key, result, data);
     return result;
   }
 
   // Average True Range
   atr(highs, lows, closes, period = 14) {
-    const key = `atr_${period}_${highs.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `atr_${period}`;
+    const cached = this.getCached(key, highs, lows, closes);
+    if (cached) return cached;
 
     const trueRanges = [];
     
@@ -132,14 +201,15 @@ export class TechnicalIndicators {
     }
     
     const result = this.sma(trueRanges, period);
-    this.cache.set(key, result);
+    this.setCached(key, result, highs, lows, closes);
     return result;
   }
 
   // Stochastic Oscillator
   stochastic(highs, lows, closes, kPeriod = 14, dPeriod = 3, smoothing = 3) {
-    const key = `stoch_${kPeriod}_${dPeriod}_${smoothing}_${highs.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `stoch_${kPeriod}_${dPeriod}_${smoothing}`;
+    const cached = this.getCached(key, highs, lows, closes);
+    if (cached) return cached;
 
     const kValues = [];
     
@@ -158,14 +228,15 @@ export class TechnicalIndicators {
       d: dValues
     };
     
-    this.cache.set(key, result);
+    this.setCached(key, result, highs, lows, closes);
     return result;
   }
 
   // Williams %R
   williamsR(highs, lows, closes, period = 14) {
-    const key = `williams_${period}_${highs.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `williams_${period}`;
+    const cached = this.getCached(key, highs, lows, closes);
+    if (cached) return cached;
 
     const result = [];
     
@@ -176,14 +247,15 @@ export class TechnicalIndicators {
       result.push(wr);
     }
     
-    this.cache.set(key, result);
+    this.setCached(key, result, highs, lows, closes);
     return result;
   }
 
   // Commodity Channel Index
   cci(highs, lows, closes, period = 20) {
-    const key = `cci_${period}_${highs.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `cci_${period}`;
+    const cached = this.getCached(key, highs, lows, closes);
+    if (cached) return cached;
 
     const typicalPrices = [];
     for (let i = 0; i < closes.length; i++) {
@@ -201,14 +273,15 @@ export class TechnicalIndicators {
       result.push(cci);
     }
     
-    this.cache.set(key, result);
+    this.setCached(key, result, highs, lows, closes);
     return result;
   }
 
   // Money Flow Index
   mfi(highs, lows, closes, volumes, period = 14) {
-    const key = `mfi_${period}_${highs.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `mfi_${period}`;
+    const cached = this.getCached(key, highs, lows, closes, volumes);
+    if (cached) return cached;
 
     const typicalPrices = [];
     const moneyFlows = [];
@@ -237,14 +310,15 @@ export class TechnicalIndicators {
       result.push(mfi);
     }
     
-    this.cache.set(key, result);
+    this.setCached(key, result, highs, lows, closes, volumes);
     return result;
   }
 
   // Parabolic SAR
   parabolicSAR(highs, lows, acceleration = 0.02, maximum = 0.2) {
-    const key = `psar_${acceleration}_${maximum}_${highs.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `psar_${acceleration}_${maximum}`;
+    const cached = this.getCached(key, highs, lows);
+    if (cached) return cached;
 
     const result = [];
     let trend = 1; // 1 for uptrend, -1 for downtrend
@@ -289,10 +363,353 @@ export class TechnicalIndicators {
       result.push(sar);
     }
     
-    this.cache.set(key, result);
+    this.setCached(key, result, highs, lows);
+    return result;
+  }
+
+  // Average Directional Index with +DI/-DI (Wilder smoothing)
+  adx(highs, lows, closes, period = 14) {
+    const key = `adx_${period}`;
+    const cached = this.getCached(key, highs, lows, closes);
+    if (cached) return cached;
+
+    const trueRanges = [];
+    const plusDM = [];
+    const minusDM = [];
+
+    for (let i = 1; i < highs.length; i++) {
+      const upMove = highs[i] - highs[i - 1];
+      const downMove = lows[i - 1] - lows[i];
+
+      plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
+      minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+      trueRanges.push(Math.max(
+        highs[i] - lows[i],
+        Math.abs(highs[i] - closes[i - 1]),
+        Math.abs(lows[i] - closes[i - 1])
+      ));
+    }
+
+    const plusDI = [];
+    const minusDI = [];
+    const dx = [];
+    let smoothedTR = 0;
+    let smoothedPlus = 0;
+    let smoothedMinus = 0;
+
+    for (let i = 0; i < trueRanges.length; i++) {
+      if (i < period) {
+        smoothedTR += trueRanges[i];
+        smoothedPlus += plusDM[i];
+        smoothedMinus += minusDM[i];
+        if (i < period - 1) continue;
+      } else {
+        smoothedTR = smoothedTR - (smoothedTR / period) + trueRanges[i];
+        smoothedPlus = smoothedPlus - (smoothedPlus / period) + plusDM[i];
+        smoothedMinus = smoothedMinus - (smoothedMinus / period) + minusDM[i];
+      }
+
+      const plus = smoothedTR > 0 ? (smoothedPlus / smoothedTR) * 100 : 0;
+      const minus = smoothedTR > 0 ? (smoothedMinus / smoothedTR) * 100 : 0;
+      plusDI.push(plus);
+      minusDI.push(minus);
+      dx.push(plus + minus > 0 ? (Math.abs(plus - minus) / (plus + minus)) * 100 : 0);
+    }
+
+    const adx = [];
+    for (let i = period - 1; i < dx.length; i++) {
+      if (i === period - 1) {
+        adx.push(dx.slice(0, period).reduce((a, b) => a + b, 0) / period);
+      } else {
+        adx.push((adx[adx.length - 1] * (period - 1) + dx[i]) / period);
+      }
+    }
+
+    const result = {
+      adx,
+      plusDI,
+      minusDI
+    };
+
+    this.setCached(key, result, highs, lows, closes);
+    return result;
+  }
+
+  // Ichimoku Kinko Hyo. tenkan, kijun, senkouA and senkouB end at the current
+  // bar, the spans being the cloud projected from `displacement` bars earlier.
+  // leadingA/leadingB are the unshifted spans, whose last value is plotted
+  // `displacement` bars ahead. chikou[j] is the close plotted at bar j.
+  ichimoku(highs, lows, closes, tenkanPeriod = 9, kijunPeriod = 26, senkouBPeriod = 52, displacement = 26) {
+    const key = `ichimoku_${tenkanPeriod}_${kijunPeriod}_${senkouBPeriod}_${displacement}`;
+    const cached = this.getCached(key, highs, lows, closes);
+    if (cached) return cached;
+
+    const midpoint = (period) => {
+      const values = [];
+      for (let i = period - 1; i < highs.length; i++) {
+        const highestHigh = Math.max(...highs.slice(i - period + 1, i + 1));
+        const lowestLow = Math.min(...lows.slice(i - period + 1, i + 1));
+        values.push((highestHigh + lowestLow) / 2);
+      }
+      return values;
+    };
+
+    const tenkan = midpoint(tenkanPeriod);
+    const kijun = midpoint(kijunPeriod);
+    const leadingB = midpoint(senkouBPeriod);
+    const leadingA = [];
+
+    const spanALength = Math.min(tenkan.length, kijun.length);
+    for (let i = 0; i < spanALength; i++) {
+      leadingA.push((tenkan[tenkan.length - spanALength + i] + kijun[kijun.length - spanALength + i]) / 2);
+    }
+
+    const result = {
+      tenkan,
+      kijun,
+      senkouA: leadingA.slice(0, Math.max(leadingA.length - displacement, 0)),
+      senkouB: leadingB.slice(0, Math.max(leadingB.length - displacement, 0)),
+      leadingA,
+      leadingB,
+      chikou: closes.slice(displacement)
+    };
+
+    this.setCached(key, result, highs, lows, closes);
+    return result;
+  }
+
+  // Keltner Channels: EMA middle line with ATR bands
+  keltnerChannels(highs, lows, closes, emaPeriod = 20, atrPeriod = 10, multiplier = 2) {
+    const key = `keltner_${emaPeriod}_${atrPeriod}_${multiplier}`;
+    const cached = this.getCached(key, highs, lows, closes);
+    if (cached) return cached;
+
+    const ema = this.ema(closes, emaPeriod);
+    const atr = this.atr(highs, lows, closes, atrPeriod);
+    const length = Math.min(ema.length, atr.length);
+    const result = [];
+
+    for (let i = 0; i < length; i++) {
+      const middle = ema[ema.length - length + i];
+      const range = atr[atr.length - length + i] * multiplier;
+
+      result.push({
+        upper: middle + range,
+        middle,
+        lower: middle - range
+      });
+    }
+
+    this.setCached(key, result, highs, lows, closes);
+    return result;
+  }
+
+  // Donchian Channels: highest high and lowest low over the period
+  donchianChannels(highs, lows, period = 20) {
+    const key = `donchian_${period}`;
+    const cached = this.getCached(key, highs, lows);
+    if (cached) return cached;
+
+    const result = [];
+
+    for (let i = period - 1; i < highs.length; i++) {
+      const upper = Math.max(...highs.slice(i - period + 1, i + 1));
+      const lower = Math.min(...lows.slice(i - period + 1, i + 1));
+
+      result.push({
+        upper,
+        middle: (upper + lower) / 2,
+        lower
+      });
+    }
+
+    this.setCached(key, result, highs, lows);
+    return result;
+  }
+
+  // SuperTrend. direction is 1 while the line trails below price, -1 above
+  superTrend(highs, lows, closes, period = 10, multiplier = 3) {
+    const key = `supertrend_${period}_${multiplier}`;
+    const cached = this.getCached(key, highs, lows, closes);
+    if (cached) return cached;
+
+    const atr = this.atr(highs, lows, closes, period);
+    const offset = closes.length - atr.length;
+    const result = [];
+    let upperBand = null;
+    let lowerBand = null;
+    let direction = 1;
+
+    for (let i = 0; i < atr.length; i++) {
+      const bar = i + offset;
+      const median = (highs[bar] + lows[bar]) / 2;
+      const basicUpper = median + multiplier * atr[i];
+      const basicLower = median - multiplier * atr[i];
+      const previousClose = closes[bar - 1];
+
+      // Bands only ratchet towards price until it closes through them
+      upperBand = upperBand === null || basicUpper < upperBand || previousClose > upperBand
+        ? basicUpper
+        : upperBand;
+      lowerBand = lowerBand === null || basicLower > lowerBand || previousClose < lowerBand
+        ? basicLower
+        : lowerBand;
+
+      if (i > 0) {
+        if (direction === -1 && closes[bar] > result[i - 1].upperBand) {
+          direction = 1;
+        } else if (direction === 1 && closes[bar] < result[i - 1].lowerBand) {
+          direction = -1;
+        }
+      }
+
+      result.push({
+        value: direction === 1 ? lowerBand : upperBand,
+        direction,
+        upperBand,
+        lowerBand
+      });
+    }
+
+    this.setCached(key, result, highs, lows, closes);
     return result;
   }
 
+  // Swing pivots: bars whose high (low) is not exceeded by the `left` bars
+  // before or the `right` bars after. A pivot is only known `right` bars later.
+  pivots(highs, lows, left = 5, right = 5) {
+    const key = `pivots_${left}_${right}`;
+    const cached = this.getCached(key, highs, lows);
+    if (cached) return cached;
+
+    const result = {
+      highs: [],
+      lows: []
+    };
+
+    for (let i = left; i < highs.length - right; i++) {
+      const before = i - left;
+      const after = i + right + 1;
+      const isHigh = highs.slice(before, i).every(h => h < highs[i]) &&
+        highs.slice(i + 1, after).every(h => h <= highs[i]);
+      const isLow = lows.slice(before, i).every(l => l > lows[i]) &&
+        lows.slice(i + 1, after).every(l => l >= lows[i]);
+
+      if (isHigh) {
+        result.highs.push({ index: i, value: highs[i] });
+      }
+
+      if (isLow) {
+        result.lows.push({ index: i, value: lows[i] });
+      }
+    }
+
+    this.setCached(key, result, highs, lows);
+    return result;
+  }
+
+  // Regular and hidden divergences between price pivots and an oscillator
+  // series aligned to the end of the price arrays, oldest first
+  divergence(highs, lows, oscillator, options = {}) {
+    const {
+      left = 5,
+      right = 5,
+      minBars = 5, // Min bars between the two pivots
+      maxBars = 60, // Max bars between the two pivots
+      types = ['regular', 'hidden'],
+      name = 'oscillator'
+    } = options;
+
+    const offset = highs.length - oscillator.length;
+    const valueAt = (index) => oscillator[index - offset];
+    const { highs: pivotHighs, lows: pivotLows } = this.pivots(highs, lows, left, right);
+    const events = [];
+
+    const compare = (pivots, side) => {
+      for (let k = 1; k < pivots.length; k++) {
+        const from = pivots[k - 1];
+        const to = pivots[k];
+        const distance = to.index - from.index;
+        const fromValue = valueAt(from.index);
+        const toValue = valueAt(to.index);
+
+        if (distance < minBars || distance > maxBars) continue;
+        if (!Number.isFinite(fromValue) || !Number.isFinite(toValue)) continue;
+
+        const priceRising = to.value > from.value;
+        const oscillatorRising = toValue > fromValue;
+        if (priceRising === oscillatorRising || to.value === from.value || toValue === fromValue) continue;
+
+        // Lows: lower price low with higher oscillator low is regular bullish.
+        // Highs: higher price high with lower oscillator high is regular bearish.
+        const regular = side === 'low' ? !priceRising : priceRising;
+        const type = regular ? 'regular' : 'hidden';
+        if (!types.includes(type)) continue;
+
+        const window = oscillator.slice(from.index - offset, to.index - offset + 1);
+        const oscillatorRange = Math.max(...window) - Math.min(...window);
+
+        events.push({
+          type,
+          direction: side === 'low' ? 'bullish' : 'bearish',
+          oscillator: name,
+          startIndex: from.index,
+          endIndex: to.index,
+          confirmedIndex: to.index + right,
+          price: { from: from.value, to: to.value },
+          oscillatorValues: { from: fromValue, to: toValue },
+          strength: oscillatorRange > 0
+            ? Math.min(Math.abs(toValue - fromValue) / oscillatorRange, 1)
+            : 0
+        });
+      }
+    };
+
+    compare(pivotLows, 'low');
+    compare(pivotHighs, 'high');
+
+    return events.sort((a, b) => a.confirmedIndex - b.confirmedIndex);
+  }
+
+  // Divergences for a built-in oscillator over candles. recentBars limits the
+  // result to events confirmed within the last N bars.
+  detectDivergences(prices, options = {}) {
+    const { oscillator = 'rsi', period, recentBars = null, ...divergenceOptions } = options;
+    const closes = prices.map(p => p.close);
+    const highs = prices.map(p => p.high);
+    const lows = prices.map(p => p.low);
+
+    let series;
+    switch (oscillator) {
+      case 'rsi':
+        series = this.rsi(closes, period || 14);
+        break;
+      case 'macd':
+        series = this.macd(closes, options.fastPeriod, options.slowPeriod, options.signalPeriod).histogram;
+        break;
+      case 'stochastic':
+        series = this.stochastic(highs, lows, closes, period || 14).k;
+        break;
+      case 'cci':
+        series = this.cci(highs, lows, closes, period || 20);
+        break;
+      default:
+        throw new Error(`Unsupported divergence oscillator: ${oscillator}`);
+    }
+
+    const events = this.divergence(highs, lows, series, { ...divergenceOptions, name: oscillator });
+    const since = recentBars ? prices.length - recentBars : 0;
+
+    return events
+      .filter(event => event.confirmedIndex >= since)
+      .map(event => ({
+        ...event,
+        symbol: prices[event.endIndex].symbol,
+        timestamp: prices[event.endIndex].timestamp,
+        confirmedAt: prices[event.confirmedIndex].timestamp
+      }));
+  }
+
   // Fibonacci Retracement Levels
   fibonacciRetracement(high, low) {
     const diff = high - low;
@@ -309,8 +726,9 @@ export class TechnicalIndicators {
 
   // Volume Profile
   volumeProfile(prices, volumes) {
-    const key = `volume_profile_${prices.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = 'volume_profile';
+    const cached = this.getCached(key, prices, volumes);
+    if (cached) return cached;
 
     const totalVolume = volumes.reduce((sum, vol) => sum + vol, 0);
     const avgVolume = totalVolume / volumes.length;
@@ -336,14 +754,15 @@ export class TechnicalIndicators {
       volumeDistribution: Object.fromEntries(volumeByPrice)
     };
     
-    this.cache.set(key, result);
+    this.setCached(key, result, prices, volumes);
     return result;
   }
 
   // Support and Resistance Levels
   supportResistance(highs, lows, closes, lookback = 20) {
-    const key = `support_resistance_${lookback}_${highs.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `support_resistance_${lookback}`;
+    const cached = this.getCached(key, highs, lows, closes);
+    if (cached) return cached;
 
     const levels = [];
     
@@ -369,14 +788,15 @@ export class TechnicalIndicators {
       supportLevels: levels.filter(l => l.type === 'support')
     };
     
-    this.cache.set(key, result);
+    this.setCached(key, result, highs, lows, closes);
     return result;
   }
 
   // Momentum
   momentum(data, period = 10) {
-    const key = `momentum_${period}_${data.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `momentum_${period}`;
+    const cached = this.getCached(key, data);
+    if (cached) return cached;
 
     const result = [];
     
@@ -384,14 +804,15 @@ export class TechnicalIndicators {
       result.push(data[i] - data[i - period]);
     }
     
-    this.cache.set(key, result);
+    this.setCached(key, result, data);
     return result;
   }
 
   // Rate of Change
   roc(data, period = 12) {
-    const key = `roc_${period}_${data.length}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = `roc_${period}`;
+    const cached = this.getCached(key, data);
+    if (cached) return cached;
 
     const result = [];
     
@@ -400,17 +821,20 @@ export class TechnicalIndicators {
       result.push(roc);
     }
     
-    this.cache.set(key, result);
+    this.setCached(key, result, data);
     return result;
   }
 
   // Clear cache
   clearCache() {
-    this.cache.clear();
+    this.cache = new WeakMap();
+    this.liveEntries.clear();
   }
 
-  // Get cache size
+  // Cached results whose input arrays haven't been garbage collected
   getCacheSize() {
-    return this.cache.size;
+    let size = 0;
+    this.liveEntries.forEach(entries => { size += entries.size; });
+    return size;
   }
 }
\ No newline at end of file
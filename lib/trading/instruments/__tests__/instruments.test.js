@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest';
+import { instrumentRegistry, InstrumentRegistry } from '../index';
+import { RiskManager } from '../../risk-management';
+import { pnlCalculator } from '../../pnl';
+
+const TUESDAY_NOON = Date.UTC(2024, 0, 2, 12);
+const SATURDAY_NOON = Date.UTC(2024, 0, 6, 12);
+
+describe('InstrumentRegistry', () => {
+  it('uses the pip size of the quote convention', () => {
+    expect(instrumentRegistry.getPipSize('EURUSD')).toBe(0.0001);
+    expect(instrumentRegistry.getPipSize('usdjpy')).toBe(0.01);
+    expect(instrumentRegistry.toPips('USDJPY', 0.25)).toBeCloseTo(25, 10);
+    expect(instrumentRegistry.fromPips('EURUSD', 15)).toBeCloseTo(0.0015, 12);
+    expect(instrumentRegistry.getPipValue('EURUSD', 100000)).toBeCloseTo(10, 10);
+  });
+
+  it('rounds prices to the quoted digits', () => {
+    expect(instrumentRegistry.roundPrice('EURUSD', 1.1234567)).toBe(1.12346);
+    expect(instrumentRegistry.roundPrice('GBPJPY', 187.12345)).toBe(187.123);
+  });
+
+  it('rounds sizes down to the lot step and drops anything under the minimum lot', () => {
+    expect(instrumentRegistry.lotsToUnits('EURUSD', 0.5)).toBe(50000);
+    expect(instrumentRegistry.unitsToLots('EURUSD', 25000)).toBe(0.25);
+    expect(instrumentRegistry.normalizeUnits('EURUSD', 101234.567)).toBe(101000);
+    expect(instrumentRegistry.normalizeUnits('EURUSD', 999)).toBe(0);
+    expect(instrumentRegistry.normalizeUnits('EURUSD', 1e9)).toBe(10000000);
+  });
+
+  it('takes margin from the instrument\'s leverage', () => {
+    expect(instrumentRegistry.calculateMargin('EURUSD', 100000, 1.1)).toBeCloseTo(3663, 6);
+    expect(instrumentRegistry.calculateMargin('AUDUSD', 100000, 0.65)).toBeCloseTo(3250, 6);
+    expect(instrumentRegistry.calculateProfit('USDJPY', 'SELL', 150, 149.5, 10000)).toBeCloseTo(5000, 6);
+  });
+
+  it('lists the sessions a symbol is active in, across midnight', () => {
+    expect(instrumentRegistry.getActiveSessions('AUDUSD', Date.UTC(2024, 0, 2, 23))).toEqual(['sydney']);
+    expect(instrumentRegistry.getActiveSessions('EURUSD', Date.UTC(2024, 0, 2, 14))).toEqual(['london', 'new_york']);
+    expect(instrumentRegistry.getActiveSessions('EURGBP', Date.UTC(2024, 0, 2, 3))).toEqual([]);
+  });
+
+  it('returns the order as the broker would accept it', () => {
+    const { valid, errors, order } = instrumentRegistry.validateOrder('EURUSD', {
+      direction: 'BUY',
+      units: 12345,
+      price: 1.1000049,
+      stopLoss: 1.0980012,
+      takeProfit: 1.1040004,
+      time: TUESDAY_NOON
+    });
+
+    expect(errors).toEqual([]);
+    expect(valid).toBe(true);
+    expect(order).toMatchObject({ units: 12000, price: 1.1, stopLoss: 1.098, takeProfit: 1.104 });
+  });
+
+  it('lists every reason an order can\'t be placed', () => {
+    const { valid, errors } = instrumentRegistry.validateOrder('EURUSD', {
+      direction: 'SELL',
+      units: 500,
+      price: 1.1,
+      stopLoss: 1.099,
+      takeProfit: 1.101,
+      time: SATURDAY_NOON
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toHaveLength(4);
+    expect(instrumentRegistry.validateOrder('XAUUSD', { units: 1 }).errors).toEqual(['Unknown instrument: XAUUSD']);
+  });
+
+  it('needs base and quote currencies for non-FX symbols', () => {
+    const registry = new InstrumentRegistry();
+
+    expect(() => registry.register('XAU')).toThrow('needs base and quote');
+    expect(registry.register('XAUUSD', { pipLocation: -2, digits: 2 })).toMatchObject({ base: 'XAU', quote: 'USD', pipSize: 0.01 });
+  });
+});
+
+describe('JPY-quoted sizing', () => {
+  const usdjpy = { symbol: 'USDJPY', direction: 'BUY', entryPrice: 150, stopLoss: 149.5, takeProfit: 151, lotSize: 100000 };
+
+  it('values the stop distance and notional in the account currency', () => {
+    const riskManager = new RiskManager({ accountBalance: 10000 });
+
+    // 2% of 10,000 USD over a 0.5 yen stop, worth 0.5 / 150 USD a unit
+    expect(riskManager.calculateLotSize(150, 149.5, null, 'USDJPY')).toBeCloseTo(60000, 6);
+    expect(riskManager.calculateMaxLeverageUnits('USDJPY', 150)).toBeCloseTo(100000, 6);
+    expect(riskManager.checkLeverage(usdjpy)).toMatchObject({ passed: true, reason: 'Leverage: 10.00x/10x' });
+    expect(riskManager.calculateRiskAmount(usdjpy, 60000)).toBeCloseTo(200, 6);
+  });
+
+  it('lets a JPY-quoted signal through with a tradable size', () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const riskManager = new RiskManager({ accountBalance: 10000, maxVaR: null });
+
+    const validated = riskManager.validateSignal({ ...usdjpy, lotSize: 1000 }, new Map());
+    expect(validated).not.toBeNull();
+    expect(validated.lotSize).toBeGreaterThanOrEqual(1000);
+    vi.restoreAllMocks();
+  });
+
+  it('converts crosses through USD and refuses them without a rate', () => {
+    const riskManager = new RiskManager({ accountBalance: 10000 });
+    const gbpjpy = { symbol: 'GBPJPY', direction: 'BUY', entryPrice: 190, stopLoss: 189, lotSize: 1000 };
+
+    pnlCalculator.updateConfig({ liveRates: false });
+    expect(riskManager.calculateLotSize(190, 189, null, 'GBPJPY')).toBe(0);
+    expect(riskManager.checkLeverage(gbpjpy).passed).toBe(false);
+
+    pnlCalculator.updateRate('USDJPY', { price: 150 });
+    expect(riskManager.calculateLotSize(190, 189, null, 'GBPJPY')).toBeCloseTo(200 * 150, 6);
+    expect(riskManager.checkLeverage(gbpjpy).passed).toBe(true);
+
+    pnlCalculator.rates.clear();
+    pnlCalculator.updateConfig({ liveRates: true });
+  });
+});
@@ -0,0 +1,215 @@
+import { isFxMarketOpen } from '../timeframes';
+
+// Contract specifications for every tradable symbol. Position sizes across
+// the engine (signal.lotSize, order.units) are in units of the base
+// currency; lots only appear in strategy configs and are converted here.
+//
+//   pipLocation   power of ten of one pip, -4 for EURUSD, -2 for USDJPY
+//   digits        decimals quoted by the broker (fractional pips)
+//   contractSize  units per standard lot
+//   minLot, lotStep, maxLot
+//   marginRate    margin as a fraction of notional, 0.0333 = 30:1
+//   sessions      the trading sessions the symbol is most active in
+
+// Sessions in UTC hours, at their standard-time opening hours
+export const SESSIONS = {
+  sydney: { open: 22, close: 7 },
+  tokyo: { open: 0, close: 9 },
+  london: { open: 8, close: 17 },
+  new_york: { open: 13, close: 22 }
+};
+
+const ALL_SESSIONS = Object.keys(SESSIONS);
+
+const FX_DEFAULTS = {
+  pipLocation: -4,
+  digits: 5,
+  contractSize: 100000,
+  minLot: 0.01,
+  lotStep: 0.01,
+  maxLot: 100,
+  marginRate: 0.0333,
+  sessions: ALL_SESSIONS
+};
+
+const JPY_QUOTED = { pipLocation: -2, digits: 3 };
+
+// ESMA retail leverage: 30:1 for pairs of major currencies, 20:1 otherwise
+const MINOR_MARGIN = { marginRate: 0.05 };
+
+const INSTRUMENTS = {
+  EURUSD: { sessions: ['london', 'new_york'] },
+  GBPUSD: { sessions: ['london', 'new_york'] },
+  USDJPY: { ...JPY_QUOTED, sessions: ['tokyo', 'london', 'new_york'] },
+  USDCHF: { sessions: ['london', 'new_york'] },
+  AUDUSD: { ...MINOR_MARGIN, sessions: ['sydney', 'tokyo', 'new_york'] },
+  USDCAD: { sessions: ['new_york'] },
+  NZDUSD: { ...MINOR_MARGIN, sessions: ['sydney', 'tokyo', 'new_york'] },
+  EURGBP: { sessions: ['london'] },
+  EURJPY: { ...JPY_QUOTED, sessions: ['tokyo', 'london'] },
+  GBPJPY: { ...JPY_QUOTED, sessions: ['tokyo', 'london'] }
+};
+
+export class InstrumentRegistry {
+  constructor() {
+    this.instruments = new Map();
+  }
+
+  register(symbol, spec = {}) {
+    const key = String(symbol || '').toUpperCase();
+    if (!/^[A-Z]{6}$/.test(key) && !(spec.base && spec.quote)) {
+      throw new Error(`Instrument ${symbol} needs base and quote currencies`);
+    }
+
+    const instrument = {
+      ...FX_DEFAULTS,
+      base: key.slice(0, 3),
+      quote: key.slice(3, 6),
+      ...spec,
+      symbol: key
+    };
+    // 10 ** -4 is 0.00009999999999999999, the literal is exact
+    instrument.pipSize = Number(`1e${instrument.pipLocation}`);
+
+    this.instruments.set(key, instrument);
+    return instrument;
+  }
+
+  has(symbol) {
+    return this.instruments.has(String(symbol || '').toUpperCase());
+  }
+
+  // Spec of a symbol, or null if it isn't registered
+  find(symbol) {
+    return this.instruments.get(String(symbol || '').toUpperCase()) || null;
+  }
+
+  get(symbol) {
+    const instrument = this.find(symbol);
+    if (!instrument) {
+      throw new Error(`Unknown instrument: ${symbol}`);
+    }
+    return instrument;
+  }
+
+  getSymbols() {
+    return Array.from(this.instruments.keys());
+  }
+
+  list() {
+    return Array.from(this.instruments.values());
+  }
+
+  getPipSize(symbol) {
+    return this.get(symbol).pipSize;
+  }
+
+  // Value of one pip for `units`, in the quote currency
+  getPipValue(symbol, units) {
+    return this.get(symbol).pipSize * units;
+  }
+
+  toPips(symbol, distance) {
+    return distance / this.get(symbol).pipSize;
+  }
+
+  fromPips(symbol, pips) {
+    return pips * this.get(symbol).pipSize;
+  }
+
+  roundPrice(symbol, price) {
+    if (!Number.isFinite(price)) return price;
+    return parseFloat(price.toFixed(this.get(symbol).digits));
+  }
+
+  lotsToUnits(symbol, lots) {
+    return Math.round(lots * this.get(symbol).contractSize);
+  }
+
+  unitsToLots(symbol, units) {
+    return units / this.get(symbol).contractSize;
+  }
+
+  // Round units down to the lot step and cap them at the maximum lot.
+  // Anything under the minimum lot comes back as 0.
+  normalizeUnits(symbol, units) {
+    const { contractSize, minLot, lotStep, maxLot } = this.get(symbol);
+    if (!Number.isFinite(units) || units <= 0) return 0;
+
+    const steps = Math.floor(units / contractSize / lotStep + 1e-9);
+    const lots = Math.min(steps * lotStep, maxLot);
+
+    return lots + 1e-9 < minLot ? 0 : Math.round(lots * contractSize);
+  }
+
+  // Profit or loss of closing `units` at `exitPrice`, in the quote currency
+  calculateProfit(symbol, direction, entryPrice, exitPrice, units) {
+    const difference = direction === 'BUY' ? exitPrice - entryPrice : entryPrice - exitPrice;
+    return difference * units;
+  }
+
+  // Margin needed to open `units` at `price`, in the quote currency
+  calculateMargin(symbol, units, price) {
+    return units * price * this.get(symbol).marginRate;
+  }
+
+  // Every registered instrument trades FX hours, Sunday to Friday 17:00 New York
+  isTradingOpen(symbol, time = Date.now()) {
+    return isFxMarketOpen(time);
+  }
+
+  // Sessions open at `time` that the symbol trades actively in
+  getActiveSessions(symbol, time = Date.now()) {
+    const hour = new Date(time).getUTCHours();
+
+    return this.get(symbol).sessions.filter(name => {
+      const { open, close } = SESSIONS[name];
+      return open < close ? hour >= open && hour < close : hour >= open || hour < close;
+    });
+  }
+
+  // Round an order to what the broker accepts and check it. Returns the
+  // normalised order and a list of errors, empty when it can be placed.
+  validateOrder(symbol, { direction, units, price, stopLoss, takeProfit, time = Date.now() }) {
+    const instrument = this.find(symbol);
+    if (!instrument) {
+      return { valid: false, errors: [`Unknown instrument: ${symbol}`], order: null };
+    }
+
+    const errors = [];
+    const order = {
+      symbol: instrument.symbol,
+      direction,
+      units: this.normalizeUnits(symbol, units),
+      price: this.roundPrice(symbol, price),
+      stopLoss: stopLoss ? this.roundPrice(symbol, stopLoss) : stopLoss,
+      takeProfit: takeProfit ? this.roundPrice(symbol, takeProfit) : takeProfit
+    };
+
+    if (order.units === 0) {
+      errors.push(`Size ${units} units is below the minimum of ${instrument.minLot} lots`);
+    }
+
+    if (Number.isFinite(order.price) && order.stopLoss) {
+      const wrongSide = direction === 'BUY' ? order.stopLoss >= order.price : order.stopLoss <= order.price;
+      if (wrongSide) errors.push(`Stop loss ${order.stopLoss} is on the wrong side of ${order.price}`);
+    }
+
+    if (Number.isFinite(order.price) && order.takeProfit) {
+      const wrongSide = direction === 'BUY' ? order.takeProfit <= order.price : order.takeProfit >= order.price;
+      if (wrongSide) errors.push(`Take profit ${order.takeProfit} is on the wrong side of ${order.price}`);
+    }
+
+    if (!this.isTradingOpen(symbol, time)) {
+      errors.push(`${instrument.symbol} market is closed`);
+    }
+
+    return { valid: errors.length === 0, errors, order };
+  }
+}
+
+export const instrumentRegistry = new InstrumentRegistry();
+
+Object.entries(INSTRUMENTS).forEach(([symbol, spec]) => instrumentRegistry.register(symbol, spec));
+
+export default instrumentRegistry;
@@ -1,240 +1,319 @@
-import axios from 'axios';
 import { io } from 'socket.io-client';
+import { dataQualityMonitor } from './data-quality';
+import { createProviders } from './providers';
 
 class MarketDataService {
   constructor() {
-    this.subscribers = new Map();
-    this.connections = new Map();
+    this.subscribers = new Map(); // symbol -> Set of listeners
+    this.feeds = new Map(); // symbol -> feed metrics
     this.cache = new Map();
-    this.providers = {
-      alpha_vantage: {
-        apiKey: process.env.ALPHA_VANTAGE_API_KEY,
-        baseUrl: 'https://www.alphavantage.co/query'
-      },
-      twelve_data: {
-        apiKey: process.env.TWELVE_DATA_API_KEY,
-        baseUrl: 'https://api.twelvedata.com'
-      },
-      finhub: {
-        apiKey: process.env.FINHUB_API_KEY,
-        baseUrl: 'https://finnhub.io/api/v1'
-      },
-      oanda: {
-        apiKey: process.env.OANDA_API_KEY,
-        baseUrl: 'https://api-fxtrade.oanda.com'
-      }
+    this.streamConfig = {
+      reconnectBaseMs: 1000,
+      reconnectMaxMs: 60000
+    };
+    this.stream = {
+      socket: null,
+      status: 'idle',
+      connectedAt: null,
+      connects: 0,
+      disconnects: 0,
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+      nextRetryAt: null,
+      lastError: null
     };
+    this.quality = dataQualityMonitor;
+    this.providers = createProviders(); // name -> MarketDataProvider
+  }
+
+  // Real-time data streaming. One upstream socket carries every symbol, and
+  // each symbol is subscribed upstream once however many listeners it has.
+  // Returns a function that removes the listener again.
+  subscribe(symbol, listener) {
+    if (!this.subscribers.has(symbol)) {
+      this.subscribers.set(symbol, new Set());
+      this.feeds.set(symbol, {
+        subscribedAt: Date.now(),
+        lastTickAt: null,
+        ticks: 0,
+        rejected: 0,
+        latencyMs: null,
+        recentTicks: []
+      });
+      this.quality.watch(symbol);
+
+      if (this.stream.socket && this.stream.status === 'connected') {
+        this.stream.socket.emit('subscribe', { symbol: this.providers.twelve_data.mapSymbol(symbol) });
+      } else {
+        this.openStream();
+      }
+    }
+
+    this.subscribers.get(symbol).add(listener);
+    return () => this.unsubscribe(symbol, listener);
+  }
+
+  // The last listener of a symbol unsubscribes it upstream, and the last
+  // symbol closes the socket
+  unsubscribe(symbol, listener) {
+    const listeners = this.subscribers.get(symbol);
+    if (!listeners || !listeners.delete(listener)) {
+      return false;
+    }
+
+    if (listeners.size === 0) {
+      this.subscribers.delete(symbol);
+      this.feeds.delete(symbol);
+      this.quality.unwatch(symbol);
+
+      if (this.stream.socket && this.stream.status === 'connected') {
+        this.stream.socket.emit('unsubscribe', { symbol: this.providers.twelve_data.mapSymbol(symbol) });
+      }
+      if (this.subscribers.size === 0) {
+        this.closeStream();
+      }
+    }
+
+    return true;
   }
 
-  // Real-time data streaming
   async connectToStream(symbol, callback) {
+    return this.subscribe(symbol, callback);
+  }
+
+  openStream() {
+    if (this.stream.socket || this.stream.reconnectTimer) {
+      return;
+    }
+
     try {
-      // Connect to WebSocket for real-time data
+      // Reconnects are ours, with backoff, so socket.io's own are off
       const socket = io('wss://ws.twelvedata.com/v1/quotes/price', {
         auth: {
           apikey: this.providers.twelve_data.apiKey
-        }
+        },
+        reconnection: false
       });
 
-      socket.on('connect', () => {
-        console.log('Connected to real-time data stream');
-        socket.emit('subscribe', { symbol });
-      });
+      this.stream.socket = socket;
+      this.stream.status = this.stream.reconnectAttempts > 0 ? 'reconnecting' : 'connecting';
 
-      socket.on('price', (data) => {
-        const marketData = this.processRealTimeData(data);
-        callback(marketData);
-        this.updateCache(symbol, marketData);
-      });
+      socket.on('connect', () => {
+        this.stream.status = 'connected';
+        this.stream.connectedAt = Date.now();
+        this.stream.connects++;
+        this.stream.reconnectAttempts = 0;
+        this.stream.nextRetryAt = null;
 
-      socket.on('disconnect', () => {
-        console.log('Disconnected from real-time stream');
-        setTimeout(() => this.connectToStream(symbol, callback), 5000);
+        // A new connection knows nothing of earlier subscriptions
+        console.log(`Connected to real-time data stream, subscribing ${this.subscribers.size} symbols`);
+        for (const symbol of this.subscribers.keys()) {
+          socket.emit('subscribe', { symbol: this.providers.twelve_data.mapSymbol(symbol) });
+        }
       });
 
-      this.connections.set(symbol, socket);
-      return socket;
+      socket.on('price', (data) => this.handlePrice(data));
+      socket.on('connect_error', (error) => this.handleStreamDrop(socket, error));
+      socket.on('disconnect', (reason) => this.handleStreamDrop(socket, reason));
 
     } catch (error) {
       console.error('Failed to connect to real-time stream:', error);
-      throw error;
+      this.stream.socket = null;
+      this.handleStreamDrop(null, error);
     }
   }
 
-  // Get historical data from real providers
-  async getHistoricalData(symbol, timeframe, limit = 100) {
-    try {
-      // Try multiple providers for redundancy
-      const providers = ['twelve_data', 'alpha_vantage', 'finhub'];
-      
-      for (const provider of providers) {
-        try {
-          const data = await this.fetchFromProvider(provider, symbol, timeframe, limit);
-          if (data && data.length > 0) {
-            return this.processHistoricalData(data, symbol, timeframe);
-          }
-        } catch (error) {
-          console.warn(`Failed to fetch from ${provider}:`, error.message);
-          continue;
-        }
-      }
+  handleStreamDrop(socket, reason) {
+    // Events from a socket that has already been replaced or closed
+    if (socket !== this.stream.socket) {
+      return;
+    }
 
-      throw new Error('All data providers failed');
+    this.stream.disconnects++;
+    this.stream.lastError = reason?.message || String(reason);
+    this.stream.connectedAt = null;
 
-    } catch (error) {
-      console.error('Failed to get historical data:', error);
-      throw error;
+    if (socket) {
+      this.stream.socket = null;
+      socket.disconnect();
+    }
+
+    if (this.subscribers.size === 0) {
+      this.stream.status = 'idle';
+      return;
     }
+
+    this.scheduleReconnect();
   }
 
-  async fetchFromProvider(provider, symbol, timeframe, limit) {
-    const config = this.providers[provider];
-    
-    switch (provider) {
-      case 'twelve_data':
-        return await this.fetchTwelveData(config, symbol, timeframe, limit);
-      case 'alpha_vantage':
-        return await this.fetchAlphaVantage(config, symbol, timeframe, limit);
-      case 'finhub':
-        return await this.fetchFinhub(config, symbol, timeframe, limit);
-      default:
-        throw new Error(`Unknown provider: ${provider}`);
+  // Exponential backoff with jitter, so a provider outage isn't hammered
+  scheduleReconnect() {
+    if (this.stream.reconnectTimer) {
+      return;
     }
+
+    const { reconnectBaseMs, reconnectMaxMs } = this.streamConfig;
+    const delay = Math.min(reconnectMaxMs, reconnectBaseMs * 2 ** this.stream.reconnectAttempts);
+    const wait = delay / 2 + Math.random() * delay / 2;
+
+    this.stream.reconnectAttempts++;
+    this.stream.status = 'reconnecting';
+    this.stream.nextRetryAt = Date.now() + wait;
+
+    console.warn(`Real-time stream lost (${this.stream.lastError}), reconnecting in ${Math.round(wait / 1000)}s`);
+
+    this.stream.reconnectTimer = setTimeout(() => {
+      this.stream.reconnectTimer = null;
+      if (this.subscribers.size > 0) {
+        this.openStream();
+      }
+    }, wait);
   }
 
-  async fetchTwelveData(config, symbol, timeframe, limit) {
-    const response = await axios.get(`${config.baseUrl}/time_series`, {
-      params: {
-        symbol: symbol,
-        interval: this.convertTimeframe(timeframe),
-        outputsize: limit,
-        apikey: config.apiKey,
-        format: 'JSON'
-      },
-      timeout: 10000
-    });
+  closeStream() {
+    clearTimeout(this.stream.reconnectTimer);
+    this.stream.reconnectTimer = null;
 
-    if (response.data.status === 'error') {
-      throw new Error(response.data.message);
+    // Cleared first so the disconnect event isn't treated as a drop
+    const socket = this.stream.socket;
+    this.stream.socket = null;
+    if (socket) {
+      socket.disconnect();
     }
 
-    return response.data.values || [];
+    this.stream.status = 'idle';
+    this.stream.connectedAt = null;
+    this.stream.reconnectAttempts = 0;
+    this.stream.nextRetryAt = null;
   }
 
-  async fetchAlphaVantage(config, symbol, timeframe, limit) {
-    const response = await axios.get(config.baseUrl, {
-      params: {
-        function: 'FX_INTRADAY',
-        from_symbol: symbol.substring(0, 3),
-        to_symbol: symbol.substring(3, 6),
-        interval: this.convertTimeframe(timeframe),
-        outputsize: 'compact',
-        apikey: config.apiKey
-      },
-      timeout: 10000
-    });
+  handlePrice(data) {
+    const marketData = this.processRealTimeData(data);
+    const listeners = this.subscribers.get(marketData.symbol);
+    const feed = this.feeds.get(marketData.symbol);
+    if (!listeners || !feed) {
+      return;
+    }
 
-    if (response.data['Error Message']) {
-      throw new Error(response.data['Error Message']);
+    const now = Date.now();
+    feed.ticks++;
+    feed.lastTickAt = now;
+    feed.latencyMs = now - new Date(marketData.timestamp).getTime();
+    feed.recentTicks.push(now);
+    while (feed.recentTicks[0] < now - 60000) {
+      feed.recentTicks.shift();
     }
 
-    const timeSeriesKey = `Time Series FX (${this.convertTimeframe(timeframe)})`;
-    const timeSeries = response.data[timeSeriesKey];
-    
-    if (!timeSeries) {
-      throw new Error('No data available');
+    // Bad ticks are quarantined here and never reach strategies
+    const { accepted, quality } = this.quality.checkTick(marketData);
+    marketData.quality = quality;
+    if (!accepted) {
+      feed.rejected++;
+      return;
     }
 
-    return Object.entries(timeSeries).slice(0, limit).map(([timestamp, data]) => ({
-      datetime: timestamp,
-      open: parseFloat(data['1. open']),
-      high: parseFloat(data['2. high']),
-      low: parseFloat(data['3. low']),
-      close: parseFloat(data['4. close']),
-      volume: parseFloat(data['5. volume'])
-    }));
-  }
+    this.updateCache(marketData.symbol, marketData);
 
-  async fetchFinhub(config, symbol, timeframe, limit) {
-    const response = await axios.get(`${config.baseUrl}/forex/candle`, {
-      params: {
-        symbol: symbol,
-        resolution: this.convertTimeframe(timeframe),
-        from: Math.floor((Date.now() - (limit * this.getTimeframeMs(timeframe))) / 1000),
-        to: Math.floor(Date.now() / 1000),
-        token: config.apiKey
-      },
-      timeout: 10000
-    });
+    for (const listener of listeners) {
+      try {
+        listener(marketData);
+      } catch (error) {
+        console.error(`Market data listener failed for ${marketData.symbol}:`, error);
+      }
+    }
+  }
 
-    if (response.data.s !== 'ok') {
-      throw new Error('Failed to fetch data from Finhub');
+  getFeedHealth(symbol) {
+    const feed = this.feeds.get(symbol);
+    if (!feed) {
+      return null;
     }
 
-    return response.data.t.map((timestamp, index) => ({
-      datetime: new Date(timestamp * 1000).toISOString(),
-      open: response.data.o[index],
-      high: response.data.h[index],
-      low: response.data.l[index],
-      close: response.data.c[index],
-      volume: response.data.v[index]
-    }));
+    const now = Date.now();
+    return {
+      symbol,
+      listeners: this.subscribers.get(symbol)?.size || 0,
+      subscribedAt: new Date(feed.subscribedAt).toISOString(),
+      lastTickAt: feed.lastTickAt ? new Date(feed.lastTickAt).toISOString() : null,
+      lastTickAgeMs: feed.lastTickAt ? now - feed.lastTickAt : null,
+      ticks: feed.ticks,
+      rejected: feed.rejected,
+      ticksPerMinute: feed.recentTicks.filter(time => time >= now - 60000).length,
+      latencyMs: feed.latencyMs,
+      stale: this.quality.isStale(symbol)
+    };
   }
 
-  convertTimeframe(timeframe) {
-    const conversions = {
-      '1m': '1min',
-      '5m': '5min',
-      '15m': '15min',
-      '30m': '30min',
-      '1h': '60min',
-      '4h': '4hour',
-      '1d': 'daily'
+  getStreamHealth() {
+    const { status, connectedAt, connects, disconnects, reconnectAttempts, nextRetryAt, lastError } = this.stream;
+
+    return {
+      status,
+      connectedAt: connectedAt ? new Date(connectedAt).toISOString() : null,
+      connects,
+      disconnects,
+      reconnectAttempts,
+      nextRetryAt: nextRetryAt ? new Date(nextRetryAt).toISOString() : null,
+      lastError,
+      feeds: Array.from(this.feeds.keys()).map(symbol => this.getFeedHealth(symbol))
     };
-    return conversions[timeframe] || timeframe;
   }
 
-  getTimeframeMs(timeframe) {
-    const msMap = {
-      '1m': 60 * 1000,
-      '5m': 5 * 60 * 1000,
-      '15m': 15 * 60 * 1000,
-      '30m': 30 * 60 * 1000,
-      '1h': 60 * 60 * 1000,
-      '4h': 4 * 60 * 60 * 1000,
-      '1d': 24 * 60 * 60 * 1000
-    };
-    return msMap[timeframe] || 60 * 1000;
+  // Providers that can serve `timeframe` right now, best score first
+  rankProviders(timeframe) {
+    return Object.values(this.providers)
+      .filter(provider => provider.isAvailable() && provider.supportsTimeframe(timeframe))
+      .sort((a, b) => b.getScore() - a.getScore() || a.priority - b.priority);
+  }
+
+  // Historical candles from the best provider, failing over down the
+  // ranking. Every candle carries the name of the provider it came from.
+  async getHistoricalData(symbol, timeframe, limit = 100) {
+    const providers = this.rankProviders(timeframe);
+    if (providers.length === 0) {
+      throw new Error(`No market data provider available for ${symbol} ${timeframe}`);
+    }
+
+    const errors = [];
+
+    for (const provider of providers) {
+      try {
+        const data = await provider.getCandles(symbol, timeframe, limit);
+        if (data.length > 0) {
+          const { candles } = this.quality.checkCandles(data, { symbol, timeframe });
+          return candles;
+        }
+        errors.push(`${provider.name}: no data`);
+      } catch (error) {
+        console.warn(`Failed to fetch from ${provider.name}:`, error.message);
+        errors.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All data providers failed (${errors.join('; ')})`);
+  }
+
+  getProviderHealth() {
+    return Object.values(this.providers).map(provider => provider.getHealth());
   }
 
   processRealTimeData(data) {
+    // Provider time when given (unix seconds), so out-of-order ticks show
+    const providerTime = Number(data.timestamp) * 1000;
+
     return {
-      symbol: data.symbol,
+      symbol: this.providers.twelve_data.unmapSymbol(data.symbol),
       price: parseFloat(data.price),
       bid: parseFloat(data.bid),
       ask: parseFloat(data.ask),
       spread: parseFloat(data.ask) - parseFloat(data.bid),
-      timestamp: new Date().toISOString(),
+      timestamp: providerTime > 0 ? new Date(providerTime).toISOString() : new Date().toISOString(),
       volume: parseFloat(data.volume || 0),
       change: parseFloat(data.change || 0),
       changePercent: parseFloat(data.change_percent || 0)
     };
   }
 
-  processHistoricalData(data, symbol, timeframe) {
-    return data.map(candle => ({
-      symbol,
-      timeframe,
-      timestamp: new Date(candle.datetime).toISOString(),
-      open: parseFloat(candle.open),
-      high: parseFloat(candle.high),
-      low: parseFloat(candle.low),
-      close: parseFloat(candle.close),
-      volume: parseFloat(candle.volume || 0),
-      spread: parseFloat(candle.spread || 0)
-    }));
-  }
-
   updateCache(symbol, data) {
     const key = `${symbol}_${data.timeframe || 'realtime'}`;
     this.cache.set(key, {
@@ -254,20 +333,19 @@ class MarketDataService {
     return null;
   }
 
+  // Drop every listener of a symbol
   disconnect(symbol) {
-    const connection = this.connections.get(symbol);
-    if (connection) {
-      connection.disconnect();
-      this.connections.delete(symbol);
+    for (const listener of Array.from(this.subscribers.get(symbol) || [])) {
+      this.unsubscribe(symbol, listener);
     }
   }
 
   disconnectAll() {
-    for (const [symbol, connection] of this.connections) {
-      connection.disconnect();
+    for (const symbol of Array.from(this.subscribers.keys())) {
+      this.disconnect(symbol);
     }
-    this.connections.clear();
+    this.closeStream();
   }
 }
 
-export const marketDataService = new MarketDataService();
\ No newline at end of file
+export const marketDataService = new MarketDataService();
@@ -0,0 +1,384 @@
+import { instrumentRegistry } from './instruments';
+import { pnlCalculator } from './pnl';
+
+export class PaperAccount {
+  constructor(config = {}) {
+    this.config = {
+      accountId: 'paper_default',
+      currency: 'USD',
+      balance: 10000,
+      leverage: 30,
+      spreadPips: 1.0, // Used when a price update carries no bid/ask
+      slippagePips: 0.2,
+      commissionPerLot: 0, // Round-turn commission per standard lot
+      contractSize: 100000, // For symbols missing from the instrument registry
+      ...config
+    };
+
+    this.id = this.config.accountId;
+    this.balance = this.config.balance;
+    this.positions = new Map();
+    this.orders = new Map();
+    this.orderHistory = [];
+    this.closedPositions = [];
+    this.prices = new Map();
+    this.orderSequence = 0;
+  }
+
+  getPipSize(symbol) {
+    return instrumentRegistry.getPipSize(symbol);
+  }
+
+  // Record the latest quote and trigger pending orders and stops
+  updatePrice(symbol, data) {
+    const quote = this.buildQuote(symbol, data);
+    if (!quote) return [];
+
+    this.prices.set(symbol, quote);
+
+    const events = [
+      ...this.checkPendingOrders(symbol, quote),
+      ...this.checkStopsAndTargets(symbol, quote)
+    ];
+
+    this.refreshPositions(symbol, quote);
+    return events;
+  }
+
+  buildQuote(symbol, data = {}) {
+    const mid = parseFloat(data.price ?? data.close);
+    let bid = parseFloat(data.bid);
+    let ask = parseFloat(data.ask);
+
+    if (!Number.isFinite(bid) || !Number.isFinite(ask) || ask <= bid) {
+      if (!Number.isFinite(mid)) return null;
+      const halfSpread = (this.config.spreadPips * this.getPipSize(symbol)) / 2;
+      bid = mid - halfSpread;
+      ask = mid + halfSpread;
+    }
+
+    return {
+      symbol,
+      bid,
+      ask,
+      mid: (bid + ask) / 2,
+      timestamp: data.timestamp || new Date().toISOString()
+    };
+  }
+
+  getQuote(symbol) {
+    return this.prices.get(symbol) || null;
+  }
+
+  placeOrder(orderParams) {
+    const { symbol, side, units, type = 'MARKET', price, stopLoss, takeProfit } = orderParams;
+
+    if (!symbol || !['BUY', 'SELL'].includes(side)) {
+      throw new Error('Paper order requires a symbol and a BUY/SELL side');
+    }
+
+    if (!units || units <= 0) {
+      throw new Error('Paper order units must be greater than 0');
+    }
+
+    const instrument = instrumentRegistry.get(symbol);
+    if (instrumentRegistry.normalizeUnits(symbol, units) === 0) {
+      throw new Error(`Paper order of ${units} units is below the ${symbol} minimum of ${instrument.minLot} lots`);
+    }
+
+    const order = {
+      id: this.generateId('order'),
+      symbol,
+      side,
+      units,
+      type,
+      price: price || null,
+      stopLoss: stopLoss || null,
+      takeProfit: takeProfit || null,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    if (type === 'MARKET') {
+      const quote = this.getQuote(symbol) || (price ? this.buildQuote(symbol, { price }) : null);
+      if (!quote) {
+        order.status = 'rejected';
+        order.reason = `No price available for ${symbol}`;
+        this.orderHistory.push(order);
+        throw new Error(order.reason);
+      }
+
+      const position = this.fillOrder(order, quote);
+      return { orderID: order.id, order, position };
+    }
+
+    if (!['LIMIT', 'STOP'].includes(type) || !price) {
+      throw new Error(`Unsupported paper order: ${type}${price ? '' : ' without price'}`);
+    }
+
+    this.orders.set(order.id, order);
+    this.orderHistory.push(order);
+    return { orderID: order.id, order, position: null };
+  }
+
+  fillOrder(order, quote) {
+    const slippage = this.config.slippagePips * this.getPipSize(order.symbol);
+    const fillPrice = order.side === 'BUY' ? quote.ask + slippage : quote.bid - slippage;
+    const margin = this.calculateMargin(order.symbol, order.units, fillPrice);
+
+    if (margin === null) {
+      order.status = 'rejected';
+      order.reason = `No ${order.symbol} quote-currency rate to ${this.config.currency}`;
+      this.orders.delete(order.id);
+      if (!this.orderHistory.includes(order)) this.orderHistory.push(order);
+      throw new Error(order.reason);
+    }
+
+    if (margin > this.getFreeMargin()) {
+      order.status = 'rejected';
+      order.reason = 'Insufficient margin';
+      this.orders.delete(order.id);
+      if (!this.orderHistory.includes(order)) this.orderHistory.push(order);
+      throw new Error(`Insufficient margin: required ${margin.toFixed(2)}, free ${this.getFreeMargin().toFixed(2)}`);
+    }
+
+    const commission = this.calculateCommission(order.symbol, order.units) / 2;
+    this.balance -= commission;
+
+    const position = {
+      id: this.generateId('position'),
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      units: order.units,
+      averagePrice: fillPrice,
+      currentPrice: order.side === 'BUY' ? quote.bid : quote.ask,
+      stopLoss: order.stopLoss,
+      takeProfit: order.takeProfit,
+      margin,
+      commission,
+      unrealizedPnL: 0,
+      openTime: quote.timestamp,
+      status: 'open'
+    };
+    position.unrealizedPnL = this.calculatePnL(position, position.currentPrice) ?? 0;
+
+    order.status = 'filled';
+    order.fillPrice = fillPrice;
+    order.filledAt = quote.timestamp;
+    order.positionId = position.id;
+
+    this.orders.delete(order.id);
+    if (!this.orderHistory.includes(order)) this.orderHistory.push(order);
+    this.positions.set(position.id, position);
+
+    return position;
+  }
+
+  checkPendingOrders(symbol, quote) {
+    const events = [];
+
+    for (const order of Array.from(this.orders.values())) {
+      if (order.symbol !== symbol) continue;
+
+      // Buys trigger on the ask, sells on the bid
+      const marketPrice = order.side === 'BUY' ? quote.ask : quote.bid;
+      const triggered = order.type === 'LIMIT'
+        ? (order.side === 'BUY' ? marketPrice <= order.price : marketPrice >= order.price)
+        : (order.side === 'BUY' ? marketPrice >= order.price : marketPrice <= order.price);
+
+      if (!triggered) continue;
+
+      try {
+        const position = this.fillOrder(order, quote);
+        events.push({ type: 'ORDER_FILL', orderId: order.id, positionId: position.id, position });
+      } catch (error) {
+        events.push({ type: 'ORDER_CANCEL', orderId: order.id, reason: error.message });
+      }
+    }
+
+    return events;
+  }
+
+  checkStopsAndTargets(symbol, quote) {
+    const events = [];
+
+    for (const position of Array.from(this.positions.values())) {
+      if (position.symbol !== symbol) continue;
+
+      // Longs close on the bid, shorts on the ask
+      const exitPrice = position.side === 'BUY' ? quote.bid : quote.ask;
+      let reason = null;
+
+      if (position.side === 'BUY') {
+        if (position.stopLoss && exitPrice <= position.stopLoss) reason = 'stop_loss';
+        else if (position.takeProfit && exitPrice >= position.takeProfit) reason = 'take_profit';
+      } else {
+        if (position.stopLoss && exitPrice >= position.stopLoss) reason = 'stop_loss';
+        else if (position.takeProfit && exitPrice <= position.takeProfit) reason = 'take_profit';
+      }
+
+      if (reason) {
+        const closed = this.closePosition(position.id, reason, quote);
+        events.push({ type: 'POSITION_CLOSED', positionId: position.id, reason, position: closed });
+      }
+    }
+
+    return events;
+  }
+
+  closePosition(positionId, reason = 'manual', quote = null) {
+    const position = this.positions.get(positionId);
+    if (!position) {
+      throw new Error(`Paper position ${positionId} not found`);
+    }
+
+    const currentQuote = quote || this.getQuote(position.symbol);
+    if (!currentQuote) {
+      throw new Error(`No price available for ${position.symbol}`);
+    }
+
+    const slippage = this.config.slippagePips * this.getPipSize(position.symbol);
+    const exitPrice = position.side === 'BUY'
+      ? currentQuote.bid - slippage
+      : currentQuote.ask + slippage;
+
+    const commission = this.calculateCommission(position.symbol, position.units) / 2;
+    // Positions only open with a rate, but never book an unconverted amount
+    const grossProfit = this.calculatePnL(position, exitPrice);
+    if (grossProfit === null) {
+      throw new Error(`No ${position.symbol} quote-currency rate to ${this.config.currency}`);
+    }
+    this.balance += grossProfit - commission;
+
+    const closed = {
+      ...position,
+      exitPrice,
+      closeTime: currentQuote.timestamp,
+      commission: position.commission + commission,
+      profit: grossProfit - position.commission - commission,
+      unrealizedPnL: 0,
+      status: 'closed',
+      reason
+    };
+
+    this.positions.delete(positionId);
+    this.closedPositions.push(closed);
+
+    return closed;
+  }
+
+  // Move an open position's stop or target, e.g. for a trailing stop
+  modifyPosition(positionId, { stopLoss, takeProfit } = {}) {
+    const position = this.positions.get(positionId);
+    if (!position) {
+      throw new Error(`Paper position ${positionId} not found`);
+    }
+
+    if (stopLoss !== undefined) position.stopLoss = stopLoss || null;
+    if (takeProfit !== undefined) position.takeProfit = takeProfit || null;
+
+    return position;
+  }
+
+  cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) return null;
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date().toISOString();
+    this.orders.delete(orderId);
+
+    return order;
+  }
+
+  refreshPositions(symbol, quote) {
+    for (const position of this.positions.values()) {
+      if (position.symbol !== symbol) continue;
+      position.currentPrice = position.side === 'BUY' ? quote.bid : quote.ask;
+      position.unrealizedPnL = this.calculatePnL(position, position.currentPrice) ?? position.unrealizedPnL;
+    }
+  }
+
+  // Converts an amount in the symbol's quote currency using this account's
+  // own quotes, or returns null when none of them gives a rate. Unregistered
+  // symbols are assumed quoted in the account currency.
+  toAccountCurrency(symbol, amount, price) {
+    const instrument = instrumentRegistry.find(symbol);
+    if (!instrument) return amount;
+
+    const prices = { [instrument.symbol]: price };
+    this.prices.forEach((quote, key) => { prices[key] ??= quote.mid; });
+
+    return pnlCalculator.convert(amount, instrument.quote, this.config.currency, prices);
+  }
+
+  calculatePnL(position, price) {
+    const profit = position.side === 'BUY'
+      ? (price - position.averagePrice) * position.units
+      : (position.averagePrice - price) * position.units;
+
+    return this.toAccountCurrency(position.symbol, profit, price);
+  }
+
+  // The account's leverage, unless the instrument's margin rate is stricter
+  calculateMargin(symbol, units, price) {
+    const marginRate = Math.max(1 / this.config.leverage, instrumentRegistry.find(symbol)?.marginRate || 0);
+    return this.toAccountCurrency(symbol, units * price * marginRate, price);
+  }
+
+  calculateCommission(symbol, units) {
+    const contractSize = instrumentRegistry.find(symbol)?.contractSize ?? this.config.contractSize;
+    return this.config.commissionPerLot * (units / contractSize);
+  }
+
+  getUsedMargin() {
+    return Array.from(this.positions.values()).reduce((sum, p) => sum + p.margin, 0);
+  }
+
+  getUnrealizedPnL() {
+    return Array.from(this.positions.values()).reduce((sum, p) => sum + p.unrealizedPnL, 0);
+  }
+
+  getEquity() {
+    return this.balance + this.getUnrealizedPnL();
+  }
+
+  getFreeMargin() {
+    return this.getEquity() - this.getUsedMargin();
+  }
+
+  getAccountInfo() {
+    const equity = this.getEquity();
+    const margin = this.getUsedMargin();
+
+    return {
+      id: this.id,
+      currency: this.config.currency,
+      balance: this.balance,
+      equity,
+      margin,
+      freeMargin: equity - margin,
+      marginLevel: margin > 0 ? (equity / margin) * 100 : null,
+      unrealizedPnL: this.getUnrealizedPnL(),
+      openPositions: this.positions.size,
+      pendingOrders: this.orders.size,
+      leverage: this.config.leverage
+    };
+  }
+
+  getPositions() {
+    return Array.from(this.positions.values());
+  }
+
+  getOrderHistory(limit = 100) {
+    return this.orderHistory.slice(-limit);
+  }
+
+  generateId(prefix) {
+    this.orderSequence++;
+    return `paper_${prefix}_${Date.now()}_${this.orderSequence}`;
+  }
+}
+
+export default PaperAccount;
@@ -0,0 +1,269 @@
+// Candlestick pattern recognition over OHLC candles.
+//
+// A pattern is { bars, detect(candles, index, context) } where detect looks at
+// the `bars` candles ending at `index` and returns { direction, strength } or
+// null. direction is 'bullish', 'bearish' or 'neutral'; strength is 0-1.
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+const body = (c) => Math.abs(c.close - c.open);
+const range = (c) => c.high - c.low;
+const upperWick = (c) => c.high - Math.max(c.open, c.close);
+const lowerWick = (c) => Math.min(c.open, c.close) - c.low;
+const isBullish = (c) => c.close > c.open;
+const isBearish = (c) => c.close < c.open;
+const midpoint = (c) => (c.open + c.close) / 2;
+
+export const BUILT_IN_PATTERNS = {
+  doji: {
+    bars: 1,
+    detect: (candles, i) => {
+      const c = candles[i];
+      const size = range(c);
+      if (size === 0 || body(c) > size * 0.1) return null;
+
+      return { direction: 'neutral', strength: clamp(1 - body(c) / (size * 0.1)) };
+    }
+  },
+
+  // Hammer / shooting star shape: one long wick rejecting a price level
+  pin_bar: {
+    bars: 1,
+    detect: (candles, i) => {
+      const c = candles[i];
+      const size = range(c);
+      if (size === 0) return null;
+
+      const lower = lowerWick(c);
+      const upper = upperWick(c);
+      const wick = Math.max(lower, upper);
+      const otherWick = Math.min(lower, upper);
+
+      if (wick < body(c) * 2 || wick < size * 0.6 || otherWick > size * 0.25) return null;
+
+      return {
+        direction: lower > upper ? 'bullish' : 'bearish',
+        strength: clamp((wick / size - 0.6) / 0.4)
+      };
+    }
+  },
+
+  engulfing: {
+    bars: 2,
+    detect: (candles, i) => {
+      const prev = candles[i - 1];
+      const c = candles[i];
+      const bullish = isBearish(prev) && isBullish(c) && c.open <= prev.close && c.close >= prev.open;
+      const bearish = isBullish(prev) && isBearish(c) && c.open >= prev.close && c.close <= prev.open;
+      if ((!bullish && !bearish) || body(c) <= body(prev)) return null;
+
+      return {
+        direction: bullish ? 'bullish' : 'bearish',
+        strength: clamp((body(c) / Math.max(body(prev), Number.EPSILON) - 1) / 2)
+      };
+    }
+  },
+
+  harami: {
+    bars: 2,
+    detect: (candles, i) => {
+      const prev = candles[i - 1];
+      const c = candles[i];
+      const inside = Math.max(c.open, c.close) < Math.max(prev.open, prev.close) &&
+        Math.min(c.open, c.close) > Math.min(prev.open, prev.close);
+      const bullish = isBearish(prev) && isBullish(c);
+      const bearish = isBullish(prev) && isBearish(c);
+      if (!inside || (!bullish && !bearish)) return null;
+
+      return {
+        direction: bullish ? 'bullish' : 'bearish',
+        strength: clamp(1 - body(c) / body(prev))
+      };
+    }
+  },
+
+  inside_bar: {
+    bars: 2,
+    detect: (candles, i) => {
+      const prev = candles[i - 1];
+      const c = candles[i];
+      if (c.high >= prev.high || c.low <= prev.low) return null;
+
+      return { direction: 'neutral', strength: clamp(1 - range(c) / range(prev)) };
+    }
+  },
+
+  outside_bar: {
+    bars: 2,
+    detect: (candles, i) => {
+      const prev = candles[i - 1];
+      const c = candles[i];
+      if (c.high <= prev.high || c.low >= prev.low) return null;
+
+      let direction = 'neutral';
+      if (isBullish(c)) direction = 'bullish';
+      if (isBearish(c)) direction = 'bearish';
+
+      return { direction, strength: clamp(range(c) / Math.max(range(prev), Number.EPSILON) - 1) };
+    }
+  },
+
+  morning_star: {
+    bars: 3,
+    detect: (candles, i, context) => {
+      const [first, star, last] = candles.slice(i - 2, i + 1);
+      if (!isBearish(first) || !isBullish(last)) return null;
+      if (body(first) < context.averageBody || body(star) > body(first) * 0.3) return null;
+      if (Math.max(star.open, star.close) > first.close || last.close <= midpoint(first)) return null;
+
+      // How far the third candle closes back into the first one's body
+      return { direction: 'bullish', strength: clamp((last.close - first.close) / body(first)) };
+    }
+  },
+
+  evening_star: {
+    bars: 3,
+    detect: (candles, i, context) => {
+      const [first, star, last] = candles.slice(i - 2, i + 1);
+      if (!isBullish(first) || !isBearish(last)) return null;
+      if (body(first) < context.averageBody || body(star) > body(first) * 0.3) return null;
+      if (Math.min(star.open, star.close) < first.close || last.close >= midpoint(first)) return null;
+
+      return { direction: 'bearish', strength: clamp((first.close - last.close) / body(first)) };
+    }
+  },
+
+  three_white_soldiers: {
+    bars: 3,
+    detect: (candles, i, context) => {
+      const bars = candles.slice(i - 2, i + 1);
+      const valid = bars.every((c, n) => isBullish(c) &&
+        body(c) >= context.averageBody * 0.5 &&
+        upperWick(c) <= body(c) * 0.5 &&
+        (n === 0 || (c.open >= bars[n - 1].open && c.open <= bars[n - 1].close && c.close > bars[n - 1].close)));
+      if (!valid) return null;
+
+      const averageBody = bars.reduce((sum, c) => sum + body(c), 0) / 3;
+      return { direction: 'bullish', strength: clamp(averageBody / (context.averageRange || averageBody)) };
+    }
+  },
+
+  three_black_crows: {
+    bars: 3,
+    detect: (candles, i, context) => {
+      const bars = candles.slice(i - 2, i + 1);
+      const valid = bars.every((c, n) => isBearish(c) &&
+        body(c) >= context.averageBody * 0.5 &&
+        lowerWick(c) <= body(c) * 0.5 &&
+        (n === 0 || (c.open <= bars[n - 1].open && c.open >= bars[n - 1].close && c.close < bars[n - 1].close)));
+      if (!valid) return null;
+
+      const averageBody = bars.reduce((sum, c) => sum + body(c), 0) / 3;
+      return { direction: 'bearish', strength: clamp(averageBody / (context.averageRange || averageBody)) };
+    }
+  }
+};
+
+export class CandlestickPatterns {
+  constructor({ averagePeriod = 14 } = {}) {
+    this.averagePeriod = averagePeriod;
+    this.patterns = new Map();
+
+    Object.entries(BUILT_IN_PATTERNS).forEach(([name, pattern]) => this.register(name, pattern));
+  }
+
+  register(name, pattern, { override = false } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Pattern name must be a non-empty string');
+    }
+
+    if (typeof pattern?.detect !== 'function') {
+      throw new Error(`Pattern ${name} must provide a detect function`);
+    }
+
+    if (this.patterns.has(name) && !override) {
+      throw new Error(`Pattern already registered: ${name}`);
+    }
+
+    this.patterns.set(name, { bars: 1, ...pattern });
+    return this;
+  }
+
+  unregister(name) {
+    return this.patterns.delete(name);
+  }
+
+  getPatternNames() {
+    return Array.from(this.patterns.keys());
+  }
+
+  // Average body and range of the bars before `index`, used to judge size
+  getContext(candles, index) {
+    const start = Math.max(0, index - this.averagePeriod);
+    const window = candles.slice(start, index);
+    const count = window.length || 1;
+
+    return {
+      averageBody: window.reduce((sum, c) => sum + body(c), 0) / count,
+      averageRange: window.reduce((sum, c) => sum + range(c), 0) / count
+    };
+  }
+
+  // Run one pattern at one bar
+  detect(name, candles, index = candles.length - 1) {
+    const pattern = this.patterns.get(name);
+    if (!pattern) {
+      throw new Error(`Unknown pattern: ${name}`);
+    }
+
+    if (index < pattern.bars - 1 || index >= candles.length) {
+      return null;
+    }
+
+    const match = pattern.detect(candles, index, this.getContext(candles, index));
+    if (!match) {
+      return null;
+    }
+
+    return {
+      pattern: name,
+      direction: match.direction,
+      strength: match.strength,
+      index,
+      startIndex: index - pattern.bars + 1,
+      timestamp: candles[index].timestamp
+    };
+  }
+
+  // Every match ending in the last `lookback` bars (all bars by default),
+  // oldest first
+  scan(candles, { patterns = null, lookback = null, minStrength = 0 } = {}) {
+    const names = patterns || this.getPatternNames();
+    const start = lookback ? Math.max(0, candles.length - lookback) : 0;
+    const matches = [];
+
+    for (let index = start; index < candles.length; index++) {
+      for (const name of names) {
+        const match = this.detect(name, candles, index);
+        if (match && match.strength >= minStrength) {
+          matches.push(match);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  // Strongest recent match in a direction, or null
+  findConfirmation(candles, direction, options = {}) {
+    const matches = this.scan(candles, { lookback: 3, ...options })
+      .filter(match => match.direction === direction);
+
+    return matches.reduce((best, match) => (!best || match.strength > best.strength ? match : best), null);
+  }
+}
+
+// Shared instance, so custom patterns registered once are seen by every strategy
+export const candlestickPatterns = new CandlestickPatterns();
+
+export default candlestickPatterns;
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { PnLCalculator } from '../index';
+
+// New York is on EST in January, so rollover is 22:00 UTC
+const TUESDAY_NOON = '2024-01-02T12:00:00.000Z';
+const THURSDAY_NOON = '2024-01-04T12:00:00.000Z';
+
+const createCalculator = (config = {}) => new PnLCalculator({
+  liveRates: false,
+  rates: { GBPUSD: 1.25, USDJPY: 150, USDCHF: 0.9, EURJPY: 160 },
+  ...config
+});
+
+const position = (overrides = {}) => ({
+  symbol: 'EURUSD',
+  direction: 'BUY',
+  entryPrice: 1.1,
+  lotSize: 100000,
+  openTime: TUESDAY_NOON,
+  ...overrides
+});
+
+describe('PnLCalculator', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('converts directly, inverted and through USD', () => {
+    const calculator = createCalculator();
+
+    expect(calculator.convert(100, 'GBP', 'USD')).toBeCloseTo(125, 10);
+    expect(calculator.convert(16000, 'JPY', 'EUR')).toBeCloseTo(100, 10);
+    expect(calculator.convert(15000, 'JPY', 'CHF')).toBeCloseTo(90, 10);
+    expect(calculator.convert(100, 'NZD', 'CAD')).toBeNull();
+  });
+
+  it('values cross P&L in the account currency', () => {
+    const calculator = createCalculator();
+    const pnl = calculator.calculateTradePnL(position({ symbol: 'EURGBP', entryPrice: 0.86 }), 0.861, { closeTime: TUESDAY_NOON });
+
+    expect(pnl.currency).toBe('USD');
+    expect(pnl.converted).toBe(true);
+    expect(pnl.grossProfit).toBeCloseTo(125, 6);
+  });
+
+  it('uses the traded pair\'s own price when the account holds its base', () => {
+    const calculator = createCalculator({ rates: {} });
+    const gross = calculator.calculateGrossProfit(position({ symbol: 'USDJPY', entryPrice: 150 }), 151);
+
+    expect(gross).toBeCloseTo(100000 / 151, 6);
+  });
+
+  it('keeps P&L in the quote currency when no rate converts it', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const calculator = createCalculator({ rates: {} });
+    const pnl = calculator.calculateTradePnL(position({ symbol: 'EURGBP', entryPrice: 0.86 }), 0.861, { closeTime: TUESDAY_NOON });
+
+    expect(pnl).toMatchObject({ currency: 'GBP', converted: false });
+    expect(pnl.grossProfit).toBeCloseTo(100, 6);
+    expect(warn).toHaveBeenCalled();
+  });
+
+  it('charges commission per lot or per million, with a minimum', () => {
+    const calculator = createCalculator();
+
+    expect(calculator.calculateCommission('EURUSD', 200000, { perLot: 7 })).toBeCloseTo(14, 10);
+    expect(calculator.calculateCommission('EURUSD', 200000, { perMillion: 35 })).toBeCloseTo(7, 10);
+    expect(calculator.calculateCommission('EURUSD', 1000, { perLot: 7, minimum: 1 })).toBe(1);
+    expect(calculator.calculateCommission('EURUSD', 100000, { perLot: 5, currency: 'GBP' })).toBeCloseTo(6.25, 10);
+  });
+
+  it('counts Wednesday\'s rollover three times and skips the weekend', () => {
+    const calculator = createCalculator();
+
+    expect(calculator.countRollovers(TUESDAY_NOON, '2024-01-02T21:59:00.000Z')).toBe(0);
+    expect(calculator.countRollovers(TUESDAY_NOON, THURSDAY_NOON)).toBe(4);
+    expect(calculator.countRollovers('2024-01-05T12:00:00.000Z', '2024-01-08T12:00:00.000Z')).toBe(1);
+    expect(calculator.countRollovers('2024-01-05T23:00:00.000Z', '2024-01-08T12:00:00.000Z')).toBe(0);
+  });
+
+  it('charges the interest differential for every rollover held', () => {
+    const calculator = createCalculator();
+
+    // EUR at 3% against USD at 4.5%, less the 0.25% markup, on 110,000 USD
+    const nightly = 110000 * (0.03 - 0.045 - 0.0025) / 365;
+    expect(calculator.calculateNightlySwap('EURUSD', 'BUY', 100000, 1.1)).toBeCloseTo(nightly, 10);
+
+    const pnl = calculator.calculateTradePnL(position(), 1.101, { closeTime: THURSDAY_NOON, commission: { perLot: 7 } });
+    expect(pnl.swap).toBeCloseTo(nightly * 4, 10);
+    expect(pnl.profit).toBeCloseTo(100 - 7 + nightly * 4, 6);
+  });
+
+  it('prefers configured swap rates per lot', () => {
+    const calculator = createCalculator({ swapRates: { EURUSD: { long: -6.5, short: 2.1 } } });
+
+    expect(calculator.calculateSwap(position({ lotSize: 200000 }), THURSDAY_NOON)).toBeCloseTo(-52, 10);
+    expect(calculator.calculateSwap(position({ direction: 'SELL' }), THURSDAY_NOON)).toBeCloseTo(8.4, 10);
+  });
+});
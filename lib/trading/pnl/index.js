@@ -0,0 +1,242 @@
+import { marketDataService } from '../market-data';
+import { instrumentRegistry } from '../instruments';
+import { getNewYorkOffsetMs } from '../timeframes';
+
+const DAY = 24 * 60 * 60 * 1000;
+const ROLLOVER_HOUR = 17; // New York
+
+// Round-turn commission per standard lot (perLot) or per million units
+// traded (perMillion), in `currency` (the account currency when omitted).
+// Brokers quoting spread-only prices charge nothing; ECN accounts can pass
+// their own schedule as credentials.commission.
+export const COMMISSION_SCHEDULES = {
+  oanda: { perLot: 0 },
+  fxcm: { perLot: 0 },
+  ig: { perLot: 0 },
+  paper: { perLot: 0 }
+};
+
+// Annual central bank policy rates used to estimate swap from the interest
+// differential. Override with updateConfig({ interestRates }) as they move.
+export const INTEREST_RATES = {
+  USD: 0.045,
+  EUR: 0.03,
+  GBP: 0.0475,
+  JPY: 0.0025,
+  CHF: 0.01,
+  AUD: 0.0435,
+  NZD: 0.0475,
+  CAD: 0.0375
+};
+
+// Converts P&L into the account currency and adds trading costs:
+//
+//   grossProfit   price move in the account currency
+//   commission    round-turn commission, always >= 0
+//   swap          rollover interest, positive when earned
+//   profit        grossProfit - commission + swap
+//
+// Quote-to-account conversion uses the latest streamed rates, directly,
+// inverted or through USD. The traded pair's own price is used when the
+// account currency is its base or quote, so USDJPY needs no other feed.
+export class PnLCalculator {
+  constructor(config = {}) {
+    this.config = {
+      accountCurrency: 'USD',
+      interestRates: INTEREST_RATES,
+      swapMarkup: 0.0025, // Broker markup on the differential, per year and side
+      swapRates: {}, // symbol -> { long, short } per standard lot per night, in the account currency
+      liveRates: true, // Fall back to the market data cache for rates never streamed here
+      ...config
+    };
+
+    this.rates = new Map(); // symbol -> { bid, ask, mid, time }
+    Object.entries(config.rates || {}).forEach(([symbol, rate]) => this.updateRate(symbol, { price: rate }));
+  }
+
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+
+  updateRate(symbol, { bid, ask, price, timestamp } = {}) {
+    const mid = Number.isFinite(bid) && Number.isFinite(ask) ? (bid + ask) / 2 : price;
+    if (!Number.isFinite(mid) || mid <= 0) return;
+
+    this.rates.set(symbol, { bid, ask, mid, time: timestamp ? new Date(timestamp).getTime() : Date.now() });
+  }
+
+  getRate(symbol, prices = {}) {
+    if (Number.isFinite(prices[symbol])) return prices[symbol];
+    if (this.rates.has(symbol)) return this.rates.get(symbol).mid;
+    if (!this.config.liveRates) return null;
+
+    const cached = marketDataService.getCachedData(symbol, 'realtime');
+    return cached ? cached.price ?? (cached.bid + cached.ask) / 2 : null;
+  }
+
+  // Amount in `to`, or null if no rate links the two currencies.
+  // `prices` maps symbols to prices that take precedence over streamed rates.
+  convert(amount, from, to, prices = {}) {
+    if (from === to) return amount;
+
+    const direct = this.getRate(`${from}${to}`, prices);
+    if (direct) return amount * direct;
+
+    const inverse = this.getRate(`${to}${from}`, prices);
+    if (inverse) return amount / inverse;
+
+    if (from !== 'USD' && to !== 'USD') {
+      const usd = this.convert(amount, from, 'USD', prices);
+      return usd === null ? null : this.convert(usd, 'USD', to, prices);
+    }
+
+    return null;
+  }
+
+  // Registered pairs whose rates convert `currency` into `accountCurrency`
+  getConversionSymbols(currency, accountCurrency = this.config.accountCurrency) {
+    if (currency === accountCurrency) return [];
+
+    const pair = (a, b) => [`${a}${b}`, `${b}${a}`].find(symbol => instrumentRegistry.has(symbol));
+    const direct = pair(currency, accountCurrency);
+    if (direct) return [direct];
+
+    return [pair(currency, 'USD'), pair('USD', accountCurrency)].filter(Boolean);
+  }
+
+  // Stream the rates needed to convert P&L of `symbols` into the account
+  // currency. Returns a function that stops streaming them again.
+  watch(symbols, accountCurrency = this.config.accountCurrency) {
+    const needed = symbols
+      .flatMap(symbol => this.getConversionSymbols(instrumentRegistry.get(symbol).quote, accountCurrency))
+      .filter((symbol, index, list) => list.indexOf(symbol) === index);
+
+    const unsubscribes = needed.map(symbol =>
+      marketDataService.subscribe(symbol, (tick) => this.updateRate(symbol, tick))
+    );
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  // Account currency reported by a broker connection
+  getAccountCurrency(connection) {
+    const info = connection?.accountInfo;
+    return info?.currency ||
+      info?.account?.currency ||
+      connection?.paperAccount?.config.currency ||
+      connection?.credentials?.currency ||
+      this.config.accountCurrency;
+  }
+
+  getCommissionSchedule(connection) {
+    const schedule = { ...(COMMISSION_SCHEDULES[connection?.brokerId] || { perLot: 0 }) };
+
+    if (connection?.paperAccount) {
+      schedule.perLot = connection.paperAccount.config.commissionPerLot;
+    }
+
+    return { ...schedule, ...connection?.credentials?.commission };
+  }
+
+  // Round-turn commission for `units`, in the account currency
+  calculateCommission(symbol, units, schedule = {}, accountCurrency = this.config.accountCurrency) {
+    const { perLot = 0, perMillion = 0, minimum = 0, currency = accountCurrency } = schedule;
+    const lots = instrumentRegistry.unitsToLots(symbol, units);
+    const commission = Math.max(perLot * lots + perMillion * units / 1e6, minimum);
+
+    return this.convert(commission, currency, accountCurrency) ?? commission;
+  }
+
+  // Rollovers at 17:00 New York between two times. Wednesday's counts three
+  // times for the weekend, and there are none on Saturday or Sunday.
+  countRollovers(openTime, closeTime) {
+    const open = new Date(openTime).getTime();
+    const close = new Date(closeTime).getTime();
+    if (!Number.isFinite(open) || !Number.isFinite(close) || close <= open) return 0;
+
+    let nights = 0;
+    const offset = getNewYorkOffsetMs(open);
+    const localDay = Math.floor((open + offset) / DAY) * DAY;
+
+    for (let day = localDay; day <= close + DAY; day += DAY) {
+      const rollover = day + ROLLOVER_HOUR * 60 * 60 * 1000 - getNewYorkOffsetMs(day);
+      if (rollover <= open || rollover > close) continue;
+
+      const weekday = new Date(day).getUTCDay();
+      if (weekday === 0 || weekday === 6) continue;
+      nights += weekday === 3 ? 3 : 1;
+    }
+
+    return nights;
+  }
+
+  // Swap for one night, in the account currency. Configured swapRates win,
+  // otherwise it is the interest differential less the broker markup.
+  calculateNightlySwap(symbol, direction, units, price, accountCurrency = this.config.accountCurrency) {
+    const instrument = instrumentRegistry.get(symbol);
+    const side = direction === 'BUY' ? 'long' : 'short';
+    const configured = this.config.swapRates[instrument.symbol]?.[side];
+
+    if (configured !== undefined) {
+      return configured * instrumentRegistry.unitsToLots(symbol, units);
+    }
+
+    const { interestRates, swapMarkup } = this.config;
+    const baseRate = interestRates[instrument.base] ?? 0;
+    const quoteRate = interestRates[instrument.quote] ?? 0;
+    const differential = direction === 'BUY' ? baseRate - quoteRate : quoteRate - baseRate;
+
+    // Interest on the notional, which is in the quote currency
+    const swap = units * price * (differential - swapMarkup) / 365;
+    return this.convert(swap, instrument.quote, accountCurrency, { [instrument.symbol]: price }) ?? 0;
+  }
+
+  calculateSwap(position, closeTime = Date.now(), accountCurrency = this.config.accountCurrency) {
+    const nights = this.countRollovers(position.openTime, closeTime);
+    if (nights === 0) return 0;
+
+    return nights * this.calculateNightlySwap(
+      position.symbol, position.direction, position.lotSize, position.entryPrice, accountCurrency
+    );
+  }
+
+  // Price-move P&L of a position in the account currency, without costs
+  calculateGrossProfit(position, price, accountCurrency = this.config.accountCurrency) {
+    const { symbol, direction, entryPrice, lotSize } = position;
+    const instrument = instrumentRegistry.get(symbol);
+    const quoteProfit = instrumentRegistry.calculateProfit(symbol, direction, entryPrice, price, lotSize);
+
+    return this.convert(quoteProfit, instrument.quote, accountCurrency, { [instrument.symbol]: price });
+  }
+
+  // Full P&L of closing `position` at `exitPrice`. When no rate converts the
+  // quote currency, amounts stay in it and `converted` is false.
+  calculateTradePnL(position, exitPrice, { accountCurrency = this.config.accountCurrency, commission: schedule = {}, closeTime = Date.now() } = {}) {
+    const instrument = instrumentRegistry.get(position.symbol);
+    let grossProfit = this.calculateGrossProfit(position, exitPrice, accountCurrency);
+    let currency = accountCurrency;
+    const converted = grossProfit !== null;
+
+    if (!converted) {
+      console.warn(`No rate to convert ${instrument.quote} P&L to ${accountCurrency}, keeping ${position.symbol} P&L in ${instrument.quote}`);
+      grossProfit = instrumentRegistry.calculateProfit(position.symbol, position.direction, position.entryPrice, exitPrice, position.lotSize);
+      currency = instrument.quote;
+    }
+
+    const commission = this.calculateCommission(position.symbol, position.lotSize, schedule, currency);
+    const swap = this.calculateSwap(position, closeTime, currency);
+
+    return {
+      grossProfit,
+      commission,
+      swap,
+      profit: grossProfit - commission + swap,
+      currency,
+      converted
+    };
+  }
+}
+
+export const pnlCalculator = new PnLCalculator();
+
+export default pnlCalculator;
@@ -0,0 +1,71 @@
+import axios from 'axios';
+import { MarketDataProvider } from './base';
+
+const MINUTE = 60 * 1000;
+
+export class AlphaVantageProvider extends MarketDataProvider {
+  constructor(config = {}) {
+    super({
+      name: 'alpha_vantage',
+      baseUrl: 'https://www.alphavantage.co/query',
+      timeframes: {
+        '1m': '1min',
+        '5m': '5min',
+        '15m': '15min',
+        '30m': '30min',
+        '1h': '60min',
+        '1d': 'daily'
+      },
+      // Free plan: 5 requests a minute, 25 a day
+      rateLimits: [
+        { requests: 5, intervalMs: MINUTE },
+        { requests: 25, intervalMs: 24 * 60 * MINUTE }
+      ],
+      ...config
+    });
+  }
+
+  async fetchCandles(symbol, timeframe, limit) {
+    const interval = this.mapTimeframe(timeframe);
+    const daily = interval === 'daily';
+
+    const response = await axios.get(this.baseUrl, {
+      params: {
+        function: daily ? 'FX_DAILY' : 'FX_INTRADAY',
+        from_symbol: symbol.substring(0, 3),
+        to_symbol: symbol.substring(3, 6),
+        ...(daily ? {} : { interval }),
+        outputsize: limit > 100 ? 'full' : 'compact',
+        apikey: this.apiKey
+      },
+      timeout: 10000
+    });
+
+    if (response.data['Error Message']) {
+      throw new Error(response.data['Error Message']);
+    }
+
+    // Rate limit and premium-endpoint notices come back with a 200
+    const notice = response.data.Note || response.data.Information;
+    if (notice) {
+      throw new Error(notice);
+    }
+
+    const timeSeriesKey = daily ? 'Time Series FX (Daily)' : `Time Series FX (${interval})`;
+    const timeSeries = response.data[timeSeriesKey];
+
+    if (!timeSeries) {
+      throw new Error('No data available');
+    }
+
+    // Intraday timestamps are UTC without a zone
+    return Object.entries(timeSeries).slice(0, limit).map(([timestamp, data]) => ({
+      datetime: daily ? timestamp : `${timestamp.replace(' ', 'T')}Z`,
+      open: data['1. open'],
+      high: data['2. high'],
+      low: data['3. low'],
+      close: data['4. close'],
+      volume: data['5. volume']
+    }));
+  }
+}
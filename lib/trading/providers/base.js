@@ -0,0 +1,201 @@
+import { resampler, getTimeframeMs } from '../timeframes';
+
+// A historical candle source. Adapters declare their native `timeframes`
+// (our timeframe -> vendor interval), map symbols both ways, and implement
+// fetchCandles(), returning candles oldest first in the repo's shape. The
+// base class handles rate-limit budgets, latency/error tracking and building
+// timeframes the vendor doesn't offer from smaller native ones.
+export class MarketDataProvider {
+  constructor(config = {}) {
+    this.name = config.name;
+    this.apiKey = config.apiKey;
+    this.baseUrl = config.baseUrl;
+    this.priority = config.priority ?? 0; // Tie-breaker, lower first
+    this.timeframes = config.timeframes || {};
+    this.maxCandles = config.maxCandles || 5000; // Largest request the vendor allows
+    this.rateLimits = config.rateLimits || []; // [{ requests, intervalMs }]
+    this.cooldownMs = config.cooldownMs || 60 * 1000; // After repeated failures
+    this.failureThreshold = config.failureThreshold || 3;
+    this.historySize = config.historySize || 20; // Outcomes kept for scoring
+
+    this.requestTimes = [];
+    this.outcomes = [];
+    this.consecutiveFailures = 0;
+    this.coolingDownUntil = 0;
+    this.lastError = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  mapSymbol(symbol) {
+    return symbol;
+  }
+
+  // Vendor symbol back to ours
+  unmapSymbol(symbol) {
+    return String(symbol || '').replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+  }
+
+  mapTimeframe(timeframe) {
+    const interval = this.timeframes[timeframe];
+    if (!interval) {
+      throw new Error(`${this.name} does not support timeframe ${timeframe}`);
+    }
+    return interval;
+  }
+
+  // Largest native timeframe `timeframe` can be built from
+  getSourceTimeframe(timeframe) {
+    if (this.timeframes[timeframe]) return timeframe;
+
+    return Object.keys(this.timeframes)
+      .filter(native => resampler.canResample(native, timeframe))
+      .sort((a, b) => getTimeframeMs(b) - getTimeframeMs(a))[0] || null;
+  }
+
+  supportsTimeframe(timeframe) {
+    return this.getSourceTimeframe(timeframe) !== null;
+  }
+
+  pruneRequests(now = Date.now()) {
+    const longest = Math.max(0, ...this.rateLimits.map(limit => limit.intervalMs));
+    this.requestTimes = this.requestTimes.filter(time => time > now - longest);
+  }
+
+  // Requests left in the tightest rate-limit window
+  getRemainingBudget(now = Date.now()) {
+    this.pruneRequests(now);
+    if (this.rateLimits.length === 0) return Infinity;
+
+    return Math.min(...this.rateLimits.map(({ requests, intervalMs }) =>
+      requests - this.requestTimes.filter(time => time > now - intervalMs).length
+    ));
+  }
+
+  isAvailable(now = Date.now()) {
+    return this.isConfigured() && now >= this.coolingDownUntil && this.getRemainingBudget(now) > 0;
+  }
+
+  recordOutcome(ok, latencyMs, error = null) {
+    this.outcomes.push({ ok, latencyMs, time: Date.now() });
+    if (this.outcomes.length > this.historySize) {
+      this.outcomes.shift();
+    }
+
+    if (ok) {
+      this.consecutiveFailures = 0;
+      return;
+    }
+
+    this.lastError = error?.message || String(error);
+    this.consecutiveFailures++;
+
+    // Back off for longer each time the provider keeps failing
+    if (this.consecutiveFailures >= this.failureThreshold) {
+      const multiplier = 2 ** (this.consecutiveFailures - this.failureThreshold);
+      this.coolingDownUntil = Date.now() + Math.min(this.cooldownMs * multiplier, 30 * 60 * 1000);
+    }
+  }
+
+  getErrorRate() {
+    if (this.outcomes.length === 0) return 0;
+    return this.outcomes.filter(outcome => !outcome.ok).length / this.outcomes.length;
+  }
+
+  getAverageLatency() {
+    const successes = this.outcomes.filter(outcome => outcome.ok);
+    if (successes.length === 0) return null;
+    return successes.reduce((sum, outcome) => sum + outcome.latencyMs, 0) / successes.length;
+  }
+
+  // Higher is better: success rate discounted by latency in seconds.
+  // Untried providers start at 0.5 so they get a chance.
+  getScore() {
+    if (this.outcomes.length === 0) return 0.5;
+
+    const latency = this.getAverageLatency() ?? 10000;
+    return (1 - this.getErrorRate()) / (1 + latency / 1000);
+  }
+
+  async getCandles(symbol, timeframe, limit = 100) {
+    const source = this.getSourceTimeframe(timeframe);
+    if (!source) {
+      throw new Error(`${this.name} does not support timeframe ${timeframe}`);
+    }
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} is not configured`);
+    }
+    if (this.getRemainingBudget() <= 0) {
+      throw new Error(`${this.name} rate limit reached`);
+    }
+
+    const ratio = getTimeframeMs(timeframe) / getTimeframeMs(source);
+    const sourceLimit = Math.min(this.maxCandles, Math.ceil(limit * ratio) + ratio);
+
+    this.requestTimes.push(Date.now());
+    const startedAt = Date.now();
+
+    try {
+      const raw = await this.fetchCandles(this.mapSymbol(symbol), source, sourceLimit);
+      this.recordOutcome(true, Date.now() - startedAt);
+
+      let candles = raw
+        .map(candle => this.normalizeCandle(candle, symbol, source))
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      if (source !== timeframe) {
+        candles = resampler.resample(candles, timeframe, symbol)
+          .map(candle => ({ ...candle, provider: this.name }));
+      }
+
+      return candles.slice(-limit);
+
+    } catch (error) {
+      this.recordOutcome(false, Date.now() - startedAt, error);
+      throw error;
+    }
+  }
+
+  normalizeCandle(candle, symbol, timeframe) {
+    const time = new Date(candle.datetime ?? candle.timestamp).getTime();
+    const normalized = {
+      symbol,
+      timeframe,
+      timestamp: Number.isFinite(time) ? new Date(time).toISOString() : null,
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume || 0),
+      spread: parseFloat(candle.spread || 0),
+      provider: this.name
+    };
+
+    return normalized.timestamp ? normalized : null;
+  }
+
+  async fetchCandles() {
+    throw new Error(`fetchCandles not implemented for ${this.name}`);
+  }
+
+  getHealth() {
+    const now = Date.now();
+
+    return {
+      name: this.name,
+      configured: this.isConfigured(),
+      available: this.isAvailable(now),
+      score: this.getScore(),
+      errorRate: this.getErrorRate(),
+      averageLatencyMs: this.getAverageLatency(),
+      requests: this.outcomes.length,
+      remainingBudget: this.getRemainingBudget(now),
+      coolingDownUntil: this.coolingDownUntil > now ? new Date(this.coolingDownUntil).toISOString() : null,
+      lastError: this.lastError,
+      timeframes: Object.keys(this.timeframes)
+    };
+  }
+}
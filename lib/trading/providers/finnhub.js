@@ -0,0 +1,66 @@
+import axios from 'axios';
+import { MarketDataProvider } from './base';
+import { getTimeframeMs } from '../timeframes';
+
+export class FinnhubProvider extends MarketDataProvider {
+  constructor(config = {}) {
+    super({
+      name: 'finhub',
+      baseUrl: 'https://finnhub.io/api/v1',
+      timeframes: {
+        '1m': '1',
+        '5m': '5',
+        '15m': '15',
+        '30m': '30',
+        '1h': '60',
+        '1d': 'D'
+      },
+      // Free plan: 60 calls a minute
+      rateLimits: [{ requests: 60, intervalMs: 60 * 1000 }],
+      ...config
+    });
+    this.exchange = config.exchange || 'OANDA';
+  }
+
+  // EURUSD -> OANDA:EUR_USD
+  mapSymbol(symbol) {
+    return `${this.exchange}:${symbol.slice(0, 3)}_${symbol.slice(3)}`;
+  }
+
+  unmapSymbol(symbol) {
+    return super.unmapSymbol(String(symbol).split(':').pop());
+  }
+
+  async fetchCandles(symbol, timeframe, limit) {
+    // Ask for a wider window than `limit` bars, since weekends have none
+    const to = Math.floor(Date.now() / 1000);
+    const span = Math.ceil(limit * getTimeframeMs(timeframe) * 7 / 5 / 1000);
+
+    const response = await axios.get(`${this.baseUrl}/forex/candle`, {
+      params: {
+        symbol,
+        resolution: this.mapTimeframe(timeframe),
+        from: to - span,
+        to,
+        token: this.apiKey
+      },
+      timeout: 10000
+    });
+
+    if (response.data.s === 'no_data') {
+      return [];
+    }
+    if (response.data.s !== 'ok') {
+      throw new Error(response.data.error || 'Failed to fetch data from Finnhub');
+    }
+
+    return response.data.t.map((timestamp, index) => ({
+      datetime: new Date(timestamp * 1000).toISOString(),
+      open: response.data.o[index],
+      high: response.data.h[index],
+      low: response.data.l[index],
+      close: response.data.c[index],
+      volume: response.data.v?.[index]
+    })).slice(-limit);
+  }
+}
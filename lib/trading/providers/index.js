@@ -0,0 +1,20 @@
+import { TwelveDataProvider } from './twelve-data';
+import { AlphaVantageProvider } from './alpha-vantage';
+import { FinnhubProvider } from './finnhub';
+import { OandaProvider } from './oanda';
+
+export { MarketDataProvider } from './base';
+export { TwelveDataProvider, AlphaVantageProvider, FinnhubProvider, OandaProvider };
+
+// Every known provider keyed by name, configured from the environment.
+// Priority only breaks ties between providers with the same score.
+export function createProviders(env = process.env) {
+  const providers = [
+    new TwelveDataProvider({ apiKey: env.TWELVE_DATA_API_KEY, priority: 0 }),
+    new OandaProvider({ apiKey: env.OANDA_API_KEY, environment: env.OANDA_ENVIRONMENT, priority: 1 }),
+    new FinnhubProvider({ apiKey: env.FINHUB_API_KEY, priority: 2 }),
+    new AlphaVantageProvider({ apiKey: env.ALPHA_VANTAGE_API_KEY, priority: 3 })
+  ];
+
+  return Object.fromEntries(providers.map(provider => [provider.name, provider]));
+}
@@ -0,0 +1,58 @@
+import axios from 'axios';
+import { MarketDataProvider } from './base';
+
+export class OandaProvider extends MarketDataProvider {
+  constructor(config = {}) {
+    const practice = config.environment === 'practice';
+
+    super({
+      name: 'oanda',
+      baseUrl: practice ? 'https://api-fxpractice.oanda.com' : 'https://api-fxtrade.oanda.com',
+      timeframes: {
+        '1m': 'M1',
+        '5m': 'M5',
+        '15m': 'M15',
+        '30m': 'M30',
+        '1h': 'H1',
+        '4h': 'H4',
+        '1d': 'D'
+      },
+      maxCandles: 5000,
+      // OANDA allows 120 requests a second per connection
+      rateLimits: [{ requests: 100, intervalMs: 1000 }],
+      ...config
+    });
+  }
+
+  // EURUSD -> EUR_USD
+  mapSymbol(symbol) {
+    return symbol.includes('_') ? symbol : `${symbol.slice(0, 3)}_${symbol.slice(3)}`;
+  }
+
+  async fetchCandles(symbol, timeframe, limit) {
+    const response = await axios.get(`${this.baseUrl}/v3/instruments/${symbol}/candles`, {
+      params: {
+        granularity: this.mapTimeframe(timeframe),
+        count: limit,
+        price: 'MBA',
+        // Daily and 4h candles on the New York close, like our resampler
+        dailyAlignment: 17,
+        alignmentTimezone: 'America/New_York'
+      },
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      timeout: 10000
+    });
+
+    return (response.data.candles || []).map(candle => ({
+      datetime: candle.time,
+      open: candle.mid.o,
+      high: candle.mid.h,
+      low: candle.mid.l,
+      close: candle.mid.c,
+      volume: candle.volume,
+      spread: candle.ask && candle.bid ? parseFloat(candle.ask.c) - parseFloat(candle.bid.c) : 0
+    }));
+  }
+}
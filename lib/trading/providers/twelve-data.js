@@ -0,0 +1,58 @@
+import axios from 'axios';
+import { MarketDataProvider } from './base';
+
+const MINUTE = 60 * 1000;
+
+export class TwelveDataProvider extends MarketDataProvider {
+  constructor(config = {}) {
+    super({
+      name: 'twelve_data',
+      baseUrl: 'https://api.twelvedata.com',
+      timeframes: {
+        '1m': '1min',
+        '5m': '5min',
+        '15m': '15min',
+        '30m': '30min',
+        '1h': '1h',
+        '4h': '4h',
+        '1d': '1day'
+      },
+      maxCandles: 5000,
+      // Free plan: 8 credits a minute, 800 a day
+      rateLimits: [
+        { requests: 8, intervalMs: MINUTE },
+        { requests: 800, intervalMs: 24 * 60 * MINUTE }
+      ],
+      ...config
+    });
+  }
+
+  // EURUSD -> EUR/USD
+  mapSymbol(symbol) {
+    return symbol.includes('/') ? symbol : `${symbol.slice(0, 3)}/${symbol.slice(3)}`;
+  }
+
+  async fetchCandles(symbol, timeframe, limit) {
+    const response = await axios.get(`${this.baseUrl}/time_series`, {
+      params: {
+        symbol,
+        interval: this.mapTimeframe(timeframe),
+        outputsize: limit,
+        timezone: 'UTC',
+        apikey: this.apiKey,
+        format: 'JSON'
+      },
+      timeout: 10000
+    });
+
+    if (response.data.status === 'error') {
+      throw new Error(response.data.message);
+    }
+
+    // Datetimes come without a zone, in the UTC we asked for
+    return (response.data.values || []).map(value => ({
+      ...value,
+      datetime: value.datetime.length > 10 ? `${value.datetime.replace(' ', 'T')}Z` : value.datetime
+    }));
+  }
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { CorrelationMatrix, correlationMatrix, logReturns } from '../correlations';
+import { RiskManager } from '../index';
+import { candleStore } from '../../data-store';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 2);
+
+function makeCloses(count, seed = 11) {
+  let state = seed;
+  let close = 1.1;
+  return Array.from({ length: count }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    close *= Math.exp((state / 2147483648 - 0.5) * 0.004);
+    return close;
+  });
+}
+
+const toCandles = (closes, offset = 0) => closes.map((close, i) => ({
+  timestamp: new Date(START + (i + offset) * HOUR).toISOString(),
+  close
+}));
+
+const closes = makeCloses(200);
+const eurusd = toCandles(closes);
+// Same moves at a different level, and the mirror image
+const gbpusd = toCandles(closes.map(close => close * 1.15));
+const usdchf = toCandles(closes.map(close => 1 / close));
+
+describe('logReturns', () => {
+  it('keys each return by its closing candle\'s time', () => {
+    const returns = logReturns(toCandles([1, 2, 0, 4]));
+
+    expect(Array.from(returns.keys())).toEqual([START + HOUR]);
+    expect(returns.get(START + HOUR)).toBeCloseTo(Math.log(2), 12);
+  });
+});
+
+describe('CorrelationMatrix', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('correlates the returns two series share, over the last window', () => {
+    const matrix = new CorrelationMatrix();
+    const returns = logReturns(eurusd);
+
+    expect(matrix.correlate(returns, logReturns(gbpusd), 120)).toBeCloseTo(1, 9);
+    expect(matrix.correlate(returns, logReturns(usdchf), 120)).toBeCloseTo(-1, 9);
+
+    // Returns are matched by time, not position, so a series that starts
+    // later still lines up
+    const later = logReturns(gbpusd.slice(60));
+    expect(matrix.correlate(returns, later, 120)).toBeCloseTo(1, 9);
+    expect(matrix.correlate(returns, logReturns(toCandles(closes.slice(0, 140), 60)), 120)).toBeLessThan(0.5);
+
+    // Too few overlapping returns to tell
+    expect(matrix.correlate(returns, logReturns(toCandles(closes, 180)), 120)).toBeNull();
+  });
+
+  it('computes every pair from the candle store and falls back where history is missing', async () => {
+    const candles = { EURUSD: eurusd, GBPUSD: gbpusd, USDCHF: usdchf };
+    const getCandles = vi.spyOn(candleStore, 'getCandles').mockImplementation(async (symbol) => candles[symbol] || []);
+    const matrix = new CorrelationMatrix({ windows: [50, 120], riskWindow: 120 });
+
+    await Promise.all([matrix.refresh(), matrix.refresh()]);
+
+    expect(getCandles).toHaveBeenCalledWith('EURUSD', '1h', { limit: 121 });
+    expect(getCandles.mock.calls.filter(([symbol]) => symbol === 'EURUSD')).toHaveLength(1);
+    expect(matrix.symbols).toEqual(['EURUSD', 'GBPUSD', 'USDCHF']);
+    expect(matrix.getCorrelation('USDCHF', 'EURUSD')).toBeCloseTo(-1, 9);
+    expect(matrix.getCorrelation('GBPUSD', 'USDCHF', 50)).toBeCloseTo(-1, 9);
+
+    // No stored history for these pairs
+    expect(matrix.getCorrelation('AUDUSD', 'NZDUSD')).toBe(0.85);
+    expect(matrix.getCorrelation('EURJPY', 'AUDUSD')).toBe(0);
+    expect(matrix.getCorrelation('EURJPY', 'EURJPY')).toBe(1);
+
+    const { values } = matrix.getMatrix(120, ['EURUSD', 'USDCHF', 'AUDUSD']);
+    expect(values[0][0]).toBe(1);
+    expect(values[0][1]).toBeCloseTo(-1, 9);
+    expect(values[2][0]).toBeNull();
+  });
+});
+
+describe('RiskManager correlation check', () => {
+  const position = (symbol, direction) => new Map([['p1', { symbol, direction }]]);
+
+  afterEach(() => {
+    correlationMatrix.matrices = new Map();
+  });
+
+  it('treats opposite trades in negatively correlated pairs as the same bet', () => {
+    correlationMatrix.matrices = new Map([[120, new Map([['EURUSD_USDCHF', -0.9]])]]);
+    const riskManager = new RiskManager();
+
+    const shortChf = riskManager.checkPositionCorrelation({ symbol: 'USDCHF', direction: 'SELL' }, position('EURUSD', 'BUY'));
+    expect(shortChf.passed).toBe(false);
+    expect(shortChf.reason).toContain('-0.90');
+
+    expect(riskManager.checkPositionCorrelation({ symbol: 'USDCHF', direction: 'BUY' }, position('EURUSD', 'BUY')).passed).toBe(true);
+  });
+
+  it('lets opposite trades in positively correlated pairs hedge', () => {
+    const riskManager = new RiskManager();
+
+    expect(riskManager.checkPositionCorrelation({ symbol: 'GBPUSD', direction: 'BUY' }, position('EURUSD', 'BUY')).passed).toBe(false);
+    expect(riskManager.checkPositionCorrelation({ symbol: 'GBPUSD', direction: 'SELL' }, position('EURUSD', 'BUY')).passed).toBe(true);
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AccountRiskManager, PortfolioRiskManager, normalizeAccountInfo } from '../portfolio';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const connection = (accountInfo, id = 'acct_1') => ({ brokerId: 'paper', account: { id }, accountInfo });
+
+const signal = (overrides = {}) => ({
+  symbol: 'EURUSD',
+  direction: 'BUY',
+  entryPrice: 1.1,
+  stopLoss: 1.098,
+  takeProfit: 1.104,
+  lotSize: 10000,
+  ...overrides
+});
+
+describe('PortfolioRiskManager', () => {
+  it('applies the strictest limit any of the user\'s bots sets', () => {
+    const portfolio = new PortfolioRiskManager();
+
+    portfolio.getAccount('user_1', {
+      maxPositions: 8,
+      minRiskRewardRatio: 1.5,
+      maxVaR: null,
+      currencyExposureLimits: { JPY: 3 }
+    });
+    const account = portfolio.getAccount('user_1', {
+      maxPositions: 12,
+      maxDailyLoss: 0.02,
+      minRiskRewardRatio: 2,
+      maxVaR: 0.04,
+      currencyExposureLimits: { JPY: 5, CHF: 2 }
+    });
+
+    expect(account.config).toMatchObject({
+      maxPositions: 8,
+      maxDailyLoss: 0.02,
+      maxMarginUsage: 0.5,
+      minRiskRewardRatio: 2,
+      maxVaR: 0.04,
+      currencyExposureLimits: { JPY: 3, CHF: 2 }
+    });
+  });
+
+  it('keeps the VaR check on when a later bot turns it off', () => {
+    const portfolio = new PortfolioRiskManager();
+
+    portfolio.getAccount('user_1', {});
+    const account = portfolio.getAccount('user_1', { maxVaR: null });
+
+    expect(account.config.maxVaR).toBe(0.05);
+  });
+});
+
+describe('AccountRiskManager', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('checks a bot\'s signal against the open positions of every bot', () => {
+    const account = new AccountRiskManager('user_1', { maxVaR: null });
+    const first = new Map([['p1', { symbol: 'EURUSD', direction: 'BUY', lotSize: 10000, entryPrice: 1.1, status: 'open' }]]);
+    const second = new Map([['p1', { symbol: 'USDJPY', direction: 'SELL', lotSize: 10000, entryPrice: 150, status: 'closed' }]]);
+    account.addBot('bot_1', first);
+    account.addBot('bot_2', second);
+
+    // Closed positions are left out; equal ids from different bots are not merged
+    expect(Array.from(account.getOpenPositions().keys())).toEqual(['bot_1:p1']);
+
+    // The second bot has no positions of its own, but the first bot's EURUSD counts
+    expect(account.validateSignal(signal())).toBeNull();
+    expect(account.validateSignal(signal({ symbol: 'USDJPY', entryPrice: 150, stopLoss: 149.7, takeProfit: 150.6 }))).not.toBeNull();
+
+    account.removeBot('bot_1');
+    expect(account.validateSignal(signal())).not.toBeNull();
+  });
+
+  it('limits the day\'s realized and unrealized loss, and starts afresh each day', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 2, 5, 12));
+
+    const account = new AccountRiskManager('user_1', { maxDailyLoss: 0.05 });
+    account.syncAccount(connection({ balance: 10000, unrealizedPnL: -100, currency: 'USD' }));
+
+    account.recordTrade({ profit: -300 });
+    expect(account.checkDailyLoss().passed).toBe(true);
+
+    account.recordTrade({ profit: -100 });
+    expect(account.getDailyPnL()).toBe(-500);
+    expect(account.checkDailyLoss()).toEqual({ passed: false, reason: 'Daily loss: 5.00%/5%' });
+
+    // The next day's limit is measured from that day's balance
+    vi.setSystemTime(new Date(2024, 2, 6, 12));
+    account.syncAccount(connection({ balance: 9600, unrealizedPnL: 0, currency: 'USD' }));
+
+    expect(account.dayStartBalance).toBe(9600);
+    expect(account.getDailyPnL()).toBe(0);
+    expect(account.checkDailyLoss().passed).toBe(true);
+
+    account.recordTrade({ profit: -470 });
+    expect(account.checkDailyLoss().passed).toBe(true);
+    account.recordTrade({ profit: -10 });
+    expect(account.checkDailyLoss().passed).toBe(false);
+  });
+
+  it('resets the daily loss when a trade is the first thing recorded on a new day', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 2, 5, 12));
+
+    const account = new AccountRiskManager('user_1');
+    account.syncAccount(connection({ balance: 10000, currency: 'USD' }));
+    account.recordTrade({ profit: -600 });
+    expect(account.checkDailyLoss().passed).toBe(false);
+
+    vi.setSystemTime(new Date(Date.now() + DAY));
+    account.recordTrade({ profit: -100 });
+
+    expect(account.getDailyPnL()).toBe(-100);
+    expect(account.checkDailyLoss().passed).toBe(true);
+  });
+
+  it('adds the margin a signal needs to the margin already in use', () => {
+    const account = new AccountRiskManager('user_1', { maxMarginUsage: 0.5 });
+    account.syncAccount(connection({ balance: 10000, equity: 10000, margin: 4000, currency: 'USD' }));
+
+    // 3.33% of the notional: 366.30 for 10000 EURUSD at 1.1
+    expect(account.calculateMarginRequired(signal())).toBeCloseTo(366.3, 6);
+    expect(account.checkMargin(signal()).passed).toBe(true);
+    expect(account.checkMargin(signal({ lotSize: 30000 })).passed).toBe(false);
+
+    // Yen margin is converted at the signal's own price
+    expect(account.calculateMarginRequired(signal({ symbol: 'USDJPY', entryPrice: 150, lotSize: 100000 }))).toBeCloseTo(3330, 6);
+
+    // Legs of a multi-leg signal are added together
+    expect(account.checkMargin([signal(), signal()]).reason).toBe('Margin usage: 47.33%/50%');
+    expect(account.checkMargin([signal(), signal(), signal()]).passed).toBe(false);
+  });
+
+  it('rejects every signal once there is no equity left to margin it', () => {
+    const account = new AccountRiskManager('user_1');
+    account.syncAccount(connection({ balance: 0, equity: 0, currency: 'USD' }));
+
+    expect(account.checkMargin(signal()).passed).toBe(false);
+  });
+});
+
+describe('normalizeAccountInfo', () => {
+  it('reads OANDA accounts', () => {
+    const info = normalizeAccountInfo({
+      account: { balance: '10000.50', NAV: '10100.50', marginUsed: '250.00', unrealizedPL: '100.00', currency: 'USD' }
+    });
+
+    expect(info).toEqual({ currency: 'USD', balance: 10000.5, equity: 10100.5, margin: 250, unrealizedPnL: 100 });
+  });
+
+  it('reads IG accounts', () => {
+    const info = normalizeAccountInfo({
+      accounts: [{ accountId: 'ABC12', currency: 'GBP', balance: { balance: 5000, deposit: 300, profitLoss: -50, available: 4650 } }]
+    });
+
+    expect(info).toEqual({ currency: 'GBP', balance: 5000, equity: 4950, margin: 300, unrealizedPnL: -50 });
+  });
+
+  it('reads flat FXCM-style and paper accounts', () => {
+    expect(normalizeAccountInfo({ balance: 2000, equity: 2100, usedMargin: 100, currency: 'EUR' }))
+      .toEqual({ currency: 'EUR', balance: 2000, equity: 2100, margin: 100, unrealizedPnL: 0 });
+
+    expect(normalizeAccountInfo({ balance: 10000, equity: 10050, margin: 366, unrealizedPnL: 50, currency: 'USD' }))
+      .toEqual({ currency: 'USD', balance: 10000, equity: 10050, margin: 366, unrealizedPnL: 50 });
+  });
+
+  it('has no balance or equity when the broker reported none', () => {
+    expect(normalizeAccountInfo({})).toEqual({ currency: null, balance: null, equity: null, margin: 0, unrealizedPnL: 0 });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ValueAtRisk, normalQuantile } from '../var';
+import { PnLCalculator } from '../../pnl';
+import { candleStore } from '../../data-store';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 2);
+
+// Deterministic daily returns around 0.5% volatility
+function makeReturns(count, seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+
+  return Array.from({ length: count }, () => (random() - 0.5) * 0.017);
+}
+
+const toHistory = (returns) => ({
+  returns: new Map(returns.map((value, i) => [START + (i + 1) * DAY, value])),
+  loadedAt: Date.now()
+});
+
+const standardDeviation = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+};
+
+const createVaR = (history, config = {}) => {
+  const valueAtRisk = new ValueAtRisk({ seed: 1, ...config }, new PnLCalculator({ liveRates: false, rates: { GBPUSD: 1.25 } }));
+  Object.entries(history).forEach(([symbol, returns]) => valueAtRisk.history.set(symbol, toHistory(returns)));
+  return valueAtRisk;
+};
+
+const eurusd = makeReturns(250);
+const long = { symbol: 'EURUSD', direction: 'BUY', lotSize: 100000, entryPrice: 1.1 };
+
+describe('normalQuantile', () => {
+  it('inverts the standard normal CDF', () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 9);
+    expect(normalQuantile(0.95)).toBeCloseTo(1.6448536270, 8);
+    expect(normalQuantile(0.99)).toBeCloseTo(2.3263478740, 8);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.3263478740, 8);
+  });
+});
+
+describe('ValueAtRisk', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('scales the position\'s volatility by the normal quantile and the horizon', () => {
+    const valueAtRisk = createVaR({ EURUSD: eurusd });
+    const sigma = 110000 * standardDeviation(eurusd);
+
+    const daily = valueAtRisk.calculate([long], { confidence: 0.99 });
+    expect(daily.var).toBeCloseTo(2.3263478740 * sigma, 6);
+    expect(daily.cvar).toBeGreaterThan(daily.var);
+    expect(daily).toMatchObject({ currency: 'USD', observations: 250, symbols: ['EURUSD'], missing: [] });
+
+    const tenDay = valueAtRisk.calculate([long], { confidence: 0.99, horizon: 10 });
+    expect(tenDay.var).toBeCloseTo(daily.var * Math.sqrt(10), 6);
+  });
+
+  it('takes the historical VaR from the worst observed losses', () => {
+    const returns = Array.from({ length: 100 }, (_, i) => (i - 50) / 10000);
+    const valueAtRisk = createVaR({ EURUSD: returns });
+
+    // The 5 worst returns are -0.5% to -0.46%
+    const result = valueAtRisk.calculate([long], { method: 'historical', confidence: 0.95 });
+    expect(result.var).toBeCloseTo(110000 * 0.0046, 6);
+    expect(result.cvar).toBeCloseTo(110000 * 0.0048, 6);
+  });
+
+  it('simulates close to the parametric figure, reproducibly with a seed', () => {
+    const valueAtRisk = createVaR({ EURUSD: eurusd }, { simulations: 20000 });
+    const parametric = valueAtRisk.calculate([long], { confidence: 0.99 });
+    const simulated = valueAtRisk.calculate([long], { method: 'monte_carlo', confidence: 0.99 });
+
+    expect(Math.abs(simulated.var / parametric.var - 1)).toBeLessThan(0.05);
+    expect(valueAtRisk.calculate([long], { method: 'monte_carlo', confidence: 0.99 }).var).toBe(simulated.var);
+  });
+
+  it('nets positions that move together', () => {
+    const valueAtRisk = createVaR({ EURUSD: eurusd, GBPUSD: eurusd });
+    const hedge = { symbol: 'GBPUSD', direction: 'SELL', lotSize: 88000, entryPrice: 1.25 };
+
+    expect(valueAtRisk.calculate([long, hedge]).var).toBeCloseTo(0, 6);
+    expect(valueAtRisk.calculate([long, hedge], { method: 'monte_carlo' }).var).toBeCloseTo(0, 6);
+    expect(valueAtRisk.calculate([long, { ...hedge, direction: 'BUY' }]).var)
+      .toBeCloseTo(2 * valueAtRisk.calculate([long]).var, 6);
+  });
+
+  it('converts the quote currency and lists symbols it has no history for', () => {
+    const valueAtRisk = createVaR({ EURGBP: eurusd });
+    const cross = { symbol: 'EURGBP', direction: 'SELL', lotSize: 100000, entryPrice: 0.88 };
+
+    const result = valueAtRisk.calculate([cross, { ...long, symbol: 'AUDUSD', entryPrice: 0.65 }]);
+    expect(result.var).toBeCloseTo(2.3263478740 * 88000 * 1.25 * standardDeviation(eurusd), 6);
+    expect(result.missing).toEqual(['AUDUSD']);
+  });
+
+  it('needs enough shared history', () => {
+    const valueAtRisk = createVaR({ EURUSD: eurusd.slice(0, 59) });
+
+    expect(valueAtRisk.calculate([long])).toBeNull();
+    expect(valueAtRisk.calculate([])).toBeNull();
+    expect(() => valueAtRisk.calculate([long], { method: 'delta_gamma' })).toThrow('Unknown VaR method');
+  });
+
+  it('reports every method at every configured level and horizon', () => {
+    const valueAtRisk = createVaR({ EURUSD: eurusd }, { simulations: 2000 });
+    const { results } = valueAtRisk.report([long]);
+
+    expect(results).toHaveLength(12);
+    expect(results.every(result => result.var > 0 && result.cvar >= result.var)).toBe(true);
+  });
+
+  it('loads each symbol\'s history once within the cache period', async () => {
+    const candles = [1.1, 1.105, 1.1, 1.102].map((close, i) => ({ timestamp: new Date(START + i * DAY).toISOString(), close }));
+    const getCandles = vi.spyOn(candleStore, 'getCandles').mockResolvedValue(candles);
+    const valueAtRisk = new ValueAtRisk();
+
+    await Promise.all([valueAtRisk.loadHistory(['EURUSD', 'EURUSD']), valueAtRisk.loadHistory(['EURUSD', 'XAUUSD'])]);
+    await valueAtRisk.loadHistory(['EURUSD']);
+
+    expect(getCandles).toHaveBeenCalledTimes(1);
+    expect(getCandles).toHaveBeenCalledWith('EURUSD', '1d', { limit: 251 });
+    expect(valueAtRisk.history.get('EURUSD').returns.size).toBe(3);
+  });
+});
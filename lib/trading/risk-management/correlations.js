@@ -0,0 +1,180 @@
+import { candleStore } from '../data-store';
+import { instrumentRegistry } from '../instruments';
+
+// Typical values, used for pairs without enough stored history
+const FALLBACK_CORRELATIONS = {
+  'EURUSD_GBPUSD': 0.8,
+  'EURUSD_EURGBP': 0.6,
+  'GBPUSD_EURGBP': -0.7,
+  'USDJPY_EURJPY': 0.75,
+  'AUDUSD_NZDUSD': 0.85
+};
+
+const pairKey = (symbol1, symbol2) => [symbol1, symbol2].sort().join('_');
+
+// Log returns keyed by the closing candle's time, oldest first
+export function logReturns(candles) {
+  const returns = new Map();
+
+  for (let i = 1; i < candles.length; i++) {
+    const previous = candles[i - 1].close;
+    const close = candles[i].close;
+    if (previous > 0 && close > 0) {
+      returns.set(new Date(candles[i].timestamp).getTime(), Math.log(close / previous));
+    }
+  }
+
+  return returns;
+}
+
+// Rolling correlations of log returns between every registered symbol,
+// computed from the local candle store. Each window is a number of returns
+// of `timeframe`; returns are matched by candle timestamp, so gaps in one
+// series don't shift the other.
+export class CorrelationMatrix {
+  constructor(config = {}) {
+    this.config = {
+      timeframe: '1h',
+      windows: [120, 500], // About a week and a month of hourly returns
+      riskWindow: 120, // Window used by RiskManager's correlation check
+      minObservations: 30, // Pairs with fewer overlapping returns are unknown
+      refreshMs: 60 * 60 * 1000,
+      ...config
+    };
+
+    this.matrices = new Map(); // window -> Map(pairKey -> correlation)
+    this.symbols = [];
+    this.updatedAt = null;
+    this.refreshing = null;
+    this.timer = null;
+  }
+
+  // Recompute every refreshMs until stopped
+  start() {
+    if (this.timer) return;
+
+    this.refresh().catch(error => console.error('Failed to compute correlations:', error));
+    this.timer = setInterval(() => {
+      this.refresh().catch(error => console.error('Failed to compute correlations:', error));
+    }, this.config.refreshMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+
+  // Concurrent callers share one computation
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.compute().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async compute() {
+    const { timeframe, windows } = this.config;
+    const limit = Math.max(...windows) + 1;
+    const returns = new Map();
+
+    for (const symbol of instrumentRegistry.getSymbols()) {
+      try {
+        const candles = await candleStore.getCandles(symbol, timeframe, { limit });
+        const series = logReturns(candles);
+        if (series.size >= this.config.minObservations) returns.set(symbol, series);
+      } catch (error) {
+        console.error(`Failed to load ${symbol} ${timeframe} history for correlations:`, error);
+      }
+    }
+
+    const symbols = Array.from(returns.keys());
+    const matrices = new Map(windows.map(window => [window, new Map()]));
+
+    for (let i = 0; i < symbols.length; i++) {
+      for (let j = i + 1; j < symbols.length; j++) {
+        for (const window of windows) {
+          const correlation = this.correlate(returns.get(symbols[i]), returns.get(symbols[j]), window);
+          if (correlation !== null) {
+            matrices.get(window).set(pairKey(symbols[i], symbols[j]), correlation);
+          }
+        }
+      }
+    }
+
+    this.matrices = matrices;
+    this.symbols = symbols;
+    this.updatedAt = new Date().toISOString();
+
+    return this.getMatrix();
+  }
+
+  // Pearson correlation of the last `window` returns both series share
+  correlate(returns1, returns2, window) {
+    const pairs = [];
+    for (const [time, value] of returns1) {
+      if (returns2.has(time)) pairs.push([value, returns2.get(time)]);
+    }
+
+    const sample = pairs.slice(-window);
+    if (sample.length < this.config.minObservations) return null;
+
+    const n = sample.length;
+    const mean1 = sample.reduce((sum, [a]) => sum + a, 0) / n;
+    const mean2 = sample.reduce((sum, [, b]) => sum + b, 0) / n;
+
+    let covariance = 0;
+    let variance1 = 0;
+    let variance2 = 0;
+    for (const [a, b] of sample) {
+      covariance += (a - mean1) * (b - mean2);
+      variance1 += (a - mean1) ** 2;
+      variance2 += (b - mean2) ** 2;
+    }
+
+    if (variance1 === 0 || variance2 === 0) return null;
+    return covariance / Math.sqrt(variance1 * variance2);
+  }
+
+  // Correlation from stored history when known, otherwise the typical value
+  getCorrelation(symbol1, symbol2, window = this.config.riskWindow) {
+    if (symbol1 === symbol2) return 1;
+
+    const computed = this.matrices.get(window)?.get(pairKey(symbol1, symbol2));
+    if (computed !== undefined) return computed;
+
+    return FALLBACK_CORRELATIONS[`${symbol1}_${symbol2}`] ??
+      FALLBACK_CORRELATIONS[`${symbol2}_${symbol1}`] ??
+      0;
+  }
+
+  // Every registered symbol against every other; null where the history
+  // is too short to tell
+  getMatrix(window = this.config.riskWindow, symbols = instrumentRegistry.getSymbols()) {
+    const matrix = this.matrices.get(window) || new Map();
+
+    return {
+      timeframe: this.config.timeframe,
+      window,
+      windows: this.config.windows,
+      symbols,
+      values: symbols.map(row => symbols.map(column => {
+        if (row === column) return 1;
+        return matrix.get(pairKey(row, column)) ?? null;
+      })),
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+export const correlationMatrix = new CorrelationMatrix();
+
+export default correlationMatrix;
@@ -0,0 +1,71 @@
+import { instrumentRegistry } from '../instruments';
+import { pnlCalculator } from '../pnl';
+
+// Splits positions into the currencies they are long and short, valued in
+// the account currency. Buying EURUSD is long EUR and short USD; selling
+// USDJPY is short USD and long JPY. Positions are valued at their current
+// price, or their entry price before any update, and those prices also
+// convert the other positions' currencies.
+export class ExposureCalculator {
+  constructor(pnl = pnlCalculator) {
+    this.pnl = pnl;
+  }
+
+  getPrice(position) {
+    return position.currentPrice || position.entryPrice || position.price;
+  }
+
+  // The position's two currency legs, or null if it can't be valued
+  decompose(position, accountCurrency, prices = {}) {
+    const instrument = instrumentRegistry.find(position.symbol);
+    const price = this.getPrice(position);
+    if (!instrument || !position.lotSize || !price) return null;
+
+    const sign = position.direction === 'BUY' ? 1 : -1;
+    const rates = { ...prices, [instrument.symbol]: price };
+    const base = this.pnl.convert(position.lotSize, instrument.base, accountCurrency, rates);
+    const quote = this.pnl.convert(position.lotSize * price, instrument.quote, accountCurrency, rates);
+    if (base === null || quote === null) return null;
+
+    return [
+      { currency: instrument.base, amount: sign * base },
+      { currency: instrument.quote, amount: -sign * quote }
+    ];
+  }
+
+  // Long, short, net and gross exposure per currency. Positions without a
+  // rate into the account currency are listed in `unconverted`.
+  calculate(positions, accountCurrency = this.pnl.config.accountCurrency) {
+    const currencies = {};
+    const unconverted = [];
+
+    const list = Array.from(positions);
+    const prices = {};
+    for (const position of list) {
+      const symbol = instrumentRegistry.find(position.symbol)?.symbol;
+      if (symbol && this.getPrice(position)) prices[symbol] = this.getPrice(position);
+    }
+
+    for (const position of list) {
+      const legs = this.decompose(position, accountCurrency, prices);
+      if (!legs) {
+        if (instrumentRegistry.has(position.symbol)) unconverted.push(position.symbol);
+        continue;
+      }
+
+      for (const { currency, amount } of legs) {
+        const entry = currencies[currency] || (currencies[currency] = { long: 0, short: 0, net: 0, gross: 0 });
+        if (amount > 0) entry.long += amount;
+        else entry.short += -amount;
+        entry.net = entry.long - entry.short;
+        entry.gross = entry.long + entry.short;
+      }
+    }
+
+    return { accountCurrency, currencies, unconverted };
+  }
+}
+
+export const exposureCalculator = new ExposureCalculator();
+
+export default exposureCalculator;
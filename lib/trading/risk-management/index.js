@@ -1,3 +1,9 @@
+import { instrumentRegistry } from '../instruments';
+import { pnlCalculator } from '../pnl';
+import { correlationMatrix } from './correlations';
+import { exposureCalculator } from './exposure';
+import { valueAtRisk } from './var';
+
 export class RiskManager {
   constructor(config = {}) {
     this.config = {
@@ -13,9 +19,19 @@ export class RiskManager {
       correlationLimit: 0.7, // Maximum correlation between positions
       volatilityMultiplier: 2,
       accountBalance: 10000,
+      accountCurrency: 'USD',
+      maxCurrencyExposure: 10, // Net exposure per currency, as a multiple of equity
+      currencyExposureLimits: {}, // Per-currency overrides, e.g. { JPY: 3 }
+      maxVaR: 0.05, // Post-trade VaR as a fraction of equity; null disables the check
+      varMethod: 'parametric',
+      varConfidence: 0.99,
+      varHorizon: 1, // Days
       ...config
     };
 
+    this.exposure = exposureCalculator;
+    this.valueAtRisk = valueAtRisk;
+
     this.dailyLosses = [];
     this.currentDrawdown = 0;
     this.maxDrawdownReached = 0;
@@ -25,15 +41,7 @@ export class RiskManager {
 
   // Validate if a signal meets risk criteria
   validateSignal(signal, currentPositions) {
-    const validations = [
-      this.checkMaxPositions(currentPositions),
-      this.checkDailyRisk(),
-      this.checkDrawdown(),
-      this.checkRiskRewardRatio(signal),
-      this.checkPositionCorrelation(signal, currentPositions),
-      this.checkVolatility(signal),
-      this.checkLeverage(signal)
-    ];
+    const validations = this.getValidations(signal, currentPositions);
 
     const failedValidations = validations.filter(v => !v.passed);
     
@@ -43,7 +51,7 @@ export class RiskManager {
     }
 
     // Calculate position size based on risk
-    const positionSize = this.calculatePositionSize(signal);
+    const positionSize = this.getTradeSize(signal);
     
     return {
       ...signal,
@@ -53,6 +61,54 @@ export class RiskManager {
     };
   }
 
+  // Multi-leg signals are checked as one trade: every leg is added to the
+  // book before exposure and VaR are measured, and none is resized
+  validateLegs(signal, currentPositions) {
+    const validations = this.getLegValidations(signal.legs, currentPositions);
+
+    const failedValidations = validations.filter(v => !v.passed);
+
+    if (failedValidations.length > 0) {
+      console.log('Signal rejected:', failedValidations.map(v => v.reason));
+      return null;
+    }
+
+    return {
+      ...signal,
+      validatedAt: new Date().toISOString()
+    };
+  }
+
+  getLegValidations(legs, currentPositions) {
+    return [
+      this.checkDailyRisk(),
+      this.checkDrawdown(),
+      this.checkCurrencyExposure(legs, currentPositions),
+      this.checkValueAtRisk(legs, currentPositions)
+    ];
+  }
+
+  getValidations(signal, currentPositions) {
+    // Exposure is checked at the size that would be traded
+    const sized = { ...signal, lotSize: this.getTradeSize(signal) };
+
+    return [
+      this.checkMaxPositions(currentPositions),
+      this.checkDailyRisk(),
+      this.checkDrawdown(),
+      this.checkRiskRewardRatio(signal),
+      this.checkPositionCorrelation(signal, currentPositions),
+      this.checkVolatility(signal),
+      this.checkLeverage(signal),
+      this.checkCurrencyExposure(sized, currentPositions),
+      this.checkValueAtRisk(sized, currentPositions)
+    ];
+  }
+
+  getEquity() {
+    return this.config.accountBalance;
+  }
+
   // Check maximum number of positions
   checkMaxPositions(currentPositions) {
     const activePositions = Array.from(currentPositions.values()).filter(p => p.status === 'open');
@@ -78,6 +134,17 @@ export class RiskManager {
     };
   }
 
+  // Check whether losing an additional amount would breach the drawdown limit
+  checkProjectedDrawdown(currentBalance, additionalRisk) {
+    const highWaterMark = Math.max(this.config.accountBalance, currentBalance);
+    const projectedDrawdown = (highWaterMark - (currentBalance - additionalRisk)) / highWaterMark;
+
+    return {
+      passed: projectedDrawdown < this.config.maxDrawdown,
+      reason: `Projected drawdown: ${(projectedDrawdown * 100).toFixed(2)}%/${(this.config.maxDrawdown * 100)}%`
+    };
+  }
+
   // Check risk-reward ratio
   checkRiskRewardRatio(signal) {
     const risk = Math.abs(signal.entryPrice - signal.stopLoss);
@@ -94,17 +161,25 @@ export class RiskManager {
   checkPositionCorrelation(signal, currentPositions) {
     for (const position of currentPositions.values()) {
       if (position.symbol === signal.symbol) {
+        // Pyramiding strategies may add to a position in the same direction
+        if (signal.pyramid && position.direction === signal.direction) {
+          continue;
+        }
+
         return {
           passed: false,
           reason: `Already have position in ${signal.symbol}`
         };
       }
 
+      // Opposite trades in negatively correlated symbols are the same bet:
+      // long EURUSD and short USDCHF are both long EUR/CHF against USD
       const correlation = this.calculateCorrelation(signal.symbol, position.symbol);
-      if (correlation > this.config.correlationLimit) {
+      const effective = position.direction === signal.direction ? correlation : -correlation;
+      if (effective > this.config.correlationLimit) {
         return {
           passed: false,
-          reason: `High correlation (${correlation.toFixed(2)}) with ${position.symbol}`
+          reason: `High correlation (${correlation.toFixed(2)}) with ${position.direction} ${position.symbol}`
         };
       }
     }
@@ -112,6 +187,76 @@ export class RiskManager {
     return { passed: true, reason: 'Correlation check passed' };
   }
 
+  // Net exposure after the trade, in each currency the signal (or each of
+  // its legs) trades, must stay within that currency's limit
+  checkCurrencyExposure(signal, currentPositions) {
+    const legs = [].concat(signal);
+    const instruments = legs.map(leg => instrumentRegistry.find(leg.symbol)).filter(Boolean);
+    if (instruments.length === 0) {
+      return { passed: true, reason: 'Currency exposure not checked' };
+    }
+
+    const { currencies } = this.exposure.calculate([
+      ...Array.from(currentPositions.values()).filter(p => p.status === 'open'),
+      ...legs
+    ], this.config.accountCurrency);
+
+    const traded = new Set(instruments.flatMap(instrument => [instrument.base, instrument.quote]));
+    for (const currency of traded) {
+      const net = Math.abs(currencies[currency]?.net || 0);
+      const limit = this.getCurrencyExposureLimit(currency);
+
+      if (net > limit) {
+        return {
+          passed: false,
+          reason: `${currency} exposure: ${net.toFixed(0)}/${limit.toFixed(0)} ${this.config.accountCurrency}`
+        };
+      }
+    }
+
+    return { passed: true, reason: 'Currency exposure check passed' };
+  }
+
+  // Largest net exposure allowed in a currency, in the account currency
+  getCurrencyExposureLimit(currency) {
+    const multiple = this.config.currencyExposureLimits[currency] ?? this.config.maxCurrencyExposure;
+    return multiple * this.getEquity();
+  }
+
+  // VaR of the open positions plus the signal (or its legs) must stay within maxVaR of
+  // equity, unless the trade lowers it. Symbols whose history hasn't been
+  // loaded with valueAtRisk.loadHistory() are left out.
+  checkValueAtRisk(signal, currentPositions) {
+    if (!this.config.maxVaR) {
+      return { passed: true, reason: 'VaR check disabled' };
+    }
+
+    const open = Array.from(currentPositions.values()).filter(p => p.status === 'open');
+    const options = {
+      method: this.config.varMethod,
+      confidence: this.config.varConfidence,
+      horizon: this.config.varHorizon,
+      accountCurrency: this.config.accountCurrency
+    };
+
+    const after = this.valueAtRisk.calculate([...open, ...[].concat(signal)], options);
+    if (!after) {
+      return { passed: true, reason: 'VaR not checked: not enough history' };
+    }
+
+    const before = this.valueAtRisk.calculate(open, options);
+    const limit = this.config.maxVaR * this.getEquity();
+    const label = `${this.config.varConfidence * 100}% ${this.config.varHorizon}-day VaR`;
+
+    const reduces = before !== null && after.var <= before.var;
+
+    return {
+      passed: after.var <= limit || reduces,
+      reason: `${label}: ${after.var.toFixed(2)}/${limit.toFixed(2)} ${this.config.accountCurrency}` +
+        (after.var > limit && reduces ? `, down from ${before.var.toFixed(2)}` : '')
+    };
+  }
+
   // Check volatility
   checkVolatility(signal) {
     const volatility = signal.metadata?.atr || 0;
@@ -125,45 +270,79 @@ export class RiskManager {
 
   // Check leverage
   checkLeverage(signal) {
-    const leverage = signal.lotSize * signal.entryPrice / this.config.accountBalance;
-    
+    const notional = this.toAccountCurrency(signal.lotSize * signal.entryPrice, signal.symbol, signal.entryPrice);
+    if (notional === null) {
+      return { passed: false, reason: `No rate to value ${signal.symbol} in ${this.config.accountCurrency}` };
+    }
+
+    const leverage = notional / this.config.accountBalance;
+
     return {
       passed: leverage <= this.config.maxLeverage,
       reason: `Leverage: ${leverage.toFixed(2)}x/${this.config.maxLeverage}x`
     };
   }
 
+  // Amount in the symbol's quote currency, in the account currency, or null
+  // if no rate links them. The symbol's own price converts its pair, so
+  // USDJPY needs no other feed. Amounts for unregistered symbols pass as-is.
+  toAccountCurrency(amount, symbol, price) {
+    const instrument = instrumentRegistry.find(symbol);
+    if (!instrument) return amount;
+
+    return pnlCalculator.convert(amount, instrument.quote, this.config.accountCurrency, { [instrument.symbol]: price });
+  }
+
+  // Largest size maxLeverage allows at `price`
+  calculateMaxLeverageUnits(symbol, price) {
+    const unitValue = this.toAccountCurrency(price, symbol, price);
+    return unitValue > 0 ? (this.config.accountBalance * this.config.maxLeverage) / unitValue : 0;
+  }
+
   // Calculate position size based on risk
   calculatePositionSize(signal) {
-    const riskAmount = this.config.accountBalance * this.config.maxRiskPerTrade;
-    const stopLossDistance = Math.abs(signal.entryPrice - signal.stopLoss);
-    
-    if (stopLossDistance === 0) return 0;
-    
-    const positionSize = riskAmount / stopLossDistance;
-    
+    const positionSize = this.calculateLotSize(signal.entryPrice, signal.stopLoss, null, signal.symbol);
+    if (positionSize === 0) return 0;
+
     // Apply additional constraints
     const maxPositionByBalance = this.config.accountBalance * 0.1; // Max 10% of balance per position
-    const maxPositionByLeverage = (this.config.accountBalance * this.config.maxLeverage) / signal.entryPrice;
-    
-    return Math.min(positionSize, maxPositionByBalance, maxPositionByLeverage);
+    const maxPositionByLeverage = this.calculateMaxLeverageUnits(signal.symbol, signal.entryPrice);
+    const units = Math.min(positionSize, maxPositionByBalance, maxPositionByLeverage);
+
+    // Whole lot steps, so the size is one the broker will accept
+    return instrumentRegistry.has(signal.symbol) ? instrumentRegistry.normalizeUnits(signal.symbol, units) : units;
+  }
+
+  // The size a validated signal trades. Risk sizing is an upper bound, so
+  // pyramid adds keep their scaled-down strategy size. Fixed-size signals,
+  // such as martingale steps, are vetoed but never resized.
+  getTradeSize(signal) {
+    if (signal.fixedSize && signal.lotSize > 0) return signal.lotSize;
+
+    const positionSize = this.calculatePositionSize(signal);
+    return signal.pyramid && signal.lotSize > 0 ? Math.min(positionSize, signal.lotSize) : positionSize;
   }
 
-  // Calculate risk amount for a position
+  // Calculate risk amount for a position, in the account currency. Risk
+  // that can't be valued counts as a full trade's risk budget.
   calculateRiskAmount(signal, positionSize) {
     const stopLossDistance = Math.abs(signal.entryPrice - signal.stopLoss);
-    return positionSize * stopLossDistance;
+    return this.toAccountCurrency(positionSize * stopLossDistance, signal.symbol, signal.entryPrice) ??
+      this.config.accountBalance * this.config.maxRiskPerTrade;
   }
 
-  // Calculate lot size based on risk percentage
-  calculateLotSize(entryPrice, stopLoss, riskPercentage = null) {
+  // Calculate lot size based on risk percentage. With a symbol, the stop
+  // distance is valued in the account currency; without one it is taken
+  // as already in it.
+  calculateLotSize(entryPrice, stopLoss, riskPercentage = null, symbol = null) {
     const risk = riskPercentage || this.config.maxRiskPerTrade;
     const riskAmount = this.config.accountBalance * risk;
     const stopLossDistance = Math.abs(entryPrice - stopLoss);
-    
-    if (stopLossDistance === 0) return 0;
-    
-    return riskAmount / stopLossDistance;
+    const riskPerUnit = symbol ? this.toAccountCurrency(stopLossDistance, symbol, entryPrice) : stopLossDistance;
+
+    if (!(riskPerUnit > 0)) return 0;
+
+    return riskAmount / riskPerUnit;
   }
 
   // Update daily risk tracking
@@ -198,22 +377,9 @@ export class RiskManager {
     }
   }
 
-  // Calculate correlation between two symbols
+  // Rolling return correlation from stored history
   calculateCorrelation(symbol1, symbol2) {
-    // This is a simplified correlation calculation
-    // In a real implementation, you would use historical price data
-    const correlationMap = {
-      'EURUSD_GBPUSD': 0.8,
-      'EURUSD_EURGBP': 0.6,
-      'GBPUSD_EURGBP': -0.7,
-      'USDJPY_EURJPY': 0.75,
-      'AUDUSD_NZDUSD': 0.85
-    };
-
-    const pair1 = `${symbol1}_${symbol2}`;
-    const pair2 = `${symbol2}_${symbol1}`;
-    
-    return correlationMap[pair1] || correlationMap[pair2] || 0;
+    return correlationMatrix.getCorrelation(symbol1, symbol2);
   }
 
   // Dynamic stop loss calculation
@@ -313,6 +479,8 @@ export class RiskManager {
       maxDrawdownReached: this.maxDrawdownReached,
       dailyRiskUsed: this.dailyRiskUsed,
       activePositions: positions.size,
+      currencyExposure: this.exposure.calculate(positions.values(), this.config.accountCurrency),
+      valueAtRisk: this.valueAtRisk.report(positions.values(), this.config.accountCurrency),
       avgWin: avgWin || 0,
       avgLoss: avgLoss || 0,
       winRate: winRate || 0,
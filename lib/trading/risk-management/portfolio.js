@@ -0,0 +1,317 @@
+import { RiskManager } from './index';
+import { instrumentRegistry } from '../instruments';
+import { pnlCalculator } from '../pnl';
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Limits where the lower value is the stricter one, and where the higher is.
+// A null maxVaR turns the VaR check off, so any number is stricter.
+const MAXIMUM_LIMITS = [
+  'maxRiskPerTrade', 'maxDailyRisk', 'maxDrawdown', 'maxPositions', 'maxLeverage', 'correlationLimit',
+  'maxCurrencyExposure', 'maxVaR', 'maxMarginUsage', 'maxDailyLoss'
+];
+const MINIMUM_LIMITS = ['minRiskRewardRatio', 'varConfidence', 'varHorizon'];
+
+// Balance, equity and margin from the accountInfo of any supported broker:
+// paper accounts, OANDA ({ account }), IG ({ accounts: [{ balance: {...} }] })
+// and flat FXCM-style objects.
+export function normalizeAccountInfo(info = {}) {
+  const account = info.account || info.accounts?.[0] || info;
+  const funds = typeof account.balance === 'object' && account.balance !== null ? account.balance : null;
+
+  const balance = toNumber(funds ? funds.balance : account.balance);
+  const unrealizedPnL = toNumber(account.unrealizedPnL ?? account.unrealizedPL ?? funds?.profitLoss) ?? 0;
+  const equity = toNumber(account.equity ?? account.NAV) ??
+    (balance === null ? null : balance + unrealizedPnL);
+
+  return {
+    currency: account.currency || info.currency || null,
+    balance,
+    equity,
+    margin: toNumber(account.margin ?? account.marginUsed ?? account.usedMargin ?? funds?.deposit) ?? 0,
+    unrealizedPnL
+  };
+}
+
+// Risk limits for one user across all of their bots and broker accounts.
+// Every bot registers its positions here, so position, correlation,
+// exposure, margin, daily loss and drawdown checks see the whole account,
+// and sizing uses the real balance instead of a configured one.
+export class AccountRiskManager extends RiskManager {
+  constructor(userId, config = {}) {
+    super({
+      maxPositions: 10, // Across all bots
+      maxMarginUsage: 0.5, // Used margin as a fraction of equity
+      maxDailyLoss: 0.05, // Realized plus unrealized, as a fraction of the day's opening balance
+      ...config
+    });
+
+    this.userId = userId;
+    this.bots = new Map(); // botId -> positions Map
+    this.accounts = new Map(); // brokerId:accountId -> normalised accountInfo
+    this.linked = new Set(); // Strategy risk managers sized from this balance
+
+    this.balance = this.config.accountBalance;
+    this.equity = this.config.accountBalance;
+    this.margin = 0;
+    this.unrealizedPnL = 0;
+    this.peakEquity = this.equity;
+    this.day = new Date().toDateString();
+    this.dayStartBalance = this.balance;
+    this.dailyRealizedPnL = 0;
+    this.synced = false;
+  }
+
+  addBot(botId, positions) {
+    this.bots.set(botId, positions);
+  }
+
+  // Every bot's riskConfig can only tighten the shared limits, so the
+  // strictest value of each one applies to the whole account
+  mergeLimits(config = {}) {
+    const merged = {};
+
+    MAXIMUM_LIMITS.forEach(key => {
+      const value = toNumber(config[key]);
+      if (value === null) return;
+      const current = this.config[key];
+      merged[key] = current === null || current === undefined ? value : Math.min(current, value);
+    });
+
+    MINIMUM_LIMITS.forEach(key => {
+      const value = toNumber(config[key]);
+      if (value === null) return;
+      const current = this.config[key];
+      merged[key] = current === null || current === undefined ? value : Math.max(current, value);
+    });
+
+    const currencyLimits = { ...this.config.currencyExposureLimits };
+    Object.entries(config.currencyExposureLimits || {}).forEach(([currency, multiple]) => {
+      const value = toNumber(multiple);
+      if (value === null) return;
+      currencyLimits[currency] = Math.min(currencyLimits[currency] ?? value, value);
+    });
+    merged.currencyExposureLimits = currencyLimits;
+
+    this.updateConfig(merged);
+  }
+
+  removeBot(botId) {
+    this.bots.delete(botId);
+  }
+
+  // Keep a strategy's own RiskManager sized from the account balance
+  link(riskManager) {
+    if (!riskManager || riskManager === this) return;
+    this.linked.add(riskManager);
+    riskManager.updateConfig({ accountBalance: this.balance });
+  }
+
+  unlink(riskManager) {
+    this.linked.delete(riskManager);
+  }
+
+  // Open positions of every bot, keyed by botId:positionId
+  getOpenPositions() {
+    const positions = new Map();
+
+    for (const [botId, botPositions] of this.bots) {
+      for (const [id, position] of botPositions) {
+        if (position.status === 'open') positions.set(`${botId}:${id}`, position);
+      }
+    }
+
+    return positions;
+  }
+
+  getAccountKey(connection) {
+    return `${connection.brokerId}:${connection.account?.id ?? 'default'}`;
+  }
+
+  // Take balance, equity and margin from a broker connection's accountInfo.
+  // Accounts in other currencies are converted into the account currency.
+  syncAccount(connection) {
+    if (!connection?.accountInfo) return;
+
+    const info = normalizeAccountInfo(connection.accountInfo);
+    if (info.balance === null) return;
+
+    this.accounts.set(this.getAccountKey(connection), {
+      ...info,
+      currency: info.currency || pnlCalculator.getAccountCurrency(connection),
+      syncedAt: Date.now()
+    });
+
+    this.updateTotals();
+  }
+
+  updateTotals() {
+    const totals = { balance: 0, equity: 0, margin: 0, unrealizedPnL: 0 };
+
+    for (const account of this.accounts.values()) {
+      for (const key of Object.keys(totals)) {
+        const value = pnlCalculator.convert(account[key], account.currency, this.config.accountCurrency);
+        totals[key] += value ?? account[key];
+      }
+    }
+
+    // Until the first sync these start from the configured balance
+    if (!this.synced) {
+      this.synced = true;
+      this.dayStartBalance = totals.balance;
+      this.peakEquity = totals.equity;
+    }
+    this.rollDay(totals.balance);
+
+    this.balance = totals.balance;
+    this.equity = totals.equity;
+    this.margin = totals.margin;
+    this.unrealizedPnL = totals.unrealizedPnL;
+    this.config.accountBalance = this.balance;
+
+    this.peakEquity = Math.max(this.peakEquity, this.equity);
+    this.currentDrawdown = this.peakEquity > 0 ? (this.peakEquity - this.equity) / this.peakEquity : 0;
+    this.maxDrawdownReached = Math.max(this.maxDrawdownReached, this.currentDrawdown);
+
+    this.linked.forEach(riskManager => riskManager.updateConfig({ accountBalance: this.balance }));
+  }
+
+  // A new day starts from the current balance with no realized P&L
+  rollDay(balance = this.balance) {
+    const today = new Date().toDateString();
+    if (today === this.day) return;
+
+    this.day = today;
+    this.dayStartBalance = balance;
+    this.dailyRealizedPnL = 0;
+    this.resetDailyRisk();
+  }
+
+  // Closed trades count towards the daily loss limit
+  recordTrade(trade) {
+    this.rollDay();
+    this.dailyRealizedPnL += trade.profit || 0;
+  }
+
+  getValidations(signal, currentPositions = this.getOpenPositions()) {
+    // Margin is checked at the size that would be traded
+    const sized = { ...signal, lotSize: this.getTradeSize(signal) };
+
+    return [
+      ...super.getValidations(signal, currentPositions),
+      this.checkDailyLoss(),
+      this.checkMargin(sized)
+    ];
+  }
+
+  getLegValidations(legs, currentPositions = this.getOpenPositions()) {
+    return [
+      ...super.getLegValidations(legs, currentPositions),
+      this.checkDailyLoss(),
+      this.checkMargin(legs)
+    ];
+  }
+
+  getEquity() {
+    return this.equity;
+  }
+
+  // Bots pass only their own positions; the account checks every bot's
+  validateSignal(signal) {
+    return super.validateSignal(signal, this.getOpenPositions());
+  }
+
+  validateLegs(signal) {
+    return super.validateLegs(signal, this.getOpenPositions());
+  }
+
+  getDailyPnL() {
+    this.rollDay();
+    return this.dailyRealizedPnL + this.unrealizedPnL;
+  }
+
+  checkDailyLoss() {
+    const loss = Math.max(0, -this.getDailyPnL());
+    const ratio = this.dayStartBalance > 0 ? loss / this.dayStartBalance : 0;
+
+    return {
+      passed: ratio < this.config.maxDailyLoss,
+      reason: `Daily loss: ${(ratio * 100).toFixed(2)}%/${(this.config.maxDailyLoss * 100)}%`
+    };
+  }
+
+  // Margin the signal would use, in the account currency
+  calculateMarginRequired(signal) {
+    const instrument = instrumentRegistry.find(signal.symbol);
+    const price = signal.entryPrice ?? signal.price;
+    if (!instrument || !signal.lotSize || !price) return 0;
+
+    const margin = instrumentRegistry.calculateMargin(signal.symbol, signal.lotSize, price);
+    return pnlCalculator.convert(margin, instrument.quote, this.config.accountCurrency, { [instrument.symbol]: price }) ?? margin;
+  }
+
+  // Takes a signal or the legs of a multi-leg signal
+  checkMargin(signal) {
+    const required = [].concat(signal).reduce((sum, leg) => sum + this.calculateMarginRequired(leg), this.margin);
+    const usage = this.equity > 0 ? required / this.equity : Infinity;
+
+    return {
+      passed: usage <= this.config.maxMarginUsage,
+      reason: `Margin usage: ${(usage * 100).toFixed(2)}%/${(this.config.maxMarginUsage * 100)}%`
+    };
+  }
+
+  getRiskMetrics(positions = this.getOpenPositions(), trades = []) {
+    return {
+      ...super.getRiskMetrics(positions, trades),
+      accountCurrency: this.config.accountCurrency,
+      balance: this.balance,
+      equity: this.equity,
+      margin: this.margin,
+      marginUsage: this.equity > 0 ? this.margin / this.equity : null,
+      dailyPnL: this.getDailyPnL(),
+      bots: this.bots.size,
+      accounts: Array.from(this.accounts.entries()).map(([id, account]) => ({ id, ...account }))
+    };
+  }
+}
+
+// One AccountRiskManager per user, created by their first bot and dropped
+// when their last bot is removed
+export class PortfolioRiskManager {
+  constructor() {
+    this.accounts = new Map();
+  }
+
+  getAccount(userId, config = {}) {
+    let account = this.accounts.get(userId);
+    if (!account) {
+      account = new AccountRiskManager(userId, config);
+      this.accounts.set(userId, account);
+    } else {
+      account.mergeLimits(config);
+    }
+    return account;
+  }
+
+  findAccount(userId) {
+    return this.accounts.get(userId) || null;
+  }
+
+  removeBot(userId, botId) {
+    const account = this.accounts.get(userId);
+    if (!account) return;
+
+    account.removeBot(botId);
+    if (account.bots.size === 0) {
+      this.accounts.delete(userId);
+    }
+  }
+}
+
+export const portfolioRiskManager = new PortfolioRiskManager();
+
+export default portfolioRiskManager;
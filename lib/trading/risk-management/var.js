@@ -0,0 +1,335 @@
+import { candleStore } from '../data-store';
+import { instrumentRegistry } from '../instruments';
+import { pnlCalculator } from '../pnl';
+import { logReturns } from './correlations';
+
+export const VAR_METHODS = ['parametric', 'historical', 'monte_carlo'];
+
+// Inverse of the standard normal CDF (Acklam's approximation, |error| < 1.2e-9)
+export function normalQuantile(p) {
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+const normalDensity = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+
+// Lower-triangular L with L * L' = matrix. Singular matrices, such as two
+// positions in the same currencies, get zero columns instead of failing.
+function cholesky(matrix) {
+  const n = matrix.length;
+  const lower = matrix.map(() => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+
+      if (i === j) {
+        lower[i][i] = sum > 0 ? Math.sqrt(sum) : 0;
+      } else {
+        lower[i][j] = lower[j][j] > 0 ? sum / lower[j][j] : 0;
+      }
+    }
+  }
+
+  return lower;
+}
+
+// Seeded uniform generator (mulberry32), so simulations can be reproduced
+function createRandom(seed) {
+  if (seed === null || seed === undefined) return Math.random;
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Value-at-Risk and CVaR (expected shortfall) of the positions open now, in
+// the account currency and as positive losses. Each symbol's position is
+// its signed notional, and its P&L is that notional times the symbol's
+// daily log return, so the portfolio P&L is w'r with covariance w'Σw.
+//
+//   parametric    z * sqrt(w'Σw), assuming normal returns
+//   historical    the loss quantile of w'r over the stored return history
+//   monte_carlo   the loss quantile of simulated normal returns with Σ
+//
+// Multi-day horizons scale the 1-day parametric and historical figures by
+// sqrt(horizon); Monte Carlo simulates horizon-day returns directly.
+export class ValueAtRisk {
+  constructor(config = {}, pnl = pnlCalculator) {
+    this.config = {
+      timeframe: '1d',
+      lookback: 250, // Daily returns, about a year
+      minObservations: 60,
+      confidenceLevels: [0.95, 0.99],
+      horizons: [1, 10], // Days
+      simulations: 10000,
+      seed: null, // Set for reproducible Monte Carlo results
+      cacheMs: 60 * 60 * 1000,
+      ...config
+    };
+
+    this.pnl = pnl;
+    this.history = new Map(); // symbol -> { returns, loadedAt }
+    this.loading = new Map();
+  }
+
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+
+  // Load the daily returns of `symbols` from the candle store, reusing any
+  // loaded within cacheMs. Checks only use history loaded here.
+  async loadHistory(symbols) {
+    const unique = Array.from(new Set(symbols)).filter(symbol => instrumentRegistry.has(symbol));
+
+    await Promise.all(unique.map(symbol => {
+      const cached = this.history.get(symbol);
+      if (cached && Date.now() - cached.loadedAt < this.config.cacheMs) return null;
+
+      if (!this.loading.has(symbol)) {
+        const load = candleStore.getCandles(symbol, this.config.timeframe, { limit: this.config.lookback + 1 })
+          .then(candles => {
+            this.history.set(symbol, { returns: logReturns(candles), loadedAt: Date.now() });
+          })
+          .catch(error => console.error(`Failed to load ${symbol} history for VaR:`, error))
+          .finally(() => this.loading.delete(symbol));
+
+        this.loading.set(symbol, load);
+      }
+
+      return this.loading.get(symbol);
+    }));
+  }
+
+  // Signed notional per symbol in the account currency. Prices of the
+  // positions themselves convert each other's quote currencies.
+  getWeights(positions, accountCurrency) {
+    const list = Array.from(positions);
+    const prices = {};
+    for (const position of list) {
+      const instrument = instrumentRegistry.find(position.symbol);
+      const price = position.currentPrice || position.entryPrice || position.price;
+      if (instrument && price) prices[instrument.symbol] = price;
+    }
+
+    const weights = new Map();
+    for (const position of list) {
+      const instrument = instrumentRegistry.find(position.symbol);
+      const price = position.currentPrice || position.entryPrice || position.price;
+      if (!instrument || !position.lotSize || !price) continue;
+
+      const notional = this.pnl.convert(position.lotSize * price, instrument.quote, accountCurrency, prices);
+      if (notional === null) continue;
+
+      const sign = position.direction === 'BUY' ? 1 : -1;
+      weights.set(instrument.symbol, (weights.get(instrument.symbol) || 0) + sign * notional);
+    }
+
+    return weights;
+  }
+
+  // Returns of the symbols on the dates they all share, oldest first
+  getReturnMatrix(symbols) {
+    const series = symbols.map(symbol => this.history.get(symbol).returns);
+    const rows = [];
+
+    for (const time of series[0].keys()) {
+      if (series.every(returns => returns.has(time))) {
+        rows.push(series.map(returns => returns.get(time)));
+      }
+    }
+
+    return rows.slice(-this.config.lookback);
+  }
+
+  getCovariance(rows) {
+    const n = rows.length;
+    const size = rows[0].length;
+    const means = new Array(size).fill(0);
+    rows.forEach(row => row.forEach((value, i) => { means[i] += value / n; }));
+
+    const covariance = means.map(() => new Array(size).fill(0));
+    for (const row of rows) {
+      for (let i = 0; i < size; i++) {
+        for (let j = 0; j <= i; j++) {
+          covariance[i][j] += (row[i] - means[i]) * (row[j] - means[j]) / (n - 1);
+        }
+      }
+    }
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < i; j++) covariance[j][i] = covariance[i][j];
+    }
+
+    return covariance;
+  }
+
+  // Weights, returns and covariance for a set of positions, or null when
+  // there is nothing to measure or not enough shared history
+  prepare(positions, accountCurrency) {
+    const weights = this.getWeights(positions, accountCurrency);
+    const missing = Array.from(weights.keys()).filter(symbol => !this.history.has(symbol));
+    const symbols = Array.from(weights.keys()).filter(symbol => this.history.has(symbol));
+    if (symbols.length === 0) return null;
+
+    const rows = this.getReturnMatrix(symbols);
+    if (rows.length < this.config.minObservations) return null;
+
+    return {
+      symbols,
+      missing,
+      weights: symbols.map(symbol => weights.get(symbol)),
+      rows,
+      covariance: this.getCovariance(rows)
+    };
+  }
+
+  // Loss quantile and average loss beyond it, from P&L samples
+  getTailLosses(pnls, confidence) {
+    const losses = pnls.map(pnl => -pnl).sort((a, b) => b - a);
+    const count = Math.max(1, Math.floor(losses.length * (1 - confidence)));
+    const tail = losses.slice(0, count);
+
+    return {
+      var: Math.max(0, tail[tail.length - 1]),
+      cvar: Math.max(0, tail.reduce((sum, loss) => sum + loss, 0) / tail.length)
+    };
+  }
+
+  parametric({ weights, covariance }, confidence, horizon) {
+    const variance = weights.reduce((sum, wi, i) =>
+      sum + weights.reduce((inner, wj, j) => inner + wi * covariance[i][j] * wj, 0), 0);
+    const sigma = Math.sqrt(Math.max(variance, 0) * horizon);
+    const z = normalQuantile(confidence);
+
+    return {
+      var: z * sigma,
+      cvar: sigma * normalDensity(z) / (1 - confidence)
+    };
+  }
+
+  historical({ weights, rows }, confidence, horizon) {
+    const pnls = rows.map(row => row.reduce((sum, value, i) => sum + weights[i] * value, 0));
+    const { var: valueAtRisk, cvar } = this.getTailLosses(pnls, confidence);
+    const scale = Math.sqrt(horizon);
+
+    return { var: valueAtRisk * scale, cvar: cvar * scale };
+  }
+
+  // Simulated portfolio P&L for one horizon, shared by every confidence level
+  simulate({ weights, covariance }, horizon) {
+    const lower = cholesky(covariance.map(row => row.map(value => value * horizon)));
+    const random = createRandom(this.config.seed);
+    const size = weights.length;
+    const pnls = new Array(this.config.simulations);
+
+    for (let s = 0; s < pnls.length; s++) {
+      const normals = new Array(size);
+      for (let i = 0; i < size; i++) {
+        // Box-Muller
+        const u = 1 - random();
+        normals[i] = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+      }
+
+      let pnl = 0;
+      for (let i = 0; i < size; i++) {
+        let value = 0;
+        for (let k = 0; k <= i; k++) value += lower[i][k] * normals[k];
+        pnl += weights[i] * value;
+      }
+      pnls[s] = pnl;
+    }
+
+    return pnls;
+  }
+
+  monteCarlo(data, confidence, horizon) {
+    return this.getTailLosses(this.simulate(data, horizon), confidence);
+  }
+
+  // One VaR figure, or null if the positions can't be measured yet
+  calculate(positions, {
+    method = 'parametric',
+    confidence = 0.99,
+    horizon = 1,
+    accountCurrency = this.pnl.config.accountCurrency
+  } = {}) {
+    if (!VAR_METHODS.includes(method)) {
+      throw new Error(`Unknown VaR method: ${method}`);
+    }
+
+    const data = this.prepare(positions, accountCurrency);
+    if (!data) return null;
+
+    const compute = {
+      parametric: () => this.parametric(data, confidence, horizon),
+      historical: () => this.historical(data, confidence, horizon),
+      monte_carlo: () => this.monteCarlo(data, confidence, horizon)
+    }[method];
+
+    return {
+      method,
+      confidence,
+      horizon,
+      ...compute(),
+      currency: accountCurrency,
+      observations: data.rows.length,
+      symbols: data.symbols,
+      missing: data.missing
+    };
+  }
+
+  // Every method at every configured confidence level and horizon
+  report(positions, accountCurrency = this.pnl.config.accountCurrency) {
+    const data = this.prepare(positions, accountCurrency);
+    if (!data) return null;
+
+    const results = [];
+    for (const horizon of this.config.horizons) {
+      const simulated = this.simulate(data, horizon);
+
+      for (const confidence of this.config.confidenceLevels) {
+        results.push(
+          { method: 'parametric', confidence, horizon, ...this.parametric(data, confidence, horizon) },
+          { method: 'historical', confidence, horizon, ...this.historical(data, confidence, horizon) },
+          { method: 'monte_carlo', confidence, horizon, ...this.getTailLosses(simulated, confidence) }
+        );
+      }
+    }
+
+    return {
+      currency: accountCurrency,
+      observations: data.rows.length,
+      symbols: data.symbols,
+      missing: data.missing,
+      results
+    };
+  }
+}
+
+export const valueAtRisk = new ValueAtRisk();
+
+export default valueAtRisk;
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { ArbitrageStrategy } from '../arbitrage';
+
+const NOW = Date.UTC(2024, 0, 2, 12);
+
+const quotes = (rates, time = NOW) => Object.fromEntries(Object.entries(rates).map(([symbol, mid]) => [
+  symbol,
+  { bid: mid - 0.00001, ask: mid + 0.00001, timestamp: new Date(time).toISOString() }
+]));
+
+const tick = (strategy, rates, time = NOW) => strategy.analyze({
+  symbol: 'EURUSD',
+  timestamp: new Date(time).toISOString(),
+  quotes: quotes(rates, time)
+});
+
+// EURGBP is cheap against EURUSD / GBPUSD (0.88), so the loop pays
+const MISPRICED = { EURUSD: 1.1, GBPUSD: 1.25, EURGBP: 0.87 };
+const CONVERGED = { EURUSD: 1.1, GBPUSD: 1.25, EURGBP: 0.885 };
+
+const createStrategy = () => new ArbitrageStrategy({ symbols: ['EURUSD', 'GBPUSD', 'EURGBP'] });
+
+describe('ArbitrageStrategy', () => {
+  it('books a cycle only once the engine reports every leg filled', async () => {
+    const strategy = createStrategy();
+    const signal = await tick(strategy, MISPRICED);
+
+    expect(signal.legs).toHaveLength(3);
+    expect(strategy.openCycles.size).toBe(0);
+    expect(strategy.positions.size).toBe(0);
+
+    // No second cycle while the first is in flight
+    expect(await tick(strategy, MISPRICED)).toBeNull();
+
+    const legs = signal.legs.map(leg => ({ ...leg, lotSize: Math.floor(leg.lotSize / 1000) * 1000 }));
+    strategy.onOrderFilled(signal, { legs, timestamp: new Date(NOW).toISOString() });
+
+    const [cycle] = strategy.openCycles.values();
+    expect(cycle.legs.map(leg => leg.lotSize)).toEqual(legs.map(leg => leg.lotSize));
+    expect(strategy.positions.size).toBe(1);
+  });
+
+  it('forgets a cycle the engine rejected', async () => {
+    const strategy = createStrategy();
+    const signal = await tick(strategy, MISPRICED);
+
+    strategy.onOrderRejected(signal, 'risk_limits');
+
+    expect(strategy.openCycles.size).toBe(0);
+    expect(await tick(strategy, MISPRICED)).not.toBeNull();
+  });
+
+  it('waits for a fresh quote on every leg before exiting', async () => {
+    const strategy = createStrategy();
+    const signal = await tick(strategy, MISPRICED);
+    strategy.onOrderFilled(signal, { legs: signal.legs, timestamp: new Date(NOW).toISOString() });
+
+    // The EURGBP quote has gone stale, so the cycle can't be priced
+    const later = NOW + 10000;
+    expect(await tick(strategy, { EURUSD: 1.1, GBPUSD: 1.25 }, later)).toBeNull();
+    expect(strategy.openCycles.size).toBe(1);
+
+    const exit = await tick(strategy, CONVERGED, later);
+    expect(exit.reason).toBe('converged');
+    expect(exit.legs.find(leg => leg.symbol === 'EURGBP').exitPrice).toBeCloseTo(0.885, 4);
+    expect(strategy.openCycles.size).toBe(0);
+  });
+});
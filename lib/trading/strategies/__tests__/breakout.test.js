@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { BreakoutStrategy } from '../breakout';
+
+const START = Date.UTC(2024, 0, 2, 8);
+
+// A flat 1.1000-1.1020 box, one 15m bar per entry
+function makeBars(count, { high = 1.102, low = 1.1, close = 1.101 } = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(START + i * 900000).toISOString(),
+    open: 1.101,
+    high,
+    low,
+    close,
+    volume: 100
+  }));
+}
+
+const marketData = (prices) => {
+  const last = prices[prices.length - 1];
+  return {
+    symbol: 'EURUSD',
+    prices,
+    timestamp: last.timestamp,
+    open: last.open,
+    high: last.high,
+    low: last.low,
+    close: last.close,
+    volume: last.volume,
+    spread: 0.00001,
+    pipValue: 0.0001,
+    barClosed: true
+  };
+};
+
+const createStrategy = () => new BreakoutStrategy({
+  rangePeriod: 10,
+  atrPeriod: 5,
+  volumePeriod: 5,
+  useSupportResistance: false
+});
+
+// Place both bracket legs, one per update
+async function placeBracket(strategy, prices) {
+  const legs = [await strategy.analyze(marketData(prices)), await strategy.analyze(marketData(prices))];
+  return {
+    buy: legs.find(leg => leg?.direction === 'BUY'),
+    sell: legs.find(leg => leg?.direction === 'SELL')
+  };
+}
+
+describe('BreakoutStrategy', () => {
+  it('keeps the resting bracket while the range edges move within tolerance', async () => {
+    const strategy = createStrategy();
+    const prices = makeBars(14);
+    const { buy, sell } = await placeBracket(strategy, prices);
+
+    expect(buy).toMatchObject({ direction: 'BUY', entryType: 'STOP' });
+    expect(sell).toMatchObject({ direction: 'SELL', entryType: 'STOP' });
+    expect(buy.entryPrice).toBeCloseTo(1.1022, 10);
+
+    // Half a pip of creep on a 20 pip ATR keeps the orders where they are
+    const crept = [...prices, ...makeBars(2, { high: 1.10205 })];
+    expect(await strategy.analyze(marketData(crept.slice(0, -1)))).toBeNull();
+    expect(await strategy.analyze(marketData(crept))).toBeNull();
+    expect(strategy.bracket.ocoGroup).toBe(buy.metadata.ocoGroup);
+
+    // A move well beyond it cancels both legs
+    const widened = [...crept, ...makeBars(1, { high: 1.1035 })];
+    const cancel = await strategy.analyze(marketData([...widened, ...makeBars(1)]));
+    expect(cancel).toMatchObject({ action: 'cancel_order', reason: 'range_updated' });
+  });
+
+  it('books the position only when the broker reports the fill', async () => {
+    const strategy = createStrategy();
+    const prices = makeBars(14);
+    const { buy, sell } = await placeBracket(strategy, prices);
+
+    expect(strategy.positions.size).toBe(0);
+
+    strategy.onOrderFilled(buy, { price: 1.10223, timestamp: prices[13].timestamp });
+
+    const [position] = strategy.getAllPositions();
+    expect(position.id).toBe(buy.metadata.positionId);
+    expect(position.entryPrice).toBe(1.10223);
+    expect(position.confirmed).toBeNull();
+    expect(strategy.dailyAttempts.count).toBe(1);
+
+    // The sibling stop is cancelled on the next update
+    const next = await strategy.analyze(marketData([...prices, ...makeBars(1, { high: 1.103, close: 1.1025 })]));
+    expect(next).toMatchObject({ action: 'cancel_order', orderRef: sell.metadata.orderRef, reason: 'oco_filled' });
+  });
+
+  it('forgets bracket legs the engine rejects', async () => {
+    const strategy = createStrategy();
+    const prices = makeBars(14);
+    const { buy, sell } = await placeBracket(strategy, prices);
+
+    strategy.onOrderRejected(buy, 'risk_limits');
+    expect(strategy.bracket.buy).toBeNull();
+    expect(strategy.bracket.sell).not.toBeNull();
+
+    strategy.onOrderRejected(sell, 'risk_limits');
+    expect(strategy.bracket).toBeNull();
+
+    // A fresh bracket goes out on the next bar
+    const replaced = await strategy.analyze(marketData([...prices, ...makeBars(1)]));
+    expect(replaced).toMatchObject({ entryType: 'STOP' });
+    expect(replaced.metadata.ocoGroup).not.toBe(buy.metadata.ocoGroup);
+  });
+
+  it('counts bars, not ticks, towards retest expiry and the false-breakout window', () => {
+    const strategy = new BreakoutStrategy({ entryMode: 'retest', retestExpiryBars: 2, falseBreakoutBars: 1 });
+    const range = { high: 1.102, low: 1.1 };
+    const indicators = { atr: [0.002] };
+    const quote = (close, barClosed) => ({ symbol: 'EURUSD', close, low: close, high: close, barClosed, timestamp: new Date(START).toISOString() });
+
+    strategy.range = range;
+    strategy.pendingBreakout = { direction: 'BUY', level: range.high, range, bars: 0 };
+    for (let i = 0; i < 5; i++) strategy.checkRetest(indicators, quote(1.104, false));
+    expect(strategy.pendingBreakout.bars).toBe(0);
+
+    for (let i = 0; i < 3; i++) strategy.checkRetest(indicators, quote(1.104, true));
+    expect(strategy.pendingBreakout).toBeNull();
+
+    const entry = { symbol: 'EURUSD', direction: 'BUY', entryPrice: 1.1025, stopLoss: 1.099, takeProfit: 1.108, lotSize: 1000, metadata: { positionId: 'bo_1' } };
+    strategy.recordEntry(entry, quote(1.1025, true), true, range);
+
+    // Ticks within the first bar: back inside the range is still a false breakout
+    for (let i = 0; i < 5; i++) expect(strategy.checkExitSignals(indicators, quote(1.1025, false))).toBeNull();
+    expect(strategy.checkExitSignals(indicators, quote(1.1015, false))).toMatchObject({ reason: 'false_breakout' });
+
+    // Two bars on, it is not
+    strategy.recordEntry(entry, quote(1.1025, true), true, range);
+    strategy.checkExitSignals(indicators, quote(1.1025, true));
+    strategy.checkExitSignals(indicators, quote(1.1025, true));
+    expect(strategy.checkExitSignals(indicators, quote(1.1015, false))).toBeNull();
+  });
+});
+
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { CustomStrategy } from '../custom';
+
+const rules = {
+  entry: { long: 'close > sma(5)' },
+  sizing: { type: 'fixed', value: 10000 },
+  maxPositions: 1
+};
+
+const entry = (positionId) => ({
+  strategy: 'custom',
+  symbol: 'EURUSD',
+  direction: 'BUY',
+  entryPrice: 1.1,
+  stopLoss: 1.098,
+  takeProfit: 1.104,
+  lotSize: 10000,
+  metadata: { positionId }
+});
+
+describe('CustomStrategy', () => {
+  it('frees the position slot of an entry the engine rejected', () => {
+    const strategy = new CustomStrategy({ rules });
+    const signal = entry('custom_1');
+    strategy.recordEntry(signal, new Date().toISOString());
+    strategy.signals.push(signal);
+
+    strategy.onOrderRejected(signal, 'risk_limits');
+
+    expect(strategy.positions.size).toBe(0);
+    expect(strategy.signals).toHaveLength(0);
+
+    // Signals the strategy never booked are ignored
+    strategy.recordEntry(entry('custom_2'), new Date().toISOString());
+    strategy.onOrderRejected(entry('custom_3'), 'risk_limits');
+    expect(Array.from(strategy.positions.keys())).toEqual(['custom_2']);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { strategies, strategyRegistry, STRATEGY_TYPES } from '../index';
+import { BaseStrategy } from '../base';
+import { ScalpingStrategy } from '../scalping';
+
+class PluginStrategy extends BaseStrategy {}
+
+describe('strategies', () => {
+  afterEach(() => {
+    strategyRegistry.unregister('plugin');
+  });
+
+  it('lists the built-in strategies by type', () => {
+    expect(strategies[STRATEGY_TYPES.SCALPING]).toBe(ScalpingStrategy);
+    expect(Object.keys(strategies)).toEqual(strategyRegistry.getTypes());
+  });
+
+  it('follows strategies registered and removed after import', () => {
+    expect('plugin' in strategies).toBe(false);
+
+    strategyRegistry.register('plugin', { name: 'Plugin', strategyClass: PluginStrategy });
+    expect(strategies.plugin).toBe(PluginStrategy);
+    expect(Object.keys(strategies)).toContain('plugin');
+
+    strategyRegistry.unregister('plugin');
+    expect(strategies.plugin).toBeUndefined();
+  });
+});
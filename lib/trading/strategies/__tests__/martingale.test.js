@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { MartingaleStrategy } from '../martingale';
+
+const START = Date.UTC(2024, 0, 2);
+
+const bars = Array.from({ length: 40 }, (_, i) => ({
+  timestamp: new Date(START + i * 3600000).toISOString(),
+  open: 1.1,
+  high: 1.1005,
+  low: 1.0995,
+  close: 1.1,
+  volume: 100
+}));
+
+const tick = (strategy, close) => strategy.analyze({
+  symbol: 'EURUSD',
+  prices: bars,
+  close,
+  timestamp: new Date(START + 40 * 3600000).toISOString(),
+  spread: 0.00001,
+  pipValue: 0.0001
+});
+
+const createStrategy = () => new MartingaleStrategy({ direction: 'BUY' });
+
+describe('MartingaleStrategy', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('forgets a first step the engine rejected', async () => {
+    const strategy = createStrategy();
+    const step = await tick(strategy, 1.1);
+
+    strategy.onOrderRejected(step, 'risk_limits');
+
+    expect(strategy.positions.size).toBe(0);
+    expect(strategy.currentStep).toBe(0);
+    expect(strategy.getMetrics()).toMatchObject({ cycleTrades: 0, stepsRefused: 1, cyclesClosedOut: 0 });
+    expect((await tick(strategy, 1.1)).lotSize).toBe(1000);
+  });
+
+  it('closes out the cycle when a later step is rejected, instead of stepping on its stop', async () => {
+    const strategy = createStrategy();
+    await tick(strategy, 1.1);
+
+    // Step 0 stops out, so step 1 doubles up
+    expect((await tick(strategy, 1.0979)).reason).toBe('stop_loss');
+    const step = await tick(strategy, 1.1);
+    expect(step.lotSize).toBe(2000);
+
+    strategy.onOrderRejected(step, 'Size 2000 units is below the minimum');
+
+    expect(strategy.positions.size).toBe(0);
+    expect(strategy.getMetrics()).toMatchObject({
+      currentStep: 0,
+      cyclesClosedOut: 1,
+      stepsRefused: 1,
+      lastRefusal: expect.objectContaining({ step: 1, reason: 'Size 2000 units is below the minimum' })
+    });
+
+    // The phantom step's stop can't be hit any more
+    expect(await tick(strategy, 1.0979)).toMatchObject({ lotSize: 1000, metadata: expect.objectContaining({ step: 0 }) });
+  });
+
+  it('caps the units a step may trade', async () => {
+    const strategy = new MartingaleStrategy({ direction: 'BUY', baseLotSize: 3000, maxStepUnits: 2000 });
+
+    expect(await tick(strategy, 1.1)).toBeNull();
+    expect(new MartingaleStrategy({ maxTotalLots: 5000 }).config.maxStepUnits).toBe(5000);
+  });
+});
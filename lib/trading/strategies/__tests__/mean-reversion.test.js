@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { MeanReversionStrategy } from '../mean-reversion';
+
+const START = Date.UTC(2024, 0, 2);
+
+const bars = Array.from({ length: 80 }, (_, i) => {
+  const close = 1.1 + Math.sin(i / 4) * 0.0005;
+  return {
+    timestamp: new Date(START + i * 900000).toISOString(),
+    open: close,
+    high: close + 0.0002,
+    low: close - 0.0002,
+    close,
+    volume: 100
+  };
+});
+
+const marketData = (barClosed) => ({
+  symbol: 'EURUSD',
+  prices: bars,
+  close: bars[bars.length - 1].close,
+  timestamp: bars[bars.length - 1].timestamp,
+  spread: 0.00001,
+  pipValue: 0.0001,
+  barClosed
+});
+
+const entry = (positionId, scaleLevel = 0) => ({
+  strategy: 'mean_reversion',
+  symbol: 'EURUSD',
+  direction: 'BUY',
+  entryPrice: 1.099,
+  stopLoss: 1.097,
+  takeProfit: 1.1,
+  lotSize: 10000,
+  metadata: { positionId, scaleLevel }
+});
+
+describe('MeanReversionStrategy', () => {
+  it('counts the cooldown in closed bars, not ticks', async () => {
+    const strategy = new MeanReversionStrategy();
+    strategy.cooldown = 2;
+
+    for (let i = 0; i < 5; i++) await strategy.analyze(marketData(false));
+    expect(strategy.cooldown).toBe(2);
+
+    await strategy.analyze(marketData(true));
+    expect(strategy.cooldown).toBe(1);
+  });
+
+  it('forgets an entry or scale-in the engine rejected', () => {
+    const strategy = new MeanReversionStrategy();
+    [entry('mr_1'), entry('mr_2', 1)].forEach(signal => {
+      strategy.recordEntry(signal, signal.timestamp);
+      strategy.signals.push(signal);
+    });
+
+    strategy.onOrderRejected(entry('mr_2', 1), 'risk_limits');
+
+    expect(Array.from(strategy.positions.keys())).toEqual(['mr_1']);
+    expect(strategy.signals.map(signal => signal.metadata.positionId)).toEqual(['mr_1']);
+
+    strategy.onOrderRejected(entry('mr_1'), 'Size 0 units is below the minimum');
+    expect(strategy.positions.size).toBe(0);
+    expect(strategy.getMetrics().totalSignals).toBe(0);
+  });
+});
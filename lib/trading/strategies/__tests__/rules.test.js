@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCondition,
+  compileCondition,
+  validateRuleDocument,
+  tokenize,
+  getLookback,
+  RuleEvaluator,
+  RuleSyntaxError
+} from '../rules';
+import { TechnicalIndicators } from '../../indicators';
+
+const compare = (left, op, right) => ({ type: 'compare', op, left, right });
+const num = (value) => ({ type: 'number', value });
+const price = (field, offset = 0) => ({ type: 'price', field, offset });
+
+const bars = (closes) => closes.map((close, i) => ({
+  timestamp: new Date(Date.UTC(2024, 0, 2) + i * 3600000).toISOString(),
+  open: close,
+  high: close + 0.001,
+  low: close - 0.001,
+  close,
+  volume: 100
+}));
+
+describe('parseCondition', () => {
+  it('binds NOT tighter than AND, and AND tighter than OR', () => {
+    const tree = parseCondition('close > 1 OR NOT open < 2 AND high >= 3');
+
+    expect(tree).toEqual({
+      type: 'or',
+      conditions: [
+        compare(price('close'), '>', num(1)),
+        {
+          type: 'and',
+          conditions: [
+            { type: 'not', condition: compare(price('open'), '<', num(2)) },
+            compare(price('high'), '>=', num(3))
+          ]
+        }
+      ]
+    });
+  });
+
+  it('lets parentheses override precedence', () => {
+    const tree = parseCondition('(close > 1 or open < 2) and high >= 3');
+
+    expect(tree.type).toBe('and');
+    expect(tree.conditions[0]).toMatchObject({ type: 'or', conditions: [{ op: '>' }, { op: '<' }] });
+  });
+
+  it('reads indicator parameters, fields and bar offsets', () => {
+    const tree = parseCondition('macd(12, 26, 9).histogram[1] crosses_above -0.5');
+
+    expect(tree).toEqual(compare(
+      { type: 'indicator', name: 'macd', params: [12, 26, 9], field: 'histogram', offset: 1 },
+      'crosses_above',
+      num(-0.5)
+    ));
+  });
+
+  it.each([
+    ['close > 1 $ 2', 'Unexpected character'],
+    ['close 1', 'Expected a comparison operator'],
+    ['close >', 'Rule ends early'],
+    ['(close > 1', 'Expected ")"'],
+    ['rsi(period) < 30', 'Indicator parameters must be numbers'],
+    ['close > 1 open', 'Unexpected "open"'],
+    ['> 1', 'Unexpected ">"']
+  ])('rejects "%s"', (source, message) => {
+    expect(() => parseCondition(source, 'entry.long')).toThrow(RuleSyntaxError);
+    expect(() => parseCondition(source, 'entry.long')).toThrow(message);
+  });
+
+  it('tokenizes multi-character operators before single ones', () => {
+    expect(tokenize('rsi(14)<=30')).toEqual(['rsi', '(', '14', ')', '<=', '30']);
+  });
+});
+
+describe('compileCondition', () => {
+  it('compiles JSON trees to the same tree as strings', () => {
+    const json = {
+      all: [
+        { left: 'close', op: '>', right: { indicator: 'ema', params: [21] } },
+        { not: 'rsi(14) > 70' }
+      ]
+    };
+
+    expect(compileCondition(json)).toEqual(parseCondition('close > ema(21) AND NOT rsi(14) > 70'));
+    expect(() => compileCondition({ left: 'close', op: '=>', right: 1 })).toThrow('Unknown operator "=>"');
+    expect(() => compileCondition({ left: 'close' }, 'exit.short')).toThrow('exit.short: Condition objects need all, any, not or op');
+  });
+});
+
+describe('validateRuleDocument', () => {
+  it('accepts a complete document', () => {
+    const { isValid, errors } = validateRuleDocument({
+      entry: { long: 'ema(9) crosses_above ema(21)', short: 'ema(9) crosses_below ema(21)' },
+      exit: { long: 'rsi(14) > 70' },
+      stopLoss: { type: 'atr', period: 14, multiplier: 2 },
+      takeProfit: { type: 'risk_reward', value: 2 },
+      sizing: { type: 'fixed', value: 10000 },
+      maxPositions: 2
+    });
+
+    expect(errors).toEqual([]);
+    expect(isValid).toBe(true);
+  });
+
+  it('reports unknown indicators, fields and parameters with their path', () => {
+    const { errors } = validateRuleDocument({
+      entry: {
+        long: 'vwap(20) > close AND bb(20, 2).top > close',
+        short: 'rsi(14, 3) > 70 AND sma(-5) < close AND 1 crosses_above 2'
+      }
+    });
+
+    expect(errors).toEqual([
+      expect.stringMatching(/^entry\.long\[0\]: Unknown indicator "vwap"/),
+      'entry.long[1]: bb has no field "top"',
+      'entry.short[0]: rsi takes at most 1 parameters',
+      'entry.short[1]: sma parameters must be positive numbers',
+      'entry.short[2]: crosses_above needs at least one series'
+    ]);
+  });
+
+  it('checks stop, target and sizing rules', () => {
+    const { errors } = validateRuleDocument({
+      entry: { long: 'close > 1' },
+      stopLoss: { type: 'atr', period: 14 },
+      takeProfit: { type: 'trailing', value: 2 },
+      sizing: { type: 'fixed', value: 0 },
+      maxPositions: 1.5
+    });
+
+    expect(errors).toEqual([
+      'stopLoss: multiplier must be a positive number',
+      'takeProfit: type must be one of atr, pips, percent, risk_reward',
+      'sizing: value must be a positive number',
+      'maxPositions: must be a positive integer'
+    ]);
+    expect(validateRuleDocument({ entry: { long: 'close > 1' }, sizing: { type: 'lots', value: 1 } }).errors)
+      .toEqual(['sizing: type must be one of risk_percent, fixed']);
+  });
+
+  it('needs an entry rule', () => {
+    expect(validateRuleDocument({ exit: { long: 'close > 1' } }).errors).toEqual(['entry: at least one of long or short is required']);
+    expect(validateRuleDocument(null).errors).toEqual(['Rule document must be an object']);
+  });
+});
+
+describe('RuleEvaluator', () => {
+  const evaluator = new RuleEvaluator(new TechnicalIndicators());
+  const evaluate = (source, closes) => evaluator.evaluate(parseCondition(source), bars(closes));
+
+  it('crosses only on the bar where the order flips', () => {
+    expect(evaluate('close crosses_above 1.1', [1.09, 1.11])).toBe(true);
+    expect(evaluate('close crosses_above 1.1', [1.11, 1.12])).toBe(false);
+    expect(evaluate('close crosses_below 1.1', [1.1, 1.09])).toBe(true);
+    expect(evaluate('close[1] crosses_above 1.1', [1.09, 1.11, 1.12])).toBe(true);
+  });
+
+  it('crosses between two indicator series', () => {
+    const closes = [...Array(10).fill(1.1), 1.09, 1.09, 1.13];
+
+    expect(evaluate('sma(2) crosses_above sma(5)', closes)).toBe(true);
+    expect(evaluate('sma(2) crosses_above sma(5)', closes.slice(0, -1))).toBe(false);
+  });
+
+  it('is false while an indicator is still warming up', () => {
+    expect(evaluate('sma(20) < close', [1.1, 1.2])).toBe(false);
+    expect(evaluate('NOT sma(20) < close', [1.1, 1.2])).toBe(true);
+  });
+
+  it('looks back far enough for every operand', () => {
+    expect(getLookback(parseCondition('ema(21)[2] > close AND close[5] < 1'))).toBe(24);
+    expect(getLookback(parseCondition('macd.signal > 0'))).toBe(48);
+  });
+});
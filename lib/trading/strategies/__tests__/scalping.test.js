@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { ScalpingStrategy } from '../scalping';
+import { TechnicalIndicators } from '../../indicators';
+
+const START = Date.UTC(2024, 0, 2);
+
+const bars = Array.from({ length: 120 }, (_, i) => {
+  const close = 1.1 + Math.sin(i / 5) * 0.001 + i * 0.00001;
+  return {
+    timestamp: new Date(START + i * 60000).toISOString(),
+    open: close - 0.0001,
+    high: close + 0.0003,
+    low: close - 0.0004,
+    close,
+    volume: 100 + (i % 7) * 10
+  };
+});
+
+describe('ScalpingStrategy', () => {
+  it('reads its indicators from closed bars streamed one at a time', async () => {
+    const strategy = new ScalpingStrategy();
+
+    // Live ticks: the last candle in prices is still forming
+    let indicators;
+    for (let i = 60; i < bars.length; i++) {
+      const prices = bars.slice(i - 60, i + 1);
+      indicators = await strategy.calculateIndicators({
+        symbol: 'EURUSD',
+        prices,
+        barClosed: true,
+        closedBar: prices[prices.length - 2]
+      });
+    }
+
+    const closed = bars.slice(0, -1);
+    const closes = closed.map(bar => bar.close);
+    const batch = new TechnicalIndicators();
+
+    expect(strategy.indicators.stream('EURUSD', '1m').history.at(-1)).toBe(closed.at(-1));
+    expect(indicators.rsi).toBeCloseTo(batch.rsi(closes, 14).at(-1), 9);
+    expect(indicators.ema.fast).toBeCloseTo(batch.ema(closes, 9).at(-1), 12);
+    expect(indicators.bb.middle).toBeCloseTo(batch.bollingerBands(closes, 20, 2).at(-1).middle, 12);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { TrendFollowingStrategy } from '../trend-following';
+
+const indicators = {
+  ema: { fast: [1.101], slow: [1.1], trend: [1.095] },
+  macd: { histogram: [0.0001, 0.0002] }
+};
+
+const marketData = { symbol: 'EURUSD', spread: 0.00001, volume: 100 };
+
+const entry = (positionId, entryPrice, lotSize, pyramidLevel = 0) => ({
+  strategy: 'trend_following',
+  symbol: 'EURUSD',
+  direction: 'BUY',
+  entryPrice,
+  stopLoss: entryPrice - 0.002,
+  takeProfit: entryPrice + 0.006,
+  lotSize,
+  pyramid: pyramidLevel > 0,
+  metadata: { positionId, pyramidLevel }
+});
+
+function book(strategy, signal) {
+  strategy.recordEntry(signal, new Date().toISOString());
+  strategy.signals.push(signal);
+}
+
+describe('TrendFollowingStrategy', () => {
+  it('spaces and sizes the next pyramid add from the last entry that was placed', () => {
+    const strategy = new TrendFollowingStrategy();
+    book(strategy, entry('tf_1', 1.1, 100000));
+    book(strategy, entry('tf_2', 1.102, 50000, 1));
+
+    strategy.onOrderRejected(entry('tf_2', 1.102, 50000, 1), 'risk_limits');
+
+    expect(Array.from(strategy.positions.keys())).toEqual(['tf_1']);
+    expect(strategy.signals).toHaveLength(1);
+
+    // 1 ATR above the first entry is enough for the add again
+    const add = strategy.checkPyramiding(1.1015, 0.001, indicators, marketData);
+    expect(add).toMatchObject({ pyramid: true, lotSize: 50000, metadata: expect.objectContaining({ pyramidLevel: 1 }) });
+  });
+
+  it('forgets a rejected initial entry', () => {
+    const strategy = new TrendFollowingStrategy();
+    book(strategy, entry('tf_1', 1.1, 100000));
+
+    strategy.onOrderRejected(entry('tf_1', 1.1, 100000), 'Size 0 units is below the minimum');
+
+    expect(strategy.positions.size).toBe(0);
+    expect(strategy.checkPyramiding(1.105, 0.001, indicators, marketData)).toBeNull();
+  });
+});
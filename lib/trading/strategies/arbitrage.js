@@ -0,0 +1,362 @@
+import { BaseStrategy } from './base';
+
+export class ArbitrageStrategy extends BaseStrategy {
+  constructor(config = {}) {
+    super(config);
+
+    this.config = {
+      timeframe: 'realtime',
+      symbols: ['EURUSD', 'GBPUSD', 'EURGBP', 'USDJPY', 'EURJPY', 'GBPJPY'],
+      accountCurrency: 'USD',
+      tradeSize: 100000, // Notional per cycle, in account currency
+      commissionRate: 0.00002, // Commission per leg per side, as a fraction of notional
+      minEdge: 0.00005, // Required profit after spreads and commission, as a fraction
+      exitEdge: 0, // Close once the mid-price mispricing is back within this
+      maxHoldMs: 5 * 60 * 1000,
+      maxQuoteAgeMs: 2000, // Ignore quotes older than this
+      maxOpenCycles: 1,
+      ...config
+    };
+
+    this.quotes = new Map();
+    this.triangles = this.buildTriangles(this.config.symbols);
+    this.openCycles = new Map();
+    this.pendingCycles = new Map(); // Sent, waiting for every leg to fill
+    this.cycleSequence = 0;
+  }
+
+  // Every symbol in a triangle has to be streamed, not just the bot's own
+  getRequiredSymbols() {
+    return this.config.symbols;
+  }
+
+  async analyze(marketData) {
+    this.updateQuotes(marketData);
+
+    // Close converged or expired cycles before looking for new ones
+    const exitSignal = this.checkExitSignals(marketData);
+    if (exitSignal) {
+      return exitSignal;
+    }
+
+    if (this.openCycles.size + this.pendingCycles.size >= this.config.maxOpenCycles) {
+      return null;
+    }
+
+    const opportunity = this.findOpportunity(marketData);
+    if (!opportunity) {
+      return null;
+    }
+
+    // The cycle is booked in onOrderFilled, once the engine has every leg on
+    const signal = this.generateSignal(opportunity, marketData);
+    this.pendingCycles.set(signal.metadata.groupId, signal);
+    this.signals.push(signal);
+
+    return signal;
+  }
+
+  // Every leg filled: book the cycle at the sizes and prices actually traded
+  onOrderFilled(signal, { legs, timestamp } = {}) {
+    const { groupId } = signal.metadata || {};
+    if (!this.pendingCycles.delete(groupId)) return;
+
+    this.recordEntry({
+      ...signal,
+      legs: legs || signal.legs,
+      timestamp: timestamp || signal.timestamp
+    });
+  }
+
+  // Rejected or unwound: the cycle was never on
+  onOrderRejected(signal) {
+    this.pendingCycles.delete(signal.metadata?.groupId);
+  }
+
+  updateQuotes(marketData) {
+    const updates = marketData.quotes
+      ? Object.entries(marketData.quotes).map(([symbol, quote]) => ({ symbol, ...quote }))
+      : [marketData];
+
+    updates.forEach(quote => {
+      const bid = parseFloat(quote.bid);
+      const ask = parseFloat(quote.ask);
+      if (!quote.symbol || !Number.isFinite(bid) || !Number.isFinite(ask) || ask < bid) {
+        return;
+      }
+
+      this.quotes.set(quote.symbol, {
+        bid,
+        ask,
+        mid: (bid + ask) / 2,
+        timestamp: Date.parse(quote.timestamp || marketData.timestamp) || Date.now()
+      });
+    });
+  }
+
+  // Find every set of three symbols that links three currencies in a loop
+  buildTriangles(symbols) {
+    const triangles = [];
+
+    for (let i = 0; i < symbols.length; i++) {
+      for (let j = i + 1; j < symbols.length; j++) {
+        for (let k = j + 1; k < symbols.length; k++) {
+          const legs = [symbols[i], symbols[j], symbols[k]];
+          const currencies = new Set(legs.flatMap(s => this.splitSymbol(s)));
+          const linked = legs.every(s => new Set(this.splitSymbol(s)).size === 2);
+
+          if (currencies.size === 3 && linked) {
+            triangles.push({ symbols: legs, currencies: Array.from(currencies) });
+          }
+        }
+      }
+    }
+
+    return triangles;
+  }
+
+  splitSymbol(symbol) {
+    return [symbol.slice(0, 3), symbol.slice(3, 6)];
+  }
+
+  getQuote(symbol, now) {
+    const quote = this.quotes.get(symbol);
+    if (!quote || now - quote.timestamp > this.config.maxQuoteAgeMs) {
+      return null;
+    }
+    return quote;
+  }
+
+  findOpportunity(marketData) {
+    const now = Date.parse(marketData.timestamp) || Date.now();
+    let best = null;
+
+    for (const triangle of this.triangles) {
+      const quotes = triangle.symbols.map(symbol => this.getQuote(symbol, now));
+      if (quotes.some(q => !q)) continue;
+
+      const [a, b, c] = triangle.currencies;
+
+      // Try the loop both ways round
+      for (const path of [[a, b, c, a], [a, c, b, a]]) {
+        const cycle = this.evaluateCycle(triangle, path, now);
+        if (cycle && cycle.netEdge > this.config.minEdge && (!best || cycle.netEdge > best.netEdge)) {
+          best = cycle;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  // Walk the loop converting at executable prices: selling a pair hits the
+  // bid, buying it lifts the ask, so spreads are already in the result
+  evaluateCycle(triangle, path, now) {
+    const startAmount = this.convert(this.config.tradeSize, this.config.accountCurrency, path[0], now);
+    if (!startAmount) return null;
+
+    const legs = [];
+    let amount = startAmount;
+
+    for (let i = 0; i < 3; i++) {
+      const from = path[i];
+      const to = path[i + 1];
+      const symbol = triangle.symbols.find(s => {
+        const [base, quote] = this.splitSymbol(s);
+        return (base === from && quote === to) || (base === to && quote === from);
+      });
+      const quote = this.getQuote(symbol, now);
+
+      if (symbol.startsWith(from)) {
+        legs.push({ symbol, direction: 'SELL', entryPrice: quote.bid, lotSize: amount });
+        amount = amount * quote.bid;
+      } else {
+        const units = amount / quote.ask;
+        legs.push({ symbol, direction: 'BUY', entryPrice: quote.ask, lotSize: units });
+        amount = units;
+      }
+    }
+
+    const grossEdge = amount / startAmount - 1;
+    const commission = legs.length * this.config.commissionRate;
+
+    return {
+      triangle,
+      path,
+      legs,
+      startAmount,
+      endAmount: amount,
+      grossEdge,
+      netEdge: grossEdge - commission,
+      deviation: this.calculateDeviation(triangle, path, now)
+    };
+  }
+
+  // Mispricing of the loop at mid prices, i.e. without spreads
+  calculateDeviation(triangle, path, now) {
+    let product = 1;
+
+    for (let i = 0; i < 3; i++) {
+      const from = path[i];
+      const symbol = triangle.symbols.find(s => s.includes(from) && s.includes(path[i + 1]));
+      const quote = this.getQuote(symbol, now);
+      if (!quote) return null;
+      product *= symbol.startsWith(from) ? quote.mid : 1 / quote.mid;
+    }
+
+    return product - 1;
+  }
+
+  // Convert an amount between currencies using direct, inverse or USD-bridged mids
+  convert(amount, from, to, now) {
+    if (from === to) return amount;
+
+    const direct = this.getQuote(`${from}${to}`, now);
+    if (direct) return amount * direct.mid;
+
+    const inverse = this.getQuote(`${to}${from}`, now);
+    if (inverse) return amount / inverse.mid;
+
+    if (from !== 'USD' && to !== 'USD') {
+      const usd = this.convert(amount, from, 'USD', now);
+      return usd ? this.convert(usd, 'USD', to, now) : null;
+    }
+
+    return null;
+  }
+
+  generateSignal(opportunity, marketData) {
+    this.cycleSequence++;
+    const groupId = `arb_${Date.now()}_${this.cycleSequence}`;
+    const expectedProfit = this.convert(
+      opportunity.endAmount - opportunity.startAmount * (1 + opportunity.legs.length * this.config.commissionRate),
+      opportunity.path[0],
+      this.config.accountCurrency,
+      Date.parse(marketData.timestamp) || Date.now()
+    );
+
+    return {
+      strategy: 'arbitrage',
+      type: 'multi_leg',
+      symbol: opportunity.triangle.symbols.join('/'),
+      legs: opportunity.legs,
+      expectedProfit,
+      confidence: Math.min(0.5 + opportunity.netEdge * 1000, 1),
+      timestamp: new Date().toISOString(),
+      metadata: {
+        groupId,
+        path: opportunity.path.join('>'),
+        grossEdge: opportunity.grossEdge,
+        netEdge: opportunity.netEdge,
+        deviation: opportunity.deviation,
+        timeframe: this.config.timeframe
+      }
+    };
+  }
+
+  recordEntry(signal) {
+    const { groupId } = signal.metadata;
+    const path = signal.metadata.path.split('>');
+
+    this.openCycles.set(groupId, {
+      id: groupId,
+      legs: signal.legs,
+      path,
+      triangle: this.triangles.find(t => signal.legs.every(leg => t.symbols.includes(leg.symbol))),
+      openedAt: Date.parse(signal.timestamp)
+    });
+
+    this.addPosition(groupId, {
+      id: groupId,
+      symbol: signal.symbol,
+      legs: signal.legs,
+      status: 'open',
+      entryTime: signal.timestamp
+    });
+  }
+
+  checkExitSignals(marketData) {
+    const now = Date.parse(marketData.timestamp) || Date.now();
+
+    for (const cycle of this.openCycles.values()) {
+      // Legs can't be priced without a fresh quote, so the exit waits for one
+      if (cycle.legs.some(leg => !this.getQuote(leg.symbol, now))) {
+        continue;
+      }
+
+      const deviation = this.calculateDeviation(cycle.triangle, cycle.path, now);
+      const expired = now - cycle.openedAt > this.config.maxHoldMs;
+
+      if (deviation !== null && deviation <= this.config.exitEdge) {
+        return this.createExitSignal(cycle, 'converged', now);
+      }
+
+      if (expired) {
+        return this.createExitSignal(cycle, 'max_hold', now);
+      }
+    }
+
+    return null;
+  }
+
+  createExitSignal(cycle, reason, now) {
+    // checkExitSignals only exits with a fresh quote for every leg
+    const legs = cycle.legs.map(leg => {
+      const quote = this.getQuote(leg.symbol, now);
+      const exitPrice = leg.direction === 'BUY' ? quote.bid : quote.ask;
+      const legProfit = leg.direction === 'BUY'
+        ? (exitPrice - leg.entryPrice) * leg.lotSize
+        : (leg.entryPrice - exitPrice) * leg.lotSize;
+
+      return {
+        symbol: leg.symbol,
+        direction: leg.direction === 'BUY' ? 'SELL' : 'BUY',
+        exitPrice,
+        lotSize: leg.lotSize,
+        profit: this.convert(legProfit, this.splitSymbol(leg.symbol)[1], this.config.accountCurrency, now) || 0
+      };
+    });
+
+    const commission = cycle.legs.reduce((sum, leg) =>
+      sum + (this.convert(leg.lotSize, this.splitSymbol(leg.symbol)[0], this.config.accountCurrency, now) || 0) *
+        this.config.commissionRate * 2, 0);
+    const profit = legs.reduce((sum, leg) => sum + leg.profit, 0) - commission;
+    const timestamp = new Date(now).toISOString();
+
+    this.openCycles.delete(cycle.id);
+    this.removePosition(cycle.id);
+    this.updatePerformanceMetrics({
+      positionId: cycle.id,
+      profit,
+      reason,
+      closeTime: timestamp
+    });
+
+    return {
+      strategy: 'arbitrage',
+      type: 'multi_leg',
+      symbol: cycle.triangle.symbols.join('/'),
+      legs,
+      profit,
+      reason,
+      timestamp,
+      metadata: {
+        groupId: cycle.id,
+        path: cycle.path.join('>')
+      }
+    };
+  }
+
+  getMetrics() {
+    const baseMetrics = super.getMetrics();
+
+    return {
+      ...baseMetrics,
+      strategy: 'arbitrage',
+      triangles: this.triangles.map(t => t.symbols.join('/')),
+      openCycles: this.openCycles.size,
+      pendingCycles: this.pendingCycles.size,
+      quotedSymbols: this.quotes.size
+    };
+  }
+}
@@ -1,7 +1,11 @@
+import { instrumentRegistry } from '../instruments';
+import { pnlCalculator } from '../pnl';
+
 export class BaseStrategy {
   constructor(config = {}) {
     this.config = config;
     this.active = false;
+    this.pnl = pnlCalculator;
     this.positions = new Map();
     this.performance = {
       totalTrades: 0,
@@ -36,7 +40,42 @@ export class BaseStrategy {
     throw new Error('generateSignal method must be implemented by subclass');
   }
 
+  // Symbols the strategy needs streamed besides the bot's own symbol
+  getRequiredSymbols() {
+    return [];
+  }
+
+  // Timeframes the strategy reads from marketData.timeframes besides its own
+  getRequiredTimeframes() {
+    return this.config.timeframes || [];
+  }
+
+  // A resting STOP/LIMIT entry, or every leg of a multi-leg entry, filled
+  // at the broker
+  onOrderFilled(signal, fill) {}
+
+  // The engine or broker refused an entry the strategy emitted
+  onOrderRejected(signal, reason) {}
+
+  // Undo an entry booked when it was emitted, for strategies that book
+  // market entries before the engine has placed them. Returns whether the
+  // signal's position was open.
+  forgetEntry(signal) {
+    const positionId = signal.metadata?.positionId;
+    if (!positionId || !this.positions.has(positionId)) return false;
+
+    this.removePosition(positionId);
+    this.signals = this.signals.filter(entry => entry.metadata?.positionId !== positionId);
+    return true;
+  }
+
   // Common methods
+  // Price size of one pip, from the market data or the instrument registry
+  getPipSize(marketData) {
+    if (marketData.pipValue) return marketData.pipValue;
+    return instrumentRegistry.getPipSize(marketData.symbol);
+  }
+
   isActive() {
     return this.active;
   }
@@ -90,12 +129,17 @@ export class BaseStrategy {
     return totalUnrealized;
   }
 
+  // In the account currency, or the quote currency if no rate converts it
   calculatePositionPnL(position, currentPrice) {
-    if (position.direction === 'BUY') {
-      return (currentPrice - position.entryPrice) * position.lotSize;
-    } else {
-      return (position.entryPrice - currentPrice) * position.lotSize;
-    }
+    const profit = position.direction === 'BUY'
+      ? (currentPrice - position.entryPrice) * position.lotSize
+      : (position.entryPrice - currentPrice) * position.lotSize;
+
+    const instrument = instrumentRegistry.find(position.symbol);
+    if (!instrument) return profit;
+
+    const accountCurrency = this.config.accountCurrency || this.pnl.config.accountCurrency;
+    return this.pnl.convert(profit, instrument.quote, accountCurrency, { [instrument.symbol]: currentPrice }) ?? profit;
   }
 
   updatePerformanceMetrics(trade) {
@@ -168,6 +212,10 @@ export class BaseStrategy {
     this.trades.push(trade);
   }
 
+  getTrades() {
+    return this.trades;
+  }
+
   getMetrics() {
     return {
       ...this.performance,
@@ -222,6 +270,8 @@ export class BaseStrategy {
     return monthly;
   }
 
+  // Percentiles of closed-trade P&L. The VaR of what is open now comes
+  // from RiskManager.getRiskMetrics().valueAtRisk
   calculateRiskMetrics() {
     const profits = this.trades.map(t => t.profit);
     
@@ -0,0 +1,618 @@
+import { BaseStrategy } from './base';
+import { TechnicalIndicators } from '../indicators';
+import { RiskManager } from '../risk-management';
+
+export class BreakoutStrategy extends BaseStrategy {
+  constructor(config = {}) {
+    super(config);
+
+    this.config = {
+      timeframe: '15m',
+      // Range detection
+      rangeType: 'donchian', // 'donchian' or 'session'
+      rangePeriod: 20, // Bars in the Donchian range
+      sessionWindow: { start: '00:00', end: '07:00' }, // UTC, Asian session box
+      tradingWindow: { start: '07:00', end: '16:00' }, // UTC, when session breakouts may trade
+      minRangePips: 10,
+      maxRangeAtr: 4, // Range wider than this many ATRs is a trend, not a consolidation
+      rangeToleranceAtr: 0.25, // A resting bracket is re-placed only when an edge moves further than this
+      useSupportResistance: true,
+      srToleranceAtr: 0.5, // Snap range edges to S/R levels within this distance
+      // Entry
+      entryMode: 'stop', // 'stop' (bracket orders), 'confirmation' (close beyond range) or 'retest'
+      entryBufferPips: 2,
+      retestToleranceAtr: 0.3,
+      retestExpiryBars: 10,
+      // Confirmation
+      atrPeriod: 14,
+      atrExpansion: 1.2, // Breakout bar range vs ATR
+      volumeThreshold: 1.3, // Breakout volume vs average volume
+      volumePeriod: 20,
+      // False breakouts
+      falseBreakoutBars: 3, // Close back inside the range within N bars = false breakout
+      maxBreakoutsPerDay: 2,
+      // Exits
+      stopPlacement: 'range_mid', // 'range_mid' or 'range_opposite'
+      targetRangeMultiple: 1.0, // Take profit distance as a multiple of the range height
+      maxSpreadPips: 3,
+      riskPerTrade: 0.01,
+      ...config
+    };
+
+    this.indicators = new TechnicalIndicators();
+    this.riskManager = new RiskManager(this.config);
+    this.range = null;
+    this.bracket = null;
+    this.pendingBreakout = null;
+    this.pendingSignals = [];
+    this.dailyAttempts = { date: null, count: 0 };
+    this.orderSequence = 0;
+  }
+
+  async analyze(marketData) {
+    const { prices, timestamp } = marketData;
+
+    if (!this.validateMarketConditions(marketData)) {
+      return null;
+    }
+
+    this.resetDailyAttempts(timestamp);
+
+    const indicators = await this.calculateIndicators(prices);
+
+    // Bracket fills arrive between bars; confirm them on the bar they filled
+    for (const position of this.positions.values()) {
+      if (position.confirmed === null) {
+        position.confirmed = this.isConfirmed(indicators, marketData);
+      }
+    }
+
+    // Manage an open breakout trade first
+    const exitSignal = this.checkExitSignals(indicators, marketData);
+    if (exitSignal) {
+      return exitSignal;
+    }
+
+    if (this.positions.size === 0) {
+      this.updateRange(indicators, marketData);
+      const signal = this.generateSignal(indicators, marketData);
+      if (signal) {
+        this.pendingSignals.push(signal);
+      }
+    }
+
+    // Bracket legs and cancellations go out one per update
+    return this.pendingSignals.shift() || null;
+  }
+
+  async calculateIndicators(prices) {
+    const closes = prices.map(p => p.close);
+    const highs = prices.map(p => p.high);
+    const lows = prices.map(p => p.low);
+    const volumes = prices.map(p => p.volume || 0);
+
+    return {
+      atr: this.indicators.atr(highs, lows, closes, this.config.atrPeriod),
+      volumeAverage: this.indicators.sma(volumes, this.config.volumePeriod),
+      support: this.config.useSupportResistance
+        ? this.indicators.supportResistance(highs, lows, closes)
+        : { supportLevels: [], resistanceLevels: [] }
+    };
+  }
+
+  updateRange(indicators, marketData) {
+    const atr = indicators.atr[indicators.atr.length - 1];
+    const range = this.config.rangeType === 'session'
+      ? this.detectSessionRange(marketData)
+      : this.detectDonchianRange(marketData);
+
+    // An untriggered bracket is re-placed when the range moves
+    if (!range || !this.isConsolidation(range, atr, marketData)) {
+      if (this.bracket && !this.bracket.triggered) {
+        this.cancelBracket('range_invalidated');
+      }
+      this.range = null;
+      return;
+    }
+
+    const snapped = this.snapToLevels(range, atr, indicators.support);
+
+    // Donchian edges creep on most bars; small moves keep the resting
+    // bracket, and the range it was placed for, where they are
+    if (this.bracket && !this.bracket.triggered) {
+      const tolerance = atr ? this.config.rangeToleranceAtr * atr : 0;
+      const moved = Math.abs(this.bracket.range.high - snapped.high) > tolerance ||
+        Math.abs(this.bracket.range.low - snapped.low) > tolerance;
+
+      if (!moved) {
+        this.range = this.bracket.range;
+        return;
+      }
+
+      this.cancelBracket('range_updated');
+    }
+
+    this.range = snapped;
+  }
+
+  detectDonchianRange(marketData) {
+    const bars = marketData.prices.slice(-this.config.rangePeriod - 1, -1);
+    if (bars.length < this.config.rangePeriod) return null;
+
+    return {
+      type: 'donchian',
+      high: Math.max(...bars.map(b => b.high)),
+      low: Math.min(...bars.map(b => b.low)),
+      formedAt: bars[bars.length - 1].timestamp
+    };
+  }
+
+  detectSessionRange(marketData) {
+    const now = new Date(marketData.timestamp);
+    if (!this.inWindow(now, this.config.tradingWindow)) return null;
+
+    const day = now.toISOString().substring(0, 10);
+    const bars = marketData.prices.filter(bar => {
+      const time = new Date(bar.timestamp);
+      return time.toISOString().substring(0, 10) === day &&
+        this.inWindow(time, this.config.sessionWindow);
+    });
+
+    if (bars.length === 0) return null;
+
+    return {
+      type: 'session',
+      high: Math.max(...bars.map(b => b.high)),
+      low: Math.min(...bars.map(b => b.low)),
+      formedAt: bars[bars.length - 1].timestamp
+    };
+  }
+
+  inWindow(date, window) {
+    const toMinutes = (hhmm) => {
+      const [h, m] = hhmm.split(':').map(Number);
+      return h * 60 + (m || 0);
+    };
+
+    const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    // Windows may wrap past midnight
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  isConsolidation(range, atr, marketData) {
+    const height = range.high - range.low;
+    const pipSize = this.getPipSize(marketData);
+
+    return height >= this.config.minRangePips * pipSize &&
+      (!atr || height <= this.config.maxRangeAtr * atr);
+  }
+
+  // Move range edges out to nearby support/resistance so orders sit beyond them
+  snapToLevels(range, atr, support) {
+    if (!this.config.useSupportResistance || !atr) {
+      return { ...range, srConfluence: false };
+    }
+
+    const tolerance = this.config.srToleranceAtr * atr;
+    const resistance = support.resistanceLevels
+      .filter(level => Math.abs(level.price - range.high) <= tolerance)
+      .map(level => level.price);
+    const supportLevels = support.supportLevels
+      .filter(level => Math.abs(level.price - range.low) <= tolerance)
+      .map(level => level.price);
+
+    return {
+      ...range,
+      high: Math.max(range.high, ...resistance),
+      low: Math.min(range.low, ...supportLevels),
+      srConfluence: resistance.length > 0 || supportLevels.length > 0
+    };
+  }
+
+  generateSignal(indicators, marketData) {
+    if (this.dailyAttempts.count >= this.config.maxBreakoutsPerDay) {
+      if (this.bracket && !this.bracket.triggered) {
+        this.cancelBracket('daily_limit');
+      }
+      return null;
+    }
+
+    if (!this.range) {
+      return null;
+    }
+
+    switch (this.config.entryMode) {
+      case 'stop':
+        return this.placeBracket(indicators, marketData);
+      case 'confirmation':
+        return this.checkConfirmedBreakout(indicators, marketData);
+      case 'retest':
+        return this.checkRetest(indicators, marketData);
+      default:
+        return null;
+    }
+  }
+
+  // Fills come back from the broker through onOrderFilled
+  placeBracket(indicators, marketData) {
+    if (this.bracket) {
+      return null;
+    }
+
+    const buffer = this.config.entryBufferPips * this.getPipSize(marketData);
+    const ocoGroup = `breakout_${Date.now()}_${++this.orderSequence}`;
+    const atr = indicators.atr[indicators.atr.length - 1];
+
+    const buyStop = this.createSignal('BUY', this.range.high + buffer, atr, marketData, 'STOP');
+    const sellStop = this.createSignal('SELL', this.range.low - buffer, atr, marketData, 'STOP');
+    buyStop.metadata.ocoGroup = ocoGroup;
+    sellStop.metadata.ocoGroup = ocoGroup;
+
+    const validatedBuy = this.riskManager.validateSignal(buyStop, this.positions);
+    const validatedSell = this.riskManager.validateSignal(sellStop, this.positions);
+
+    this.bracket = {
+      ocoGroup,
+      range: this.range,
+      buy: validatedBuy,
+      sell: validatedSell,
+      triggered: false
+    };
+
+    // Queue the second leg for the next update
+    if (validatedBuy && validatedSell) {
+      this.pendingSignals.push(validatedSell);
+    }
+
+    return validatedBuy || validatedSell;
+  }
+
+  // A bracket leg filled at the broker: book the position and cancel its sibling
+  onOrderFilled(signal, { price, timestamp } = {}) {
+    const { bracket } = this;
+    if (!bracket || bracket.triggered || signal.metadata?.ocoGroup !== bracket.ocoGroup) return;
+
+    const filled = signal.direction === 'BUY' ? bracket.buy : bracket.sell;
+    if (!filled) return;
+
+    bracket.triggered = true;
+    this.dailyAttempts.count++;
+    this.recordEntry({ ...filled, entryPrice: price ?? filled.entryPrice }, { timestamp }, null, bracket.range);
+
+    // One-cancels-other: drop the sibling leg
+    const sibling = filled === bracket.buy ? bracket.sell : bracket.buy;
+    if (sibling) {
+      const queuedIndex = this.pendingSignals.indexOf(sibling);
+      if (queuedIndex >= 0) {
+        this.pendingSignals.splice(queuedIndex, 1);
+      } else {
+        this.pendingSignals.push(this.createCancelSignal(sibling, 'oco_filled'));
+      }
+    }
+  }
+
+  // The engine or broker refused an entry: forget the leg or the booked
+  // market entry so the strategy doesn't wait on an order that never exists
+  onOrderRejected(signal) {
+    const { bracket } = this;
+
+    if (bracket && !bracket.triggered && signal.metadata?.ocoGroup === bracket.ocoGroup) {
+      if (bracket.buy?.metadata.orderRef === signal.metadata.orderRef) bracket.buy = null;
+      if (bracket.sell?.metadata.orderRef === signal.metadata.orderRef) bracket.sell = null;
+
+      // With both legs gone a new bracket can be placed on the next bar
+      if (!bracket.buy && !bracket.sell) {
+        this.bracket = null;
+      }
+      return;
+    }
+
+    const positionId = signal.metadata?.positionId;
+    if (positionId && this.positions.has(positionId)) {
+      this.removePosition(positionId);
+      this.dailyAttempts.count = Math.max(0, this.dailyAttempts.count - 1);
+    }
+  }
+
+  checkConfirmedBreakout(indicators, marketData) {
+    const { close } = marketData;
+    const direction = close > this.range.high ? 'BUY' : close < this.range.low ? 'SELL' : null;
+
+    if (!direction || !this.isConfirmed(indicators, marketData)) {
+      return null;
+    }
+
+    const atr = indicators.atr[indicators.atr.length - 1];
+    const signal = this.riskManager.validateSignal(
+      this.createSignal(direction, close, atr, marketData, 'MARKET'),
+      this.positions
+    );
+
+    if (signal) {
+      this.dailyAttempts.count++;
+      this.recordEntry(signal, marketData, true);
+    }
+
+    return signal;
+  }
+
+  checkRetest(indicators, marketData) {
+    const { close } = marketData;
+    const atr = indicators.atr[indicators.atr.length - 1];
+
+    // First wait for a confirmed close beyond the range
+    if (!this.pendingBreakout) {
+      const direction = close > this.range.high ? 'BUY' : close < this.range.low ? 'SELL' : null;
+      if (direction && this.isConfirmed(indicators, marketData)) {
+        this.pendingBreakout = {
+          direction,
+          level: direction === 'BUY' ? this.range.high : this.range.low,
+          range: this.range,
+          bars: 0
+        };
+      }
+      return null;
+    }
+
+    // Live, analyze runs on every tick; only a new bar counts towards expiry
+    const breakout = this.pendingBreakout;
+    if (marketData.barClosed === true) {
+      breakout.bars++;
+    }
+
+    if (breakout.bars > this.config.retestExpiryBars) {
+      this.pendingBreakout = null;
+      return null;
+    }
+
+    // The broken level must hold: a close back through it voids the setup
+    const failed = breakout.direction === 'BUY' ? close < breakout.range.low : close > breakout.range.high;
+    if (failed) {
+      this.pendingBreakout = null;
+      this.dailyAttempts.count++;
+      return null;
+    }
+
+    const tolerance = this.config.retestToleranceAtr * atr;
+    const touched = breakout.direction === 'BUY'
+      ? (marketData.low ?? close) <= breakout.level + tolerance && close > breakout.level
+      : (marketData.high ?? close) >= breakout.level - tolerance && close < breakout.level;
+
+    if (!touched) return null;
+
+    this.pendingBreakout = null;
+    const signal = this.riskManager.validateSignal(
+      this.createSignal(breakout.direction, close, atr, marketData, 'MARKET'),
+      this.positions
+    );
+
+    if (signal) {
+      signal.metadata.retest = true;
+      this.dailyAttempts.count++;
+      this.recordEntry(signal, marketData, true);
+    }
+
+    return signal;
+  }
+
+  isConfirmed(indicators, marketData) {
+    const atr = indicators.atr[indicators.atr.length - 1];
+    const avgVolume = indicators.volumeAverage[indicators.volumeAverage.length - 1];
+    const barRange = (marketData.high ?? marketData.close) - (marketData.low ?? marketData.close);
+
+    const atrExpanded = !atr || barRange >= atr * this.config.atrExpansion;
+    // Tick volume is often missing on FX feeds; skip the check rather than block every trade
+    const volumeExpanded = !avgVolume || !marketData.volume ||
+      marketData.volume >= avgVolume * this.config.volumeThreshold;
+
+    return atrExpanded && volumeExpanded;
+  }
+
+  createSignal(direction, entryPrice, atr, marketData, entryType) {
+    const { high, low } = this.range;
+    const height = high - low;
+    const buffer = this.config.entryBufferPips * this.getPipSize(marketData);
+
+    let stopLoss;
+    if (this.config.stopPlacement === 'range_opposite') {
+      stopLoss = direction === 'BUY' ? low - buffer : high + buffer;
+    } else {
+      stopLoss = (high + low) / 2;
+    }
+
+    const takeProfit = direction === 'BUY'
+      ? entryPrice + height * this.config.targetRangeMultiple
+      : entryPrice - height * this.config.targetRangeMultiple;
+
+    const lotSize = this.riskManager.calculateLotSize(
+      entryPrice,
+      stopLoss,
+      this.config.riskPerTrade,
+      marketData.symbol
+    );
+
+    return {
+      strategy: 'breakout',
+      direction,
+      symbol: marketData.symbol,
+      entryPrice,
+      entryType,
+      stopLoss,
+      takeProfit,
+      lotSize,
+      confidence: this.calculateConfidence(),
+      timestamp: new Date().toISOString(),
+      metadata: {
+        atr,
+        spread: marketData.spread,
+        volume: marketData.volume,
+        timeframe: this.config.timeframe,
+        rangeType: this.range.type,
+        rangeHigh: high,
+        rangeLow: low,
+        orderRef: `${this.range.type}_${direction}_${Date.now()}_${++this.orderSequence}`,
+        positionId: `breakout_${Date.now()}_${++this.orderSequence}`
+      }
+    };
+  }
+
+  createCancelSignal(order, reason) {
+    return {
+      strategy: 'breakout',
+      action: 'cancel_order',
+      symbol: order.symbol,
+      orderRef: order.metadata.orderRef,
+      reason,
+      timestamp: new Date().toISOString(),
+      metadata: {
+        ocoGroup: order.metadata.ocoGroup
+      }
+    };
+  }
+
+  cancelBracket(reason) {
+    const { buy, sell } = this.bracket;
+
+    [buy, sell].forEach(order => {
+      if (!order) return;
+      const queuedIndex = this.pendingSignals.indexOf(order);
+      if (queuedIndex >= 0) {
+        this.pendingSignals.splice(queuedIndex, 1);
+      } else {
+        this.pendingSignals.push(this.createCancelSignal(order, reason));
+      }
+    });
+
+    this.bracket = null;
+  }
+
+  calculateConfidence() {
+    let confidence = 0.5; // Base confidence
+
+    // Range edges that line up with support/resistance are more meaningful
+    if (this.range?.srConfluence) {
+      confidence += 0.15;
+    }
+
+    if (this.range?.type === 'session') {
+      confidence += 0.05;
+    }
+
+    return Math.min(Math.max(confidence, 0), 1);
+  }
+
+  // `confirmed` is null for bracket fills until the next bar is analysed
+  recordEntry(signal, marketData, confirmed, range = this.range) {
+    const positionId = signal.metadata.positionId;
+    this.addPosition(positionId, {
+      id: positionId,
+      symbol: signal.symbol,
+      direction: signal.direction,
+      entryPrice: signal.entryPrice,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfit,
+      lotSize: signal.lotSize,
+      range: { ...range },
+      confirmed,
+      barsSinceEntry: 0,
+      status: 'open',
+      entryTime: marketData.timestamp
+    });
+  }
+
+  checkExitSignals(indicators, marketData) {
+    const { close, timestamp } = marketData;
+
+    for (const position of this.positions.values()) {
+      if (marketData.barClosed === true) {
+        position.barsSinceEntry++;
+      }
+
+      const stopHit = position.direction === 'BUY' ? close <= position.stopLoss : close >= position.stopLoss;
+      const targetHit = position.direction === 'BUY' ? close >= position.takeProfit : close <= position.takeProfit;
+
+      // Price back inside the range: unconfirmed fills are cut at once,
+      // confirmed ones only within the false-breakout window
+      const backInside = close < position.range.high && close > position.range.low;
+      const falseBreakout = backInside &&
+        (!position.confirmed || position.barsSinceEntry <= this.config.falseBreakoutBars);
+
+      if (stopHit || targetHit || falseBreakout) {
+        const reason = stopHit ? 'stop_loss' : targetHit ? 'take_profit' : 'false_breakout';
+        return this.createExitSignal(position, close, reason, timestamp);
+      }
+    }
+
+    return null;
+  }
+
+  createExitSignal(position, exitPrice, reason, timestamp) {
+    const profit = this.calculatePositionPnL(position, exitPrice);
+
+    this.removePosition(position.id);
+    this.bracket = null;
+    this.updatePerformanceMetrics({
+      positionId: position.id,
+      profit,
+      reason,
+      closeTime: timestamp
+    });
+
+    return {
+      strategy: 'breakout',
+      direction: position.direction === 'BUY' ? 'SELL' : 'BUY',
+      symbol: position.symbol,
+      exitPrice,
+      lotSize: position.lotSize,
+      profit,
+      reason,
+      timestamp,
+      metadata: {
+        positionId: position.id,
+        rangeHigh: position.range.high,
+        rangeLow: position.range.low,
+        confirmed: position.confirmed
+      }
+    };
+  }
+
+  resetDailyAttempts(timestamp) {
+    const day = new Date(timestamp || Date.now()).toISOString().substring(0, 10);
+    if (this.dailyAttempts.date !== day) {
+      this.dailyAttempts = { date: day, count: 0 };
+    }
+  }
+
+  validateMarketConditions(marketData) {
+    const { prices, spread } = marketData;
+    const requiredBars = Math.max(this.config.rangePeriod, this.config.atrPeriod, this.config.volumePeriod) + 2;
+
+    if (!prices || prices.length < requiredBars) {
+      return false;
+    }
+
+    if (spread && spread > this.config.maxSpreadPips * this.getPipSize(marketData)) {
+      return false;
+    }
+
+    return marketData.symbol && marketData.close > 0;
+  }
+
+  getMetrics() {
+    const baseMetrics = super.getMetrics();
+
+    return {
+      ...baseMetrics,
+      strategy: 'breakout',
+      currentRange: this.range,
+      bracketActive: !!this.bracket && !this.bracket.triggered,
+      breakoutsToday: this.dailyAttempts.count,
+      maxBreakoutsPerDay: this.config.maxBreakoutsPerDay
+    };
+  }
+}
@@ -0,0 +1,302 @@
+import { BaseStrategy } from './base';
+import { TechnicalIndicators } from '../indicators';
+import { RiskManager } from '../risk-management';
+import { RuleEvaluator, validateRuleDocument, getLookback } from './rules';
+
+// Strategy driven by a JSON rule document stored in trading_bots.strategy_config.rules:
+// {
+//   entry: { long: 'rsi(14) < 30 AND ema(9) crosses_above ema(21)', short: ... },
+//   exit: { long: ..., short: ... },
+//   stopLoss: { type: 'atr', period: 14, multiplier: 2 },
+//   takeProfit: { type: 'risk_reward', value: 2 },
+//   sizing: { type: 'risk_percent', value: 0.01 }, // or { type: 'fixed', value: 10000 } units
+//   maxPositions: 1
+// }
+export class CustomStrategy extends BaseStrategy {
+  constructor(config = {}) {
+    super(config);
+
+    this.config = {
+      timeframe: '1h',
+      rules: null,
+      maxSpreadPips: 3,
+      accountBalance: 10000,
+      ...config
+    };
+
+    const { isValid, errors, compiled } = validateRuleDocument(this.config.rules);
+    if (!isValid) {
+      throw new Error(`Invalid custom strategy rules: ${errors.join('; ')}`);
+    }
+
+    const rules = this.config.rules;
+    this.conditions = compiled;
+    this.stopLossRule = rules.stopLoss || { type: 'atr', period: 14, multiplier: 2 };
+    this.takeProfitRule = rules.takeProfit || { type: 'risk_reward', value: 2 };
+    this.sizingRule = rules.sizing || { type: 'risk_percent', value: 0.01 };
+    this.config.maxPositions = rules.maxPositions || this.config.maxPositions || 1;
+
+    const lookbacks = [...Object.values(compiled.entry), ...Object.values(compiled.exit)].map(getLookback);
+    this.minBars = Math.max(...lookbacks, this.stopLossRule.period || 14, this.takeProfitRule.period || 14) + 1;
+
+    this.indicators = new TechnicalIndicators();
+    this.riskManager = new RiskManager(this.config);
+    this.evaluator = new RuleEvaluator(this.indicators);
+  }
+
+  async analyze(marketData) {
+    const { prices, timestamp } = marketData;
+
+    if (!this.validateMarketConditions(marketData)) {
+      return null;
+    }
+
+    const exitSignal = this.checkExitSignals(marketData);
+    if (exitSignal) {
+      return exitSignal;
+    }
+
+    if (this.positions.size >= this.config.maxPositions) {
+      return null;
+    }
+
+    const signal = this.generateSignal(this.calculateIndicators(prices), marketData);
+    if (!signal) {
+      return null;
+    }
+
+    const validatedSignal = this.riskManager.validateSignal(signal, this.positions);
+
+    if (validatedSignal) {
+      // Fixed sizing is part of the rule, the risk manager only gets a veto
+      if (this.sizingRule.type === 'fixed') {
+        validatedSignal.lotSize = signal.lotSize;
+      }
+
+      this.recordEntry(validatedSignal, timestamp);
+      this.signals.push({
+        ...validatedSignal,
+        timestamp
+      });
+
+      return validatedSignal;
+    }
+
+    return null;
+  }
+
+  calculateIndicators(prices) {
+    const atrPeriod = this.stopLossRule.period || this.takeProfitRule.period || 14;
+    const atr = this.indicators.atr(
+      prices.map(p => p.high),
+      prices.map(p => p.low),
+      prices.map(p => p.close),
+      atrPeriod
+    );
+
+    return { atr: atr[atr.length - 1] };
+  }
+
+  generateSignal(indicators, marketData) {
+    const { prices, close } = marketData;
+    let direction = null;
+
+    // Positions only stack in one direction
+    const openDirection = this.getAllPositions()[0]?.direction;
+
+    if (this.conditions.entry.long && openDirection !== 'SELL' &&
+      this.evaluator.evaluate(this.conditions.entry.long, prices)) {
+      direction = 'BUY';
+    } else if (this.conditions.entry.short && openDirection !== 'BUY' &&
+      this.evaluator.evaluate(this.conditions.entry.short, prices)) {
+      direction = 'SELL';
+    }
+
+    if (!direction) {
+      return null;
+    }
+
+    const stopDistance = this.resolveDistance(this.stopLossRule, close, indicators, marketData);
+    if (!(stopDistance > 0)) {
+      return null;
+    }
+
+    const targetDistance = this.takeProfitRule.type === 'risk_reward'
+      ? stopDistance * this.takeProfitRule.value
+      : this.resolveDistance(this.takeProfitRule, close, indicators, marketData);
+
+    const stopLoss = direction === 'BUY' ? close - stopDistance : close + stopDistance;
+    const takeProfit = direction === 'BUY' ? close + targetDistance : close - targetDistance;
+
+    return {
+      strategy: 'custom',
+      direction,
+      symbol: marketData.symbol,
+      entryPrice: close,
+      stopLoss,
+      takeProfit,
+      lotSize: this.calculateLotSize(marketData.symbol, close, stopLoss),
+      confidence: 0.6,
+      pyramid: openDirection === direction,
+      timestamp: new Date().toISOString(),
+      metadata: {
+        atr: indicators.atr,
+        spread: marketData.spread,
+        volume: marketData.volume,
+        timeframe: this.config.timeframe,
+        positionId: `custom_${Date.now()}_${this.positions.size}`,
+        rule: this.config.rules.name || null
+      }
+    };
+  }
+
+  // Price distance for a stop or target rule
+  resolveDistance(rule, price, indicators, marketData) {
+    switch (rule.type) {
+      case 'atr':
+        return indicators.atr * rule.multiplier;
+      case 'pips':
+        return rule.value * this.getPipSize(marketData);
+      case 'percent':
+        return price * rule.value / 100;
+      default:
+        return 0;
+    }
+  }
+
+  calculateLotSize(symbol, price, stopLoss) {
+    if (this.sizingRule.type === 'fixed') {
+      return this.sizingRule.value;
+    }
+
+    return Math.min(
+      this.riskManager.calculateLotSize(price, stopLoss, this.sizingRule.value, symbol),
+      this.riskManager.calculateMaxLeverageUnits(symbol, price)
+    );
+  }
+
+  recordEntry(signal, timestamp) {
+    const positionId = signal.metadata.positionId;
+    this.addPosition(positionId, {
+      id: positionId,
+      symbol: signal.symbol,
+      direction: signal.direction,
+      entryPrice: signal.entryPrice,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfit,
+      lotSize: signal.lotSize,
+      status: 'open',
+      entryTime: timestamp
+    });
+  }
+
+  // A refused entry was never on: drop it so it doesn't hold a slot
+  // against maxPositions or count in the metrics
+  onOrderRejected(signal) {
+    this.forgetEntry(signal);
+  }
+
+  checkExitSignals(marketData) {
+    if (this.positions.size === 0) {
+      return null;
+    }
+
+    const { prices, close, timestamp } = marketData;
+
+    for (const position of this.getAllPositions()) {
+      const stopHit = position.direction === 'BUY'
+        ? close <= position.stopLoss
+        : close >= position.stopLoss;
+      const targetHit = position.direction === 'BUY'
+        ? close >= position.takeProfit
+        : close <= position.takeProfit;
+
+      if (stopHit || targetHit) {
+        return this.createExitSignal([position], close, stopHit ? 'stop_loss' : 'take_profit', timestamp);
+      }
+    }
+
+    // Rule exits close every position on that side together
+    for (const [side, direction] of [['long', 'BUY'], ['short', 'SELL']]) {
+      const condition = this.conditions.exit[side];
+      const positions = this.getAllPositions().filter(p => p.direction === direction);
+
+      if (condition && positions.length > 0 && this.evaluator.evaluate(condition, prices)) {
+        return this.createExitSignal(positions, close, 'exit_rule', timestamp);
+      }
+    }
+
+    return null;
+  }
+
+  createExitSignal(positions, exitPrice, reason, timestamp) {
+    let profit = 0;
+
+    positions.forEach(position => {
+      const positionProfit = this.calculatePositionPnL(position, exitPrice);
+      profit += positionProfit;
+
+      this.removePosition(position.id);
+      this.updatePerformanceMetrics({
+        positionId: position.id,
+        profit: positionProfit,
+        reason,
+        closeTime: timestamp
+      });
+    });
+
+    return {
+      strategy: 'custom',
+      direction: positions[0].direction === 'BUY' ? 'SELL' : 'BUY',
+      symbol: positions[0].symbol,
+      exitPrice,
+      lotSize: positions.reduce((sum, p) => sum + p.lotSize, 0),
+      profit,
+      reason,
+      timestamp,
+      metadata: {
+        positionIds: positions.map(p => p.id)
+      }
+    };
+  }
+
+  validateMarketConditions(marketData) {
+    const { prices, spread } = marketData;
+
+    if (!prices || prices.length < this.minBars) {
+      return false;
+    }
+
+    if (spread && spread > this.config.maxSpreadPips * this.getPipSize(marketData)) {
+      return false;
+    }
+
+    return marketData.symbol && marketData.close > 0;
+  }
+
+  getMetrics() {
+    const baseMetrics = super.getMetrics();
+
+    return {
+      ...baseMetrics,
+      strategy: 'custom',
+      rule: this.config.rules.name || null,
+      minBars: this.minBars
+    };
+  }
+}
+
+// Bake a rule document into its own strategy class, e.g. for registering
+// a shared rule set as a named strategy type
+export function compileRuleStrategy(document) {
+  const { isValid, errors } = validateRuleDocument(document);
+  if (!isValid) {
+    throw new Error(`Invalid custom strategy rules: ${errors.join('; ')}`);
+  }
+
+  return class CompiledRuleStrategy extends CustomStrategy {
+    constructor(config = {}) {
+      super({ ...config, rules: config.rules || document });
+    }
+  };
+}
@@ -1,6 +1,7 @@
 import { BaseStrategy } from './base';
 import { TechnicalIndicators } from '../indicators';
 import { RiskManager } from '../risk-management';
+import { instrumentRegistry } from '../instruments';
 
 export class DCAStrategy extends BaseStrategy {
   constructor(config = {}) {
@@ -10,8 +11,8 @@ export class DCAStrategy extends BaseStrategy {
       timeframe: '1h',
       entryInterval: 24, // Hours between entries
       maxPositions: 10,
-      baseOrderSize: 0.1, // Base lot size
-      safetyOrderSize: 0.2, // Safety order lot size
+      baseOrderSize: 0.1, // Base order size in lots
+      safetyOrderSize: 0.2, // Safety order size in lots
       priceDeviation: 2.5, // Percentage deviation for safety orders
       safetyOrderStepScale: 1.05, // Multiplier for safety order step
       safetyOrderVolumeScale: 1.2, // Multiplier for safety order volume
@@ -105,6 +106,7 @@ export class DCAStrategy extends BaseStrategy {
     const { symbol, close, timestamp } = marketData;
     
     const dealId = this.generateDealId();
+    const units = instrumentRegistry.lotsToUnits(symbol, this.config.baseOrderSize);
     const baseOrder = {
       dealId,
       orderType: 'base',
@@ -112,7 +114,7 @@ export class DCAStrategy extends BaseStrategy {
       direction: 'BUY', // DCA typically goes long
       symbol,
       entryPrice: close,
-      lotSize: this.config.baseOrderSize,
+      lotSize: units,
       timestamp,
       takeProfitPrice: close * (1 + this.config.takeProfitPercentage / 100),
       stopLossPrice: this.config.stopLossPercentage ? 
@@ -126,9 +128,9 @@ export class DCAStrategy extends BaseStrategy {
       direction: 'BUY',
       baseOrder,
       safetyOrders: [],
-      totalVolume: this.config.baseOrderSize,
+      totalVolume: units,
       averagePrice: close,
-      totalInvested: close * this.config.baseOrderSize,
+      totalInvested: close * units,
       takeProfitPrice: baseOrder.takeProfitPrice,
       stopLossPrice: baseOrder.stopLossPrice,
       maxSafetyOrders: this.config.maxSafetyOrders,
@@ -179,8 +181,8 @@ export class DCAStrategy extends BaseStrategy {
 
   createSafetyOrder(deal, currentPrice, timestamp) {
     const safetyOrderNumber = deal.safetyOrderCount + 1;
-    const volume = this.config.safetyOrderSize * 
-      Math.pow(this.config.safetyOrderVolumeScale, safetyOrderNumber - 1);
+    const volume = instrumentRegistry.lotsToUnits(deal.symbol, this.config.safetyOrderSize *
+      Math.pow(this.config.safetyOrderVolumeScale, safetyOrderNumber - 1));
 
     return {
       dealId: deal.id,
@@ -261,8 +263,12 @@ export class DCAStrategy extends BaseStrategy {
   }
 
   calculateDealProfit(deal, closePrice) {
-    const totalValue = closePrice * deal.totalVolume;
-    return totalValue - deal.totalInvested;
+    return this.calculatePositionPnL({
+      symbol: deal.symbol,
+      direction: 'BUY',
+      entryPrice: deal.averagePrice,
+      lotSize: deal.totalVolume
+    }, closePrice);
   }
 
   closeDeal(dealId, closePrice, reason, timestamp) {
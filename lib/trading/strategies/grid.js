@@ -1,6 +1,7 @@
 import { BaseStrategy } from './base';
 import { TechnicalIndicators } from '../indicators';
 import { RiskManager } from '../risk-management';
+import { instrumentRegistry } from '../instruments';
 
 export class GridStrategy extends BaseStrategy {
   constructor(config = {}) {
@@ -12,8 +13,8 @@ export class GridStrategy extends BaseStrategy {
       gridLevels: 10,
       gridSpacing: 50, // Pips between grid levels
       gridSpacingPercentage: 0.5, // Alternative to pips for percentage-based spacing
-      baseOrderSize: 0.1,
-      gridOrderSize: 0.1,
+      baseOrderSize: 0.1, // Lots
+      gridOrderSize: 0.1, // Lots per grid order
       takeProfitPips: 30,
       stopLossPips: 500, // Wide stop loss for grid trading
       maxGridOrders: 20,
@@ -69,6 +70,7 @@ export class GridStrategy extends BaseStrategy {
   async initializeGrid(marketData) {
     const { close, symbol } = marketData;
     const indicators = await this.calculateIndicators(marketData.prices);
+    this.symbol = symbol;
     
     // Calculate grid bounds
     const bounds = this.calculateGridBounds(close, indicators);
@@ -185,7 +187,7 @@ export class GridStrategy extends BaseStrategy {
           level: level,
           direction: level.orderType,
           entryPrice: level.price,
-          lotSize: this.calculateGridOrderSize(level),
+          lotSize: this.calculateGridOrderSize(level, symbol),
           status: 'pending',
           createdAt: new Date().toISOString()
         });
@@ -195,8 +197,9 @@ export class GridStrategy extends BaseStrategy {
     });
   }
 
-  calculateGridOrderSize(level) {
-    let baseSize = this.config.gridOrderSize;
+  // Units for a grid order, from the configured size in lots
+  calculateGridOrderSize(level, symbol = this.symbol) {
+    let baseSize = instrumentRegistry.lotsToUnits(symbol, this.config.gridOrderSize);
     
     // Apply martingale multiplier based on distance from center
     if (this.config.martingaleMultiplier !== 1.0) {
@@ -394,7 +397,7 @@ export class GridStrategy extends BaseStrategy {
       level: closedPosition.level,
       direction: closedPosition.level.orderType,
       entryPrice: closedPosition.level.price,
-      lotSize: this.calculateGridOrderSize(closedPosition.level),
+      lotSize: this.calculateGridOrderSize(closedPosition.level, closedPosition.symbol),
       status: 'pending',
       createdAt: new Date().toISOString(),
       isReplacement: true,
@@ -469,9 +472,7 @@ export class GridStrategy extends BaseStrategy {
   }
 
   getPipValue() {
-    // Simplified pip value calculation
-    // In reality, this would depend on the symbol and account currency
-    return 0.0001; // For major forex pairs
+    return this.getPipSize({ symbol: this.symbol || this.config.symbol });
   }
 
   validateMarketConditions(marketData) {
@@ -528,13 +529,14 @@ export class GridStrategy extends BaseStrategy {
     this.gridLevels.push(level);
     
     const orderId = `${levelId}_order`;
+    const symbol = this.symbol || this.config.symbol;
     this.gridOrders.set(orderId, {
       id: orderId,
-      symbol: this.config.symbol,
+      symbol,
       level: level,
       direction: orderType,
       entryPrice: price,
-      lotSize: this.config.gridOrderSize,
+      lotSize: instrumentRegistry.lotsToUnits(symbol, this.config.gridOrderSize),
       status: 'pending',
       createdAt: new Date().toISOString(),
       isManual: true
@@ -6,6 +6,13 @@ import { MartingaleStrategy } from './martingale';
 import { BreakoutStrategy } from './breakout';
 import { MeanReversionStrategy } from './mean-reversion';
 import { ArbitrageStrategy } from './arbitrage';
+import { CustomStrategy } from './custom';
+import { validateRuleDocument } from './rules';
+import { strategyRegistry } from './registry';
+
+export { strategyRegistry, StrategyRegistry } from './registry';
+export { CustomStrategy, compileRuleStrategy } from './custom';
+export { validateRuleDocument, INDICATORS as RULE_INDICATORS } from './rules';
 
 export const STRATEGY_TYPES = {
   SCALPING: 'scalping',
@@ -15,19 +22,145 @@ export const STRATEGY_TYPES = {
   MARTINGALE: 'martingale',
   BREAKOUT: 'breakout',
   MEAN_REVERSION: 'mean_reversion',
-  ARBITRAGE: 'arbitrage'
+  ARBITRAGE: 'arbitrage',
+  CUSTOM: 'custom'
 };
 
-export const strategies = {
-  [STRATEGY_TYPES.SCALPING]: ScalpingStrategy,
-  [STRATEGY_TYPES.DCA]: DCAStrategy,
-  [STRATEGY_TYPES.GRID]: GridStrategy,
-  [STRATEGY_TYPES.TREND_FOLLOWING]: TrendFollowingStrategy,
-  [STRATEGY_TYPES.MARTINGALE]: MartingaleStrategy,
-  [STRATEGY_TYPES.BREAKOUT]: BreakoutStrategy,
-  [STRATEGY_TYPES.MEAN_REVERSION]: MeanReversionStrategy,
-  [STRATEGY_TYPES.ARBITRAGE]: ArbitrageStrategy
-};
+// Built-in strategies. Custom modules register themselves the same way.
+strategyRegistry
+  .register(STRATEGY_TYPES.SCALPING, {
+    name: 'Scalping',
+    description: 'High-frequency RSI/MACD/Bollinger entries with tight stops',
+    strategyClass: ScalpingStrategy,
+    timeframes: ['1m', '5m'],
+    schema: {
+      maxPositions: { type: 'number', integer: true, min: 1, max: 10, message: 'Scalping max positions must be between 1 and 10' },
+      riskPerTrade: { type: 'number', min: 0.005, max: 0.05, message: 'Scalping risk per trade must be between 0.5% and 5%' },
+      minProfitPips: { type: 'number', min: 1 },
+      maxLossPips: { type: 'number', min: 1 },
+      trailingStop: { type: 'boolean' },
+      patternConfirmation: { type: 'boolean' },
+      minPatternStrength: { type: 'number', min: 0, max: 1 },
+      trendTimeframe: { type: 'string', values: ['5m', '15m', '30m', '1h', '4h', '1d'] }
+    }
+  })
+  .register(STRATEGY_TYPES.DCA, {
+    name: 'DCA',
+    description: 'Dollar cost averaging with scaled safety orders',
+    strategyClass: DCAStrategy,
+    schema: {
+      maxSafetyOrders: { type: 'number', integer: true, min: 1, max: 20, message: 'DCA max safety orders must be between 1 and 20' },
+      priceDeviation: { type: 'number', min: 0.5, max: 10, message: 'DCA price deviation must be between 0.5% and 10%' },
+      takeProfitPercentage: { type: 'number', min: 0.5, max: 20, message: 'DCA take profit percentage must be between 0.5% and 20%' },
+      dealStartCondition: { type: 'string', values: ['rsi_oversold', 'ema_cross', 'manual'] }
+    }
+  })
+  .register(STRATEGY_TYPES.GRID, {
+    name: 'Grid Trading',
+    description: 'Buy and sell orders at fixed levels around a center price',
+    strategyClass: GridStrategy,
+    schema: {
+      gridLevels: { type: 'number', integer: true, min: 3, max: 50, message: 'Grid levels must be between 3 and 50' },
+      gridSpacing: { type: 'number', min: 5, max: 500, message: 'Grid spacing must be between 5 and 500 pips' },
+      maxGridOrders: { type: 'number', integer: true, min: 5, max: 100, message: 'Max grid orders must be between 5 and 100' },
+      gridType: { type: 'string', values: ['arithmetic', 'geometric'] }
+    }
+  })
+  .register(STRATEGY_TYPES.TREND_FOLLOWING, {
+    name: 'Trend Following',
+    description: 'EMA crossovers with MACD confirmation, ATR trailing stops and pyramiding',
+    strategyClass: TrendFollowingStrategy,
+    timeframes: ['15m', '30m', '1h', '4h', '1d'],
+    schema: {
+      fastEmaPeriod: { type: 'number', integer: true, min: 2, max: 200 },
+      slowEmaPeriod: { type: 'number', integer: true, min: 5, max: 400 },
+      trendEmaPeriod: { type: 'number', integer: true, min: 20, max: 400 },
+      stopLossAtrMultiplier: { type: 'number', min: 0.5, max: 10 },
+      maxPyramidLevels: { type: 'number', integer: true, min: 1, max: 10 },
+      riskPerTrade: { type: 'number', min: 0.001, max: 0.05 }
+    }
+  })
+  .register(STRATEGY_TYPES.MARTINGALE, {
+    name: 'Martingale',
+    description: 'Bounded martingale or anti-martingale position sizing with hard exposure caps',
+    strategyClass: MartingaleStrategy,
+    schema: {
+      mode: { type: 'string', values: ['martingale', 'anti_martingale'] },
+      multiplier: { type: 'number', min: 1, max: 3, message: 'Martingale multiplier must be between 1 and 3' },
+      maxSteps: { type: 'number', integer: true, min: 1, max: 8, message: 'Martingale max steps must be between 1 and 8' },
+      baseLotSize: { type: 'number', min: 1 },
+      maxStepUnits: { type: 'number', min: 1 },
+      resetOnWin: { type: 'boolean' }
+    }
+  })
+  .register(STRATEGY_TYPES.BREAKOUT, {
+    name: 'Breakout',
+    description: 'Donchian or session range breakouts with stop brackets and false-breakout exits',
+    strategyClass: BreakoutStrategy,
+    timeframes: ['5m', '15m', '30m', '1h', '4h'],
+    schema: {
+      rangeType: { type: 'string', values: ['donchian', 'session'] },
+      entryMode: { type: 'string', values: ['stop', 'confirmation', 'retest'] },
+      rangePeriod: { type: 'number', integer: true, min: 5, max: 200 },
+      stopPlacement: { type: 'string', values: ['range_mid', 'range_opposite'] },
+      maxBreakoutsPerDay: { type: 'number', integer: true, min: 1, max: 10 },
+      sessionWindow: { type: 'object' },
+      tradingWindow: { type: 'object' }
+    }
+  })
+  .register(STRATEGY_TYPES.MEAN_REVERSION, {
+    name: 'Mean Reversion',
+    description: 'Fades Bollinger/RSI/z-score extremes and exits at the mean',
+    strategyClass: MeanReversionStrategy,
+    schema: {
+      entryDeviations: { type: 'array' },
+      exitDeviations: { type: 'array' },
+      zScorePeriod: { type: 'number', integer: true, min: 10, max: 500 },
+      regimeFilter: { type: 'string', values: ['slope', 'adx', 'none'] },
+      maxAdx: { type: 'number', min: 5, max: 100 },
+      riskPerTrade: { type: 'number', min: 0.001, max: 0.05 }
+    }
+  })
+  .register(STRATEGY_TYPES.ARBITRAGE, {
+    name: 'Triangular Arbitrage',
+    description: 'Trades mispricings between currency crosses and their synthetic rates',
+    strategyClass: ArbitrageStrategy,
+    multiSymbol: true,
+    schema: {
+      symbols: { type: 'array' },
+      tradeSize: { type: 'number', min: 1000 },
+      minEdge: { type: 'number', min: 0 },
+      commissionRate: { type: 'number', min: 0 },
+      maxOpenCycles: { type: 'number', integer: true, min: 1, max: 10 }
+    }
+  })
+  .register(STRATEGY_TYPES.CUSTOM, {
+    name: 'Custom Rules',
+    description: 'User-defined entry and exit rules over technical indicators',
+    strategyClass: CustomStrategy,
+    defaults: { timeframe: '1h', maxSpreadPips: 3, rules: null },
+    schema: {
+      rules: { type: 'object', required: true, message: 'Custom strategy requires a rules document' },
+      maxSpreadPips: { type: 'number', min: 0 }
+    },
+    validate: (config) => {
+      const { isValid, errors } = validateRuleDocument(config.rules);
+      return isValid ? {} : { rules: errors.join('; ') };
+    }
+  });
+
+// Kept for callers that index strategies by type directly. Reads go to the
+// registry, so strategies registered or removed later show up here too.
+export const strategies = new Proxy({}, {
+  get: (target, type) => (typeof type === 'string' && strategyRegistry.has(type)
+    ? strategyRegistry.get(type).strategyClass
+    : undefined),
+  has: (target, type) => typeof type === 'string' && strategyRegistry.has(type),
+  ownKeys: () => strategyRegistry.getTypes(),
+  getOwnPropertyDescriptor: (target, type) => (typeof type === 'string' && strategyRegistry.has(type)
+    ? { value: strategyRegistry.get(type).strategyClass, enumerable: true, configurable: true }
+    : undefined)
+});
 
 export class StrategyManager {
   constructor(config = {}) {
@@ -36,12 +169,7 @@ export class StrategyManager {
   }
 
   createStrategy(type, config) {
-    const StrategyClass = strategies[type];
-    if (!StrategyClass) {
-      throw new Error(`Unknown strategy type: ${type}`);
-    }
-    
-    return new StrategyClass(config);
+    return strategyRegistry.create(type, config);
   }
 
   addStrategy(id, type, config) {
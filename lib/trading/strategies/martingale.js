@@ -0,0 +1,384 @@
+import { BaseStrategy } from './base';
+import { TechnicalIndicators } from '../indicators';
+import { RiskManager } from '../risk-management';
+
+export class MartingaleStrategy extends BaseStrategy {
+  constructor(config = {}) {
+    super(config);
+
+    this.config = {
+      timeframe: '1h',
+      mode: 'martingale', // 'martingale' grows after losses, 'anti_martingale' after wins
+      baseLotSize: 1000, // Units traded on step 0
+      multiplier: 2, // Size multiplier applied on each step
+      maxSteps: 4, // Steps after the first trade before the cycle is closed out
+      maxStepUnits: 20000, // Hard cap on units a single step may trade
+      resetOnWin: true, // Martingale only: false steps back one level instead
+      stopLossPips: 20,
+      takeProfitPips: 40,
+      direction: 'auto', // 'auto' follows the EMA trend, or fixed 'BUY'/'SELL'
+      fastEmaPeriod: 12,
+      slowEmaPeriod: 26,
+      maxSpreadPips: 3,
+      accountBalance: 10000,
+      maxPositions: 1,
+      ...config
+    };
+
+    // Configs saved before the rename
+    if (config.maxTotalLots !== undefined && config.maxStepUnits === undefined) {
+      this.config.maxStepUnits = config.maxTotalLots;
+    }
+
+    this.indicators = new TechnicalIndicators();
+    this.riskManager = new RiskManager(this.config);
+
+    this.currentStep = 0;
+    this.cycle = this.createCycle(1);
+    this.cycleHistory = [];
+    this.refusals = [];
+  }
+
+  createCycle(number) {
+    return {
+      number,
+      startTime: null,
+      trades: 0,
+      profit: 0,
+      maxStep: 0
+    };
+  }
+
+  async analyze(marketData) {
+    const { prices, timestamp } = marketData;
+
+    if (!this.validateMarketConditions(marketData)) {
+      return null;
+    }
+
+    // Calculate technical indicators
+    const indicators = await this.calculateIndicators(prices);
+
+    // Manage the open step first
+    const exitSignal = this.checkExitSignals(marketData);
+    if (exitSignal) {
+      return exitSignal;
+    }
+
+    if (this.positions.size > 0) {
+      return null;
+    }
+
+    // Generate trading signals
+    const signal = this.generateSignal(indicators, marketData);
+    if (!signal) {
+      return null;
+    }
+
+    // Steps that would breach hard limits end the cycle instead of trading
+    const refusal = this.checkStepLimits(signal);
+    if (refusal) {
+      if (this.cycle.trades > 0) {
+        this.recordRefusal(refusal, timestamp);
+        this.closeCycle('closed_out', timestamp);
+      }
+      return null;
+    }
+
+    // Apply risk management; fixedSize gives it a veto but not the size
+    const validatedSignal = this.riskManager.validateSignal(signal, this.positions);
+
+    if (validatedSignal) {
+      this.recordEntry(validatedSignal, timestamp);
+      this.signals.push({
+        ...validatedSignal,
+        timestamp
+      });
+
+      return validatedSignal;
+    }
+
+    return null;
+  }
+
+  async calculateIndicators(prices) {
+    const closes = prices.map(p => p.close);
+
+    return {
+      ema: {
+        fast: this.indicators.ema(closes, this.config.fastEmaPeriod),
+        slow: this.indicators.ema(closes, this.config.slowEmaPeriod)
+      }
+    };
+  }
+
+  generateSignal(indicators, marketData) {
+    const { close } = marketData;
+    let direction = this.config.direction;
+
+    if (direction === 'auto') {
+      const fast = indicators.ema.fast[indicators.ema.fast.length - 1];
+      const slow = indicators.ema.slow[indicators.ema.slow.length - 1];
+      direction = fast >= slow ? 'BUY' : 'SELL';
+    }
+
+    const pipSize = this.getPipSize(marketData);
+    const stopDistance = this.config.stopLossPips * pipSize;
+    const targetDistance = this.config.takeProfitPips * pipSize;
+
+    return {
+      strategy: 'martingale',
+      direction,
+      symbol: marketData.symbol,
+      entryPrice: close,
+      stopLoss: direction === 'BUY' ? close - stopDistance : close + stopDistance,
+      takeProfit: direction === 'BUY' ? close + targetDistance : close - targetDistance,
+      lotSize: this.getStepLotSize(this.currentStep),
+      fixedSize: true, // The step size is the strategy
+      confidence: 0.5,
+      timestamp: new Date().toISOString(),
+      metadata: {
+        spread: marketData.spread,
+        volume: marketData.volume,
+        timeframe: this.config.timeframe,
+        mode: this.config.mode,
+        step: this.currentStep,
+        cycle: this.cycle.number,
+        positionId: `mg_${this.cycle.number}_${this.currentStep}_${Date.now()}`
+      }
+    };
+  }
+
+  getStepLotSize(step) {
+    return this.config.baseLotSize * Math.pow(this.config.multiplier, step);
+  }
+
+  // Returns the reason a step must not be taken, or null when it is allowed
+  checkStepLimits(signal) {
+    if (signal.lotSize > this.config.maxStepUnits) {
+      return `Step size ${signal.lotSize} exceeds max step units ${this.config.maxStepUnits}`;
+    }
+
+    const balance = this.getBalance();
+    this.riskManager.updateDrawdown(balance);
+
+    const stepRisk = Math.abs(signal.entryPrice - signal.stopLoss) * signal.lotSize;
+    const checks = [
+      this.riskManager.checkLeverage(signal),
+      this.riskManager.checkDrawdown(),
+      this.riskManager.checkProjectedDrawdown(balance, stepRisk)
+    ];
+
+    const failed = checks.find(check => !check.passed);
+    return failed ? failed.reason : null;
+  }
+
+  // Steps refused by hard limits, kept for getMetrics
+  recordRefusal(reason, timestamp) {
+    this.refusals.push({
+      step: this.currentStep,
+      cycle: this.cycle.number,
+      reason,
+      timestamp
+    });
+
+    if (this.refusals.length > 100) {
+      this.refusals = this.refusals.slice(-100);
+    }
+  }
+
+  recordEntry(signal, timestamp) {
+    const positionId = signal.metadata.positionId;
+    this.addPosition(positionId, {
+      id: positionId,
+      symbol: signal.symbol,
+      direction: signal.direction,
+      entryPrice: signal.entryPrice,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfit,
+      lotSize: signal.lotSize,
+      step: this.currentStep,
+      cycle: this.cycle.number,
+      status: 'open',
+      entryTime: timestamp
+    });
+
+    if (!this.cycle.startTime) {
+      this.cycle.startTime = timestamp;
+    }
+    this.cycle.trades++;
+    this.cycle.maxStep = Math.max(this.cycle.maxStep, this.currentStep);
+  }
+
+  // The account risk manager, the instrument checks or the broker refused
+  // the step. It was never on, so its stop must not advance the step count:
+  // drop it and close out the cycle as for a step refused here.
+  onOrderRejected(signal, reason) {
+    const positionId = signal.metadata?.positionId;
+    if (!positionId || !this.positions.has(positionId)) return;
+
+    this.removePosition(positionId);
+    this.cycle.trades--;
+    this.recordRefusal(reason, signal.timestamp);
+
+    if (this.cycle.trades > 0) {
+      this.closeCycle('closed_out', signal.timestamp);
+    } else {
+      // Nothing traded yet, so the cycle simply hasn't started
+      this.currentStep = 0;
+      this.cycle = this.createCycle(this.cycle.number);
+    }
+  }
+
+  checkExitSignals(marketData) {
+    if (this.positions.size === 0) {
+      return null;
+    }
+
+    const { close, timestamp } = marketData;
+    const position = this.getAllPositions()[0];
+
+    const stopHit = position.direction === 'BUY'
+      ? close <= position.stopLoss
+      : close >= position.stopLoss;
+    const targetHit = position.direction === 'BUY'
+      ? close >= position.takeProfit
+      : close <= position.takeProfit;
+
+    if (stopHit || targetHit) {
+      return this.createExitSignal(position, close, stopHit ? 'stop_loss' : 'take_profit', timestamp);
+    }
+
+    // An open step that drags equity past the drawdown limit closes the cycle
+    const equity = this.getBalance() + this.calculatePositionPnL(position, close);
+    this.riskManager.updateDrawdown(equity);
+    if (!this.riskManager.checkDrawdown().passed) {
+      return this.createExitSignal(position, close, 'risk_limit', timestamp);
+    }
+
+    return null;
+  }
+
+  createExitSignal(position, exitPrice, reason, timestamp) {
+    const profit = this.calculatePositionPnL(position, exitPrice);
+
+    this.removePosition(position.id);
+    this.updatePerformanceMetrics({
+      positionId: position.id,
+      profit,
+      reason,
+      step: position.step,
+      cycle: this.cycle.number,
+      closeTime: timestamp
+    });
+
+    this.cycle.profit += profit;
+    const cycleProfit = this.cycle.profit;
+    this.advanceStep(profit > 0, reason, timestamp);
+
+    return {
+      strategy: 'martingale',
+      direction: position.direction === 'BUY' ? 'SELL' : 'BUY',
+      symbol: position.symbol,
+      exitPrice,
+      lotSize: position.lotSize,
+      profit,
+      reason,
+      timestamp,
+      metadata: {
+        positionId: position.id,
+        step: position.step,
+        cycle: position.cycle,
+        nextStep: this.currentStep,
+        cycleProfit
+      }
+    };
+  }
+
+  // Move the step counter after a trade closes, ending the cycle when it resets
+  advanceStep(won, reason, timestamp) {
+    if (reason === 'risk_limit') {
+      this.closeCycle('closed_out', timestamp);
+      return;
+    }
+
+    const { mode, maxSteps, resetOnWin } = this.config;
+
+    if (mode === 'anti_martingale') {
+      // Press winners, bank the run after maxSteps or on the first loss
+      if (!won) {
+        this.closeCycle('loss', timestamp);
+      } else if (this.currentStep >= maxSteps) {
+        this.closeCycle('completed', timestamp);
+      } else {
+        this.currentStep++;
+      }
+      return;
+    }
+
+    if (won) {
+      if (resetOnWin || this.currentStep === 0) {
+        this.closeCycle('completed', timestamp);
+      } else {
+        this.currentStep--;
+      }
+    } else if (this.currentStep >= maxSteps) {
+      // Out of steps: take the loss rather than doubling again
+      this.closeCycle('closed_out', timestamp);
+    } else {
+      this.currentStep++;
+    }
+  }
+
+  closeCycle(outcome, timestamp) {
+    this.cycleHistory.push({
+      ...this.cycle,
+      outcome,
+      endTime: timestamp
+    });
+
+    if (this.cycleHistory.length > 100) {
+      this.cycleHistory = this.cycleHistory.slice(-100);
+    }
+
+    this.currentStep = 0;
+    this.cycle = this.createCycle(this.cycle.number + 1);
+  }
+
+  getBalance() {
+    return this.config.accountBalance + this.performance.totalProfit;
+  }
+
+  validateMarketConditions(marketData) {
+    const { prices, spread } = marketData;
+
+    if (!prices || prices.length < this.config.slowEmaPeriod + 1) {
+      return false;
+    }
+
+    if (spread && spread > this.config.maxSpreadPips * this.getPipSize(marketData)) {
+      return false;
+    }
+
+    return marketData.symbol && marketData.close > 0;
+  }
+
+  getMetrics() {
+    const baseMetrics = super.getMetrics();
+
+    return {
+      ...baseMetrics,
+      strategy: 'martingale',
+      mode: this.config.mode,
+      currentStep: this.currentStep,
+      nextLotSize: this.getStepLotSize(this.currentStep),
+      cycleNumber: this.cycle.number,
+      cycleProfit: this.cycle.profit,
+      cycleTrades: this.cycle.trades,
+      cyclesCompleted: this.cycleHistory.filter(c => c.outcome === 'completed').length,
+      cyclesClosedOut: this.cycleHistory.filter(c => c.outcome === 'closed_out').length,
+      stepsRefused: this.refusals.length,
+      lastRefusal: this.refusals[this.refusals.length - 1] || null
+    };
+  }
+}
@@ -0,0 +1,403 @@
+import { BaseStrategy } from './base';
+import { TechnicalIndicators } from '../indicators';
+import { RiskManager } from '../risk-management';
+
+export class MeanReversionStrategy extends BaseStrategy {
+  constructor(config = {}) {
+    super(config);
+
+    this.config = {
+      timeframe: '15m',
+      bbPeriod: 20,
+      bbDeviation: 2,
+      rsiPeriod: 14,
+      rsiOversold: 30,
+      rsiOverbought: 70,
+      zScorePeriod: 50, // SMA and standard deviation window for the z-score
+      entryDeviations: [2, 2.5, 3], // z-score levels to scale in at
+      exitDeviations: [1], // z-score levels to scale out at on the way back
+      scaleInSizeScale: 1, // Each add is this fraction of the previous size
+      requireBandTouch: true, // Close must be outside the Bollinger band
+      requireRsi: true,
+      atrPeriod: 14,
+      stopLossAtrMultiplier: 2,
+      minRiskRewardRatio: 1.5, // Skip entries too close to the mean
+      // Regime filter
+      regimeFilter: 'slope', // 'slope', 'adx' or 'none'
+      slopePeriod: 10, // Bars over which the mean's slope is measured
+      maxSlopeAtr: 0.5, // Max move of the mean over slopePeriod, in ATRs
+      adxPeriod: 14,
+      maxAdx: 25, // ADX above this counts as trending
+      exitOnTrend: false, // Close open entries when a trend regime starts
+      cooldownBars: 5, // Bars to stand aside after a stop-out
+      maxSpreadPips: 3,
+      maxPositions: 3,
+      riskPerTrade: 0.01,
+      ...config
+    };
+
+    this.indicators = new TechnicalIndicators();
+    this.riskManager = new RiskManager(this.config);
+
+    this.scaleOuts = 0;
+    this.cooldown = 0;
+  }
+
+  async analyze(marketData) {
+    const { prices, timestamp } = marketData;
+
+    if (!this.validateMarketConditions(marketData)) {
+      return null;
+    }
+
+    // Calculate technical indicators
+    const indicators = await this.calculateIndicators(prices);
+
+    // Live, analyze runs on every tick; the cooldown counts closed bars
+    if (this.cooldown > 0 && marketData.barClosed === true) {
+      this.cooldown--;
+    }
+
+    // Manage open positions first so exits take priority over new entries
+    const exitSignal = this.checkExitSignals(indicators, marketData);
+    if (exitSignal) {
+      return exitSignal;
+    }
+
+    // Generate trading signals
+    const signal = this.generateSignal(indicators, marketData);
+
+    if (signal) {
+      // Apply risk management
+      const validatedSignal = this.riskManager.validateSignal(signal, this.positions);
+
+      if (validatedSignal) {
+        // Risk sizing is an upper bound; scale-ins keep their configured size
+        if (signal.pyramid) {
+          validatedSignal.lotSize = Math.min(validatedSignal.lotSize, signal.lotSize);
+        }
+
+        this.recordEntry(validatedSignal, timestamp);
+        this.signals.push({
+          ...validatedSignal,
+          timestamp,
+          indicators: this.summarizeIndicators(indicators)
+        });
+
+        return validatedSignal;
+      }
+    }
+
+    return null;
+  }
+
+  async calculateIndicators(prices) {
+    const closes = prices.map(p => p.close);
+    const highs = prices.map(p => p.high);
+    const lows = prices.map(p => p.low);
+
+    const mean = this.indicators.sma(closes, this.config.zScorePeriod);
+
+    return {
+      bb: this.indicators.bollingerBands(closes, this.config.bbPeriod, this.config.bbDeviation),
+      rsi: this.indicators.rsi(closes, this.config.rsiPeriod),
+      atr: this.indicators.atr(highs, lows, closes, this.config.atrPeriod),
+      mean,
+      zScore: this.calculateZScore(closes, mean),
+      adx: this.config.regimeFilter === 'adx'
+        ? this.indicators.adx(highs, lows, closes, this.config.adxPeriod).adx
+        : null
+    };
+  }
+
+  // Rolling z-score of the close against the zScorePeriod SMA
+  calculateZScore(closes, mean) {
+    const period = this.config.zScorePeriod;
+    const result = [];
+
+    for (let i = period - 1; i < closes.length; i++) {
+      const average = mean[i - period + 1];
+      const slice = closes.slice(i - period + 1, i + 1);
+      const variance = slice.reduce((sum, val) => sum + Math.pow(val - average, 2), 0) / period;
+      const stdDev = Math.sqrt(variance);
+      result.push(stdDev > 0 ? (closes[i] - average) / stdDev : 0);
+    }
+
+    return result;
+  }
+
+  generateSignal(indicators, marketData) {
+    const { close } = marketData;
+    const last = (series) => series[series.length - 1];
+    const band = last(indicators.bb);
+    const rsi = last(indicators.rsi);
+    const zScore = last(indicators.zScore);
+    const mean = last(indicators.mean);
+    const atr = last(indicators.atr);
+
+    if (!atr || this.cooldown > 0 || this.isTrending(indicators)) {
+      return null;
+    }
+
+    const positions = this.getAllPositions();
+    const level = positions.length;
+
+    if (level >= this.config.entryDeviations.length) {
+      return null;
+    }
+
+    // Scale-ins only add to the side already open
+    const openDirection = positions[0]?.direction;
+    const threshold = this.config.entryDeviations[level];
+
+    const conditions = {
+      oversold: zScore <= -threshold &&
+        (!this.config.requireBandTouch || close < band.lower) &&
+        (!this.config.requireRsi || rsi <= this.config.rsiOversold),
+      overbought: zScore >= threshold &&
+        (!this.config.requireBandTouch || close > band.upper) &&
+        (!this.config.requireRsi || rsi >= this.config.rsiOverbought)
+    };
+
+    let direction = null;
+    if (conditions.oversold && openDirection !== 'SELL') direction = 'BUY';
+    if (conditions.overbought && openDirection !== 'BUY') direction = 'SELL';
+
+    if (!direction) {
+      return null;
+    }
+
+    const signal = this.createSignal(direction, close, mean, atr, zScore, marketData);
+    if (!signal) {
+      return null;
+    }
+
+    if (level > 0) {
+      signal.lotSize = positions[level - 1].lotSize * this.config.scaleInSizeScale;
+      signal.pyramid = true;
+    }
+    signal.metadata.scaleLevel = level;
+
+    return signal;
+  }
+
+  // Stand aside when the mean itself is moving too fast to revert to
+  isTrending(indicators) {
+    if (this.config.regimeFilter === 'adx') {
+      const { adx } = indicators;
+      return adx.length === 0 || adx[adx.length - 1] > this.config.maxAdx;
+    }
+
+    if (this.config.regimeFilter !== 'slope') {
+      return false;
+    }
+
+    const { mean, atr } = indicators;
+    const period = this.config.slopePeriod;
+    if (mean.length <= period) {
+      return true;
+    }
+
+    const slope = Math.abs(mean[mean.length - 1] - mean[mean.length - 1 - period]);
+    return slope > this.config.maxSlopeAtr * atr[atr.length - 1];
+  }
+
+  createSignal(direction, price, mean, atr, zScore, marketData) {
+    const stopDistance = atr * this.config.stopLossAtrMultiplier;
+
+    const stopLoss = direction === 'BUY'
+      ? price - stopDistance
+      : price + stopDistance;
+
+    // Target is the mean the price is expected to revert to
+    const takeProfit = mean;
+
+    if (Math.abs(takeProfit - price) / stopDistance < this.config.minRiskRewardRatio) {
+      return null;
+    }
+
+    // Stops are tight relative to the target, so keep risk-based size within
+    // the leverage the risk manager will accept
+    const lotSize = Math.min(
+      this.riskManager.calculateLotSize(price, stopLoss, this.config.riskPerTrade, marketData.symbol),
+      this.riskManager.calculateMaxLeverageUnits(marketData.symbol, price)
+    );
+
+    return {
+      strategy: 'mean_reversion',
+      direction,
+      symbol: marketData.symbol,
+      entryPrice: price,
+      stopLoss,
+      takeProfit,
+      lotSize,
+      confidence: this.calculateConfidence(zScore),
+      timestamp: new Date().toISOString(),
+      metadata: {
+        atr: atr,
+        spread: marketData.spread,
+        volume: marketData.volume,
+        timeframe: this.config.timeframe,
+        positionId: `mr_${Date.now()}_${this.positions.size}`,
+        zScore,
+        mean
+      }
+    };
+  }
+
+  calculateConfidence(zScore) {
+    let confidence = 0.5; // Base confidence
+
+    // Deeper stretches are more likely to snap back
+    const excess = Math.abs(zScore) - this.config.entryDeviations[0];
+    confidence += Math.min(excess * 0.1, 0.3);
+
+    return Math.min(Math.max(confidence, 0), 1);
+  }
+
+  recordEntry(signal, timestamp) {
+    const positionId = signal.metadata.positionId;
+    this.addPosition(positionId, {
+      id: positionId,
+      symbol: signal.symbol,
+      direction: signal.direction,
+      entryPrice: signal.entryPrice,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfit,
+      lotSize: signal.lotSize,
+      scaleLevel: signal.metadata.scaleLevel,
+      status: 'open',
+      entryTime: timestamp
+    });
+  }
+
+  // A refused entry or scale-in was never on: drop it so it doesn't block
+  // new entries or count in the metrics
+  onOrderRejected(signal) {
+    this.forgetEntry(signal);
+  }
+
+  checkExitSignals(indicators, marketData) {
+    if (this.positions.size === 0) {
+      this.scaleOuts = 0;
+      return null;
+    }
+
+    const { close, timestamp } = marketData;
+    const positions = this.getAllPositions();
+    const direction = positions[0].direction;
+    const zScore = indicators.zScore[indicators.zScore.length - 1];
+    const mean = indicators.mean[indicators.mean.length - 1];
+
+    for (const position of positions) {
+      const stopHit = position.direction === 'BUY'
+        ? close <= position.stopLoss
+        : close >= position.stopLoss;
+
+      if (stopHit) {
+        this.cooldown = this.config.cooldownBars;
+        return this.createExitSignal([position], close, 'stop_loss', timestamp);
+      }
+    }
+
+    // Back at the mean closes everything that is left
+    const atMean = direction === 'BUY' ? close >= mean : close <= mean;
+    if (atMean) {
+      return this.createExitSignal(positions, close, 'mean_reached', timestamp);
+    }
+
+    if (this.config.exitOnTrend && this.isTrending(indicators)) {
+      return this.createExitSignal(positions, close, 'trend_regime', timestamp);
+    }
+
+    // Scale out one entry per exit level, most recent add first, keeping the
+    // last one for the mean
+    const nextLevel = this.config.exitDeviations[this.scaleOuts];
+    if (nextLevel !== undefined && positions.length > 1 && Math.abs(zScore) <= nextLevel) {
+      this.scaleOuts++;
+      return this.createExitSignal([positions[positions.length - 1]], close, 'scale_out', timestamp);
+    }
+
+    return null;
+  }
+
+  createExitSignal(positions, exitPrice, reason, timestamp) {
+    let profit = 0;
+    let lotSize = 0;
+
+    positions.forEach(position => {
+      const positionProfit = this.calculatePositionPnL(position, exitPrice);
+      profit += positionProfit;
+      lotSize += position.lotSize;
+
+      this.removePosition(position.id);
+      this.updatePerformanceMetrics({
+        positionId: position.id,
+        profit: positionProfit,
+        reason,
+        closeTime: timestamp
+      });
+    });
+
+    return {
+      strategy: 'mean_reversion',
+      direction: positions[0].direction === 'BUY' ? 'SELL' : 'BUY',
+      symbol: positions[0].symbol,
+      exitPrice,
+      lotSize,
+      profit,
+      reason,
+      timestamp,
+      metadata: {
+        positionIds: positions.map(p => p.id),
+        remainingPositions: this.positions.size
+      }
+    };
+  }
+
+  summarizeIndicators(indicators) {
+    const last = (series) => series[series.length - 1];
+
+    return {
+      bollinger: last(indicators.bb),
+      rsi: last(indicators.rsi),
+      zScore: last(indicators.zScore),
+      mean: last(indicators.mean),
+      atr: last(indicators.atr)
+    };
+  }
+
+  validateMarketConditions(marketData) {
+    const { prices, spread } = marketData;
+    const requiredBars = Math.max(
+      this.config.zScorePeriod + this.config.slopePeriod,
+      this.config.bbPeriod,
+      this.config.rsiPeriod + 1,
+      this.config.atrPeriod + 1,
+      this.config.regimeFilter === 'adx' ? this.config.adxPeriod * 2 + 1 : 0
+    );
+
+    if (!prices || prices.length < requiredBars) {
+      return false;
+    }
+
+    if (spread && spread > this.config.maxSpreadPips * this.getPipSize(marketData)) {
+      return false;
+    }
+
+    return marketData.symbol && marketData.close > 0;
+  }
+
+  getMetrics() {
+    const baseMetrics = super.getMetrics();
+    const positions = this.getAllPositions();
+
+    return {
+      ...baseMetrics,
+      strategy: 'mean_reversion',
+      scaleLevel: positions.length,
+      currentDirection: positions[0]?.direction || null,
+      scaleOuts: this.scaleOuts
+    };
+  }
+}
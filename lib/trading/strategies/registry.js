@@ -0,0 +1,170 @@
+export const ALL_TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+
+export class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+  }
+
+  // Register a strategy class under a type key.
+  // schema maps config fields to { type, min, max, values, integer, required, message };
+  // validate(config) can add checks the schema can't express, returning an errors object
+  register(type, definition) {
+    const { strategyClass } = definition;
+
+    if (!type || typeof type !== 'string') {
+      throw new Error('Strategy type must be a non-empty string');
+    }
+
+    if (typeof strategyClass !== 'function') {
+      throw new Error(`Strategy ${type} must provide a strategyClass`);
+    }
+
+    if (this.strategies.has(type) && !definition.override) {
+      throw new Error(`Strategy type already registered: ${type}`);
+    }
+
+    this.strategies.set(type, {
+      type,
+      name: definition.name || type,
+      description: definition.description || '',
+      strategyClass,
+      schema: definition.schema || {},
+      defaults: definition.defaults || null,
+      timeframes: definition.timeframes || ALL_TIMEFRAMES,
+      multiSymbol: definition.multiSymbol || false,
+      validate: definition.validate || null
+    });
+
+    return this;
+  }
+
+  unregister(type) {
+    return this.strategies.delete(type);
+  }
+
+  has(type) {
+    return this.strategies.has(type);
+  }
+
+  get(type) {
+    const entry = this.strategies.get(type);
+    if (!entry) {
+      throw new Error(`Unknown strategy type: ${type}`);
+    }
+    return entry;
+  }
+
+  getTypes() {
+    return Array.from(this.strategies.keys());
+  }
+
+  // Defaults come from the registration, or from the class's own constructor
+  getDefaults(type) {
+    const entry = this.get(type);
+    if (entry.defaults) {
+      return { ...entry.defaults };
+    }
+
+    return { ...new entry.strategyClass({}).config };
+  }
+
+  create(type, config = {}) {
+    const entry = this.get(type);
+    return new entry.strategyClass({ ...(entry.defaults || {}), ...config });
+  }
+
+  // Returns an errors object keyed by field, empty when the config is valid
+  validateConfig(type, config = {}, timeframe = null) {
+    const errors = {};
+
+    if (!this.has(type)) {
+      errors.strategy_type = `Invalid strategy. Must be one of: ${this.getTypes().join(', ')}`;
+      return errors;
+    }
+
+    const entry = this.get(type);
+
+    if (timeframe && !entry.timeframes.includes(timeframe)) {
+      errors.timeframe = `${entry.name} strategy requires one of: ${entry.timeframes.join(', ')}`;
+    }
+
+    for (const [field, rule] of Object.entries(entry.schema)) {
+      const value = config?.[field];
+
+      if (value === undefined || value === null) {
+        if (rule.required) {
+          errors[field] = rule.message || `${field} is required`;
+        }
+        continue;
+      }
+
+      const error = this.validateField(field, value, rule);
+      if (error) {
+        errors[field] = error;
+      }
+    }
+
+    if (entry.validate && Object.keys(errors).length === 0) {
+      Object.assign(errors, entry.validate(config || {}));
+    }
+
+    return errors;
+  }
+
+  validateField(field, value, rule) {
+    switch (rule.type) {
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return `${field} must be a number`;
+        }
+        if (rule.integer && !Number.isInteger(value)) {
+          return `${field} must be an integer`;
+        }
+        if (rule.min !== undefined && rule.max !== undefined && (value < rule.min || value > rule.max)) {
+          return rule.message || `${field} must be between ${rule.min} and ${rule.max}`;
+        }
+        if (rule.min !== undefined && value < rule.min) {
+          return rule.message || `${field} must be at least ${rule.min}`;
+        }
+        if (rule.max !== undefined && value > rule.max) {
+          return rule.message || `${field} must be at most ${rule.max}`;
+        }
+        return null;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : `${field} must be true or false`;
+      case 'string':
+        if (typeof value !== 'string') {
+          return `${field} must be a string`;
+        }
+        if (rule.values && !rule.values.includes(value)) {
+          return rule.message || `${field} must be one of: ${rule.values.join(', ')}`;
+        }
+        return null;
+      case 'array':
+        return Array.isArray(value) ? null : `${field} must be an array`;
+      case 'object':
+        return value && typeof value === 'object' && !Array.isArray(value)
+          ? null
+          : `${field} must be an object`;
+      default:
+        return null;
+    }
+  }
+
+  // Serializable metadata for APIs and UIs
+  list() {
+    return Array.from(this.strategies.values()).map(entry => ({
+      type: entry.type,
+      name: entry.name,
+      description: entry.description,
+      timeframes: entry.timeframes,
+      multiSymbol: entry.multiSymbol,
+      schema: entry.schema,
+      defaults: this.getDefaults(entry.type)
+    }));
+  }
+}
+
+export const strategyRegistry = new StrategyRegistry();
+
+export default strategyRegistry;
@@ -0,0 +1,546 @@
+// Rule language for the `custom` strategy.
+//
+// Conditions are either strings such as
+//   "rsi(14) < 30 AND ema(9) crosses_above ema(21)"
+// or JSON trees built from { all: [...] }, { any: [...] }, { not: ... } and
+// { left, op, right } nodes. Both forms compile to the same canonical tree.
+//
+// Rule documents also set the exits and sizing:
+//   stopLoss     { type: 'atr', period, multiplier } or 'pips' / 'percent' with a value
+//   takeProfit   the same types, or { type: 'risk_reward', value }
+//   sizing       { type: 'risk_percent', value: 0.01 } risks a fraction of the
+//                balance; { type: 'fixed', value } trades `value` units of the
+//                base currency, not lots (100000 is one standard lot)
+
+export const COMPARISON_OPERATORS = ['<', '<=', '>', '>=', '==', '!=', 'crosses_above', 'crosses_below'];
+
+export const PRICE_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+export const INDICATORS = {
+  sma: {
+    defaults: [20],
+    compute: (ti, data, [period]) => ti.sma(data.closes, period)
+  },
+  ema: {
+    defaults: [20],
+    compute: (ti, data, [period]) => ti.ema(data.closes, period)
+  },
+  rsi: {
+    defaults: [14],
+    compute: (ti, data, [period]) => ti.rsi(data.closes, period)
+  },
+  macd: {
+    defaults: [12, 26, 9],
+    fields: ['macd', 'signal', 'histogram'],
+    defaultField: 'macd',
+    compute: (ti, data, [fast, slow, signal]) => ti.macd(data.closes, fast, slow, signal)
+  },
+  bb: {
+    defaults: [20, 2],
+    fields: ['upper', 'middle', 'lower'],
+    defaultField: 'middle',
+    compute: (ti, data, [period, deviation]) => ti.bollingerBands(data.closes, period, deviation)
+  },
+  atr: {
+    defaults: [14],
+    compute: (ti, data, [period]) => ti.atr(data.highs, data.lows, data.closes, period)
+  },
+  stochastic: {
+    defaults: [14, 3, 3],
+    fields: ['k', 'd'],
+    defaultField: 'k',
+    compute: (ti, data, [k, d, smoothing]) => ti.stochastic(data.highs, data.lows, data.closes, k, d, smoothing)
+  },
+  williams_r: {
+    defaults: [14],
+    compute: (ti, data, [period]) => ti.williamsR(data.highs, data.lows, data.closes, period)
+  },
+  cci: {
+    defaults: [20],
+    compute: (ti, data, [period]) => ti.cci(data.highs, data.lows, data.closes, period)
+  },
+  mfi: {
+    defaults: [14],
+    compute: (ti, data, [period]) => ti.mfi(data.highs, data.lows, data.closes, data.volumes, period)
+  },
+  momentum: {
+    defaults: [10],
+    compute: (ti, data, [period]) => ti.momentum(data.closes, period)
+  },
+  roc: {
+    defaults: [12],
+    compute: (ti, data, [period]) => ti.roc(data.closes, period)
+  },
+  psar: {
+    defaults: [0.02, 0.2],
+    compute: (ti, data, [acceleration, maximum]) => ti.parabolicSAR(data.highs, data.lows, acceleration, maximum)
+  },
+  adx: {
+    defaults: [14],
+    fields: ['adx', 'plusDI', 'minusDI'],
+    defaultField: 'adx',
+    compute: (ti, data, [period]) => ti.adx(data.highs, data.lows, data.closes, period)
+  },
+  ichimoku: {
+    defaults: [9, 26, 52, 26],
+    fields: ['tenkan', 'kijun', 'senkouA', 'senkouB'],
+    defaultField: 'kijun',
+    compute: (ti, data, params) => ti.ichimoku(data.highs, data.lows, data.closes, ...params)
+  },
+  keltner: {
+    defaults: [20, 10, 2],
+    fields: ['upper', 'middle', 'lower'],
+    defaultField: 'middle',
+    compute: (ti, data, params) => ti.keltnerChannels(data.highs, data.lows, data.closes, ...params)
+  },
+  donchian: {
+    defaults: [20],
+    fields: ['upper', 'middle', 'lower'],
+    defaultField: 'middle',
+    compute: (ti, data, [period]) => ti.donchianChannels(data.highs, data.lows, period)
+  },
+  supertrend: {
+    defaults: [10, 3],
+    fields: ['value', 'direction'],
+    defaultField: 'value',
+    compute: (ti, data, [period, multiplier]) => ti.superTrend(data.highs, data.lows, data.closes, period, multiplier)
+  }
+};
+
+export class RuleSyntaxError extends Error {
+  constructor(message, path = '') {
+    super(path ? `${path}: ${message}` : message);
+    this.name = 'RuleSyntaxError';
+    this.path = path;
+  }
+}
+
+const TOKEN_PATTERN = /\s*(crosses_above|crosses_below|<=|>=|==|!=|<|>|\(|\)|\[|\]|,|\.|-?\d+(?:\.\d+)?|[A-Za-z_][A-Za-z0-9_]*)/y;
+
+export function tokenize(source, path = '') {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new RuleSyntaxError(`Unexpected character at ${position} in "${source}"`, path);
+    }
+    tokens.push(match[1]);
+  }
+
+  return tokens;
+}
+
+// Recursive-descent parser: OR binds looser than AND, NOT binds tightest
+export function parseCondition(source, path = '') {
+  const tokens = tokenize(source, path);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const keyword = (word) => typeof peek() === 'string' && peek().toUpperCase() === word;
+  const expect = (token) => {
+    if (tokens[index] !== token) {
+      throw new RuleSyntaxError(`Expected "${token}" but found "${tokens[index] ?? 'end of rule'}" in "${source}"`, path);
+    }
+    index++;
+  };
+
+  const parseOperand = () => {
+    const token = tokens[index++];
+    if (token === undefined) {
+      throw new RuleSyntaxError(`Rule ends early: "${source}"`, path);
+    }
+
+    if (/^-?\d/.test(token)) {
+      return { type: 'number', value: parseFloat(token) };
+    }
+
+    if (!/^[A-Za-z_]/.test(token)) {
+      throw new RuleSyntaxError(`Unexpected "${token}" in "${source}"`, path);
+    }
+
+    const name = token.toLowerCase();
+    const operand = PRICE_FIELDS.includes(name)
+      ? { type: 'price', field: name, offset: 0 }
+      : { type: 'indicator', name, params: [], field: null, offset: 0 };
+
+    if (operand.type === 'indicator' && peek() === '(') {
+      index++;
+      while (peek() !== ')') {
+        const param = tokens[index++];
+        if (!/^-?\d/.test(param || '')) {
+          throw new RuleSyntaxError(`Indicator parameters must be numbers in "${source}"`, path);
+        }
+        operand.params.push(parseFloat(param));
+        if (peek() === ',') index++;
+      }
+      expect(')');
+    }
+
+    if (operand.type === 'indicator' && peek() === '.') {
+      index++;
+      operand.field = tokens[index++];
+    }
+
+    // close[1] is the previous bar's close
+    if (peek() === '[') {
+      index++;
+      operand.offset = parseInt(tokens[index++], 10);
+      expect(']');
+    }
+
+    return operand;
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const op = tokens[index++];
+    if (!COMPARISON_OPERATORS.includes(op)) {
+      throw new RuleSyntaxError(`Expected a comparison operator but found "${op ?? 'end of rule'}" in "${source}"`, path);
+    }
+    const right = parseOperand();
+    return { type: 'compare', op, left, right };
+  };
+
+  const parseUnary = () => {
+    if (keyword('NOT')) {
+      index++;
+      return { type: 'not', condition: parseUnary() };
+    }
+
+    if (peek() === '(') {
+      index++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    const conditions = [parseUnary()];
+    while (keyword('AND')) {
+      index++;
+      conditions.push(parseUnary());
+    }
+    return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+  };
+
+  function parseOr() {
+    const conditions = [parseAnd()];
+    while (keyword('OR')) {
+      index++;
+      conditions.push(parseAnd());
+    }
+    return conditions.length === 1 ? conditions[0] : { type: 'or', conditions };
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new RuleSyntaxError(`Unexpected "${tokens[index]}" in "${source}"`, path);
+  }
+
+  return tree;
+}
+
+function parseOperandValue(value, path) {
+  if (typeof value === 'number') {
+    return { type: 'number', value };
+  }
+
+  if (typeof value === 'string') {
+    // Reuse the expression parser by comparing against a dummy operand
+    return parseCondition(`${value} == 0`, path).left;
+  }
+
+  if (value && typeof value === 'object' && value.indicator) {
+    return {
+      type: 'indicator',
+      name: String(value.indicator).toLowerCase(),
+      params: value.params || [],
+      field: value.field || null,
+      offset: value.offset || 0
+    };
+  }
+
+  throw new RuleSyntaxError('Operands must be numbers, expressions or { indicator, params } objects', path);
+}
+
+// Turn a string or JSON condition into the canonical tree
+export function compileCondition(condition, path = 'condition') {
+  if (typeof condition === 'string') {
+    return parseCondition(condition, path);
+  }
+
+  if (!condition || typeof condition !== 'object') {
+    throw new RuleSyntaxError('Condition must be a string or an object', path);
+  }
+
+  if (Array.isArray(condition.all)) {
+    return { type: 'and', conditions: condition.all.map((c, i) => compileCondition(c, `${path}.all[${i}]`)) };
+  }
+
+  if (Array.isArray(condition.any)) {
+    return { type: 'or', conditions: condition.any.map((c, i) => compileCondition(c, `${path}.any[${i}]`)) };
+  }
+
+  if (condition.not !== undefined) {
+    return { type: 'not', condition: compileCondition(condition.not, `${path}.not`) };
+  }
+
+  if (condition.op !== undefined) {
+    if (!COMPARISON_OPERATORS.includes(condition.op)) {
+      throw new RuleSyntaxError(`Unknown operator "${condition.op}"`, path);
+    }
+    return {
+      type: 'compare',
+      op: condition.op,
+      left: parseOperandValue(condition.left, `${path}.left`),
+      right: parseOperandValue(condition.right, `${path}.right`)
+    };
+  }
+
+  throw new RuleSyntaxError('Condition objects need all, any, not or op', path);
+}
+
+function validateOperand(operand, path, errors) {
+  if (operand.type !== 'indicator') return;
+
+  const spec = INDICATORS[operand.name];
+  if (!spec) {
+    errors.push(`${path}: Unknown indicator "${operand.name}". Available: ${Object.keys(INDICATORS).join(', ')}`);
+    return;
+  }
+
+  if (operand.params.length > spec.defaults.length) {
+    errors.push(`${path}: ${operand.name} takes at most ${spec.defaults.length} parameters`);
+  }
+
+  if (operand.params.some(p => typeof p !== 'number' || !(p > 0))) {
+    errors.push(`${path}: ${operand.name} parameters must be positive numbers`);
+  }
+
+  if (operand.field && !(spec.fields || []).includes(operand.field)) {
+    errors.push(`${path}: ${operand.name} has no field "${operand.field}"`);
+  }
+
+  if (!Number.isInteger(operand.offset) || operand.offset < 0) {
+    errors.push(`${path}: bar offset must be a non-negative integer`);
+  }
+}
+
+function validateTree(node, path, errors) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      if (node.conditions.length === 0) {
+        errors.push(`${path}: ${node.type} needs at least one condition`);
+      }
+      node.conditions.forEach((c, i) => validateTree(c, `${path}[${i}]`, errors));
+      break;
+    case 'not':
+      validateTree(node.condition, path, errors);
+      break;
+    case 'compare':
+      validateOperand(node.left, path, errors);
+      validateOperand(node.right, path, errors);
+      if (node.op.startsWith('crosses') && node.left.type === 'number' && node.right.type === 'number') {
+        errors.push(`${path}: ${node.op} needs at least one series`);
+      }
+      break;
+    default:
+      errors.push(`${path}: unknown node type ${node.type}`);
+  }
+}
+
+const STOP_TYPES = ['atr', 'pips', 'percent'];
+const TARGET_TYPES = ['atr', 'pips', 'percent', 'risk_reward'];
+const SIZING_TYPES = ['risk_percent', 'fixed'];
+
+function validateLevel(level, types, path, errors) {
+  if (level === undefined) return;
+
+  if (!level || !types.includes(level.type)) {
+    errors.push(`${path}: type must be one of ${types.join(', ')}`);
+    return;
+  }
+
+  const value = level.type === 'atr' ? level.multiplier : level.value;
+  if (typeof value !== 'number' || !(value > 0)) {
+    errors.push(`${path}: ${level.type === 'atr' ? 'multiplier' : 'value'} must be a positive number`);
+  }
+}
+
+// Parse and check a rule document, returning the compiled conditions with any errors
+export function validateRuleDocument(document) {
+  const errors = [];
+  const compiled = { entry: {}, exit: {} };
+
+  if (!document || typeof document !== 'object') {
+    return { isValid: false, errors: ['Rule document must be an object'], compiled };
+  }
+
+  for (const section of ['entry', 'exit']) {
+    const rules = document[section] || {};
+
+    for (const side of ['long', 'short']) {
+      if (rules[side] === undefined) continue;
+
+      try {
+        compiled[section][side] = compileCondition(rules[side], `${section}.${side}`);
+        validateTree(compiled[section][side], `${section}.${side}`, errors);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  }
+
+  if (!compiled.entry.long && !compiled.entry.short && !errors.some(e => e.startsWith('entry'))) {
+    errors.push('entry: at least one of long or short is required');
+  }
+
+  validateLevel(document.stopLoss, STOP_TYPES, 'stopLoss', errors);
+  validateLevel(document.takeProfit, TARGET_TYPES, 'takeProfit', errors);
+
+  if (document.sizing !== undefined) {
+    if (!document.sizing || !SIZING_TYPES.includes(document.sizing.type)) {
+      errors.push(`sizing: type must be one of ${SIZING_TYPES.join(', ')}`);
+    } else if (typeof document.sizing.value !== 'number' || !(document.sizing.value > 0)) {
+      errors.push('sizing: value must be a positive number');
+    }
+  }
+
+  if (document.maxPositions !== undefined &&
+    (!Number.isInteger(document.maxPositions) || document.maxPositions < 1)) {
+    errors.push('maxPositions: must be a positive integer');
+  }
+
+  return { isValid: errors.length === 0, errors, compiled };
+}
+
+// Evaluates compiled conditions against one bar's price history
+export class RuleEvaluator {
+  constructor(indicators) {
+    this.indicators = indicators;
+  }
+
+  evaluate(node, prices) {
+    const data = {
+      closes: prices.map(p => p.close),
+      opens: prices.map(p => p.open),
+      highs: prices.map(p => p.high),
+      lows: prices.map(p => p.low),
+      volumes: prices.map(p => p.volume || 0)
+    };
+
+    return this.evaluateNode(node, data, new Map());
+  }
+
+  evaluateNode(node, data, memo) {
+    switch (node.type) {
+      case 'and':
+        return node.conditions.every(c => this.evaluateNode(c, data, memo));
+      case 'or':
+        return node.conditions.some(c => this.evaluateNode(c, data, memo));
+      case 'not':
+        return !this.evaluateNode(node.condition, data, memo);
+      case 'compare':
+        return this.compare(node, data, memo);
+      default:
+        return false;
+    }
+  }
+
+  compare(node, data, memo) {
+    const left = this.valueAt(node.left, data, memo, 0);
+    const right = this.valueAt(node.right, data, memo, 0);
+
+    if (!Number.isFinite(left) || !Number.isFinite(right)) {
+      return false;
+    }
+
+    switch (node.op) {
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '==': return left === right;
+      case '!=': return left !== right;
+      case 'crosses_above':
+      case 'crosses_below': {
+        const prevLeft = this.valueAt(node.left, data, memo, 1);
+        const prevRight = this.valueAt(node.right, data, memo, 1);
+        if (!Number.isFinite(prevLeft) || !Number.isFinite(prevRight)) return false;
+        return node.op === 'crosses_above'
+          ? prevLeft <= prevRight && left > right
+          : prevLeft >= prevRight && left < right;
+      }
+      default:
+        return false;
+    }
+  }
+
+  // Value of an operand `extraOffset` bars before its own offset
+  valueAt(operand, data, memo, extraOffset) {
+    if (operand.type === 'number') {
+      return operand.value;
+    }
+
+    const series = this.getSeries(operand, data, memo);
+    return series[series.length - 1 - operand.offset - extraOffset];
+  }
+
+  getSeries(operand, data, memo) {
+    if (operand.type === 'price') {
+      return data[`${operand.field}s`];
+    }
+
+    const spec = INDICATORS[operand.name];
+    const params = spec.defaults.map((value, i) => operand.params[i] ?? value);
+    const field = operand.field || spec.defaultField;
+    const key = `${operand.name}(${params.join(',')}).${field || ''}`;
+
+    if (!memo.has(key)) {
+      const raw = spec.compute(this.indicators, data, params);
+      let series = raw;
+
+      if (field && Array.isArray(raw)) {
+        series = raw.map(point => point[field]);
+      } else if (field) {
+        series = raw[field];
+      }
+
+      memo.set(key, series);
+    }
+
+    return memo.get(key);
+  }
+}
+
+// Largest bar count any operand in the tree looks back over
+export function getLookback(node) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return Math.max(...node.conditions.map(getLookback));
+    case 'not':
+      return getLookback(node.condition);
+    case 'compare': {
+      const operandLookback = (operand) => {
+        if (operand.type !== 'indicator') return operand.offset || 0;
+        const spec = INDICATORS[operand.name];
+        const params = spec ? spec.defaults.map((value, i) => operand.params[i] ?? value) : [];
+        const span = params.filter(Number.isInteger).reduce((sum, p) => sum + p, 0);
+        return span + operand.offset;
+      };
+      return Math.max(operandLookback(node.left), operandLookback(node.right)) + 1;
+    }
+    default:
+      return 0;
+  }
+}
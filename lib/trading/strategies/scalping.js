@@ -1,6 +1,7 @@
 import { BaseStrategy } from './base';
 import { TechnicalIndicators } from '../indicators';
 import { RiskManager } from '../risk-management';
+import { candlestickPatterns } from '../patterns';
 
 export class ScalpingStrategy extends BaseStrategy {
   constructor(config = {}) {
@@ -25,11 +26,17 @@ export class ScalpingStrategy extends BaseStrategy {
       trailingStopPips: 3,
       maxPositions: 3,
       riskPerTrade: 0.02,
+      patternConfirmation: false, // Require a candlestick pattern in the trade direction
+      patternLookback: 3,
+      minPatternStrength: 0.3,
+      trendTimeframe: null, // e.g. '1h' to only trade with the higher-timeframe trend
+      trendEmaPeriod: 50,
       ...config
     };
 
     this.indicators = new TechnicalIndicators();
     this.riskManager = new RiskManager(this.config);
+    this.patterns = candlestickPatterns;
     this.positions = new Map();
     this.signals = [];
     this.performance = {
@@ -52,7 +59,8 @@ export class ScalpingStrategy extends BaseStrategy {
     }
 
     // Calculate technical indicators
-    const indicators = await this.calculateIndicators(prices);
+    const indicators = await this.calculateIndicators(marketData);
+    indicators.higherTrend = this.getHigherTimeframeTrend(marketData);
     
     // Generate trading signals
     const signal = this.generateSignal(indicators, marketData);
@@ -78,40 +86,80 @@ export class ScalpingStrategy extends BaseStrategy {
     return null;
   }
 
-  async calculateIndicators(prices) {
-    const closes = prices.map(p => p.close);
+  // Streaming indicators take each closed bar once, so a tick costs the same
+  // however long the price window is. Values are the latest closed bar's.
+  async calculateIndicators(marketData) {
+    const { prices } = marketData;
     const highs = prices.map(p => p.high);
     const lows = prices.map(p => p.low);
+    const closes = prices.map(p => p.close);
     const volumes = prices.map(p => p.volume);
 
+    const stream = this.indicators.stream(marketData.symbol, this.config.timeframe);
+    stream.sync(this.getClosedBars(marketData));
+
     return {
-      rsi: this.indicators.rsi(closes, this.config.rsiPeriod),
-      macd: this.indicators.macd(closes, this.config.macdFast, this.config.macdSlow, this.config.macdSignal),
-      bb: this.indicators.bollingerBands(closes, this.config.bbPeriod, this.config.bbDeviation),
-      atr: this.indicators.atr(highs, lows, closes, this.config.atrPeriod),
+      rsi: stream.get('rsi', this.config.rsiPeriod),
+      macd: stream.get('macd', this.config.macdFast, this.config.macdSlow, this.config.macdSignal),
+      bb: stream.get('bollingerBands', this.config.bbPeriod, this.config.bbDeviation),
+      atr: stream.get('atr', this.config.atrPeriod),
       ema: {
-        fast: this.indicators.ema(closes, 9),
-        slow: this.indicators.ema(closes, 21)
+        fast: stream.get('ema', 9),
+        slow: stream.get('ema', 21)
       },
-      stochastic: this.indicators.stochastic(highs, lows, closes, 14, 3, 3),
-      williams: this.indicators.williamsR(highs, lows, closes, 14),
+      stochastic: stream.get('stochastic', 14, 3, 3),
+      williams: stream.get('williamsR', 14),
+      momentum: stream.get('momentum', 10),
       volumeProfile: this.indicators.volumeProfile(prices, volumes),
       support: this.indicators.supportResistance(highs, lows, closes),
-      momentum: this.indicators.momentum(closes, 10)
+      patterns: this.config.patternConfirmation
+        ? this.patterns.scan(prices, {
+          lookback: this.config.patternLookback,
+          minStrength: this.config.minPatternStrength
+        })
+        : []
     };
   }
 
+  // Live feeds end `prices` with the candle still forming; backtests and the
+  // bar that just closed end it with a closed one
+  getClosedBars(marketData) {
+    const { prices, closedBar } = marketData;
+    const last = prices[prices.length - 1];
+    const forming = marketData.barClosed !== undefined && last?.timestamp !== closedBar?.timestamp;
+    return forming ? prices.slice(0, -1) : prices;
+  }
+
+  getRequiredTimeframes() {
+    return this.config.trendTimeframe ? [this.config.trendTimeframe] : [];
+  }
+
+  // 'up', 'down', or null when there is no higher-timeframe filter or data
+  getHigherTimeframeTrend(marketData) {
+    const candles = this.config.trendTimeframe && marketData.timeframes?.[this.config.trendTimeframe];
+    if (!candles || candles.length < this.config.trendEmaPeriod) {
+      return null;
+    }
+
+    const closes = candles.map(c => c.close);
+    const ema = this.indicators.ema(closes, this.config.trendEmaPeriod);
+    return closes[closes.length - 1] > ema[ema.length - 1] ? 'up' : 'down';
+  }
+
   generateSignal(indicators, marketData) {
     const { close, spread, volume } = marketData;
-    const currentRSI = indicators.rsi[indicators.rsi.length - 1];
-    const currentMACD = indicators.macd.histogram[indicators.macd.histogram.length - 1];
-    const currentBB = indicators.bb[indicators.bb.length - 1];
-    const currentATR = indicators.atr[indicators.atr.length - 1];
-    const fastEMA = indicators.ema.fast[indicators.ema.fast.length - 1];
-    const slowEMA = indicators.ema.slow[indicators.ema.slow.length - 1];
-    const stoch = indicators.stochastic;
-    const currentStochK = stoch.k[stoch.k.length - 1];
-    const currentStochD = stoch.d[stoch.d.length - 1];
+    const { rsi: currentRSI, bb: currentBB, atr: currentATR, stochastic } = indicators;
+
+    // Not enough closed bars yet
+    if (currentRSI === null || !indicators.macd || !currentBB || currentATR === null || !stochastic || stochastic.d === null) {
+      return null;
+    }
+
+    const currentMACD = indicators.macd.histogram;
+    const fastEMA = indicators.ema.fast;
+    const slowEMA = indicators.ema.slow;
+    const currentStochK = stochastic.k;
+    const currentStochD = stochastic.d;
 
     // Scalping conditions
     const conditions = {
@@ -135,7 +183,17 @@ export class ScalpingStrategy extends BaseStrategy {
       highVolume: volume > indicators.volumeProfile.avgVolume * this.config.volumeThreshold,
       
       // Spread conditions
-      lowSpread: spread <= this.config.maxSpread
+      lowSpread: spread <= this.config.maxSpread,
+
+      // Higher-timeframe trend, when configured
+      higherUptrend: !this.config.trendTimeframe || indicators.higherTrend === 'up',
+      higherDowntrend: !this.config.trendTimeframe || indicators.higherTrend === 'down',
+
+      // Candlestick confirmation, when enabled
+      bullishPattern: !this.config.patternConfirmation ||
+        indicators.patterns.some(p => p.direction === 'bullish'),
+      bearishPattern: !this.config.patternConfirmation ||
+        indicators.patterns.some(p => p.direction === 'bearish')
     };
 
     // Long signal conditions
@@ -144,6 +202,8 @@ export class ScalpingStrategy extends BaseStrategy {
         conditions.nearLowerBB && 
         conditions.highVolume && 
         conditions.lowSpread &&
+        conditions.bullishPattern &&
+        conditions.higherUptrend &&
         currentStochK > currentStochD) {
       
       return this.createSignal('BUY', close, currentATR, marketData);
@@ -155,6 +215,8 @@ export class ScalpingStrategy extends BaseStrategy {
         conditions.nearUpperBB && 
         conditions.highVolume && 
         conditions.lowSpread &&
+        conditions.bearishPattern &&
+        conditions.higherDowntrend &&
         currentStochK < currentStochD) {
       
       return this.createSignal('SELL', close, currentATR, marketData);
@@ -164,18 +226,20 @@ export class ScalpingStrategy extends BaseStrategy {
   }
 
   createSignal(direction, price, atr, marketData) {
+    const pipSize = this.getPipSize(marketData);
     const stopLoss = direction === 'BUY' 
-      ? price - (this.config.maxLossPips * marketData.pipValue)
-      : price + (this.config.maxLossPips * marketData.pipValue);
+      ? price - (this.config.maxLossPips * pipSize)
+      : price + (this.config.maxLossPips * pipSize);
 
     const takeProfit = direction === 'BUY'
-      ? price + (this.config.minProfitPips * marketData.pipValue)
-      : price - (this.config.minProfitPips * marketData.pipValue);
+      ? price + (this.config.minProfitPips * pipSize)
+      : price - (this.config.minProfitPips * pipSize);
 
     const lotSize = this.riskManager.calculateLotSize(
       price, 
-      stopLoss, 
-      this.config.riskPerTrade
+      stopLoss,
+      this.config.riskPerTrade,
+      marketData.symbol
     );
 
     return {
@@ -223,11 +287,12 @@ export class ScalpingStrategy extends BaseStrategy {
   }
 
   shouldExit(position, currentPrice, indicators) {
-    const currentRSI = indicators.rsi[indicators.rsi.length - 1];
+    const currentRSI = indicators.rsi;
+    const rsiReady = currentRSI !== null;
     
     // Exit conditions for long positions
     if (position.direction === 'BUY') {
-      if (currentRSI > this.config.rsiOverbought || 
+      if ((rsiReady && currentRSI > this.config.rsiOverbought) || 
           currentPrice <= position.stopLoss ||
           currentPrice >= position.takeProfit) {
         return {
@@ -240,7 +305,7 @@ export class ScalpingStrategy extends BaseStrategy {
     
     // Exit conditions for short positions
     if (position.direction === 'SELL') {
-      if (currentRSI < this.config.rsiOversold || 
+      if ((rsiReady && currentRSI < this.config.rsiOversold) || 
           currentPrice >= position.stopLoss ||
           currentPrice <= position.takeProfit) {
         return {
@@ -258,7 +323,7 @@ export class ScalpingStrategy extends BaseStrategy {
     const position = this.positions.get(positionId);
     if (!position) return;
 
-    const profit = this.calculateProfit(position, exitSignal.price);
+    const profit = this.calculatePositionPnL(position, exitSignal.price);
     
     // Update performance metrics
     this.updatePerformance(profit, exitSignal.reason);
@@ -275,14 +340,6 @@ export class ScalpingStrategy extends BaseStrategy {
     };
   }
 
-  calculateProfit(position, exitPrice) {
-    if (position.direction === 'BUY') {
-      return (exitPrice - position.entryPrice) * position.lotSize;
-    } else {
-      return (position.entryPrice - exitPrice) * position.lotSize;
-    }
-  }
-
   updatePerformance(profit, reason) {
     this.performance.totalTrades++;
     this.performance.totalProfit += profit;
@@ -0,0 +1,376 @@
+import { BaseStrategy } from './base';
+import { TechnicalIndicators } from '../indicators';
+import { RiskManager } from '../risk-management';
+
+export class TrendFollowingStrategy extends BaseStrategy {
+  constructor(config = {}) {
+    super(config);
+
+    this.config = {
+      timeframe: '1h',
+      fastEmaPeriod: 20,
+      slowEmaPeriod: 50,
+      trendEmaPeriod: 200,
+      macdFast: 12,
+      macdSlow: 26,
+      macdSignal: 9,
+      atrPeriod: 14,
+      stopLossAtrMultiplier: 2, // Initial stop distance in ATRs
+      trailingAtrMultiplier: 3, // Trailing stop distance in ATRs
+      riskRewardRatio: 2,
+      trailingStop: true,
+      exitOnCrossover: true, // Close on the opposite EMA crossover
+      // Pyramiding
+      pyramiding: true,
+      maxPyramidLevels: 3, // Total entries including the initial one
+      pyramidSpacingAtr: 1, // Favourable move in ATRs required before adding
+      pyramidSizeScale: 0.5, // Each add is this fraction of the previous size
+      // Filters
+      useTrendFilter: true, // Longs only above the trend EMA, shorts only below
+      useMacdFilter: true, // Require the MACD histogram to agree with the cross
+      minAtrPips: 0, // Skip dead markets
+      maxSpreadPips: 3,
+      maxPositions: 3,
+      riskPerTrade: 0.02,
+      ...config
+    };
+
+    this.indicators = new TechnicalIndicators();
+    this.riskManager = new RiskManager({
+      ...this.config,
+      volatilityMultiplier: this.config.trailingAtrMultiplier
+    });
+  }
+
+  async analyze(marketData) {
+    const { prices, timestamp } = marketData;
+
+    if (!this.validateMarketConditions(marketData)) {
+      return null;
+    }
+
+    // Calculate technical indicators
+    const indicators = await this.calculateIndicators(prices);
+
+    // Manage open positions first so exits take priority over new entries
+    const exitSignal = this.checkExitSignals(indicators, marketData);
+    if (exitSignal) {
+      return exitSignal;
+    }
+
+    // Generate trading signals
+    const signal = this.generateSignal(indicators, marketData);
+
+    if (signal) {
+      // Apply risk management
+      const validatedSignal = this.riskManager.validateSignal(signal, this.positions);
+
+      if (validatedSignal) {
+        this.recordEntry(validatedSignal, timestamp);
+        this.signals.push({
+          ...validatedSignal,
+          timestamp,
+          indicators: this.summarizeIndicators(indicators)
+        });
+
+        return validatedSignal;
+      }
+    }
+
+    return null;
+  }
+
+  async calculateIndicators(prices) {
+    const closes = prices.map(p => p.close);
+    const highs = prices.map(p => p.high);
+    const lows = prices.map(p => p.low);
+
+    return {
+      ema: {
+        fast: this.indicators.ema(closes, this.config.fastEmaPeriod),
+        slow: this.indicators.ema(closes, this.config.slowEmaPeriod),
+        trend: this.indicators.ema(closes, this.config.trendEmaPeriod)
+      },
+      macd: this.indicators.macd(closes, this.config.macdFast, this.config.macdSlow, this.config.macdSignal),
+      atr: this.indicators.atr(highs, lows, closes, this.config.atrPeriod)
+    };
+  }
+
+  generateSignal(indicators, marketData) {
+    const { close } = marketData;
+    const { fast, slow, trend } = indicators.ema;
+    const currentFast = fast[fast.length - 1];
+    const currentSlow = slow[slow.length - 1];
+    const prevFast = fast[fast.length - 2];
+    const prevSlow = slow[slow.length - 2];
+    const currentTrend = trend[trend.length - 1];
+    const currentMACD = indicators.macd.histogram[indicators.macd.histogram.length - 1];
+    const currentATR = indicators.atr[indicators.atr.length - 1];
+    const pipSize = this.getPipSize(marketData);
+
+    if (!currentATR || currentATR < this.config.minAtrPips * pipSize) {
+      return null;
+    }
+
+    // Add to an existing trend before looking for a fresh crossover
+    const pyramidSignal = this.checkPyramiding(close, currentATR, indicators, marketData);
+    if (pyramidSignal) {
+      return pyramidSignal;
+    }
+
+    if (this.positions.size > 0) {
+      return null;
+    }
+
+    const conditions = {
+      bullishCross: prevFast <= prevSlow && currentFast > currentSlow,
+      bearishCross: prevFast >= prevSlow && currentFast < currentSlow,
+      aboveTrend: !this.config.useTrendFilter || close > currentTrend,
+      belowTrend: !this.config.useTrendFilter || close < currentTrend,
+      bullishMomentum: !this.config.useMacdFilter || currentMACD > 0,
+      bearishMomentum: !this.config.useMacdFilter || currentMACD < 0
+    };
+
+    if (conditions.bullishCross && conditions.aboveTrend && conditions.bullishMomentum) {
+      return this.createSignal('BUY', close, currentATR, marketData, indicators);
+    }
+
+    if (conditions.bearishCross && conditions.belowTrend && conditions.bearishMomentum) {
+      return this.createSignal('SELL', close, currentATR, marketData, indicators);
+    }
+
+    return null;
+  }
+
+  checkPyramiding(close, atr, indicators, marketData) {
+    if (!this.config.pyramiding || this.positions.size === 0) {
+      return null;
+    }
+
+    if (this.positions.size >= this.config.maxPyramidLevels) {
+      return null;
+    }
+
+    const positions = this.getAllPositions();
+    const direction = positions[0].direction;
+    const lastEntry = positions[positions.length - 1];
+    const favourableMove = direction === 'BUY'
+      ? close - lastEntry.entryPrice
+      : lastEntry.entryPrice - close;
+
+    // Only add while the trend that opened the position is still intact
+    const { fast, slow } = indicators.ema;
+    const trendIntact = direction === 'BUY'
+      ? fast[fast.length - 1] > slow[slow.length - 1]
+      : fast[fast.length - 1] < slow[slow.length - 1];
+
+    if (!trendIntact || favourableMove < this.config.pyramidSpacingAtr * atr) {
+      return null;
+    }
+
+    const signal = this.createSignal(direction, close, atr, marketData, indicators);
+    signal.lotSize = lastEntry.lotSize * this.config.pyramidSizeScale;
+    signal.pyramid = true;
+    signal.metadata.pyramidLevel = this.positions.size;
+
+    return signal;
+  }
+
+  createSignal(direction, price, atr, marketData, indicators) {
+    const stopDistance = atr * this.config.stopLossAtrMultiplier;
+
+    const stopLoss = direction === 'BUY'
+      ? price - stopDistance
+      : price + stopDistance;
+
+    const takeProfit = direction === 'BUY'
+      ? price + (stopDistance * this.config.riskRewardRatio)
+      : price - (stopDistance * this.config.riskRewardRatio);
+
+    const lotSize = this.riskManager.calculateLotSize(
+      price,
+      stopLoss,
+      this.config.riskPerTrade,
+      marketData.symbol
+    );
+
+    return {
+      strategy: 'trend_following',
+      direction,
+      symbol: marketData.symbol,
+      entryPrice: price,
+      stopLoss,
+      takeProfit,
+      lotSize,
+      confidence: this.calculateConfidence(direction, price, indicators),
+      timestamp: new Date().toISOString(),
+      metadata: {
+        atr: atr,
+        spread: marketData.spread,
+        volume: marketData.volume,
+        timeframe: this.config.timeframe,
+        pyramidLevel: 0,
+        positionId: `tf_${Date.now()}_${this.positions.size}`
+      }
+    };
+  }
+
+  calculateConfidence(direction, price, indicators) {
+    let confidence = 0.5; // Base confidence
+
+    const trend = indicators.ema.trend[indicators.ema.trend.length - 1];
+    const histogram = indicators.macd.histogram;
+    const currentMACD = histogram[histogram.length - 1];
+    const prevMACD = histogram[histogram.length - 2];
+
+    // Trade in the direction of the long-term trend
+    if ((direction === 'BUY' && price > trend) || (direction === 'SELL' && price < trend)) {
+      confidence += 0.15;
+    }
+
+    // Momentum expanding in the trade direction
+    if ((direction === 'BUY' && currentMACD > prevMACD) || (direction === 'SELL' && currentMACD < prevMACD)) {
+      confidence += 0.1;
+    }
+
+    return Math.min(Math.max(confidence, 0), 1);
+  }
+
+  recordEntry(signal, timestamp) {
+    const positionId = signal.metadata.positionId;
+    this.addPosition(positionId, {
+      id: positionId,
+      symbol: signal.symbol,
+      direction: signal.direction,
+      entryPrice: signal.entryPrice,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfit,
+      lotSize: signal.lotSize,
+      pyramidLevel: signal.metadata.pyramidLevel,
+      status: 'open',
+      entryTime: timestamp
+    });
+  }
+
+  // A refused entry or pyramid add was never on. Drop it, or the next add
+  // would be spaced and sized from it.
+  onOrderRejected(signal) {
+    this.forgetEntry(signal);
+  }
+
+  checkExitSignals(indicators, marketData) {
+    if (this.positions.size === 0) {
+      return null;
+    }
+
+    const { close, timestamp } = marketData;
+    const currentATR = indicators.atr[indicators.atr.length - 1];
+    const { fast, slow } = indicators.ema;
+    const direction = this.getAllPositions()[0].direction;
+
+    // Opposite crossover closes the whole pyramid
+    if (this.config.exitOnCrossover) {
+      const reversed = direction === 'BUY'
+        ? fast[fast.length - 1] < slow[slow.length - 1]
+        : fast[fast.length - 1] > slow[slow.length - 1];
+
+      if (reversed) {
+        return this.createExitSignal(this.getAllPositions(), close, 'trend_reversal', timestamp);
+      }
+    }
+
+    for (const [positionId, position] of this.positions) {
+      const stopHit = position.direction === 'BUY'
+        ? close <= position.stopLoss
+        : close >= position.stopLoss;
+      const targetHit = position.takeProfit && (position.direction === 'BUY'
+        ? close >= position.takeProfit
+        : close <= position.takeProfit);
+
+      if (stopHit || targetHit) {
+        return this.createExitSignal([position], close, stopHit ? 'stop_loss' : 'take_profit', timestamp);
+      }
+
+      if (this.config.trailingStop && currentATR) {
+        const stopLoss = this.riskManager.calculateTrailingStop(position, close, currentATR);
+        this.updatePosition(positionId, { stopLoss });
+      }
+    }
+
+    return null;
+  }
+
+  createExitSignal(positions, exitPrice, reason, timestamp) {
+    let profit = 0;
+    let lotSize = 0;
+
+    positions.forEach(position => {
+      const positionProfit = this.calculatePositionPnL(position, exitPrice);
+      profit += positionProfit;
+      lotSize += position.lotSize;
+
+      this.removePosition(position.id);
+      this.updatePerformanceMetrics({
+        positionId: position.id,
+        profit: positionProfit,
+        reason,
+        closeTime: timestamp
+      });
+    });
+
+    return {
+      strategy: 'trend_following',
+      direction: positions[0].direction === 'BUY' ? 'SELL' : 'BUY',
+      symbol: positions[0].symbol,
+      exitPrice,
+      lotSize,
+      profit,
+      reason,
+      timestamp,
+      metadata: {
+        positionIds: positions.map(p => p.id),
+        pyramidLevels: positions.length
+      }
+    };
+  }
+
+  summarizeIndicators(indicators) {
+    const last = (series) => series[series.length - 1];
+
+    return {
+      fastEma: last(indicators.ema.fast),
+      slowEma: last(indicators.ema.slow),
+      trendEma: last(indicators.ema.trend),
+      macdHistogram: last(indicators.macd.histogram),
+      atr: last(indicators.atr)
+    };
+  }
+
+  validateMarketConditions(marketData) {
+    const { prices, spread } = marketData;
+    const requiredBars = Math.max(this.config.slowEmaPeriod, this.config.trendEmaPeriod, this.config.macdSlow) + 1;
+
+    if (!prices || prices.length < requiredBars) {
+      return false;
+    }
+
+    if (spread && spread > this.config.maxSpreadPips * this.getPipSize(marketData)) {
+      return false;
+    }
+
+    return marketData.symbol && marketData.close > 0;
+  }
+
+  getMetrics() {
+    const baseMetrics = super.getMetrics();
+    const positions = this.getAllPositions();
+
+    return {
+      ...baseMetrics,
+      strategy: 'trend_following',
+      pyramidLevels: positions.length,
+      currentDirection: positions[0]?.direction || null,
+      trailingStops: positions.map(p => p.stopLoss)
+    };
+  }
+}
@@ -0,0 +1,189 @@
+// Candle resampling between timeframes, with FX session alignment.
+//
+// By default 4h and daily candles follow the New York close: the trading day
+// starts at 17:00 New York time (21:00 or 22:00 UTC depending on DST), so the
+// Sunday open belongs to Monday's candle and there is no stub Sunday bar.
+// With sessionZone 'utc' candles align to midnight UTC instead, and Sunday
+// bars are folded into Monday's daily candle unless sundayCandles is 'keep'.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const TIMEFRAME_MS = {
+  '1m': MINUTE,
+  '5m': 5 * MINUTE,
+  '15m': 15 * MINUTE,
+  '30m': 30 * MINUTE,
+  '1h': HOUR,
+  '4h': 4 * HOUR,
+  '1d': DAY
+};
+
+export function getTimeframeMs(timeframe) {
+  const ms = TIMEFRAME_MS[timeframe];
+  if (!ms) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+  return ms;
+}
+
+// Day of month of the nth Sunday, month being 0-based
+function nthSunday(year, month, n) {
+  const firstDay = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((7 - firstDay) % 7) + (n - 1) * 7;
+}
+
+// UTC offset of New York: DST runs from 2:00 on the second Sunday of March
+// to 2:00 on the first Sunday of November
+export function getNewYorkOffsetMs(time) {
+  const year = new Date(time).getUTCFullYear();
+  const dstStart = Date.UTC(year, 2, nthSunday(year, 2, 2), 7);
+  const dstEnd = Date.UTC(year, 10, nthSunday(year, 10, 1), 6);
+
+  return (time >= dstStart && time < dstEnd ? -4 : -5) * HOUR;
+}
+
+// FX trades from Sunday 17:00 to Friday 17:00 New York time
+export function isFxMarketOpen(time) {
+  const local = new Date(time + getNewYorkOffsetMs(time));
+  const day = local.getUTCDay();
+  const hour = local.getUTCHours();
+
+  if (day === 6) return false;
+  if (day === 5 && hour >= 17) return false;
+  if (day === 0 && hour < 17) return false;
+  return true;
+}
+
+export class Resampler {
+  constructor(config = {}) {
+    const sessionZone = config.sessionZone || 'new_york';
+
+    this.config = {
+      sessionZone, // 'new_york' or 'utc'
+      dayStartHour: sessionZone === 'utc' ? 0 : 17, // Local hour the trading day starts
+      sundayCandles: 'merge', // 'merge' or 'keep', utc zone only
+      maxBars: 1000, // Candles kept per series by update()
+      ...config
+    };
+  }
+
+  // Open time of the candle that `time` falls into
+  getBucketStart(time, timeframe) {
+    const size = getTimeframeMs(timeframe);
+    const zoneOffset = this.config.sessionZone === 'new_york' ? getNewYorkOffsetMs(time) : 0;
+    const shift = zoneOffset - this.config.dayStartHour * HOUR;
+
+    let start = Math.floor((time + shift) / size) * size - shift;
+
+    if (timeframe === '1d' && this.config.sessionZone === 'utc' &&
+      this.config.sundayCandles === 'merge' && new Date(start).getUTCDay() === 0) {
+      start += DAY;
+    }
+
+    return start;
+  }
+
+  // Normalise a candle or a tick into an OHLCV bar
+  toBar(input) {
+    const time = new Date(input.timestamp || Date.now()).getTime();
+    if (!Number.isFinite(time)) return null;
+
+    if (input.open !== undefined && input.close !== undefined) {
+      return {
+        time,
+        open: input.open,
+        high: input.high,
+        low: input.low,
+        close: input.close,
+        volume: input.volume || 0,
+        spread: input.spread
+      };
+    }
+
+    const price = Number.isFinite(input.price) ? input.price : input.bid;
+    if (!Number.isFinite(price)) return null;
+
+    return {
+      time,
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      volume: input.volume || 0,
+      spread: input.spread
+    };
+  }
+
+  // Fold one lower-timeframe candle or tick into `series` in place. Returns
+  // the candle it went into and the candle it closed, if it started a new one.
+  update(series, input, timeframe, { symbol = input.symbol, maxBars = this.config.maxBars } = {}) {
+    const bar = this.toBar(input);
+    if (!bar) return null;
+
+    const start = this.getBucketStart(bar.time, timeframe);
+    const last = series[series.length - 1];
+    const lastStart = last ? new Date(last.timestamp).getTime() : null;
+
+    if (last && start < lastStart) {
+      // Out-of-order data can't be merged into a candle that has closed
+      return null;
+    }
+
+    if (last && start === lastStart) {
+      last.high = Math.max(last.high, bar.high);
+      last.low = Math.min(last.low, bar.low);
+      last.close = bar.close;
+      last.volume += bar.volume;
+      if (bar.spread !== undefined) last.spread = bar.spread;
+      return { candle: last, closed: null };
+    }
+
+    const candle = {
+      symbol,
+      timeframe,
+      timestamp: new Date(start).toISOString(),
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume,
+      spread: bar.spread || 0
+    };
+
+    series.push(candle);
+    if (series.length > maxBars) {
+      series.splice(0, series.length - maxBars);
+    }
+
+    return { candle, closed: last || null };
+  }
+
+  // Build `timeframe` candles from lower-timeframe candles or ticks, oldest first
+  resample(inputs, timeframe, symbol = inputs[0]?.symbol) {
+    const series = [];
+    const sorted = [...inputs].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    sorted.forEach(input => this.update(series, input, timeframe, { symbol, maxBars: Infinity }));
+    return series;
+  }
+
+  // Map of timeframe to candles, e.g. for marketData.timeframes
+  buildTimeframes(inputs, timeframes, symbol = inputs[0]?.symbol) {
+    return Object.fromEntries(
+      timeframes.map(timeframe => [timeframe, this.resample(inputs, timeframe, symbol)])
+    );
+  }
+
+  // True if `target` candles can be built from `source` candles
+  canResample(source, target) {
+    const sourceMs = getTimeframeMs(source);
+    const targetMs = getTimeframeMs(target);
+    return targetMs >= sourceMs && targetMs % sourceMs === 0;
+  }
+}
+
+export const resampler = new Resampler();
+
+export default resampler;
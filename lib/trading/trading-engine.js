@@ -1,14 +1,24 @@
 import { marketDataService } from './market-data';
 import { brokerIntegration } from './broker-integration';
-import { ScalpingStrategy, DCAStrategy, GridStrategy } from './strategies';
-import { RiskManager } from './risk-management';
+import { strategyRegistry } from './strategies';
+import { portfolioRiskManager } from './risk-management/portfolio';
+import { correlationMatrix } from './risk-management/correlations';
+import { valueAtRisk } from './risk-management/var';
+import { candleAggregator } from './candle-aggregator';
+import { TIMEFRAME_MS } from './timeframes';
+import { instrumentRegistry } from './instruments';
+import { pnlCalculator } from './pnl';
+import { notificationService } from '../notifications/notification-service';
+
+// Remote broker balances are refetched at most this often; paper accounts
+// are read on every signal
+const ACCOUNT_SYNC_MS = 30000;
 
 class TradingEngine {
   constructor() {
     this.activeBots = new Map();
     this.marketDataStreams = new Map();
     this.brokerConnections = new Map();
-    this.riskManager = new RiskManager();
     this.isRunning = false;
     this.performance = {
       totalTrades: 0,
@@ -22,6 +32,16 @@ class TradingEngine {
       currentDrawdown: 0,
       sharpeRatio: 0
     };
+
+    // Data-quality events pause bots and alert their owners
+    marketDataService.quality.on('stale', (issue) => this.handleStaleData(issue));
+    marketDataService.quality.on('recovered', ({ symbol }) => this.handleDataRecovered(symbol));
+    marketDataService.quality.on('alert', (issue) => this.handleDataAlert(issue));
+
+    // Fills and stop-outs from broker transaction streams
+    brokerIntegration.on('events', ({ events }) => {
+      this.routeBrokerEvents(events).catch(error => console.error('Failed to route broker events:', error));
+    });
   }
 
   async initializeBot(botConfig) {
@@ -45,14 +65,42 @@ class TradingEngine {
         config.isDemo || true
       );
 
+      // P&L is reported in the currency the broker account is held in
+      const accountCurrency = pnlCalculator.getAccountCurrency(brokerConnection);
+
       // Initialize strategy
-      const strategyInstance = this.createStrategy(strategy, config);
+      const strategyInstance = this.createStrategy(strategy, { accountCurrency, ...config });
       
-      // Connect to market data stream
-      const marketDataStream = await marketDataService.connectToStream(
-        symbol,
-        (data) => this.handleMarketDataUpdate(id, data)
-      );
+      // Candles for the bot's own timeframe plus any the strategy asks for
+      const timeframe = config.timeframe || strategyInstance.config.timeframe || '1m';
+      const timeframes = strategyInstance.getRequiredTimeframes().filter(tf => TIMEFRAME_MS[tf]);
+
+      // Multi-symbol strategies such as arbitrage need every leg streamed
+      const symbols = [symbol, ...strategyInstance.getRequiredSymbols()]
+        .filter((item, index, list) => list.indexOf(item) === index);
+
+      const subscriptions = [];
+      for (const streamSymbol of symbols) {
+        subscriptions.push(await candleAggregator.subscribe(streamSymbol, {
+          timeframe,
+          timeframes,
+          onTick: (data) => this.handleMarketDataUpdate(id, data)
+        }));
+      }
+
+      // Stream the cross rates that convert each symbol's P&L
+      const releaseRates = pnlCalculator.watch(symbols, accountCurrency);
+
+      // Risk limits apply to the user's whole account, across all their bots
+      const positions = new Map();
+      const accountRisk = portfolioRiskManager.getAccount(userId, { accountCurrency, ...riskConfig });
+      accountRisk.addBot(id, positions);
+      accountRisk.link(strategyInstance.riskManager);
+      accountRisk.syncAccount(brokerConnection);
+      brokerConnection.accountSyncedAt = Date.now();
+
+      // Correlations are refreshed from stored history while any bot runs
+      correlationMatrix.start();
 
       // Create bot instance
       const bot = {
@@ -61,10 +109,16 @@ class TradingEngine {
         name,
         strategy: strategyInstance,
         symbol,
+        symbols,
+        timeframe,
+        timeframes,
         brokerConnection,
-        marketDataStream,
+        accountCurrency,
+        subscriptions,
+        releaseRates,
         config,
         riskConfig,
+        accountRisk,
         status: 'initialized',
         performance: {
           totalTrades: 0,
@@ -78,7 +132,7 @@ class TradingEngine {
           currentDrawdown: 0,
           sharpeRatio: 0
         },
-        positions: new Map(),
+        positions,
         orders: new Map(),
         signals: [],
         lastUpdate: new Date().toISOString()
@@ -86,7 +140,7 @@ class TradingEngine {
 
       this.activeBots.set(id, bot);
       this.brokerConnections.set(id, brokerConnection);
-      this.marketDataStreams.set(id, marketDataStream);
+      this.marketDataStreams.set(id, subscriptions);
 
       console.log(`Bot ${name} initialized successfully`);
       return bot;
@@ -98,16 +152,7 @@ class TradingEngine {
   }
 
   createStrategy(strategyType, config) {
-    switch (strategyType) {
-      case 'scalping':
-        return new ScalpingStrategy(config);
-      case 'dca':
-        return new DCAStrategy(config);
-      case 'grid':
-        return new GridStrategy(config);
-      default:
-        throw new Error(`Unknown strategy type: ${strategyType}`);
-    }
+    return strategyRegistry.create(strategyType, config);
   }
 
   async startBot(botId) {
@@ -120,6 +165,7 @@ class TradingEngine {
       // Start the strategy
       bot.strategy.start();
       bot.status = 'running';
+      bot.pauseReason = null;
       bot.lastUpdate = new Date().toISOString();
 
       console.log(`Bot ${bot.name} started`);
@@ -142,6 +188,7 @@ class TradingEngine {
       // Stop the strategy
       bot.strategy.stop();
       bot.status = 'stopped';
+      bot.pauseReason = null;
       bot.lastUpdate = new Date().toISOString();
 
       console.log(`Bot ${bot.name} stopped`);
@@ -155,7 +202,20 @@ class TradingEngine {
 
   async handleMarketDataUpdate(botId, marketData) {
     const bot = this.activeBots.get(botId);
-    if (!bot || bot.status !== 'running') {
+    if (!bot) {
+      return;
+    }
+
+    pnlCalculator.updateRate(marketData.symbol, marketData);
+
+    // Keep broker-side prices current even while paused, so paper stops and
+    // pending orders still trigger
+    const brokerEvents = brokerIntegration.handlePriceUpdate(bot.brokerConnection, marketData);
+    if (brokerEvents && brokerEvents.length > 0) {
+      await this.routeBrokerEvents(brokerEvents);
+    }
+
+    if (bot.status !== 'running') {
       return;
     }
 
@@ -167,15 +227,34 @@ class TradingEngine {
       // Analyze market data with strategy
       const signal = await bot.strategy.analyze(marketData);
       
-      if (signal) {
-        // Apply risk management
-        const validatedSignal = this.riskManager.validateSignal(signal, bot.positions, bot.riskConfig);
+      if (signal && signal.legs) {
+        // Multi-leg signals are all-or-nothing and risk-checked as one trade
+        await this.executeMultiLegSignal(bot, signal);
+      } else if (signal && (signal.orderType === 'close' || signal.exitPrice !== undefined)) {
+        // The strategy has already booked the exit; flatten it at the broker
+        await this.executeExitSignal(bot, signal);
+      } else if (signal && signal.action) {
+        // Order management (cancellations, grid rebalances) bypasses risk checks
+        await this.handleStrategyAction(bot, signal);
+      } else if (signal) {
+        // Apply account-wide risk management, with the daily history VaR
+        // needs for every symbol in the account
+        await this.syncAccount(bot);
+        await valueAtRisk.loadHistory([
+          signal.symbol || bot.symbol,
+          ...Array.from(bot.accountRisk.getOpenPositions().values(), position => position.symbol)
+        ]);
+        const validatedSignal = bot.accountRisk.validateSignal(signal);
         
         if (validatedSignal) {
           await this.executeSignal(bot, validatedSignal);
+        } else {
+          bot.strategy.onOrderRejected(signal, 'risk_limits');
         }
       }
 
+      await this.syncStopLevels(bot);
+
       // Update performance metrics
       this.updateBotPerformance(bot);
 
@@ -185,44 +264,101 @@ class TradingEngine {
     }
   }
 
+  // Refresh the broker's balance, equity and margin into the account risk manager
+  async syncAccount(bot) {
+    const connection = bot.brokerConnection;
+    const stale = Date.now() - (connection.accountSyncedAt || 0) >= ACCOUNT_SYNC_MS;
+
+    if (connection.paperAccount || stale) {
+      try {
+        await brokerIntegration.getAccountInfo(connection);
+        connection.accountSyncedAt = Date.now();
+      } catch (error) {
+        console.error(`Failed to refresh account for ${bot.name}:`, error);
+      }
+    }
+
+    bot.accountRisk.syncAccount(connection);
+  }
+
   async executeSignal(bot, signal) {
     try {
-      const { direction, price, lotSize, stopLoss, takeProfit, confidence } = signal;
+      const { direction, lotSize, stopLoss, takeProfit, confidence } = signal;
+      const price = signal.entryPrice ?? signal.price;
+      const orderType = signal.entryType || 'MARKET';
       
-      // Calculate position size based on risk management
-      const positionSize = this.riskManager.calculatePositionSize(
-        bot.brokerConnection.accountInfo.balance,
-        lotSize,
-        bot.riskConfig
-      );
+      // Round size and prices to the instrument's lot step and digits
+      const { valid, errors, order: normalized } = instrumentRegistry.validateOrder(bot.symbol, {
+        direction,
+        units: lotSize,
+        price,
+        stopLoss,
+        takeProfit
+      });
+
+      if (!valid) {
+        console.warn(`Order rejected for ${bot.name}: ${errors.join('; ')}`);
+        bot.strategy.onOrderRejected(signal, errors.join('; '));
+        return null;
+      }
+
+      const positionSize = normalized.units;
 
       // Prepare order parameters
       const orderParams = {
         symbol: bot.symbol,
         side: direction,
         units: positionSize,
-        type: 'MARKET',
-        price: price,
-        stopLoss: stopLoss,
-        takeProfit: takeProfit
+        type: orderType,
+        price: normalized.price,
+        stopLoss: normalized.stopLoss,
+        takeProfit: normalized.takeProfit
       };
 
       // Place order with broker
-      const orderResult = await brokerIntegration.placeOrder(
-        bot.brokerConnection,
-        orderParams
-      );
+      let orderResult;
+      try {
+        orderResult = await brokerIntegration.placeOrder(bot.brokerConnection, orderParams);
+      } catch (error) {
+        bot.strategy.onOrderRejected(signal, error.message);
+        throw error;
+      }
+
+      // Stop and limit entries become positions once the broker fills them
+      if (orderType !== 'MARKET') {
+        const order = {
+          id: orderResult.orderID || `order_${Date.now()}`,
+          botId: bot.id,
+          symbol: bot.symbol,
+          direction: direction,
+          type: orderType,
+          lotSize: positionSize,
+          price: normalized.price,
+          stopLoss: normalized.stopLoss,
+          takeProfit: normalized.takeProfit,
+          status: 'pending',
+          createdAt: new Date().toISOString(),
+          confidence: confidence,
+          signal: signal
+        };
+
+        bot.orders.set(order.id, order);
+        console.log(`Placed ${orderType} ${direction} order for ${bot.name}: ${instrumentRegistry.unitsToLots(bot.symbol, positionSize)} lots at ${normalized.price}`);
+
+        return order;
+      }
 
       // Record the trade
       const trade = {
         id: orderResult.orderID || `trade_${Date.now()}`,
+        brokerPositionId: orderResult.positionID ?? orderResult.position?.id,
         botId: bot.id,
         symbol: bot.symbol,
         direction: direction,
         lotSize: positionSize,
-        entryPrice: price,
-        stopLoss: stopLoss,
-        takeProfit: takeProfit,
+        entryPrice: normalized.price,
+        stopLoss: normalized.stopLoss,
+        takeProfit: normalized.takeProfit,
         status: 'open',
         openTime: new Date().toISOString(),
         confidence: confidence,
@@ -235,7 +371,7 @@ class TradingEngine {
       // Store trade in database
       await this.storeTrade(trade);
 
-      console.log(`Executed ${direction} order for ${bot.name}: ${positionSize} lots at ${price}`);
+      console.log(`Executed ${direction} order for ${bot.name}: ${instrumentRegistry.unitsToLots(bot.symbol, positionSize)} lots at ${normalized.price}`);
 
       return trade;
 
@@ -245,6 +381,324 @@ class TradingEngine {
     }
   }
 
+  async executeMultiLegSignal(bot, signal) {
+    const groupId = signal.metadata?.groupId || `group_${Date.now()}`;
+
+    if (signal.legs.some(leg => leg.exitPrice !== undefined)) {
+      return this.closeLegGroup(bot, groupId, signal);
+    }
+
+    // Round every leg to its instrument's lot step before sizing risk on it
+    const legs = [];
+    for (const leg of signal.legs) {
+      const { valid, errors, order } = instrumentRegistry.validateOrder(leg.symbol, {
+        direction: leg.direction,
+        units: leg.lotSize,
+        price: leg.entryPrice
+      });
+
+      if (!valid) {
+        console.warn(`Multi-leg order rejected for ${bot.name}: ${errors.join('; ')}`);
+        bot.strategy.onOrderRejected(signal, errors.join('; '));
+        return null;
+      }
+
+      legs.push({ ...leg, lotSize: order.units, entryPrice: order.price });
+    }
+
+    // Margin, exposure, daily loss and VaR are checked for all legs together,
+    // before any of them is sent
+    await this.syncAccount(bot);
+    await valueAtRisk.loadHistory([
+      ...legs.map(leg => leg.symbol),
+      ...Array.from(bot.accountRisk.getOpenPositions().values(), position => position.symbol)
+    ]);
+    if (!bot.accountRisk.validateLegs({ ...signal, legs })) {
+      bot.strategy.onOrderRejected(signal, 'risk_limits');
+      return null;
+    }
+
+    const filled = [];
+
+    // Brokers cannot fill several instruments in one order, so legs go in
+    // sequence and any partial fill is unwound
+    for (const leg of legs) {
+      try {
+        const orderResult = await brokerIntegration.placeOrder(bot.brokerConnection, {
+          symbol: leg.symbol,
+          side: leg.direction,
+          units: leg.lotSize,
+          type: 'MARKET',
+          price: leg.entryPrice
+        });
+        filled.push({ leg, orderResult });
+      } catch (error) {
+        console.error(`Leg ${leg.direction} ${leg.symbol} failed for bot ${bot.name}, unwinding ${filled.length} legs:`, error);
+        await this.unwindLegs(bot, filled);
+        bot.strategy.onOrderRejected(signal, error.message);
+        return null;
+      }
+    }
+
+    const trades = [];
+    for (const { leg, orderResult } of filled) {
+      const trade = {
+        id: orderResult.orderID || `trade_${Date.now()}_${leg.symbol}`,
+        brokerPositionId: orderResult.positionID ?? orderResult.position?.id,
+        botId: bot.id,
+        groupId,
+        symbol: leg.symbol,
+        direction: leg.direction,
+        lotSize: leg.lotSize,
+        entryPrice: orderResult.position?.averagePrice ?? leg.entryPrice,
+        stopLoss: null,
+        takeProfit: null,
+        status: 'open',
+        openTime: new Date().toISOString(),
+        confidence: signal.confidence,
+        signal: signal
+      };
+
+      bot.positions.set(trade.id, trade);
+      bot.performance.totalTrades++;
+      await this.storeTrade(trade);
+      trades.push(trade);
+    }
+
+    // The strategy books the cycle only once every leg is on
+    bot.strategy.onOrderFilled(signal, {
+      legs: trades.map(({ symbol, direction, lotSize, entryPrice }) => ({ symbol, direction, lotSize, entryPrice })),
+      timestamp: trades[0]?.openTime
+    });
+
+    console.log(`Executed ${trades.length}-leg ${signal.strategy} signal for ${bot.name} (${groupId})`);
+    return trades;
+  }
+
+  async unwindLegs(bot, filled) {
+    for (const { leg, orderResult } of filled.reverse()) {
+      try {
+        await brokerIntegration.closePosition(bot.brokerConnection, {
+          positionId: orderResult.position?.id || orderResult.orderID,
+          symbol: leg.symbol,
+          side: leg.direction,
+          units: leg.lotSize,
+          price: leg.entryPrice
+        });
+      } catch (error) {
+        // A leg we cannot flatten leaves real exposure behind
+        console.error(`Failed to unwind ${leg.direction} ${leg.symbol} for bot ${bot.name}:`, error);
+        bot.status = 'error';
+      }
+    }
+  }
+
+  async closeLegGroup(bot, groupId, signal) {
+    const positions = Array.from(bot.positions.values()).filter(p => p.groupId === groupId);
+    const closed = [];
+
+    for (const position of positions) {
+      const leg = signal.legs.find(l => l.symbol === position.symbol) || {};
+
+      try {
+        await brokerIntegration.closePosition(bot.brokerConnection, {
+          positionId: position.id,
+          symbol: position.symbol,
+          side: position.direction,
+          units: position.lotSize,
+          price: leg.exitPrice
+        });
+        closed.push(await this.closePosition(bot, position.id, leg.exitPrice, signal.reason));
+      } catch (error) {
+        console.error(`Failed to close ${position.symbol} leg of ${groupId} for bot ${bot.name}:`, error);
+        bot.status = 'error';
+      }
+    }
+
+    return closed;
+  }
+
+  // Positions an exit signal refers to, by DCA deal or strategy position id.
+  // Exits that reference nothing close every position on the other side.
+  findExitPositions(bot, signal) {
+    const symbol = signal.symbol || bot.symbol;
+    const positions = Array.from(bot.positions.values()).filter(p => p.symbol === symbol);
+    const positionIds = signal.metadata?.positionIds ||
+      (signal.metadata?.positionId ? [signal.metadata.positionId] : []);
+
+    const matched = positions.filter(position =>
+      (signal.dealId && position.signal?.dealId === signal.dealId) ||
+      positionIds.includes(position.signal?.metadata?.positionId)
+    );
+
+    const referenced = signal.dealId ||
+      (positionIds.length > 0 && positions.some(p => p.signal?.metadata?.positionId));
+    if (matched.length === 0 && !referenced) {
+      return positions.filter(position => position.direction !== signal.direction);
+    }
+
+    return matched;
+  }
+
+  async executeExitSignal(bot, signal) {
+    const closed = [];
+
+    for (const position of this.findExitPositions(bot, signal)) {
+      try {
+        const result = await brokerIntegration.closePosition(bot.brokerConnection, {
+          positionId: position.id,
+          symbol: position.symbol,
+          side: position.direction,
+          units: position.lotSize,
+          price: signal.exitPrice
+        });
+        const exitPrice = result?.exitPrice ?? signal.exitPrice ?? bot.lastMarketData?.close;
+        closed.push(await this.closePosition(bot, position.id, exitPrice, signal.reason || 'signal'));
+      } catch (error) {
+        // The strategy believes it is flat, so a position left open needs attention
+        console.error(`Failed to close ${position.symbol} position ${position.id} for bot ${bot.name}:`, error);
+        bot.status = 'error';
+      }
+    }
+
+    return closed;
+  }
+
+  // Strategies trail stops in their own books; carry the new levels to the
+  // broker as order modifications
+  async syncStopLevels(bot) {
+    for (const position of bot.positions.values()) {
+      const positionId = position.signal?.metadata?.positionId;
+      const stopLoss = positionId ? bot.strategy.getPosition(positionId)?.stopLoss : null;
+      if (!stopLoss) continue;
+
+      const rounded = instrumentRegistry.has(position.symbol)
+        ? instrumentRegistry.roundPrice(position.symbol, stopLoss)
+        : stopLoss;
+      if (rounded === position.stopLoss) continue;
+
+      try {
+        await brokerIntegration.modifyPosition(bot.brokerConnection, {
+          positionId: position.id,
+          symbol: position.symbol,
+          stopLoss: rounded,
+          takeProfit: position.takeProfit
+        });
+        position.stopLoss = rounded;
+      } catch (error) {
+        console.error(`Failed to move the ${position.symbol} stop for bot ${bot.name}:`, error);
+      }
+    }
+  }
+
+  async handleStrategyAction(bot, signal) {
+    switch (signal.action) {
+      case 'cancel_order': {
+        const order = Array.from(bot.orders.values())
+          .find(o => o.signal?.metadata?.orderRef === signal.orderRef);
+        if (order) {
+          await this.cancelOrder(bot, order.id);
+        }
+        break;
+      }
+      default:
+        // Strategy-internal bookkeeping such as grid rebalances
+        break;
+    }
+  }
+
+  // A shared broker account reports every bot's fills and stop-outs, so
+  // each event goes to the bot that placed the order or holds the position
+  async routeBrokerEvents(events) {
+    for (const event of events) {
+      const owner = Array.from(this.activeBots.values()).find(bot => (event.type === 'POSITION_CLOSED'
+        ? this.findBrokerPosition(bot, event.position) !== null
+        : bot.orders.has(event.orderId)));
+
+      if (owner) {
+        await this.handleBrokerEvents(owner, [event]);
+      }
+    }
+  }
+
+  // Engine id of the position a broker position belongs to, or null
+  findBrokerPosition(bot, brokerPosition = {}) {
+    if (bot.positions.has(brokerPosition.orderId)) {
+      return brokerPosition.orderId;
+    }
+
+    for (const [id, position] of bot.positions) {
+      if (position.brokerPositionId !== undefined && position.brokerPositionId === brokerPosition.id) {
+        return id;
+      }
+    }
+
+    return null;
+  }
+
+  async handleBrokerEvents(bot, events) {
+    for (const event of events) {
+      try {
+        if (event.type === 'ORDER_FILL' && bot.orders.has(event.orderId)) {
+          const order = bot.orders.get(event.orderId);
+          bot.orders.delete(event.orderId);
+
+          const trade = {
+            id: order.id,
+            brokerPositionId: event.positionId,
+            botId: bot.id,
+            symbol: order.symbol,
+            direction: order.direction,
+            lotSize: order.lotSize,
+            entryPrice: event.position?.averagePrice ?? order.price,
+            stopLoss: order.stopLoss,
+            takeProfit: order.takeProfit,
+            status: 'open',
+            openTime: new Date().toISOString(),
+            confidence: order.confidence,
+            signal: order.signal
+          };
+
+          bot.positions.set(trade.id, trade);
+          bot.performance.totalTrades++;
+          await this.storeTrade(trade);
+          bot.strategy.onOrderFilled(order.signal, { price: trade.entryPrice, timestamp: trade.openTime });
+        }
+
+        // Resting orders the broker could not fill, e.g. for lack of margin
+        if (event.type === 'ORDER_CANCEL' && bot.orders.has(event.orderId)) {
+          const order = bot.orders.get(event.orderId);
+          bot.orders.delete(event.orderId);
+          bot.strategy.onOrderRejected(order.signal, event.reason);
+        }
+
+        const positionId = event.type === 'POSITION_CLOSED' ? this.findBrokerPosition(bot, event.position) : null;
+        if (positionId !== null) {
+          await this.closePosition(bot, positionId, event.position.exitPrice, event.reason);
+        }
+      } catch (error) {
+        console.error(`Failed to process broker event for bot ${bot.name}:`, error);
+      }
+    }
+  }
+
+  async cancelOrder(bot, orderId) {
+    const activeBot = this.activeBots.get(bot.id) || bot;
+    const order = activeBot.orders.get(orderId);
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    await brokerIntegration.cancelOrder(activeBot.brokerConnection, { orderId });
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date().toISOString();
+    activeBot.orders.delete(orderId);
+
+    console.log(`Cancelled ${order.type} order ${orderId} for ${activeBot.name}`);
+    return order;
+  }
+
   async closePosition(bot, positionId, exitPrice, reason = 'manual') {
     try {
       const position = bot.positions.get(positionId);
@@ -252,23 +706,34 @@ class TradingEngine {
         throw new Error(`Position ${positionId} not found`);
       }
 
-      // Calculate profit/loss
-      const profit = this.calculateProfit(position, exitPrice);
-      
+      // Net profit/loss in the account currency, after commission and swap
+      const closeTime = new Date().toISOString();
+      const pnl = pnlCalculator.calculateTradePnL(position, exitPrice, {
+        accountCurrency: bot.accountCurrency,
+        commission: pnlCalculator.getCommissionSchedule(bot.brokerConnection),
+        closeTime
+      });
+      const { profit } = pnl;
+
       // Update position
       position.exitPrice = exitPrice;
-      position.closeTime = new Date().toISOString();
+      position.closeTime = closeTime;
       position.status = 'closed';
+      position.grossProfit = pnl.grossProfit;
+      position.commission = pnl.commission;
+      position.swap = pnl.swap;
       position.profit = profit;
+      position.currency = pnl.currency;
       position.reason = reason;
 
-      // Update performance
+      // Update performance. P&L left in the quote currency for want of a rate
+      // is kept on the trade but out of the account-currency totals.
       if (profit > 0) {
         bot.performance.winningTrades++;
-        bot.performance.totalProfit += profit;
+        if (pnl.converted) bot.performance.totalProfit += profit;
       } else {
         bot.performance.losingTrades++;
-        bot.performance.totalLoss += Math.abs(profit);
+        if (pnl.converted) bot.performance.totalLoss += Math.abs(profit);
       }
 
       bot.performance.winRate = (bot.performance.winningTrades / bot.performance.totalTrades) * 100;
@@ -276,11 +741,12 @@ class TradingEngine {
 
       // Remove from active positions
       bot.positions.delete(positionId);
+      if (pnl.converted) bot.accountRisk?.recordTrade(position);
 
       // Update trade in database
       await this.updateTrade(position);
 
-      console.log(`Closed position for ${bot.name}: ${profit > 0 ? '+' : ''}${profit.toFixed(2)}`);
+      console.log(`Closed position for ${bot.name}: ${profit > 0 ? '+' : ''}${profit.toFixed(2)} ${pnl.currency}`);
 
       return position;
 
@@ -290,16 +756,6 @@ class TradingEngine {
     }
   }
 
-  calculateProfit(position, exitPrice) {
-    const { direction, lotSize, entryPrice } = position;
-    
-    if (direction === 'BUY') {
-      return (exitPrice - entryPrice) * lotSize;
-    } else {
-      return (entryPrice - exitPrice) * lotSize;
-    }
-  }
-
   updateBotPerformance(bot) {
     const { performance } = bot;
     
@@ -363,6 +819,8 @@ class TradingEngine {
           exit_price: trade.exitPrice,
           status: trade.status,
           profit: trade.profit,
+          commission: trade.commission,
+          swap: trade.swap,
           close_time: trade.closeTime,
           reason: trade.reason
         })
@@ -377,6 +835,70 @@ class TradingEngine {
     }
   }
 
+  getBotsForSymbol(symbol) {
+    return Array.from(this.activeBots.values())
+      .filter(bot => (bot.symbols || [bot.symbol]).includes(symbol));
+  }
+
+  // Running bots pause while a feed they trade is stale, unless
+  // config.pauseOnStaleData is false
+  async handleStaleData(issue) {
+    const seconds = Math.round(issue.ageMs / 1000);
+
+    for (const bot of this.getBotsForSymbol(issue.symbol)) {
+      if (bot.status !== 'running' || bot.config?.pauseOnStaleData === false) continue;
+
+      bot.status = 'paused';
+      bot.pauseReason = 'stale_data';
+      bot.lastUpdate = new Date().toISOString();
+      console.warn(`Bot ${bot.name} paused: no ${issue.symbol} data for ${seconds}s`);
+
+      await notificationService.sendSystemAlert(bot.userId, {
+        type: 'Bot Paused',
+        message: `Trading bot "${bot.name}" was paused because the ${issue.symbol} feed has been silent for ${seconds} seconds`,
+        severity: 'high'
+      });
+    }
+  }
+
+  // Bots paused for stale data resume once all their feeds are live again
+  async handleDataRecovered(symbol) {
+    for (const bot of this.getBotsForSymbol(symbol)) {
+      if (bot.status !== 'paused' || bot.pauseReason !== 'stale_data') continue;
+      if ((bot.symbols || [bot.symbol]).some(s => marketDataService.quality.isStale(s))) continue;
+
+      bot.status = 'running';
+      bot.pauseReason = null;
+      bot.lastUpdate = new Date().toISOString();
+      console.log(`Bot ${bot.name} resumed: ${symbol} data is flowing again`);
+
+      await notificationService.sendSystemAlert(bot.userId, {
+        type: 'Bot Resumed',
+        message: `Trading bot "${bot.name}" resumed now that ${symbol} data is flowing again`,
+        severity: 'low'
+      });
+    }
+  }
+
+  // Spikes, bad spreads and other serious data faults go to the owners of
+  // bots on that symbol. Stale feeds are reported by handleStaleData.
+  async handleDataAlert(issue) {
+    if (issue.severity !== 'high' || issue.type === 'stale') {
+      return;
+    }
+
+    const action = marketDataService.quality.config.quarantine.includes(issue.type) ? 'quarantined' : 'flagged';
+    const userIds = new Set(this.getBotsForSymbol(issue.symbol).map(bot => bot.userId));
+
+    for (const userId of userIds) {
+      await notificationService.sendSystemAlert(userId, {
+        type: 'Market Data Alert',
+        message: `${issue.type.replace(/_/g, ' ')} detected in ${issue.symbol}${issue.timeframe ? ` ${issue.timeframe}` : ''} data at ${issue.timestamp}; the data was ${action}`,
+        severity: 'medium'
+      });
+    }
+  }
+
   async getBotStatus(botId) {
     const bot = this.activeBots.get(botId);
     if (!bot) {
@@ -387,9 +909,11 @@ class TradingEngine {
       id: bot.id,
       name: bot.name,
       status: bot.status,
+      pauseReason: bot.pauseReason || null,
       symbol: bot.symbol,
       performance: bot.performance,
       positions: Array.from(bot.positions.values()),
+      orders: Array.from(bot.orders.values()),
       lastUpdate: bot.lastUpdate,
       lastMarketData: bot.lastMarketData
     };
@@ -414,9 +938,12 @@ class TradingEngine {
       await this.stopBot(botId);
 
       // Disconnect market data stream
-      const stream = this.marketDataStreams.get(botId);
-      if (stream) {
-        marketDataService.disconnect(bot.symbol);
+      bot.releaseRates?.();
+      bot.accountRisk?.unlink(bot.strategy.riskManager);
+      portfolioRiskManager.removeBot(bot.userId, botId);
+      const subscriptions = this.marketDataStreams.get(botId);
+      if (subscriptions) {
+        subscriptions.forEach(subscription => candleAggregator.unsubscribe(subscription));
         this.marketDataStreams.delete(botId);
       }
 
@@ -429,6 +956,9 @@ class TradingEngine {
 
       // Remove from active bots
       this.activeBots.delete(botId);
+      if (this.activeBots.size === 0) {
+        correlationMatrix.stop();
+      }
 
       console.log(`Bot ${bot.name} cleaned up successfully`);
 
@@ -1,3 +1,6 @@
+import { strategyRegistry } from '@/lib/trading/strategies';
+import { instrumentRegistry } from '@/lib/trading/instruments';
+
 // Email validation
 export function validateEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -72,16 +75,15 @@ export function validateBotConfig(config) {
     errors.strategy_type = 'Trading strategy is required';
   }
 
-  const validStrategies = ['scalping', 'dca', 'grid', 'trend_following', 'martingale', 'breakout', 'mean_reversion', 'arbitrage'];
-  if (config.strategy_type && !validStrategies.includes(config.strategy_type)) {
-    errors.strategy_type = `Invalid strategy. Must be one of: ${validStrategies.join(', ')}`;
+  if (config.strategy_type && !strategyRegistry.has(config.strategy_type)) {
+    errors.strategy_type = `Invalid strategy. Must be one of: ${strategyRegistry.getTypes().join(', ')}`;
   }
 
   if (!config.symbol) {
     errors.symbol = 'Trading symbol is required';
   }
 
-  const validSymbols = ['EURUSD', 'GBPUSD', 'USDJPY', 'USDCHF', 'AUDUSD', 'USDCAD', 'NZDUSD', 'EURGBP', 'EURJPY', 'GBPJPY'];
+  const validSymbols = instrumentRegistry.getSymbols();
   if (config.symbol && !validSymbols.includes(config.symbol.toUpperCase())) {
     errors.symbol = `Invalid symbol. Must be one of: ${validSymbols.join(', ')}`;
   }
@@ -96,43 +98,8 @@ export function validateBotConfig(config) {
   }
 
   // Strategy-specific validation
-  if (config.strategy_type === 'scalping' && config.config) {
-    const scalpingConfig = config.config;
-    if (scalpingConfig.maxPositions && (scalpingConfig.maxPositions < 1 || scalpingConfig.maxPositions > 10)) {
-      errors.maxPositions = 'Scalping max positions must be between 1 and 10';
-    }
-    if (scalpingConfig.riskPerTrade && (scalpingConfig.riskPerTrade < 0.005 || scalpingConfig.riskPerTrade > 0.05)) {
-      errors.riskPerTrade = 'Scalping risk per trade must be between 0.5% and 5%';
-    }
-    if (!['1m', '5m'].includes(config.timeframe)) {
-      errors.timeframe = 'Scalping strategy requires 1m or 5m timeframe';
-    }
-  }
-
-  if (config.strategy_type === 'dca' && config.config) {
-    const dcaConfig = config.config;
-    if (dcaConfig.maxSafetyOrders && (dcaConfig.maxSafetyOrders < 1 || dcaConfig.maxSafetyOrders > 20)) {
-      errors.maxSafetyOrders = 'DCA max safety orders must be between 1 and 20';
-    }
-    if (dcaConfig.priceDeviation && (dcaConfig.priceDeviation < 0.5 || dcaConfig.priceDeviation > 10)) {
-      errors.priceDeviation = 'DCA price deviation must be between 0.5% and 10%';
-    }
-    if (dcaConfig.takeProfitPercentage && (dcaConfig.takeProfitPercentage < 0.5 || dcaConfig.takeProfitPercentage > 20)) {
-      errors.takeProfitPercentage = 'DCA take profit percentage must be between 0.5% and 20%';
-    }
-  }
-
-  if (config.strategy_type === 'grid' && config.config) {
-    const gridConfig = config.config;
-    if (gridConfig.gridLevels && (gridConfig.gridLevels < 3 || gridConfig.gridLevels > 50)) {
-      errors.gridLevels = 'Grid levels must be between 3 and 50';
-    }
-    if (gridConfig.gridSpacing && (gridConfig.gridSpacing < 5 || gridConfig.gridSpacing > 500)) {
-      errors.gridSpacing = 'Grid spacing must be between 5 and 500 pips';
-    }
-    if (gridConfig.maxGridOrders && (gridConfig.maxGridOrders < 5 || gridConfig.maxGridOrders > 100)) {
-      errors.maxGridOrders = 'Max grid orders must be between 5 and 100';
-    }
+  if (config.strategy_type && strategyRegistry.has(config.strategy_type)) {
+    Object.assign(errors, strategyRegistry.validateConfig(config.strategy_type, config.config || {}, config.timeframe));
   }
 
   // Risk configuration validation
@@ -0,0 +1,4 @@
+-- Strategy types registered in lib/trading/strategies that the original enum lacked
+ALTER TYPE bot_strategy ADD VALUE IF NOT EXISTS 'martingale';
+ALTER TYPE bot_strategy ADD VALUE IF NOT EXISTS 'breakout';
+ALTER TYPE bot_strategy ADD VALUE IF NOT EXISTS 'mean_reversion';
@@ -0,0 +1,22 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('.', import.meta.url))
+    }
+  },
+  test: {
+    environment: 'node',
+    include: ['lib/**/__tests__/*.test.js'],
+    // Lets cache tests trigger garbage collection
+    poolOptions: {
+      forks: { execArgv: ['--expose-gc'] }
+    },
+    env: {
+      NEXT_PUBLIC_SUPABASE_URL: 'http://localhost:54321',
+      NEXT_PUBLIC_SUPABASE_ANON_KEY: 'test'
+    }
+  }
+});